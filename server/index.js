@@ -13,30 +13,50 @@ const fs = require('fs');
 const { OpenAI } = require('openai');
 const chalk = require('chalk');
 const { MCPServer, StdioServerTransport } = require('./lib/mcp-server');
+const { HttpServerTransport } = require('./lib/http-transport');
+const { logger } = require('./lib/logger');
 
 // Charger les variables d'environnement depuis .env s'il existe
 try {
   const envPath = resolve(process.cwd(), '.env');
   if (fs.existsSync(envPath)) {
     dotenv.config({ path: envPath });
-    process.stderr.write(chalk.blue(`Variables d'environnement chargées depuis ${envPath}\n`));
+    logger.debug(`Variables d'environnement chargées depuis ${envPath}`);
   } else {
-    process.stderr.write(chalk.yellow('Fichier .env non trouvé, utilisation des variables d\'environnement existantes\n'));
+    logger.debug('Fichier .env non trouvé, utilisation des variables d\'environnement existantes');
   }
 } catch (error) {
-  process.stderr.write(chalk.red(`Erreur lors du chargement des variables d'environnement: ${error.message}\n`));
+  logger.error(`Erreur lors du chargement des variables d'environnement: ${error.message}`);
 }
 
 // Importer nos modules améliorés
 const apiClient = require('./lib/api-client');
 const { McpError, AgilePlannerError } = require('./lib/errors');
-const mcpRouter = require('./lib/mcp-router');
+const { toolRegistry } = require('./lib/tool-registry');
 const packageInfo = require('../package.json');
 
+// Modules d'outils tiers: chargés après .env pour que AGILE_PLANNER_TOOL_PLUGINS puisse y être défini
+toolRegistry.loadEnvPlugins();
+
+/**
+ * Lit la valeur d'une option de la ligne de commande (--option valeur ou --option=valeur)
+ * @param {string} name - Nom de l'option (ex: '--port')
+ * @returns {string|undefined} Valeur de l'option
+ */
+function getArgValue(name) {
+  const index = process.argv.indexOf(name);
+  if (index !== -1) {
+    return process.argv[index + 1];
+  }
+  const inline = process.argv.find(arg => arg.startsWith(`${name}=`));
+  return inline ? inline.slice(name.length + 1) : undefined;
+}
+
 // Déterminer le mode d'exécution
 const isCLIMode = process.argv.includes('--cli');
 const isMCPArg = process.argv.includes('--mcp');
-const isMCPMode = isMCPArg || (!isCLIMode && process.env.MCP_EXECUTION === 'true');
+const mcpTransport = getArgValue('--transport') || 'stdio';
+const isMCPMode = isMCPArg || mcpTransport === 'http' || (!isCLIMode && process.env.MCP_EXECUTION === 'true');
 
 // Si l'argument --mcp est fourni, définir la variable d'environnement
 if (isMCPArg) {
@@ -51,9 +71,9 @@ if (isMCPMode) {
   executionMode = 'CLI';
 }
 
-process.stderr.write(chalk.blue(`Mode: ${executionMode}\n`));
-process.stderr.write(chalk.blue(`Arguments: ${process.argv.join(', ')}\n`));
-process.stderr.write(chalk.blue(`API Key: ${process.env.OPENAI_API_KEY ? 'Present' : 'Missing'}\n`));
+logger.debug(`Mode: ${executionMode}`);
+logger.debug(`Arguments: ${process.argv.join(', ')}`);
+logger.debug(`API Key: ${process.env.OPENAI_API_KEY ? 'Present' : 'Missing'}`);
 
 // En mode MCP, configurer le serveur MCP
 if (isMCPMode) {
@@ -71,167 +91,37 @@ if (isMCPMode) {
  */
 function startMcpServer() {
   try {
-    // Initialiser le client API au démarrage
-    apiClient.getClient();
-    
-    // Créer le serveur MCP avec sa configuration
-    const mcpTools = [
-      {
-        name: 'generateBacklog',
-        description: "Génère un backlog agile complet à partir de la description d'un projet",
-        inputSchema: require('./lib/tool-schemas').generateBacklogSchema,
-        handler: async (params) => {
-          // Extraction des paramètres
-          const { projectName, projectDescription, outputPath } = params;
-          
-          // Vérification des paramètres requis
-          if (!projectName || !projectDescription) {
-            throw new Error('Le nom et la description du projet sont requis');
-          }
-          
-          // Génération du backlog
-          const backlogGenerator = require('./lib/backlog-generator');
-          const client = apiClient.getClient();
-          // Déterminer le répertoire de sortie
-          const finalOutputPath = outputPath || process.env.AGILE_PLANNER_OUTPUT_ROOT || './output';
-          // Appel à generateBacklog avec la nouvelle signature
-          const result = await backlogGenerator.generateBacklog(
-            projectName, 
-            projectDescription, 
-            client,
-            apiClient.getCurrentProvider() || 'openai'
-          );
-          
-          // Ajouter la génération de fichiers markdown
-          try {
-            const fs = require('fs-extra');
-            
-            // S'assurer que le répertoire existe
-            await fs.ensureDir(finalOutputPath);
-            
-            const markdownGenerator = require('./lib/markdown-generator');
-            
-            // Sauvegarder également les données brutes JSON
-            await backlogGenerator.saveRawBacklog(result, finalOutputPath);
-            
-            // Générer les fichiers markdown
-            await markdownGenerator.generateMarkdownFilesFromResult(
-              { success: true, result: result.result || result }, 
-              finalOutputPath
-            );
-            process.stderr.write(chalk.green(`📁 Fichiers générés dans: ${finalOutputPath}\n`));
-          } catch (err) {
-            process.stderr.write(chalk.yellow(`⚠️ Génération des fichiers markdown: ${err.message}\n`));
-          }
-          
-          return {
-            content: [
-              { 
-                type: "text", 
-                text: `Backlog généré avec succès pour '${projectName}'` 
-              },
-              {
-                type: "data",
-                data: {
-                  epicCount: result.epics?.length || 0,
-                  userStoryCount: result.userStories?.length || 0,
-                  outputPath: finalOutputPath
-                }
-              }
-            ]
-          };
-        }
-      },
-      {
-        name: 'generateFeature',
-        description: "Génère une fonctionnalité avec ses user stories à partir d'une description",
-        inputSchema: require('./lib/tool-schemas').generateFeatureSchema,
-        handler: async (params) => {
-          // Extraction des paramètres
-          const { featureDescription, businessValue, storyCount, iterationName, outputPath } = params;
-          
-          // Déterminer le répertoire de sortie
-          const finalOutputPath = outputPath || process.env.AGILE_PLANNER_OUTPUT_ROOT || './output';
-          
-          // Vérification des paramètres requis
-          if (!featureDescription) {
-            throw new Error('La description de la fonctionnalité est requise');
-          }
-          
-          // Génération de la fonctionnalité
-          const featureGenerator = require('./lib/feature-generator');
-          const client = apiClient.getClient();
-          const result = await featureGenerator.generateFeature(
-            {
-              featureDescription,
-              businessValue: businessValue || '',
-              storyCount: storyCount || 3,
-              iterationName: iterationName || 'next'
-            },
-            client,
-            apiClient.getCurrentProvider() || 'openai'
-          );
-          
-          // Ajouter la génération de fichiers markdown
-          try {
-            const fs = require('fs-extra');
-            
-            // S'assurer que le répertoire existe
-            await fs.ensureDir(finalOutputPath);
-            
-            const markdownGenerator = require('./lib/markdown-generator');
-            
-            // Sauvegarder les données brutes JSON
-            await featureGenerator.saveRawFeatureResult(result, finalOutputPath);
-            
-            // Générer les fichiers markdown
-            await markdownGenerator.generateFeatureMarkdown(
-              result, 
-              finalOutputPath,
-              iterationName || 'next'
-            );
-            
-            process.stderr.write(chalk.green(`📁 Fichiers générés dans: ${finalOutputPath}\n`));
-          } catch (err) {
-            process.stderr.write(chalk.yellow(`⚠️ Génération des fichiers markdown: ${err.message}\n`));
-          }
-          
-          return {
-            content: [
-              { 
-                type: "text", 
-                text: `Fonctionnalité générée avec succès` 
-              },
-              {
-                type: "data",
-                data: {
-                  featureName: result.feature?.title,
-                  storyCount: result.userStories?.length || 0,
-                  outputPath: finalOutputPath
-                }
-              }
-            ]
-          };
-        }
-      }
-    ];
+    // Initialiser le client API au démarrage; sans clé, le sampling MCP du client prend le relais
+    if (apiClient.hasApiKey()) {
+      apiClient.getClient();
+    } else {
+      logger.warning('Aucune clé API: la génération passera par le sampling MCP du client (sampling/createMessage)');
+    }
     
-    // Création de l'instance du serveur MCP
-    const server = new MCPServer({
+    // Factory du serveur MCP: une instance par client, même registre d'outils
+    const createServer = () => new MCPServer({
       namespace: 'agile-planner',
-      tools: mcpTools
+      tools: toolRegistry.list()
     });
     
-    // Création du transport STDIO
-    const transport = new StdioServerTransport();
+    logger.info(`Démarrage du serveur MCP...`);
     
-    // Démarrage du serveur
-    process.stderr.write(chalk.green(`Démarrage du serveur MCP...\n`));
-    server.listen(transport);
+    if (mcpTransport === 'http') {
+      // Transport HTTP partagé (POST JSON-RPC + flux SSE)
+      const port = parseInt(getArgValue('--port') || process.env.MCP_HTTP_PORT || '3000', 10);
+      const host = getArgValue('--host') || process.env.MCP_HTTP_HOST || '127.0.0.1';
+      new HttpServerTransport({ port, host }).start(createServer).catch(error => {
+        logger.error(`Erreur lors du démarrage du transport HTTP: ${error.message}`);
+        process.exit(1);
+      });
+    } else {
+      // Transport STDIO: un processus par client
+      createServer().listen(new StdioServerTransport());
+    }
     
-    process.stderr.write(chalk.green(`Serveur MCP Agile Planner en cours d'exécution\n`));
+    logger.info(`Serveur MCP Agile Planner en cours d'exécution (transport: ${mcpTransport})`);
   } catch (error) {
-    process.stderr.write(chalk.red(`Erreur lors du démarrage du serveur MCP: ${error.message}\n`));
+    logger.error(`Erreur lors du démarrage du serveur MCP: ${error.message}`);
     process.exit(1);
   }
 }
@@ -284,20 +174,15 @@ function startBatchMode() {
     
     // Traiter les arguments selon le premier paramètre
     const command = args[0];
+    const tool = toolRegistry.findByCliCommand(command);
     
-    switch (command) {
-      case '--generateBacklog':
-        handleGenerateBacklogCommand(args);
-        break;
-      case '--generateFeature':
-        handleGenerateFeatureCommand(args);
-        break;
-      case '--help':
-        displayBatchHelp();
-        break;
-      default:
-        process.stderr.write(chalk.red(`Commande inconnue: ${command}\n`));
-        displayBatchHelp();
+    if (tool) {
+      runToolCommand(tool, args.slice(1));
+    } else if (command === '--help') {
+      displayBatchHelp();
+    } else {
+      process.stderr.write(chalk.red(`Commande inconnue: ${command}\n`));
+      displayBatchHelp();
     }
   } catch (error) {
     process.stderr.write(chalk.red(`Erreur lors de l'exécution du mode batch: ${error.message}\n`));
@@ -306,152 +191,31 @@ function startBatchMode() {
 }
 
 /**
- * Gère la commande de génération de backlog
- * @param {string[]} args - Arguments de la ligne de commande
+ * Exécute un outil du registre à partir des arguments de la ligne de commande
+ * @param {Object} tool - Définition de l'outil
+ * @param {string[]} args - Arguments suivant la commande
  */
-async function handleGenerateBacklogCommand(args) {
-  if (args.length < 2) {
-    process.stderr.write(chalk.red('Erreur: Les paramètres nom et description du projet sont requis\n'));
-    process.stderr.write(chalk.yellow('Exemple: node index.js --generateBacklog "Nom du projet" "Description du projet"\n'));
-    process.exit(1);
-  }
-  
-  const projectName = args[1];
-  const projectDescription = args[2] || '';
-  const outputPath = args[3] || './output';
-  
-  process.stderr.write(chalk.green(`Génération du backlog pour le projet: ${projectName}\n`));
-  const apiClient = require('./lib/api-client');
-  const client = apiClient.getClient();
-  
-  // Import des modules nécessaires
-  const backlogGenerator = require('./lib/backlog-generator');
-  const markdownGenerator = require('./lib/markdown-generator');
-  
-  // Assurer que le répertoire de sortie existe
-  const fs = require('fs-extra');
-  fs.ensureDirSync(outputPath);
-  
+async function runToolCommand(tool, args) {
   try {
-    // Générer le backlog
-    const result = await backlogGenerator.generateBacklog(projectName, projectDescription, client);
+    const result = await toolRegistry.invoke(tool.name, toolRegistry.parseCliArgs(tool, args), {
+      reportProgress: message => process.stderr.write(chalk.grey(`… ${message}\n`))
+    });
     
-    // Vérifier si la génération a réussi
-    if (!result || !result.success) {
-      const errorMsg = result && result.error && result.error.message 
-        ? result.error.message 
-        : 'Échec de la génération du backlog';
-      throw new Error(errorMsg);
+    // Le premier bloc texte est le résumé, les suivants reprennent le structuredContent
+    process.stderr.write(chalk.green(`✅ ${result.content[0].text}\n`));
+    if (result.structuredContent?.files && result.structuredContent.backlogDir) {
+      process.stderr.write(chalk.green(`📁 Fichiers générés dans: ${result.structuredContent.backlogDir}\n`));
     }
-    
-    // Debug de la structure du résultat
-    console.log(chalk.yellow(`Génération des fichiers markdown à partir du résultat...`));
-    console.log(chalk.yellow(`Structure du résultat: ${JSON.stringify({
-      hasSuccess: !!result.success,
-      hasResult: !!result.result,
-      resultType: result.result ? typeof result.result : 'undefined'
-    })}`));
-    
-    // Générer les fichiers markdown
-    await markdownGenerator.generateMarkdownFiles(result, outputPath);
-    
-    // Tout s'est bien passé
-    process.stderr.write(chalk.green('✅ Backlog généré avec succès!\n'));
-    process.stderr.write(chalk.green(`📁 Fichiers générés dans: ${outputPath}\n`));
     process.exit(0);
   } catch (err) {
-    // Gestion robuste des erreurs
-    let errorMessage = 'Erreur inconnue lors de la génération du backlog';
-    
-    if (err) {
-      console.error(chalk.red(`Détail de l'erreur: ${err}`));
-      console.error(chalk.red(`Stack trace: ${err.stack || 'Non disponible'}`));
-      errorMessage = err.message || errorMessage;
+    process.stderr.write(chalk.red(`❌ Erreur lors de l'exécution de '${tool.name}': ${err.message}\n`));
+    if (err instanceof McpError && err.errorCode === -32602) {
+      process.stderr.write(chalk.yellow(`Usage: node server/index.js ${tool.cli.command} ${tool.cli.usage || ''}\n`));
     }
-    
-    process.stderr.write(chalk.red(`❌ Erreur lors de la génération du backlog: ${errorMessage}\n`));
     process.exit(1);
   }
 }
 
-/**
- * Gère la commande de génération de feature
- * @param {string[]} args - Arguments de la ligne de commande
- */
-function handleGenerateFeatureCommand(args) {
-  if (args.length < 2) {
-    process.stderr.write(chalk.red('Erreur: Le paramètre description de la feature est requis\n'));
-    process.stderr.write(chalk.yellow('Exemple: node index.js --generateFeature "Description de la feature" --story-count=5\n'));
-    process.exit(1);
-  }
-  
-  const featureDescription = args[1];
-  const options = parseFeatureOptions(args.slice(2));
-  
-  process.stderr.write(chalk.green(`Génération de la feature: ${featureDescription}\n`));
-  const apiClient = require('./lib/api-client');
-  const client = apiClient.getClient();
-  
-  // Import des modules nécessaires
-  const featureGenerator = require('./lib/feature-generator');
-  const markdownGenerator = require('./lib/markdown-generator');
-  
-  // Assurer que le répertoire de sortie existe
-  const fs = require('fs-extra');
-  fs.ensureDirSync(options.outputPath);
-  
-  // Appeler la génération de la feature
-  featureGenerator.generateFeature({
-    featureDescription,
-    businessValue: options.businessValue,
-    storyCount: options.storyCount,
-    iterationName: options.iterationName
-  }, client, 'openai')
-    .then(async result => {
-      // Sauvegarder les données brutes
-      await featureGenerator.saveRawFeatureResult(result, options.outputPath);
-      
-      // Générer les fichiers markdown
-      await markdownGenerator.generateFeatureMarkdown(result, options.outputPath, options.iterationName);
-      
-      process.stderr.write(chalk.green('✅ Feature générée avec succès!\n'));
-      process.stderr.write(chalk.green(`📁 Fichiers générés dans: ${options.outputPath}\n`));
-      process.exit(0);
-    })
-    .catch(err => {
-      process.stderr.write(chalk.red(`❌ Erreur lors de la génération de la feature: ${err.message}\n`));
-      process.exit(1);
-    });
-}
-
-/**
- * Parse les options pour la génération de feature
- * @param {string[]} args - Arguments à analyser
- * @returns {Object} - Options analysées
- */
-function parseFeatureOptions(args) {
-  const options = {
-    storyCount: 3,
-    businessValue: '',
-    iterationName: 'next',
-    outputPath: './output'
-  };
-  
-  for (const arg of args) {
-    if (arg.startsWith('--story-count=')) {
-      options.storyCount = parseInt(arg.split('=')[1], 10);
-    } else if (arg.startsWith('--business-value=')) {
-      options.businessValue = arg.split('=')[1];
-    } else if (arg.startsWith('--iteration-name=')) {
-      options.iterationName = arg.split('=')[1];
-    } else if (arg.startsWith('--output-path=')) {
-      options.outputPath = arg.split('=')[1];
-    }
-  }
-  
-  return options;
-}
-
 /**
  * Affiche l'aide pour le mode batch
  */
@@ -459,12 +223,20 @@ function displayBatchHelp() {
   process.stderr.write(chalk.green('Agile Planner - Mode Batch\n'));
   process.stderr.write(chalk.green('Usage:\n'));
   process.stderr.write(chalk.blue('  node server/index.js --cli         ') + 'Démarrer en mode interactif\n');
+  process.stderr.write(chalk.blue('  node server/index.js --mcp         ') + 'Démarrer le serveur MCP (stdio)\n');
+  process.stderr.write(chalk.blue('  node server/index.js --transport http --port 3000 ') + 'Démarrer le serveur MCP partagé en HTTP/SSE\n');
   process.stderr.write(chalk.blue('  node server/index.js --help        ') + 'Afficher cette aide\n');
-  process.stderr.write(chalk.blue('  node server/index.js --generateBacklog <projectName> <projectDescription> [outputPath] ') + 'Générer un backlog complet\n');
-  process.stderr.write(chalk.blue('  node server/index.js --generateFeature <featureDescription> [options] ') + 'Générer une feature\n');
-  process.stderr.write(chalk.grey('  Options:\n'));
-  process.stderr.write(chalk.grey('    --story-count=<number>         ') + 'Nombre d\'histoires utilisateur à générer\n');
-  process.stderr.write(chalk.grey('    --business-value=<string>      ') + 'Valeur métier de la fonctionnalité\n');
-  process.stderr.write(chalk.grey('    --iteration-name=<string>      ') + 'Nom de l\'itération\n');
-  process.stderr.write(chalk.grey('    --output-path=<path>           ') + 'Répertoire de sortie\n');
+  
+  for (const tool of toolRegistry.list().filter(t => t.cli)) {
+    process.stderr.write(chalk.blue(`  node server/index.js ${tool.cli.command} ${tool.cli.usage || ''} `) + `${tool.description}\n`);
+    
+    const options = Object.entries(tool.cli.options || {});
+    if (options.length > 0) {
+      process.stderr.write(chalk.grey('  Options:\n'));
+      for (const [flag, param] of options) {
+        const description = tool.inputSchema.properties?.[param]?.description || param;
+        process.stderr.write(chalk.grey(`    ${`${flag}=<${param}>`.padEnd(35)}`) + `${description}\n`);
+      }
+    }
+  }
 }
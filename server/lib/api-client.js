@@ -4,7 +4,7 @@
  */
 
 const { OpenAI } = require('openai');
-const chalk = require('chalk');
+const { logger } = require('./logger');
 const { ApiError } = require('./errors');
 
 // Client API singleton
@@ -49,7 +49,7 @@ module.exports = {
       if (preferredProvider === 'groq' && process.env.GROQ_API_KEY) {
         return 'groq';
       }
-      process.stderr.write(chalk.yellow(`[WARN] Le provider '${preferredProvider}' demandé n'est pas disponible. Utilisé le mode auto.\n`));
+      logger.warning(`Le provider '${preferredProvider}' demandé n'est pas disponible. Utilisé le mode auto.`);
     }
     
     // En mode auto, utiliser le premier provider disponible
@@ -60,7 +60,7 @@ module.exports = {
       return 'groq';
     }
     
-    throw new ApiError('Aucune clé API disponible. Définissez OPENAI_API_KEY ou GROQ_API_KEY');
+    throw new ApiError('Aucune clé API disponible. Définissez OPENAI_API_KEY ou GROQ_API_KEY, ou utilisez un client MCP supportant le sampling');
   },
 
   /**
@@ -72,7 +72,7 @@ module.exports = {
   _initializeClient(provider) {
     if (provider === 'openai') {
       client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-      process.stderr.write(chalk.green(`[INFO] Client OpenAI initialisé\n`));
+      logger.info(`Client OpenAI initialisé`);
       return client;
     }
     
@@ -81,29 +81,38 @@ module.exports = {
       client = {
         chat: {
           completions: {
-            create: async (params) => {
-              // Simulation d'une API Groq pour le moment
-              // À remplacer par l'implémentation réelle quand disponible
+            // Même signature que le SDK OpenAI: le signal interrompt la requête HTTP en cours
+            create: async (params, { signal } = {}) => {
               const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
                 method: 'POST',
                 headers: {
                   'Authorization': `Bearer ${process.env.GROQ_API_KEY}`,
                   'Content-Type': 'application/json'
                 },
-                body: JSON.stringify(params)
+                body: JSON.stringify(params),
+                signal
               });
               return response.json();
             }
           }
         }
       };
-      process.stderr.write(chalk.green(`[INFO] Client Groq initialisé\n`));
+      logger.info(`Client Groq initialisé`);
       return client;
     }
     
     throw new ApiError(`Provider non supporté: ${provider}`);
   },
   
+  /**
+   * Indique si une clé API OpenAI ou Groq est configurée
+   * Sans clé, le serveur MCP délègue la génération au client via le sampling
+   * @returns {boolean} true si un provider est utilisable
+   */
+  hasApiKey() {
+    return Boolean(process.env.OPENAI_API_KEY || process.env.GROQ_API_KEY);
+  },
+
   /**
    * Retourne le provider actuellement utilisé
    * @returns {string|null} Le nom du provider ('openai', 'groq') ou null si aucun n'est initialisé
@@ -118,6 +127,6 @@ module.exports = {
   resetClient() {
     client = null;
     provider = null;
-    process.stderr.write(chalk.blue(`[INFO] Client API réinitialisé\n`));
+    logger.debug(`Client API réinitialisé`);
   }
 };
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Complétion des arguments (completion/complete) à partir du backlog existant
+ * Les suggestions sont tirées de backlog.json: noms d'itérations (processIterations),
+ * IDs et slugs des epics et IDs des user stories. Seuls les arguments qui désignent un élément existant en reçoivent.
+ * @module backlog-completions
+ * @requires backlog-reader
+ */
+
+const { McpError } = require('./errors');
+const { listPrompts } = require('./backlog-prompts');
+const { toolRegistry } = require('./tool-registry');
+const { loadBacklog, listStoryEntries } = require('./utils/backlog-reader');
+
+// Nombre maximal de valeurs par réponse imposé par la spécification MCP
+const MAX_COMPLETION_VALUES = 100;
+
+/**
+ * Sources de suggestions, indexées par nom d'argument
+ * Un même nom d'argument reçoit les mêmes suggestions quel que soit l'outil ou le prompt
+ */
+const COMPLETION_SOURCES = {
+  iterationName: backlog => (backlog.iterations || []).map(iteration => iteration.name),
+  // Epic existant auquel generateFeature rattache la feature (ID ou slug)
+  epic: backlog => (backlog.epics || []).flatMap(epic => [epic.id, epic.slug]),
+  storyId: backlog => listStoryEntries(backlog).map(({ story }) => story.id)
+};
+
+/**
+ * Vérifie que la référence désigne un prompt ou un outil qui déclare l'argument
+ * @param {Object} ref - Référence MCP ({ type: 'ref/prompt', name } ou { type: 'ref/tool', name })
+ * @param {string} argumentName - Nom de l'argument à compléter
+ * @returns {boolean} true si l'argument est déclaré, false pour une ressource (aucun modèle d'URI publié)
+ * @throws {McpError} Si la référence est inconnue
+ */
+function isDeclaredArgument(ref, argumentName) {
+  if (ref?.type === 'ref/prompt') {
+    const prompt = listPrompts().find(p => p.name === ref.name);
+    if (!prompt) {
+      throw new McpError(`Prompt '${ref.name}' non trouvé`, { ref }, -32602);
+    }
+    return prompt.arguments.some(arg => arg.name === argumentName);
+  }
+
+  if (ref?.type === 'ref/tool') {
+    const tool = toolRegistry.get(ref.name);
+    if (!tool) {
+      throw new McpError(`Outil '${ref.name}' non trouvé`, { ref }, -32602);
+    }
+    return Object.prototype.hasOwnProperty.call(tool.inputSchema.properties || {}, argumentName);
+  }
+
+  if (ref?.type === 'ref/resource') {
+    return false;
+  }
+
+  throw new McpError(`Type de référence non supporté: ${ref?.type}`, { ref }, -32602);
+}
+
+/**
+ * Filtre et ordonne les suggestions: correspondances en début de valeur d'abord
+ * @param {Array<string>} candidates - Valeurs possibles
+ * @param {string} value - Saisie partielle du client
+ * @returns {Array<string>} Valeurs uniques correspondant à la saisie
+ */
+function matchValues(candidates, value) {
+  const query = String(value || '').trim().toLowerCase();
+  const unique = [...new Set(candidates.filter(candidate => typeof candidate === 'string' && candidate))];
+
+  const prefixed = unique.filter(candidate => candidate.toLowerCase().startsWith(query));
+  const contained = unique.filter(candidate => !prefixed.includes(candidate) && candidate.toLowerCase().includes(query));
+
+  return [...prefixed, ...contained];
+}
+
+/**
+ * Calcule les suggestions pour un argument
+ * @param {Object} ref - Référence du prompt ou de l'outil
+ * @param {{name: string, value: string}} argument - Argument en cours de saisie
+ * @param {string} backlogDir - Chemin du dossier .agile-planner-backlog
+ * @returns {Promise<Object>} Résultat completion/complete au format MCP
+ * @throws {McpError} Si la référence ou l'argument est invalide
+ */
+async function completeArgument(ref, argument, backlogDir) {
+  if (!argument?.name) {
+    throw new McpError("Le nom de l'argument à compléter est requis", { field: 'argument.name' }, -32602);
+  }
+
+  const source = isDeclaredArgument(ref, argument.name) && COMPLETION_SOURCES[argument.name];
+  const backlog = source ? await loadBacklog(backlogDir) : null;
+  const values = backlog ? matchValues(source(backlog), argument.value) : [];
+
+  return {
+    completion: {
+      values: values.slice(0, MAX_COMPLETION_VALUES),
+      total: values.length,
+      hasMore: values.length > MAX_COMPLETION_VALUES
+    }
+  };
+}
+
+module.exports = {
+  COMPLETION_SOURCES,
+  completeArgument
+};
@@ -2,8 +2,9 @@ const OpenAI = require('openai');
 const Groq = require('groq-sdk');
 const fs = require('fs-extra');
 const path = require('path');
-const chalk = require('chalk');
+const { logger } = require('./logger');
 const validatorsFactory = require('./utils/validators/validators-factory');
+const { CancellationError } = require('./errors');
 
 /**
  * Initializes the OpenAI or GROQ client based on available API key
@@ -105,9 +106,19 @@ function determineModel(client) {
 /**
  * Crée les messages pour l'API
  * @param {string} project - Description complète du projet
+ * @param {Object} [projectDetails] - Précisions recueillies auprès de l'utilisateur (elicitation)
+ * @param {string} [projectDetails.targetUsers] - Utilisateurs cibles
+ * @param {string} [projectDetails.constraints] - Contraintes du projet
+ * @param {string} [projectDetails.scope] - Périmètre de la première version
  * @returns {Array} Messages formatés pour l'API
  */
-function createApiMessages(project) {
+function createApiMessages(project, projectDetails = {}) {
+  const details = [
+    projectDetails.targetUsers && `Target users: ${projectDetails.targetUsers}`,
+    projectDetails.constraints && `Constraints: ${projectDetails.constraints}`,
+    projectDetails.scope && `Scope: ${projectDetails.scope}`
+  ].filter(Boolean);
+
   return [
     {
       role: "system",
@@ -115,7 +126,7 @@ function createApiMessages(project) {
     },
     {
       role: "user",
-      content: `Project description: ${project}`
+      content: [`Project description: ${project}`, ...details].join('\n')
     },
     {
       role: "system",
@@ -130,26 +141,21 @@ function createApiMessages(project) {
  * @param {string} model - Le modèle à utiliser
  * @param {Array} messages - Les messages pour l'API
  * @param {Object} backlogSchema - Le schéma de validation
+ * @param {AbortSignal} [signal] - Signal d'annulation transmis au client API
  * @returns {Promise<Object>} Résultat de l'appel API
+ * @throws {CancellationError} Si l'appel a été annulé
  */
-async function callApiForBacklog(client, model, messages, backlogSchema) {
+async function callApiForBacklog(client, model, messages, backlogSchema, signal) {
   // Si un constructeur est passé, instancier pour obtenir .chat
   if (typeof client === 'function') {
     client = new client();
   }
   try {
-    console.log(chalk.blue('✨ Appel API en cours... Modèle:'), model);
-    // --- BEGIN DEBUG LOGS ---
-    console.log('[DEBUG callApiForBacklog] Client object:', client);
-    if (client) {
-      console.log('[DEBUG callApiForBacklog] client.chat exists:', !!client.chat);
-      if (client.chat) {
-        console.log('[DEBUG callApiForBacklog] client.chat.completions exists:', !!client.chat.completions);
-      }
-    } else {
-      console.log('[DEBUG callApiForBacklog] Client is null or undefined');
-    }
-    // --- END DEBUG LOGS ---
+    logger.info(`Appel API en cours... Modèle: ${model}`);
+    logger.debug('Client API utilisé', {
+      chat: !!client?.chat,
+      completions: !!client?.chat?.completions
+    });
     const completion = await client.chat.completions.create({
       model,
       messages,
@@ -161,7 +167,7 @@ async function callApiForBacklog(client, model, messages, backlogSchema) {
       }],
       function_call: { name: "deliver_backlog" },
       max_tokens: 8192
-    });
+    }, { signal });
 
     // Utiliser une chaîne optionnelle pour vérifier choices plus élégamment
     if (!completion.choices?.length) {
@@ -183,6 +189,9 @@ async function callApiForBacklog(client, model, messages, backlogSchema) {
     return { valid: true, data: parsed, functionCall };
     
   } catch (error) {
+    // Une annulation ne doit pas être traitée comme une réponse invalide à réessayer
+    CancellationError.throwIfAborted(signal);
+    
     // Attraper toutes les erreurs et retourner un résultat invalide pour traitement en amont
     return { valid: false, error: error.message };
   }
@@ -194,8 +203,8 @@ async function callApiForBacklog(client, model, messages, backlogSchema) {
  * @returns {Object} Résultat de la validation
  */
 function validateBacklog(backlog) {
-  console.log('[REAL validateBacklog] Received backlog:', JSON.stringify(backlog, null, 2).substring(0, 300));
-  console.log(chalk.blue('🔎 Validation du backlog avec la factory...'));
+  logger.debug(`Backlog reçu: ${JSON.stringify(backlog, null, 2).substring(0, 300)}`);
+  logger.debug('Validation du backlog avec la factory...');
   
   try {
     // Vérifications préliminaires avant d'utiliser la factory
@@ -218,14 +227,14 @@ function validateBacklog(backlog) {
     const validationResult = validatorsFactory.validate(backlog, 'backlog');
     
     if (validationResult.valid) {
-      console.log(chalk.green('✅ Backlog validé avec succès'));
+      logger.info('Backlog validé avec succès');
     } else {
-      console.log(chalk.yellow(`⚠️ Validation échouée: ${validationResult.errors[0]}`));
+      logger.warning(`Validation échouée: ${validationResult.errors[0]}`);
     }
     
     return validationResult;
   } catch (error) {
-    console.error(chalk.red(`❌ Erreur lors de la validation: ${error.message}`));
+    logger.error(`Erreur lors de la validation: ${error.message}`);
     return { valid: false, errors: [error.message] };
   }
 }
@@ -270,23 +279,32 @@ function processBacklogParams(projectName, projectDescription, client) {
  * @param {string} model - Modèle à utiliser
  * @param {Array} messages - Messages pour l'API
  * @param {Object} backlogSchema - Schéma de validation pour l'API
- * @returns {Promise<Object>} - Résultat de la tentative
+ * @param {Function} [onProgress] - Callback appelé à chaque étape (message)
+ * @param {AbortSignal} [signal] - Signal d'annulation: interrompt la boucle de tentatives
+ * @returns {Promise<Object>} - Résultat de la tentative (warnings: erreurs des tentatives rejetées)
+ * @throws {CancellationError} Si la génération a été annulée
  */
-async function attemptBacklogGeneration(client, model, messages, backlogSchema) {
+async function attemptBacklogGeneration(client, model, messages, backlogSchema, onProgress = () => {}, signal) {
   const maxTries = 3;
   let lastValidationErrors = null;
+  const warnings = [];
   
   // Boucle de tentatives
   for (let attempt = 1; attempt <= maxTries; attempt++) {
+    CancellationError.throwIfAborted(signal);
+    
     // Appeler l'API pour générer le backlog
-    const apiResult = await callApiForBacklog(client, model, messages, backlogSchema);
+    onProgress(`Appel LLM: tentative ${attempt} sur ${maxTries}`);
+    const apiResult = await callApiForBacklog(client, model, messages, backlogSchema, signal);
     
     if (!apiResult.valid) {
       lastValidationErrors = [{ message: apiResult.error }];
+      warnings.push(`Tentative ${attempt} rejetée: ${apiResult.error}`);
       continue;
     }
     
     // Valider le backlog généré
+    onProgress(`Validation du backlog (tentative ${attempt})`);
     const validationResult = validateBacklog(apiResult.data);
     
     if (validationResult.valid) {
@@ -294,12 +312,14 @@ async function attemptBacklogGeneration(client, model, messages, backlogSchema)
       return {
         success: true,
         result: apiResult.data,
-        lastValidationErrors: null
+        lastValidationErrors: null,
+        warnings
       };
     }
     
     // Erreurs de validation, on prépare un feedback pour l'IA
     lastValidationErrors = validationResult.errors;
+    warnings.push(`Tentative ${attempt} rejetée: ${validationResult.errors.join(', ')}`);
     
     // Ajouter les messages pour la prochaine tentative
     messages.push(
@@ -328,16 +348,22 @@ async function attemptBacklogGeneration(client, model, messages, backlogSchema)
  * @param {string} projectDescription Description du projet
  * @param {Object} client Client API à utiliser
  * @param {string} [provider='openai'] - API provider ('openai' or 'groq')
- * @returns {Promise<Object>} Generated backlog in JSON format
+ * @param {Object} [options] - Options de génération
+ * @param {Function} [options.onProgress] - Callback appelé à chaque étape (message)
+ * @param {AbortSignal} [options.signal] - Signal d'annulation de la génération
+ * @param {Object} [options.projectDetails] - Précisions sur le projet transmises à createApiMessages
+ * @returns {Promise<Object>} Generated backlog in JSON format (cancelled: true si annulé)
  */
-async function generateBacklog(projectName, projectDescription, client, provider = 'openai') {
-  console.log(chalk.blue('🧠 Génération du backlog à partir de la description...'));
-  console.log(chalk.yellow(`Client API disponible: ${!!client}`));
+async function generateBacklog(projectName, projectDescription, client, provider = 'openai', options = {}) {
+  const onProgress = options.onProgress || (() => {});
+
+  logger.info('Génération du backlog à partir de la description...');
+  logger.debug(`Client API disponible: ${!!client}`);
   
   return new Promise((resolve, reject) => {
     const processBacklog = async () => {
       try {
-        console.log(chalk.yellow('Début de la génération du backlog...'));
+        logger.debug('Début de la génération du backlog...');
         
         // Traiter les paramètres et vérifier le client
         const paramsResult = processBacklogParams(projectName, projectDescription, client);
@@ -349,45 +375,55 @@ async function generateBacklog(projectName, projectDescription, client, provider
         }
         
         // Préparer les messages pour l'API
-        const messages = createApiMessages(paramsResult.project);
+        const messages = createApiMessages(paramsResult.project, options.projectDetails);
         const model = determineModel(paramsResult.client);
         
         // Initialiser le schéma de validation pour l'API
         const backlogSchema = createBacklogSchema();
+        onProgress('Prompt de génération du backlog construit');
         
         // Tenter de générer le backlog
         const generationResult = await attemptBacklogGeneration(
           paramsResult.client, 
           model, 
           messages, 
-          backlogSchema
+          backlogSchema,
+          onProgress,
+          options.signal
         );
         
         if (generationResult.success) {
-          console.log(chalk.green('✅ Backlog généré avec succès!'));
+          logger.info('Backlog généré avec succès');
           return resolve({
             success: true,
-            result: generationResult.result
+            result: generationResult.result,
+            warnings: generationResult.warnings
           });
         }
         
         // Échec de la génération
         const errorMessage = generationResult.lastValidationErrors?.join(', ') || 'Validation du backlog échouée';
         
-        console.error(chalk.red(`❌ Erreur lors de la génération du backlog: ${errorMessage}`));
+        logger.error(`Erreur lors de la génération du backlog: ${errorMessage}`);
         return resolve({
           success: false,
           error: { message: errorMessage }
         });
         
       } catch (error) {
+        if (error instanceof CancellationError) {
+          logger.warning(error.message);
+          return resolve({
+            success: false,
+            cancelled: true,
+            error: { message: error.message }
+          });
+        }
+        
         // Gestion des erreurs
         const errorMessage = error?.message || 'Une erreur est survenue lors de la génération du backlog';
         
-        console.error(chalk.red(`❌ Exception lors de la génération du backlog: ${errorMessage}`));
-        if (error?.stack) {
-          console.error(error.stack);
-        }
+        logger.error(`Exception lors de la génération du backlog: ${errorMessage}`, { stack: error?.stack });
         
         return resolve({
           success: false,
@@ -400,7 +436,7 @@ async function generateBacklog(projectName, projectDescription, client, provider
     processBacklog().catch(err => {
       const errorMessage = err?.message || 'Erreur interne pendant la génération du backlog';
       
-      console.error(chalk.red(`❌ Erreur non gérée dans processBacklog: ${errorMessage}`));
+      logger.error(`Erreur non gérée dans processBacklog: ${errorMessage}`);
       resolve({
         success: false,
         error: { message: errorMessage }
@@ -461,7 +497,7 @@ async function saveRawBacklog(result, outputDir = './output') {
     
     return jsonPath;
   } catch (error) {
-    console.error('Erreur lors de la sauvegarde du backlog au format JSON:', error);
+    logger.error(`Erreur lors de la sauvegarde du backlog au format JSON: ${error.message}`);
     throw error;
   }
 }
@@ -470,5 +506,6 @@ module.exports = {
   initializeClient,
   generateBacklog,
   saveRawBacklog,
-  generateBacklogDirect
+  generateBacklogDirect,
+  createApiMessages
 };
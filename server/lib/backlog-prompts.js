@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Prompts MCP prêts à l'emploi pour affiner le backlog généré
+ * Les prompts sont paramétrés par les IDs du backlog et embarquent le contenu réel
+ * des user stories lu depuis backlog.json et les fichiers markdown associés
+ * @module backlog-prompts
+ * @requires backlog-reader
+ */
+
+const fs = require('fs-extra');
+const { McpError } = require('./errors');
+const {
+  requireBacklog,
+  listStoryEntries,
+  requireStoryEntry,
+  getEntryFilePath
+} = require('./utils/backlog-reader');
+
+// Code JSON-RPC pour un nom de prompt ou des arguments invalides
+const INVALID_PARAMS = -32602;
+
+/**
+ * Lit le markdown d'une user story et le contexte de ses parents
+ * @param {string} backlogDir - Chemin du dossier backlog
+ * @param {{story: Object, feature: Object, epic: Object}} entry - Entrée de la user story
+ * @returns {Promise<string>} Bloc de contexte prêt à insérer dans un prompt
+ */
+async function describeStory(backlogDir, entry) {
+  const { story, feature, epic } = entry;
+  const storyPath = getEntryFilePath(backlogDir, epic, feature, story);
+  const markdown = (await fs.pathExists(storyPath))
+    ? await fs.readFile(storyPath, 'utf8')
+    : `# User Story ${story.id}: ${story.title}\n\n(fichier markdown introuvable)`;
+
+  return [
+    `Epic parent: ${epic.title}${epic.description ? ` - ${epic.description}` : ''}`,
+    `Feature parente: ${feature.title}${feature.description ? ` - ${feature.description}` : ''}`,
+    '',
+    markdown.trim()
+  ].join('\n');
+}
+
+/**
+ * Définition des prompts disponibles
+ * Chaque prompt déclare ses arguments et construit son texte à partir du backlog
+ */
+const PROMPTS = [
+  {
+    name: 'refine-user-story',
+    title: 'Affiner une user story',
+    description: 'Améliore une user story existante selon les critères INVEST',
+    arguments: [
+      { name: 'storyId', description: 'ID de la user story (ex: US001)', required: true }
+    ],
+    async build(args, { backlog, backlogDir }) {
+      const entry = requireStoryEntry(backlog, args.storyId);
+      const context = await describeStory(backlogDir, entry);
+
+      return `Tu es un Product Owner expérimenté. Affine la user story ci-dessous pour qu'elle respecte les critères INVEST (Indépendante, Négociable, Valorisable, Estimable, Petite, Testable).
+
+RÈGLES IMPORTANTES:
+- Conserve l'ID ${entry.story.id} et le lien avec la feature parente
+- Garde le format "En tant que... Je veux... Afin de..."
+- Signale explicitement les critères INVEST qui n'étaient pas respectés
+- Conserve la structure markdown du document (sections, cases à cocher)
+
+${context}`;
+    }
+  },
+  {
+    name: 'write-acceptance-criteria',
+    title: "Rédiger les critères d'acceptation",
+    description: "Rédige des critères d'acceptation Given/When/Then pour une user story",
+    arguments: [
+      { name: 'storyId', description: 'ID de la user story (ex: US001)', required: true }
+    ],
+    async build(args, { backlog, backlogDir }) {
+      const entry = requireStoryEntry(backlog, args.storyId);
+      const context = await describeStory(backlogDir, entry);
+
+      return `Tu es un expert en qualité logicielle. Rédige les critères d'acceptation de la user story ${entry.story.id}.
+
+RÈGLES IMPORTANTES:
+- Utilise le format "Étant donné que... Quand... Alors..." (Given/When/Then)
+- Couvre le cas nominal, les cas limites et les cas d'erreur
+- Chaque critère doit être vérifiable par un test automatisé
+- Présente chaque critère sous forme de case à cocher markdown "- [ ]"
+
+${context}`;
+    }
+  },
+  {
+    name: 'plan-next-sprint',
+    title: 'Planifier le prochain sprint',
+    description: 'Propose le contenu du prochain sprint à partir des user stories non planifiées',
+    arguments: [
+      { name: 'capacity', description: "Capacité de l'équipe (points ou nombre de stories)", required: false },
+      { name: 'sprintGoal', description: 'Objectif souhaité pour le sprint', required: false }
+    ],
+    async build(args, { backlog, backlogDir }) {
+      const iterations = backlog.iterations || [];
+      const scheduledIds = new Set(
+        iterations.flatMap(iteration => (iteration.stories || []).map(story => story.id))
+      );
+      const unscheduled = listStoryEntries(backlog).filter(({ story }) => !scheduledIds.has(story.id));
+
+      const iterationsSummary = iterations.length > 0
+        ? iterations.map(iteration => `- ${iteration.name}: ${iteration.goal || ''} (${(iteration.stories || []).map(story => story.id).join(', ')})`).join('\n')
+        : '- Aucune itération planifiée';
+
+      const storiesContext = unscheduled.length > 0
+        ? (await Promise.all(unscheduled.map(entry => describeStory(backlogDir, entry)))).join('\n\n---\n\n')
+        : 'Toutes les user stories sont déjà planifiées.';
+
+      return `Tu es un Scrum Master expérimenté. Propose le contenu du prochain sprint pour le projet "${backlog.project_title || 'Backlog'}".
+
+RÈGLES IMPORTANTES:
+- Ne sélectionne que des user stories non planifiées listées ci-dessous (par leur ID)
+- Respecte les dépendances et les priorités des user stories
+- Justifie brièvement chaque sélection
+${args.capacity ? `- Capacité de l'équipe: ${args.capacity}\n` : ''}${args.sprintGoal ? `- Objectif du sprint: ${args.sprintGoal}\n` : ''}
+ITÉRATIONS EXISTANTES:
+${iterationsSummary}
+
+USER STORIES NON PLANIFIÉES:
+
+${storiesContext}`;
+    }
+  }
+];
+
+/**
+ * Liste les prompts disponibles (sans leur fonction de construction)
+ * @returns {Array<Object>} Prompts au format MCP
+ */
+function listPrompts() {
+  return PROMPTS.map(({ name, title, description, arguments: args }) => ({
+    name,
+    title,
+    description,
+    arguments: args
+  }));
+}
+
+/**
+ * Construit un prompt à partir de son nom et de ses arguments
+ * @param {string} name - Nom du prompt
+ * @param {Object} args - Arguments fournis par le client
+ * @param {string} backlogDir - Chemin du dossier .agile-planner-backlog
+ * @returns {Promise<Object>} Résultat prompts/get au format MCP
+ * @throws {McpError} Si le prompt est inconnu, si un argument requis manque ou si aucun backlog n'existe
+ */
+async function getPrompt(name, args = {}, backlogDir) {
+  const prompt = PROMPTS.find(p => p.name === name);
+
+  if (!prompt) {
+    throw new McpError(`Prompt '${name}' non trouvé`, { availablePrompts: PROMPTS.map(p => p.name) }, INVALID_PARAMS);
+  }
+
+  const missing = prompt.arguments.filter(arg => arg.required && !args[arg.name]).map(arg => arg.name);
+
+  if (missing.length > 0) {
+    throw new McpError(`Arguments requis manquants pour '${name}': ${missing.join(', ')}`, { missing }, INVALID_PARAMS);
+  }
+
+  const backlog = await requireBacklog(backlogDir);
+  const text = await prompt.build(args, { backlog, backlogDir });
+
+  return {
+    description: prompt.description,
+    messages: [
+      { role: 'user', content: { type: 'text', text } }
+    ]
+  };
+}
+
+module.exports = {
+  listPrompts,
+  getPrompt
+};
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Recherche en lecture seule dans backlog.json (epics, features, user stories)
+ * Les filtres se combinent (ET logique). Priorité, description et critères d'acceptation
+ * ne sont écrits que dans le markdown des user stories: les fichiers sont relus.
+ * @module backlog-query
+ */
+
+const fs = require('fs-extra');
+const { parseUserStory } = require('./markdown/story-formatter');
+const { requireBacklog, getEntryFilePath } = require('./utils/backlog-reader');
+
+/**
+ * Champs pouvant être recherchés comme manquants, et types d'éléments qui les portent
+ */
+const MISSING_FIELDS = {
+  description: ['epic', 'feature', 'story'],
+  prioritization: ['feature', 'story'],
+  acceptance_criteria: ['story'],
+  tasks: ['story'],
+  priority: ['story'],
+  dependencies: ['story'],
+  story_points: ['story'],
+  iteration: ['story']
+};
+
+/**
+ * Statut d'une user story sans statut enregistré
+ */
+const DEFAULT_STATUS = 'todo';
+
+/**
+ * Normalise un texte pour une comparaison insensible à la casse et aux accents
+ * @param {string} text - Texte
+ * @returns {string} Texte normalisé
+ */
+function normalize(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+/**
+ * Indique si une valeur est absente (vide)
+ * @param {*} value - Valeur d'un champ
+ * @returns {boolean} true si le champ est manquant
+ */
+function isMissing(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Construit la liste des éléments du backlog, user stories enrichies de leur markdown
+ * @param {string} backlogDir - Chemin du dossier backlog
+ * @param {Object} backlog - Contenu de backlog.json
+ * @returns {Promise<Array<Object>>} Éléments { type, id, title, epic, feature, fields, search, path, ... }
+ */
+async function collectItems(backlogDir, backlog) {
+  const iterationsByStory = new Map();
+  for (const iteration of backlog.iterations || []) {
+    for (const story of iteration.stories || []) {
+      iterationsByStory.set(story.id, [...(iterationsByStory.get(story.id) || []), iteration]);
+    }
+  }
+
+  const items = [];
+  for (const epic of backlog.epics || []) {
+    items.push({
+      type: 'epic',
+      id: epic.slug,
+      title: epic.title,
+      parents: [],
+      path: getEntryFilePath(backlogDir, epic),
+      fields: { description: epic.description },
+      search: [epic.title, epic.description]
+    });
+
+    for (const feature of epic.features || []) {
+      items.push({
+        type: 'feature',
+        id: `${epic.slug}/${feature.slug}`,
+        title: feature.title,
+        epic: epic.title,
+        parents: [epic],
+        path: getEntryFilePath(backlogDir, epic, feature),
+        fields: { description: feature.description, prioritization: feature.prioritization },
+        search: [feature.title, feature.description]
+      });
+
+      for (const story of feature.stories || []) {
+        const filePath = getEntryFilePath(backlogDir, epic, feature, story);
+        const details = (await fs.pathExists(filePath)) ? parseUserStory(await fs.readFile(filePath, 'utf8')) : {};
+        const iterations = iterationsByStory.get(story.id) || [];
+
+        items.push({
+          type: 'story',
+          id: story.id,
+          title: story.title,
+          epic: epic.title,
+          feature: feature.title,
+          parents: [epic, { ...feature, key: `${epic.slug}/${feature.slug}` }],
+          path: filePath,
+          priority: details.priority || undefined,
+          status: story.status || DEFAULT_STATUS,
+          storyPoints: story.story_points,
+          iterations,
+          fields: {
+            description: details.description,
+            prioritization: story.prioritization,
+            acceptance_criteria: details.acceptance_criteria,
+            tasks: details.tasks,
+            priority: details.priority,
+            dependencies: details.dependencies,
+            story_points: story.story_points,
+            iteration: iterations
+          },
+          search: [story.id, story.title, details.description, ...(details.acceptance_criteria || [])]
+        });
+      }
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Construit le prédicat correspondant aux filtres
+ * @param {Object} filters - Filtres (type, priority, parent, iteration, status, text, missing)
+ * @returns {Function} Prédicat sur un élément
+ */
+function createMatcher({ type, priority, parent, iteration, status, text, missing = [] }) {
+  // Ces filtres ne concernent que les user stories
+  const storyOnly = Boolean(priority || iteration || status)
+    || missing.some(field => !MISSING_FIELDS[field].includes('epic') && !MISSING_FIELDS[field].includes('feature'));
+  const types = missing.reduce((allowed, field) => allowed.filter(itemType => MISSING_FIELDS[field].includes(itemType)),
+    storyOnly ? ['story'] : ['epic', 'feature', 'story']);
+
+  return item => {
+    if (type && item.type !== type) return false;
+    if (!types.includes(item.type)) return false;
+    if (priority && normalize(item.priority) !== normalize(priority)) return false;
+    if (status && item.status !== status) return false;
+
+    if (parent) {
+      const wanted = normalize(parent);
+      const matchesParent = item.parents.some(candidate =>
+        [candidate.slug, candidate.title, candidate.key].some(value => value && normalize(value) === wanted));
+      if (!matchesParent) return false;
+    }
+
+    if (iteration) {
+      const wanted = normalize(iteration);
+      const inIteration = wanted === 'none'
+        ? item.iterations.length === 0
+        : item.iterations.some(candidate => [candidate.slug, candidate.name].some(value => normalize(value) === wanted));
+      if (!inIteration) return false;
+    }
+
+    if (text && !item.search.some(value => normalize(value).includes(normalize(text)))) return false;
+
+    return missing.every(field => isMissing(item.fields[field]));
+  };
+}
+
+/**
+ * Recherche des éléments dans le backlog
+ * @param {string} backlogDir - Chemin du dossier .agile-planner-backlog
+ * @param {Object} [filters] - Filtres combinés
+ * @param {string} [filters.type] - epic, feature ou story
+ * @param {string} [filters.priority] - Priorité des user stories (HIGH, MEDIUM, LOW)
+ * @param {string} [filters.parent] - Epic ou feature parent (slug, titre ou clé epic-slug/feature-slug)
+ * @param {string} [filters.iteration] - Itération (slug ou nom), ou "none" pour les stories hors itération
+ * @param {string} [filters.status] - Statut des user stories (todo, in-progress, done)
+ * @param {string} [filters.text] - Texte cherché dans l'ID, le titre, la description et les critères
+ * @param {Array<string>} [filters.missing] - Champs qui doivent être vides (voir MISSING_FIELDS)
+ * @returns {Promise<Array<Object>>} Éléments trouvés, dans l'ordre du backlog
+ * @throws {McpError} Si aucun backlog n'a encore été généré
+ */
+async function queryBacklog(backlogDir, filters = {}) {
+  const backlog = await requireBacklog(backlogDir);
+  const matches = createMatcher(filters);
+
+  return (await collectItems(backlogDir, backlog))
+    .filter(matches)
+    .map(({ type, id, title, epic, feature, priority, status, storyPoints, iterations, path }) => ({
+      type,
+      id,
+      title,
+      ...(epic && { epic }),
+      ...(feature && { feature }),
+      ...(type === 'story' && {
+        ...(priority && { priority }),
+        status,
+        ...(storyPoints !== undefined && { storyPoints }),
+        iterations: iterations.map(candidate => candidate.name)
+      }),
+      path
+    }));
+}
+
+module.exports = {
+  MISSING_FIELDS,
+  queryBacklog
+};
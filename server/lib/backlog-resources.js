@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Exposition du backlog généré sous forme de ressources MCP
+ * Chaque fichier du dossier .agile-planner-backlog reçoit une URI stable
+ * (ex: agile-planner://epics/<slug>/features/<slug>) lisible via resources/read
+ * @module backlog-resources
+ * @requires backlog-reader
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { McpError } = require('./errors');
+const { loadBacklog, getStorySlug } = require('./utils/backlog-reader');
+
+const URI_PREFIX = 'agile-planner://';
+
+// Code JSON-RPC défini par la spécification MCP pour une ressource inexistante
+const RESOURCE_NOT_FOUND = -32002;
+
+/**
+ * Construit l'URI d'une ressource à partir de ses segments
+ * @param {...string} segments - Segments de l'URI
+ * @returns {string} URI de la ressource
+ */
+function buildResourceUri(...segments) {
+  return `${URI_PREFIX}${segments.join('/')}`;
+}
+
+/**
+ * Construit les ressources d'un epic, de ses features et de leurs user stories
+ * @param {Object} epic - Entrée de l'epic dans backlog.json
+ * @returns {Array<Object>} Ressources MCP
+ */
+function listEpicResources(epic) {
+  const resources = [{
+    uri: buildResourceUri('epics', epic.slug),
+    name: epic.slug,
+    title: `Epic: ${epic.title}`,
+    description: epic.description || undefined,
+    mimeType: 'text/markdown'
+  }];
+
+  for (const feature of epic.features || []) {
+    resources.push({
+      uri: buildResourceUri('epics', epic.slug, 'features', feature.slug),
+      name: feature.slug,
+      title: `Feature: ${feature.title}`,
+      description: feature.description || undefined,
+      mimeType: 'text/markdown'
+    });
+
+    for (const story of feature.stories || []) {
+      const storySlug = getStorySlug(story);
+      resources.push({
+        uri: buildResourceUri('epics', epic.slug, 'features', feature.slug, 'user-stories', storySlug),
+        name: story.id || storySlug,
+        title: `User Story ${story.id ? story.id + ': ' : ''}${story.title}`,
+        mimeType: 'text/markdown'
+      });
+    }
+  }
+
+  return resources;
+}
+
+/**
+ * Liste les ressources disponibles dans le dossier backlog
+ * @param {string} backlogDir - Chemin du dossier .agile-planner-backlog
+ * @returns {Promise<Array<Object>>} Ressources MCP (vide si aucun backlog n'a été généré)
+ */
+async function listBacklogResources(backlogDir) {
+  const backlog = await loadBacklog(backlogDir);
+
+  if (!backlog) {
+    return [];
+  }
+
+  const resources = [{
+    uri: buildResourceUri('backlog'),
+    name: 'backlog.json',
+    title: backlog.project_title || 'Backlog',
+    description: 'Index JSON du backlog généré',
+    mimeType: 'application/json'
+  }];
+
+  for (const epic of backlog.epics || []) {
+    resources.push(...listEpicResources(epic));
+  }
+
+  if (backlog.mvp) {
+    resources.push({
+      uri: buildResourceUri('planning', 'mvp'),
+      name: 'mvp',
+      title: `MVP: ${backlog.mvp.title}`,
+      description: backlog.mvp.description || undefined,
+      mimeType: 'text/markdown'
+    });
+  }
+
+  for (const iteration of backlog.iterations || []) {
+    resources.push({
+      uri: buildResourceUri('planning', 'iterations', iteration.slug),
+      name: iteration.slug,
+      title: `Iteration: ${iteration.name}`,
+      description: iteration.goal || undefined,
+      mimeType: 'text/markdown'
+    });
+  }
+
+  if (backlog.priorities) {
+    resources.push({
+      uri: buildResourceUri('planning', 'priorities'),
+      name: 'priorities',
+      title: `Priorities (${backlog.priorities.framework})`,
+      mimeType: 'text/markdown'
+    });
+  }
+
+  if (backlog.dependencies) {
+    resources.push({
+      uri: buildResourceUri('planning', 'dependencies'),
+      name: 'dependencies',
+      title: 'Dependencies',
+      description: backlog.dependencies.cycles?.length > 0 ? `${backlog.dependencies.cycles.length} cycle(s)` : undefined,
+      mimeType: 'text/markdown'
+    });
+  }
+
+  return resources;
+}
+
+/**
+ * Traduit une URI de ressource en chemin de fichier dans le dossier backlog
+ * Les segments sont restreints aux slugs pour interdire toute sortie du dossier
+ * @param {string} uri - URI de la ressource
+ * @param {string} backlogDir - Chemin du dossier .agile-planner-backlog
+ * @returns {{filePath: string, mimeType: string}|null} Fichier ciblé ou null si l'URI est inconnue
+ */
+function resolveResourceUri(uri, backlogDir) {
+  if (typeof uri !== 'string' || !uri.startsWith(URI_PREFIX)) {
+    return null;
+  }
+
+  const segments = uri.slice(URI_PREFIX.length).split('/');
+
+  if (segments.some(segment => !/^[\w-]+$/.test(segment))) {
+    return null;
+  }
+
+  const [root, epicSlug, featuresDir, featureSlug, storiesDir, storySlug] = segments;
+  const markdown = filePath => ({ filePath, mimeType: 'text/markdown' });
+
+  if (root === 'backlog' && segments.length === 1) {
+    return { filePath: path.join(backlogDir, 'backlog.json'), mimeType: 'application/json' };
+  }
+
+  if (root === 'planning') {
+    if (segments.length === 2 && segments[1] === 'mvp') {
+      return markdown(path.join(backlogDir, 'planning', 'mvp', 'mvp.md'));
+    }
+    if (segments.length === 2 && segments[1] === 'priorities') {
+      return markdown(path.join(backlogDir, 'planning', 'priorities.md'));
+    }
+    if (segments.length === 2 && segments[1] === 'dependencies') {
+      return markdown(path.join(backlogDir, 'planning', 'dependencies.md'));
+    }
+    if (segments.length === 3 && segments[1] === 'iterations') {
+      return markdown(path.join(backlogDir, 'planning', 'iterations', segments[2], 'iteration.md'));
+    }
+    return null;
+  }
+
+  if (root !== 'epics' || !epicSlug) {
+    return null;
+  }
+
+  const epicDir = path.join(backlogDir, 'epics', epicSlug);
+
+  if (segments.length === 2) {
+    return markdown(path.join(epicDir, 'epic.md'));
+  }
+
+  if (featuresDir !== 'features' || !featureSlug) {
+    return null;
+  }
+
+  const featureDir = path.join(epicDir, 'features', featureSlug);
+
+  if (segments.length === 4) {
+    return markdown(path.join(featureDir, 'feature.md'));
+  }
+
+  if (segments.length === 6 && storiesDir === 'user-stories') {
+    return markdown(path.join(featureDir, 'user-stories', `${storySlug}.md`));
+  }
+
+  return null;
+}
+
+/**
+ * Retrouve l'URI de la ressource correspondant à un fichier du dossier backlog
+ * Inverse de resolveResourceUri, utilisé pour notifier les abonnés d'une modification
+ * @param {string} relativePath - Chemin du fichier relatif au dossier backlog (ex: epics/x/epic.md)
+ * @returns {string|null} URI de la ressource ou null si le fichier n'est pas exposé
+ */
+function fileToResourceUri(relativePath) {
+  const segments = String(relativePath).split(/[\\/]/).filter(Boolean);
+  const last = segments[segments.length - 1];
+
+  if (segments.length === 1 && last === 'backlog.json') {
+    return buildResourceUri('backlog');
+  }
+
+  if (segments[0] === 'planning') {
+    if (segments.length === 3 && segments[1] === 'mvp' && last === 'mvp.md') {
+      return buildResourceUri('planning', 'mvp');
+    }
+    if (segments.length === 2 && last === 'priorities.md') {
+      return buildResourceUri('planning', 'priorities');
+    }
+    if (segments.length === 2 && last === 'dependencies.md') {
+      return buildResourceUri('planning', 'dependencies');
+    }
+    if (segments.length === 4 && segments[1] === 'iterations' && last === 'iteration.md') {
+      return buildResourceUri('planning', 'iterations', segments[2]);
+    }
+    return null;
+  }
+
+  if (segments[0] !== 'epics') {
+    return null;
+  }
+
+  if (segments.length === 3 && last === 'epic.md') {
+    return buildResourceUri(...segments.slice(0, 2));
+  }
+
+  if (segments.length === 5 && segments[2] === 'features' && last === 'feature.md') {
+    return buildResourceUri(...segments.slice(0, 4));
+  }
+
+  if (segments.length === 6 && segments[2] === 'features' && segments[4] === 'user-stories' && last.endsWith('.md')) {
+    return buildResourceUri(...segments.slice(0, 5), last.slice(0, -'.md'.length));
+  }
+
+  return null;
+}
+
+/**
+ * Lit le contenu d'une ressource du backlog
+ * @param {string} uri - URI de la ressource
+ * @param {string} backlogDir - Chemin du dossier .agile-planner-backlog
+ * @returns {Promise<Object>} Résultat resources/read au format MCP
+ * @throws {McpError} Si la ressource n'existe pas
+ */
+async function readBacklogResource(uri, backlogDir) {
+  const target = resolveResourceUri(uri, backlogDir);
+
+  if (!target || !(await fs.pathExists(target.filePath))) {
+    throw new McpError(`Ressource introuvable: ${uri}`, { uri }, RESOURCE_NOT_FOUND);
+  }
+
+  const text = await fs.readFile(target.filePath, 'utf8');
+
+  return {
+    contents: [{ uri, mimeType: target.mimeType, text }]
+  };
+}
+
+module.exports = {
+  URI_PREFIX,
+  buildResourceUri,
+  listBacklogResources,
+  resolveResourceUri,
+  fileToResourceUri,
+  readBacklogResource
+};
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Surveillance des fichiers du dossier .agile-planner-backlog
+ * Traduit les modifications de fichiers (case cochée dans une story, feature régénérée...)
+ * en URIs de ressources MCP pour notifier les clients abonnés (resources/subscribe).
+ * @module backlog-watcher
+ * @requires backlog-resources
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fileToResourceUri } = require('./backlog-resources');
+const { logger } = require('./logger');
+
+const log = logger.child('resources');
+
+/**
+ * Surveille un dossier backlog et signale les ressources modifiées
+ * Si le dossier n'existe pas encore, sa création dans le dossier parent est attendue.
+ * Là où fs.watch n'est pas récursif (Linux avant Node 20), chaque sous-dossier est
+ * surveillé séparément et les dossiers créés ensuite sont ajoutés à la surveillance.
+ */
+class BacklogWatcher {
+  /**
+   * @param {string} backlogDir - Chemin du dossier .agile-planner-backlog
+   * @param {Function} onChange - Reçoit les URIs modifiées, ou null si tout le backlog a pu changer
+   * @param {Object} [options] - Options
+   * @param {Function} [options.watch=fs.watch] - Implémentation de fs.watch
+   * @param {number} [options.debounceMs=100] - Délai de regroupement des événements d'une même écriture
+   */
+  constructor(backlogDir, onChange, { watch = fs.watch, debounceMs = 100 } = {}) {
+    this.backlogDir = backlogDir;
+    this.onChange = onChange;
+    this.watch = watch;
+    this.debounceMs = debounceMs;
+    this.watcher = null;
+    // Surveillance dossier par dossier: chemin relatif au dossier backlog ('' pour la racine) -> watcher
+    this.dirWatchers = new Map();
+    this.pendingUris = new Set();
+    this.allChanged = false;
+    this.timer = null;
+  }
+
+  /**
+   * Démarre la surveillance
+   * @returns {BacklogWatcher} Cette instance
+   */
+  start() {
+    if (!this.watchBacklogDir()) {
+      this.watchParentDir();
+    }
+    return this;
+  }
+
+  /**
+   * Arrête la surveillance et abandonne les notifications en attente
+   */
+  close() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.watcher?.close();
+    this.watcher = null;
+    for (const watcher of this.dirWatchers.values()) {
+      watcher.close();
+    }
+    this.dirWatchers.clear();
+  }
+
+  /**
+   * Surveille récursivement le dossier backlog
+   * @returns {boolean} false si le dossier n'existe pas encore
+   * @private
+   */
+  watchBacklogDir() {
+    try {
+      this.watcher = this.watch(this.backlogDir, { recursive: true }, (eventType, filename) => {
+        this.handleFileEvent(filename);
+      });
+      this.watcher.on?.('error', error => log.warning(`Surveillance du backlog interrompue: ${error.message}`));
+      log.debug(`Surveillance du dossier backlog: ${this.backlogDir}`);
+      return true;
+    } catch (error) {
+      if (error.code === 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        log.warning('Surveillance récursive indisponible sur cette plateforme: chaque dossier du backlog est surveillé séparément');
+        return this.watchDirectoryTree('');
+      }
+      if (error.code !== 'ENOENT') {
+        log.warning(`Impossible de surveiller ${this.backlogDir}: ${error.message}`);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Surveille un dossier du backlog et ses sous-dossiers existants, sans option recursive
+   * @param {string} relativeDir - Chemin relatif au dossier backlog ('' pour la racine)
+   * @returns {boolean} false si le dossier n'existe pas (ou plus)
+   * @private
+   */
+  watchDirectoryTree(relativeDir) {
+    const dir = relativeDir ? path.join(this.backlogDir, relativeDir) : this.backlogDir;
+    let entries;
+
+    try {
+      const watcher = this.watch(dir, (eventType, filename) => this.handleDirectoryEvent(relativeDir, filename));
+      watcher.on?.('error', () => this.unwatchDirectory(relativeDir));
+      this.dirWatchers.set(relativeDir, watcher);
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warning(`Impossible de surveiller ${dir}: ${error.message}`);
+      }
+      return false;
+    }
+
+    for (const entry of entries) {
+      if (entry.isDirectory()) {
+        this.watchDirectoryTree(relativeDir ? path.join(relativeDir, entry.name) : entry.name);
+      }
+    }
+    log.debug(`Surveillance du dossier: ${dir}`);
+    return true;
+  }
+
+  /**
+   * Arrête la surveillance d'un dossier supprimé et de ses sous-dossiers
+   * @param {string} relativeDir - Chemin relatif au dossier backlog
+   * @private
+   */
+  unwatchDirectory(relativeDir) {
+    for (const [dir, watcher] of this.dirWatchers) {
+      if (dir === relativeDir || dir.startsWith(`${relativeDir}/`)) {
+        watcher.close();
+        this.dirWatchers.delete(dir);
+      }
+    }
+  }
+
+  /**
+   * Traite un événement d'un dossier surveillé sans option recursive
+   * Un sous-dossier créé est ajouté à la surveillance, un dossier supprimé en est retiré
+   * @param {string} relativeDir - Dossier surveillé, relatif au dossier backlog
+   * @param {string|null} filename - Nom de l'entrée modifiée (null si inconnu)
+   * @private
+   */
+  handleDirectoryEvent(relativeDir, filename) {
+    if (!filename) {
+      this.handleFileEvent(null);
+      return;
+    }
+
+    const relativePath = relativeDir ? path.join(relativeDir, filename.toString()) : filename.toString();
+    let isDirectory = false;
+    try {
+      isDirectory = fs.statSync(path.join(this.backlogDir, relativePath)).isDirectory();
+    } catch (error) {
+      // Entrée supprimée
+    }
+
+    const watched = this.dirWatchers.has(relativePath);
+    if (!watched && !isDirectory) {
+      this.handleFileEvent(relativePath);
+      return;
+    }
+    if (watched && isDirectory) return;
+
+    if (isDirectory) {
+      this.watchDirectoryTree(relativePath);
+    } else {
+      this.unwatchDirectory(relativePath);
+    }
+    // Les fichiers d'un dossier créé ont pu être écrits avant le début de sa surveillance
+    this.allChanged = true;
+    this.schedule();
+  }
+
+  /**
+   * Attend la création du dossier backlog dans son dossier parent
+   * @private
+   */
+  watchParentDir() {
+    const parentDir = path.dirname(this.backlogDir);
+    const dirName = path.basename(this.backlogDir);
+
+    try {
+      this.watcher = this.watch(parentDir, (eventType, filename) => {
+        if (filename !== dirName) return;
+
+        this.watcher.close();
+        if (this.watchBacklogDir()) {
+          // Les premiers fichiers ont pu être écrits avant le début de la surveillance
+          this.allChanged = true;
+          this.schedule();
+        } else {
+          this.watchParentDir();
+        }
+      });
+    } catch (error) {
+      log.warning(`Impossible de surveiller ${parentDir}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Enregistre la modification d'un fichier du backlog
+   * @param {string|null} filename - Chemin relatif au dossier backlog (null si inconnu)
+   * @private
+   */
+  handleFileEvent(filename) {
+    if (!filename) {
+      this.allChanged = true;
+    } else {
+      const uri = fileToResourceUri(filename.toString());
+      if (!uri) return;
+      this.pendingUris.add(uri);
+    }
+
+    this.schedule();
+  }
+
+  /**
+   * Regroupe les événements d'une même écriture avant de notifier
+   * @private
+   */
+  schedule() {
+    if (this.timer) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      const uris = this.allChanged ? null : [...this.pendingUris];
+      this.pendingUris.clear();
+      this.allChanged = false;
+      this.onChange(uris);
+    }, this.debounceMs);
+  }
+}
+
+/**
+ * Démarre la surveillance d'un dossier backlog
+ * @param {string} backlogDir - Chemin du dossier .agile-planner-backlog
+ * @param {Function} onChange - Reçoit les URIs modifiées, ou null si tout le backlog a pu changer
+ * @param {Object} [options] - Options du BacklogWatcher
+ * @returns {BacklogWatcher} Watcher démarré
+ */
+function watchBacklog(backlogDir, onChange, options) {
+  return new BacklogWatcher(backlogDir, onChange, options).start();
+}
+
+module.exports = {
+  BacklogWatcher,
+  watchBacklog
+};
@@ -2,10 +2,16 @@ const inquirer = require('inquirer');
 const chalk = require('chalk');
 const path = require('path');
 const fs = require('fs-extra');
-const { initializeClient, generateBacklog } = require('./backlog-generator');
-const { generateFeature } = require('./feature-generator');
-const { generateMarkdownFiles } = require('./markdown-generator');
-const { generateFeatureMarkdown } = require('./markdown-generator');
+const { toolRegistry } = require('./tool-registry');
+
+/**
+ * Print the summary of a tool result
+ * @param {Object} result - Tool result in MCP format
+ */
+function printToolResult(result) {
+  // The first text item is the summary, the next ones repeat structuredContent
+  console.log(chalk.green(`✓ ${result.content[0].text}`));
+}
 
 /**
  * Start the CLI interface
@@ -105,12 +111,6 @@ async function generateBacklogCLI(client) {
     // Show generating indicator
     console.log(chalk.blue('Generating backlog... This may take a minute or two.'));
     
-    // Save to project-specific directory if requested
-    if (answers.projectName) {
-      const projectDir = `./${answers.projectName.toLowerCase().replace(/[^a-z0-9]/gi, '-')}`;
-      fs.ensureDirSync(projectDir);
-    }
-    
     console.log(chalk.blue('Calling API to generate backlog...'));
     console.log(chalk.blue('This might take up to 30 seconds'));
     console.log(chalk.blue('Please wait...'));
@@ -119,15 +119,15 @@ async function generateBacklogCLI(client) {
     const spinner = startSpinner();
     
     try {
-      // Generate backlog
-      const backlog = await generateBacklog(description.projectDescription, client);
+      // Generate backlog and its markdown files through the shared tool registry
+      const result = await toolRegistry.invoke('generateBacklog', {
+        projectName: answers.projectName,
+        projectDescription: description.projectDescription
+      }, { client });
       
       // Stop spinner
       stopSpinner(spinner);
-      console.log(chalk.green('✓ Backlog generated successfully!'));
-      
-      // Generate files
-      await generateMarkdownFiles(backlog, process.cwd());
+      printToolResult(result);
       
     } catch (error) {
       // Stop spinner in case of error
@@ -180,23 +180,18 @@ async function generateFeatureCLI(client) {
     const spinner = startSpinner();
     
     try {
-      // Generate feature
-      const featureResult = await generateFeature({
+      // Generate feature and its markdown files through the shared tool registry
+      const result = await toolRegistry.invoke('generateFeature', {
         featureDescription: answers.featureDescription,
         businessValue: answers.businessValue,
         storyCount: answers.storyCount,
         iterationName: answers.iterationName
-      }, client);
+      }, { client });
       
       // Stop spinner
       stopSpinner(spinner);
-      console.log(chalk.green(`✓ Feature "${featureResult.feature.title}" generated successfully!`));
-      
-      // Generate files
-      await generateFeatureMarkdown(featureResult, process.cwd());
-      
-      console.log(chalk.green('✓ Markdown files generated in .agile-planner-backlog/'));
-      console.log(chalk.green(`✓ ${featureResult.userStories.length} user stories created`));
+      printToolResult(result);
+      console.log(chalk.green(`✓ Markdown files generated in ${result.structuredContent.backlogDir}`));
       
     } catch (error) {
       // Stop spinner in case of error
@@ -0,0 +1,351 @@
+/**
+ * @fileoverview Graphe des dépendances entre user stories: proposition par le LLM, cycles et ordre des itérations
+ * Les dépendances proposées par le LLM s'ajoutent à celles déjà écrites dans les fichiers des
+ * user stories; celles qui ne désignent aucune story du backlog sont écartées. Le graphe
+ * (Mermaid), les cycles et les problèmes d'ordonnancement sont écrits dans planning/dependencies.md.
+ * @module dependency-analyzer
+ * @requires structured-completion
+ */
+
+const fs = require('fs-extra');
+const { logger } = require('./logger');
+const { McpError, CancellationError } = require('./errors');
+const { requestStructuredOutput } = require('./structured-completion');
+const { parseUserStory, updateUserStoryMarkdown } = require('./markdown/story-formatter');
+const { processDependencies } = require('./markdown/dependencies-formatter');
+const { requireBacklog, listStoryEntries, getEntryFilePath } = require('./utils/backlog-reader');
+const { saveBacklog } = require('./utils/backlog-writer');
+
+// Code JSON-RPC pour un argument invalide
+const INVALID_PARAMS = -32602;
+
+/**
+ * Schéma de la réponse attendue du LLM (fonction deliver_dependencies)
+ */
+const dependenciesSchema = {
+  type: 'object',
+  required: ['dependencies'],
+  properties: {
+    dependencies: {
+      type: 'array',
+      description: 'User stories qui ont au moins un prérequis',
+      items: {
+        type: 'object',
+        required: ['id', 'depends_on'],
+        properties: {
+          id: { type: 'string', description: 'ID de la user story (ex: US003)' },
+          depends_on: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'IDs des user stories à terminer avant celle-ci'
+          },
+          rationale: { type: 'string', description: 'Justification en une phrase' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Crée les messages envoyés au LLM pour proposer les dépendances entre user stories
+ * @param {Object} backlog - Contenu de backlog.json
+ * @param {Array<Object>} nodes - User stories dans l'ordre du backlog ({ id, title, epic, feature, description, dependencies })
+ * @returns {Array<Object>} Messages de la conversation
+ */
+function createDependencyMessages(backlog, nodes) {
+  const lines = [];
+  let currentFeature = null;
+
+  for (const node of nodes) {
+    if (node.feature !== currentFeature) {
+      currentFeature = node.feature;
+      lines.push(`Feature: ${node.feature} (epic ${node.epic})`);
+    }
+    lines.push(`  - ${node.id}: ${node.title}`);
+    if (node.description) lines.push(`    ${node.description}`);
+    if (node.dependencies.length > 0) lines.push(`    Dépend déjà de: ${node.dependencies.join(', ')}`);
+  }
+
+  return [
+    {
+      role: 'system',
+      content: `Tu es un Product Owner expérimenté. Identifie les dépendances entre les user stories du backlog: une story dépend d'une autre si elle ne peut pas être livrée avant elle.
+
+RÈGLES IMPORTANTES:
+- Ne cite que des IDs présents dans la liste
+- Ne retiens que les prérequis réels (fonctionnels ou techniques), pas un simple ordre de préférence
+- N'introduis aucune dépendance circulaire
+- Les dépendances déjà indiquées sont conservées: ne renvoie que les stories qui ont au moins un prérequis`
+    },
+    {
+      role: 'user',
+      content: [
+        `Projet: ${backlog.project_title || 'Backlog'}${backlog.project_description ? ` - ${backlog.project_description}` : ''}`,
+        '',
+        'USER STORIES:',
+        lines.join('\n')
+      ].join('\n')
+    }
+  ];
+}
+
+/**
+ * Retient les dépendances qui désignent une autre user story du backlog
+ * @param {string} storyId - ID de la user story
+ * @param {Array<string>} dependencies - IDs des prérequis
+ * @param {Set<string>} knownIds - IDs des user stories du backlog (en majuscules)
+ * @returns {{valid: Array<string>, unknown: Array<string>}} Prérequis valides (sans doublon) et références inconnues
+ */
+function validateDependencies(storyId, dependencies, knownIds) {
+  const valid = [];
+  const unknown = [];
+
+  for (const dependency of dependencies) {
+    const id = String(dependency).trim().toUpperCase();
+    if (!knownIds.has(id) || id === storyId) {
+      unknown.push(String(dependency).trim());
+    } else if (!valid.includes(id)) {
+      valid.push(id);
+    }
+  }
+
+  return { valid, unknown };
+}
+
+/**
+ * Détecte les dépendances circulaires (parcours en profondeur)
+ * Chaque cycle est signalé une seule fois, à partir de la story la plus haute dans le backlog
+ * @param {Array<Object>} nodes - User stories dans l'ordre du backlog ({ id, dependencies })
+ * @returns {Array<Array<string>>} Cycles, sous la forme [A, B, ..., A] (A dépend de B...)
+ */
+function findCycles(nodes) {
+  const graph = new Map(nodes.map(node => [node.id, node.dependencies]));
+  const state = new Map();
+  const stack = [];
+  const cycles = [];
+  const seen = new Set();
+
+  const visit = id => {
+    state.set(id, 'visiting');
+    stack.push(id);
+
+    for (const dependency of graph.get(id) || []) {
+      if (state.get(dependency) === 'visiting') {
+        const cycle = stack.slice(stack.indexOf(dependency));
+        const key = [...cycle].sort().join(',');
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push([...cycle, dependency]);
+        }
+      } else if (!state.has(dependency)) {
+        visit(dependency);
+      }
+    }
+
+    stack.pop();
+    state.set(id, 'done');
+  };
+
+  for (const node of nodes) {
+    if (!state.has(node.id)) visit(node.id);
+  }
+
+  return cycles;
+}
+
+/**
+ * Signale les user stories planifiées avant l'un de leurs prérequis
+ * Un prérequis planifié dans une itération postérieure, ou dans aucune, est un problème
+ * @param {Array<Object>} nodes - User stories ({ id, dependencies })
+ * @param {Array<Object>} iterations - Itérations de backlog.json, dans l'ordre
+ * @returns {Array<Object>} Problèmes { storyId, storyIteration, dependencyId, dependencyIteration }
+ */
+function findOrderingIssues(nodes, iterations = []) {
+  const iterationIndex = new Map();
+  iterations.forEach((iteration, index) => {
+    for (const story of iteration.stories || []) {
+      const id = String(story.id).toUpperCase();
+      if (!iterationIndex.has(id)) iterationIndex.set(id, index);
+    }
+  });
+
+  const issues = [];
+  for (const node of nodes) {
+    const storyIndex = iterationIndex.get(node.id);
+    if (storyIndex === undefined) continue;
+
+    for (const dependency of node.dependencies) {
+      const dependencyIndex = iterationIndex.get(dependency);
+      if (dependencyIndex === undefined || dependencyIndex > storyIndex) {
+        issues.push({
+          storyId: node.id,
+          storyIteration: iterations[storyIndex].name,
+          dependencyId: dependency,
+          dependencyIteration: dependencyIndex === undefined ? null : iterations[dependencyIndex].name
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Analyse les dépendances du backlog et écrit le graphe dans planning/dependencies.md
+ * @param {string} backlogDir - Chemin du dossier .agile-planner-backlog
+ * @param {Object|null} client - Client API (inutile si propose est false)
+ * @param {string|null} provider - Fournisseur d'API
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.propose=true] - Demande au LLM de proposer des dépendances
+ * @param {Function} [options.onProgress] - Callback appelé à chaque étape (message)
+ * @param {AbortSignal} [options.signal] - Signal d'annulation
+ * @returns {Promise<Object>} { dependencies, addedDependencies, unknownReferences, cycles, orderingIssues, storyIds, files, warnings }
+ * @throws {McpError} Si aucun backlog n'existe ou s'il ne contient aucune user story
+ * @throws {CancellationError} Si l'analyse a été annulée (aucun fichier écrit)
+ */
+async function analyzeDependencies(backlogDir, client, provider, options = {}) {
+  const { propose = true } = options;
+  const onProgress = options.onProgress || (() => {});
+  const backlog = await requireBacklog(backlogDir);
+  const entries = listStoryEntries(backlog);
+
+  if (entries.length === 0) {
+    throw new McpError('Aucune user story à analyser dans backlog.json', {}, INVALID_PARAMS);
+  }
+
+  // Les dépendances ne sont écrites que dans le markdown de la user story
+  const nodes = [];
+  for (const { story, feature, epic } of entries) {
+    const filePath = getEntryFilePath(backlogDir, epic, feature, story);
+    const markdown = (await fs.pathExists(filePath)) ? await fs.readFile(filePath, 'utf8') : null;
+    const parsed = markdown === null ? null : parseUserStory(markdown);
+    nodes.push({
+      id: String(story.id).toUpperCase(),
+      title: story.title,
+      epic: epic.title,
+      feature: feature.title,
+      featureKey: `${epic.slug}/${feature.slug}`,
+      description: parsed?.description || '',
+      dependencies: (parsed?.dependencies || []).map(dependency => dependency.toUpperCase()),
+      filePath,
+      markdown
+    });
+  }
+  onProgress(`${nodes.length} user stories relues`);
+
+  const knownIds = new Set(nodes.map(node => node.id));
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const warnings = [];
+  const unknownReferences = [];
+
+  // Références écrites à la main: signalées, mais le fichier n'est pas modifié pour autant
+  for (const node of nodes) {
+    const { valid, unknown } = validateDependencies(node.id, node.dependencies, knownIds);
+    for (const dependency of unknown) {
+      unknownReferences.push({ storyId: node.id, dependency });
+      warnings.push(`${node.id} dépend de ${dependency}, qui n'est pas une autre user story du backlog`);
+    }
+    node.graphDependencies = valid;
+  }
+
+  const addedDependencies = [];
+  if (propose) {
+    onProgress('Appel LLM pour la proposition des dépendances');
+    const proposal = await requestStructuredOutput(client, provider, {
+      messages: createDependencyMessages(backlog, nodes),
+      functionName: 'deliver_dependencies',
+      description: 'Renvoie les prérequis de chaque user story qui en a',
+      schema: dependenciesSchema
+    }, { signal: options.signal });
+
+    // Requête annulée pendant l'appel LLM: rien n'est modifié
+    CancellationError.throwIfAborted(options.signal);
+
+    for (const item of proposal.dependencies || []) {
+      const node = byId.get(String(item.id).trim().toUpperCase());
+      if (!node) {
+        warnings.push(`Dépendances proposées pour une user story inconnue ignorées: ${item.id}`);
+        continue;
+      }
+
+      const { valid, unknown } = validateDependencies(node.id, item.depends_on || [], knownIds);
+      for (const dependency of unknown) {
+        warnings.push(`Dépendance inconnue ignorée pour ${node.id}: ${dependency}`);
+      }
+
+      const added = valid.filter(dependency => !node.graphDependencies.includes(dependency));
+      if (added.length > 0) {
+        node.graphDependencies.push(...added);
+        node.dependencies.push(...added);
+        addedDependencies.push({ storyId: node.id, dependsOn: added, rationale: item.rationale || '' });
+      }
+    }
+  }
+
+  const graphNodes = nodes.map(node => ({ ...node, dependencies: node.graphDependencies }));
+  const cycles = findCycles(graphNodes);
+  const orderingIssues = findOrderingIssues(graphNodes, backlog.iterations);
+
+  for (const cycle of cycles) {
+    warnings.push(`Dépendance circulaire: ${cycle.join(' → ')}`);
+  }
+  for (const issue of orderingIssues) {
+    warnings.push(issue.dependencyIteration
+      ? `${issue.storyId} (${issue.storyIteration}) dépend de ${issue.dependencyId}, planifiée plus tard (${issue.dependencyIteration})`
+      : `${issue.storyId} (${issue.storyIteration}) dépend de ${issue.dependencyId}, qui n'est dans aucune itération`);
+  }
+
+  // Seules les stories qui ont reçu de nouvelles dépendances sont réécrites
+  const files = [];
+  const storyIds = [];
+  for (const { storyId } of addedDependencies) {
+    const node = byId.get(storyId);
+    if (node.markdown === null) {
+      warnings.push(`Fichier de la user story introuvable, dépendances non écrites: ${node.filePath}`);
+      continue;
+    }
+    // Seule la ligne Dependencies change dans le fichier
+    await fs.writeFile(node.filePath, updateUserStoryMarkdown(node.markdown, { dependencies: node.dependencies }));
+    files.push(node.filePath);
+    storyIds.push(storyId);
+  }
+  if (storyIds.length > 0) {
+    onProgress(`Dépendances ajoutées à ${storyIds.length} user stories`);
+  }
+
+  const dependenciesPath = await processDependencies(
+    { nodes: graphNodes, cycles, orderingIssues, unknownReferences },
+    backlogDir,
+    onProgress
+  );
+
+  backlog.dependencies = {
+    path: './planning/dependencies.md',
+    cycles,
+    ordering_issues: orderingIssues
+  };
+  const jsonPath = await saveBacklog(backlogDir, backlog);
+  const edgeCount = graphNodes.reduce((total, node) => total + node.dependencies.length, 0);
+  logger.info(`Dépendances analysées: ${edgeCount} dépendances, ${cycles.length} cycle(s), ${orderingIssues.length} problème(s) d'ordre`);
+
+  return {
+    dependencies: graphNodes
+      .filter(node => node.dependencies.length > 0)
+      .map(node => ({ storyId: node.id, dependsOn: node.dependencies })),
+    addedDependencies,
+    unknownReferences,
+    cycles,
+    orderingIssues,
+    storyIds,
+    files: [...files, dependenciesPath, jsonPath],
+    warnings
+  };
+}
+
+module.exports = {
+  createDependencyMessages,
+  validateDependencies,
+  findCycles,
+  findOrderingIssues,
+  analyzeDependencies
+};
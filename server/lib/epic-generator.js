@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Ajout d'un epic (features et user stories) à un backlog existant
+ * Le LLM reçoit le backlog actuel en contexte pour éviter les doublons et référencer
+ * les dépendances. Les IDs qu'il propose sont provisoires: les stories reçoivent les
+ * prochains IDs libres et leurs dépendances sont renumérotées en conséquence.
+ * Les fichiers sont écrits par les formateurs markdown et l'epic est ajouté à backlog.json.
+ * @module epic-generator
+ * @requires structured-completion
+ */
+
+const path = require('path');
+const { logger } = require('./logger');
+const { McpError, ApiError, CancellationError } = require('./errors');
+const { requestStructuredOutput } = require('./structured-completion');
+const { createSlug } = require('./markdown/utils');
+const { processEpic } = require('./markdown/epic-formatter');
+const { requireBacklog, listStoryEntries, nextStoryIds, listBacklogFiles } = require('./utils/backlog-reader');
+const { saveBacklog } = require('./utils/backlog-writer');
+
+// Code JSON-RPC Invalid params: un epic du même nom existe déjà
+const INVALID_PARAMS = -32602;
+
+/**
+ * Crée le schéma de la réponse attendue du LLM (fonction deliver_epic)
+ * @param {number} featureCount - Nombre de features attendues
+ * @param {number} storyCount - Nombre de user stories par feature
+ * @returns {Object} Schéma JSON
+ */
+function createEpicSchema(featureCount, storyCount) {
+  return {
+    type: 'object',
+    required: ['description', 'features'],
+    properties: {
+      description: { type: 'string', description: "Description de l'epic" },
+      features: {
+        type: 'array',
+        minItems: featureCount,
+        maxItems: featureCount,
+        items: {
+          type: 'object',
+          required: ['title', 'description', 'stories'],
+          properties: {
+            title: { type: 'string' },
+            description: { type: 'string' },
+            business_value: { type: 'string' },
+            stories: {
+              type: 'array',
+              minItems: storyCount,
+              maxItems: storyCount,
+              items: {
+                type: 'object',
+                required: ['id', 'title', 'description', 'acceptance_criteria', 'tasks', 'priority'],
+                properties: {
+                  id: { type: 'string', description: 'ID provisoire, unique dans la réponse (ex: NEW1)' },
+                  title: { type: 'string' },
+                  description: { type: 'string', description: 'Format "En tant que... Je veux... Afin de..."' },
+                  acceptance_criteria: { type: 'array', items: { type: 'string' }, minItems: 2 },
+                  tasks: { type: 'array', items: { type: 'string' }, minItems: 2 },
+                  priority: { enum: ['HIGH', 'MEDIUM', 'LOW'] },
+                  dependencies: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'IDs des stories existantes ou IDs provisoires des nouvelles stories'
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Résume le backlog existant pour le prompt (epics, features et user stories par ID)
+ * @param {Object} backlog - Contenu de backlog.json
+ * @returns {string} Résumé en texte
+ */
+function describeBacklog(backlog) {
+  const lines = [];
+
+  for (const epic of backlog.epics || []) {
+    lines.push(`Epic: ${epic.title}${epic.description ? ` - ${epic.description}` : ''}`);
+    for (const feature of epic.features || []) {
+      lines.push(`  Feature: ${feature.title}`);
+      for (const story of feature.stories || []) {
+        lines.push(`    - ${story.id}: ${story.title}`);
+      }
+    }
+  }
+
+  return lines.length > 0 ? lines.join('\n') : '(backlog vide)';
+}
+
+/**
+ * Crée les messages envoyés au LLM pour générer un nouvel epic
+ * @param {Object} params - Epic demandé ({ epicName, epicDescription, featureCount, storyCount })
+ * @param {Object} backlog - Contenu de backlog.json
+ * @returns {Array<Object>} Messages de la conversation
+ */
+function createAddEpicMessages({ epicName, epicDescription, featureCount, storyCount }, backlog) {
+  return [
+    {
+      role: 'system',
+      content: `Tu es un Product Owner expérimenté. Ajoute un nouvel epic au backlog existant du projet, avec exactement ${featureCount} feature(s) de ${storyCount} user stories chacune.
+
+RÈGLES IMPORTANTES:
+- Ne reprends pas une feature ou une user story qui existe déjà dans le backlog
+- Utilise le format "En tant que... Je veux... Afin de..." et au moins 2 critères d'acceptation vérifiables par story
+- Décompose chaque story en au moins 2 tâches techniques
+- Donne à chaque nouvelle story un ID provisoire (NEW1, NEW2...): les IDs définitifs sont attribués ensuite
+- Les dépendances citent les IDs des stories existantes ou les IDs provisoires des nouvelles stories`
+    },
+    {
+      role: 'user',
+      content: [
+        `Projet: ${backlog.project_title || 'Backlog'}${backlog.project_description ? ` - ${backlog.project_description}` : ''}`,
+        '',
+        'BACKLOG EXISTANT:',
+        describeBacklog(backlog),
+        '',
+        `NOUVEL EPIC: ${epicName}`,
+        epicDescription
+      ].join('\n')
+    }
+  ];
+}
+
+/**
+ * Génère le contenu d'un nouvel epic avec le LLM
+ * @param {Object} params - Epic demandé ({ epicName, epicDescription, featureCount, storyCount })
+ * @param {Object} backlog - Contenu de backlog.json (contexte)
+ * @param {Object} client - Client API (OpenAI, Groq ou sampling MCP)
+ * @param {string} provider - Fournisseur d'API
+ * @param {Object} [options] - Options (onProgress, signal)
+ * @returns {Promise<{description: string, features: Array<Object>}>} Epic généré (IDs provisoires)
+ * @throws {ApiError} Si le LLM ne renvoie aucune feature
+ */
+async function generateEpic(params, backlog, client, provider, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+
+  onProgress(`Appel LLM pour la génération de l'epic ${params.epicName}`);
+  const generated = await requestStructuredOutput(client, provider, {
+    messages: createAddEpicMessages(params, backlog),
+    functionName: 'deliver_epic',
+    description: 'Renvoie le nouvel epic avec ses features et ses user stories',
+    schema: createEpicSchema(params.featureCount, params.storyCount),
+    maxTokens: 8192
+  }, { signal: options.signal });
+
+  if (!Array.isArray(generated.features) || generated.features.length === 0) {
+    throw new ApiError(`Aucune feature générée pour l'epic ${params.epicName}`, { epicName: params.epicName });
+  }
+
+  return generated;
+}
+
+/**
+ * Attribue les prochains IDs libres aux nouvelles stories et renumérote leurs dépendances
+ * Les dépendances qui ne désignent ni une story existante ni une nouvelle story sont retirées
+ * Un ID existant l'emporte toujours sur un ID provisoire identique
+ * @param {Array<Object>} features - Features générées (stories avec IDs provisoires)
+ * @param {Object} backlog - Contenu de backlog.json
+ * @returns {{features: Array<Object>, warnings: Array<string>}} Features aux IDs définitifs et avertissements
+ */
+function assignStoryIds(features, backlog) {
+  const stories = features.flatMap(feature => feature.stories || []);
+  const newIds = nextStoryIds(backlog, stories.length);
+  const existingIds = new Map(listStoryEntries(backlog).map(({ story }) => [String(story.id).toUpperCase(), story.id]));
+  const warnings = [];
+  // Un ID provisoire qui reprend un ID du backlog est ignoré: les dépendances vers cet ID
+  // désignent toujours la story existante
+  const provisionalIds = new Map();
+  stories.forEach((story, index) => {
+    const key = String(story.id || '').toUpperCase();
+    if (existingIds.has(key)) {
+      warnings.push(`ID provisoire ${story.id} déjà utilisé dans le backlog: la nouvelle story devient ${newIds[index]}, les dépendances vers ${story.id} désignent la story existante`);
+    } else {
+      provisionalIds.set(key, newIds[index]);
+    }
+  });
+
+  const resolveDependency = (storyId, dependency) => {
+    const key = String(dependency).trim().toUpperCase();
+    const resolved = existingIds.get(key) || provisionalIds.get(key);
+    if (!resolved) {
+      warnings.push(`Dépendance inconnue retirée de ${storyId}: ${dependency}`);
+    }
+    return resolved;
+  };
+
+  let index = 0;
+  return {
+    features: features.map(feature => ({
+      ...feature,
+      stories: (feature.stories || []).map(story => {
+        const id = newIds[index++];
+        return {
+          ...story,
+          id,
+          dependencies: (story.dependencies || []).map(dependency => resolveDependency(id, dependency)).filter(Boolean)
+        };
+      })
+    })),
+    warnings
+  };
+}
+
+/**
+ * Génère un nouvel epic et l'ajoute au backlog existant (fichiers et backlog.json)
+ * @param {string} backlogDir - Chemin du dossier .agile-planner-backlog
+ * @param {Object} params - Epic demandé
+ * @param {string} params.epicName - Titre de l'epic
+ * @param {string} params.epicDescription - Description de l'epic
+ * @param {number} [params.featureCount=3] - Nombre de features
+ * @param {number} [params.storyCount=3] - Nombre de user stories par feature
+ * @param {Object} client - Client API
+ * @param {string} provider - Fournisseur d'API
+ * @param {Object} [options] - Options (onProgress, signal)
+ * @returns {Promise<Object>} { epic: { title, slug }, features: [{ title, slug, storyIds }], storyIds, files, warnings }
+ * @throws {McpError} Si aucun backlog n'existe ou si un epic du même nom existe déjà
+ * @throws {CancellationError} Si la génération a été annulée (aucun fichier écrit)
+ */
+async function addEpicToBacklog(backlogDir, params, client, provider, options = {}) {
+  const { epicName, epicDescription, featureCount = 3, storyCount = 3 } = params;
+  const onProgress = options.onProgress || (() => {});
+  const backlog = await requireBacklog(backlogDir);
+  const epicSlug = createSlug(epicName);
+
+  // Même slug, même dossier: l'epic existant serait écrasé
+  const duplicate = (backlog.epics || []).find(epic => epic.slug === epicSlug);
+  if (duplicate) {
+    throw new McpError(`Un epic existe déjà sous le nom "${duplicate.title}"`, { epicSlug }, INVALID_PARAMS);
+  }
+
+  const generated = await generateEpic({ epicName, epicDescription, featureCount, storyCount }, backlog, client, provider, options);
+
+  // Requête annulée pendant l'appel LLM: rien n'est écrit
+  CancellationError.throwIfAborted(options.signal);
+
+  const { features, warnings } = assignStoryIds(generated.features, backlog);
+  const userStoryMap = new Map();
+  backlog.epics = backlog.epics || [];
+  await processEpic(
+    { title: epicName, description: generated.description || epicDescription, features },
+    path.join(backlogDir, 'epics'),
+    userStoryMap,
+    backlog,
+    onProgress
+  );
+
+  const epicJson = backlog.epics[backlog.epics.length - 1];
+  const jsonPath = await saveBacklog(backlogDir, backlog);
+  const storyIds = features.flatMap(feature => feature.stories.map(story => story.id));
+  logger.info(`Epic ${epicName} ajouté au backlog: ${storyIds.length} user stories (${storyIds.join(', ')})`);
+
+  return {
+    epic: { title: epicJson.title, slug: epicJson.slug },
+    features: epicJson.features.map(feature => ({
+      title: feature.title,
+      slug: feature.slug,
+      storyIds: feature.stories.map(story => story.id)
+    })),
+    storyIds,
+    // Fichiers du nouvel epic puis backlog.json
+    files: [...listBacklogFiles(backlogDir, { epics: [epicJson] }).slice(1), jsonPath],
+    warnings: [
+      ...warnings,
+      ...(backlog.iterations?.length > 0 ? ['Les nouvelles user stories ne sont dans aucune itération: relancez planSprints'] : [])
+    ]
+  };
+}
+
+module.exports = {
+  createEpicSchema,
+  createAddEpicMessages,
+  assignStoryIds,
+  generateEpic,
+  addEpicToBacklog
+};
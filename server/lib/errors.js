@@ -75,6 +75,27 @@ class FileSystemError extends AgilePlannerError {
   }
 }
 
+/**
+ * Erreur levée quand le client annule une opération en cours
+ * (notification MCP notifications/cancelled)
+ */
+class CancellationError extends AgilePlannerError {
+  constructor(message = 'Opération annulée par le client', details) {
+    super(message, 'CANCELLED', details);
+  }
+  
+  /**
+   * Interrompt le traitement si le signal d'annulation a été déclenché
+   * @param {AbortSignal} [signal] - Signal d'annulation de la requête
+   * @throws {CancellationError} Si le signal est déclenché
+   */
+  static throwIfAborted(signal) {
+    if (!signal?.aborted) return;
+    
+    throw signal.reason instanceof CancellationError ? signal.reason : new CancellationError();
+  }
+}
+
 /**
  * Erreur liée au protocole MCP
  * Compatible avec Windsurf, Claude.ai et Cursor
@@ -163,5 +184,6 @@ module.exports = {
   ValidationError,
   ApiError,
   FileSystemError,
+  CancellationError,
   McpError
 };
@@ -1,7 +1,8 @@
 const fs = require('fs-extra');
 const path = require('path');
-const chalk = require('chalk');
+const { logger } = require('./logger');
 const { createSlug } = require('./utils');
+const { CancellationError } = require('./errors');
 const { generateFeatureMarkdown } = require('./markdown-generator');
 
 /**
@@ -14,11 +15,16 @@ const { generateFeatureMarkdown } = require('./markdown-generator');
  * @param {string} params.epicName - Le nom de l'epic parent (optionnel)
  * @param {Object} client - Le client API (OpenAI ou GROQ)
  * @param {string} provider - Le fournisseur d'API ('openai' ou 'groq')
+ * @param {Object} [options] - Options de génération
+ * @param {Function} [options.onProgress] - Callback appelé à chaque étape (message)
+ * @param {AbortSignal} [options.signal] - Signal d'annulation transmis au client API
  * @returns {Promise<Object>} - La feature générée
+ * @throws {CancellationError} Si la génération a été annulée
  */
-async function generateFeature(params, client, provider = 'openai') {
+async function generateFeature(params, client, provider = 'openai', options = {}) {
+  const onProgress = options.onProgress || (() => {});
   try {
-    console.log(chalk.blue(`Génération d'une feature à partir de la description: ${params.featureDescription}`));
+    logger.info(`Génération d'une feature à partir de la description: ${params.featureDescription}`);
     
     const { featureDescription, storyCount = 3, businessValue, epicName = 'Fonctionnalités principales' } = params;
     
@@ -79,7 +85,7 @@ async function generateFeature(params, client, provider = 'openai') {
     
     const model = provider === 'groq' ? 'llama3-70b-8192' : 'gpt-4-turbo';
     
-    const options = {
+    const requestOptions = {
       model: model,
       messages: [
         { role: 'system', content: systemPrompt },
@@ -89,11 +95,14 @@ async function generateFeature(params, client, provider = 'openai') {
       max_tokens: 3000
     };
     
-    const response = await client.chat.completions.create(options);
+    onProgress('Prompt de génération de la feature construit');
+    onProgress('Appel LLM pour la génération de la feature');
+    const response = await client.chat.completions.create(requestOptions, { signal: options.signal });
     
     const content = response.choices[0].message.content;
     
     try {
+      onProgress('Validation de la feature générée');
       const result = JSON.parse(content);
       
       // Vérifie la présence des champs obligatoires
@@ -107,17 +116,17 @@ async function generateFeature(params, client, provider = 'openai') {
         result.epicName = epicName;
       }
       
-      console.log(chalk.green(`Feature générée avec succès: ${result.feature.title}`));
-      console.log(chalk.green(`${storyCount} user stories créées`));
+      logger.info(`Feature générée avec succès: ${result.feature.title} (${storyCount} user stories)`);
       
       return result;
     } catch (error) {
-      console.error(chalk.red('Erreur lors du parsing de la réponse JSON:'), error);
-      console.error(chalk.yellow('Réponse reçue:'), content);
+      logger.error(`Erreur lors du parsing de la réponse JSON: ${error.message}`, { response: content });
       throw new Error(`Erreur de format dans la réponse de l'API: ${error.message}`);
     }
   } catch (error) {
-    console.error(chalk.red('Erreur lors de la génération de la feature:'), error);
+    CancellationError.throwIfAborted(options.signal);
+    
+    logger.error(`Erreur lors de la génération de la feature: ${error.message}`);
     throw error;
   }
 }
@@ -132,7 +141,7 @@ async function generateFeature(params, client, provider = 'openai') {
  */
 async function saveRawFeatureResult(result, outputDir) {
   try {
-    console.log(chalk.blue('Sauvegarde du résultat de la feature...'));
+    logger.debug('Sauvegarde du résultat de la feature...');
     
     // Prépare le répertoire de sortie
     await fs.ensureDir(outputDir);
@@ -206,10 +215,10 @@ async function saveRawFeatureResult(result, outputDir) {
     // Écrit le backlog dans le fichier JSON
     await fs.writeFile(jsonPath, JSON.stringify(backlog, null, 2), 'utf8');
     
-    console.log(chalk.green(`Feature sauvegardée dans: ${jsonPath}`));
+    logger.info(`Feature sauvegardée dans: ${jsonPath}`);
     return jsonPath;
   } catch (error) {
-    console.error(chalk.red('Erreur lors de la sauvegarde du résultat:'), error);
+    logger.error(`Erreur lors de la sauvegarde du résultat: ${error.message}`);
     throw error;
   }
 }
@@ -228,7 +237,7 @@ async function saveRawFeatureResult(result, outputDir) {
  */
 async function generateFeatureAndMarkdown(params, outputDir, client, provider = 'openai') {
   try {
-    console.log(chalk.blue('Début du processus de génération de feature...'));
+    logger.debug('Début du processus de génération de feature...');
     
     // 1. Génère la feature
     const featureResult = await generateFeature(params, client, provider);
@@ -239,7 +248,7 @@ async function generateFeatureAndMarkdown(params, outputDir, client, provider =
     // 3. Génère les fichiers Markdown
     await generateFeatureMarkdown(featureResult, outputDir);
     
-    console.log(chalk.green('Processus de génération de feature terminé avec succès!'));
+    logger.info('Processus de génération de feature terminé avec succès');
     
     return {
       success: true,
@@ -253,7 +262,7 @@ async function generateFeatureAndMarkdown(params, outputDir, client, provider =
       }
     };
   } catch (error) {
-    console.error(chalk.red('Erreur lors du processus de génération:'), error);
+    logger.error(`Erreur lors du processus de génération: ${error.message}`);
     
     return {
       success: false,
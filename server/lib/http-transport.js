@@ -0,0 +1,579 @@
+/**
+ * Transport MCP "Streamable HTTP" pour partager un seul processus Agile Planner
+ * entre plusieurs clients.
+ *
+ * Conformité avec la spécification MCP (2025-03-26):
+ * - POST /mcp: messages JSON-RPC du client (objet ou batch), réponse JSON ou flux SSE
+ * - GET /mcp: flux SSE pour les messages initiés par le serveur (notifications, requêtes)
+ * - DELETE /mcp: fermeture explicite de la session
+ * - L'en-tête Mcp-Session-Id est attribué à l'initialize et exigé ensuite
+ *
+ * Chaque session dispose de sa propre instance MCPServer (état client isolé),
+ * créée par la factory fournie à start() avec le même registre d'outils.
+ * Une session inactive (aucune requête en cours, aucun flux SSE ouvert) est fermée
+ * après sessionTimeout: un client qui se déconnecte sans DELETE ne la garde pas ouverte.
+ */
+const http = require('http');
+const { randomUUID } = require('crypto');
+const { logger } = require('./logger');
+
+// Traces du transport: jamais relayées au client, elles accompagnent les envois de messages
+const log = logger.child('http', { notify: false });
+
+const SESSION_HEADER = 'mcp-session-id';
+const MAX_BODY_SIZE = 4 * 1024 * 1024;
+const DEFAULT_SESSION_TIMEOUT = 30 * 60 * 1000;
+const MAX_SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * Écrit un message JSON-RPC sous forme d'événement SSE
+ * @param {http.ServerResponse} res - Flux SSE ouvert
+ * @param {Object} message - Message JSON-RPC
+ */
+function writeSseEvent(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Ouvre un flux SSE sur une réponse HTTP
+ * @param {http.ServerResponse} res - Réponse HTTP
+ * @param {Object} [headers] - En-têtes supplémentaires
+ */
+function openSseStream(res, headers = {}) {
+  res.writeHead(200, {
+    ...headers,
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  // En-têtes envoyés tout de suite: le client sait que le flux est ouvert avant le premier événement
+  res.flushHeaders();
+}
+
+/**
+ * Renvoie une erreur JSON-RPC avec le statut HTTP approprié
+ * @param {http.ServerResponse} res - Réponse HTTP
+ * @param {number} status - Statut HTTP
+ * @param {number} code - Code d'erreur JSON-RPC
+ * @param {string} message - Message d'erreur
+ */
+function sendJsonRpcError(res, status, code, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code, message } }));
+}
+
+/**
+ * Échange HTTP en cours: un POST contenant une ou plusieurs requêtes
+ * en attente de leurs réponses
+ */
+class PostExchange {
+  /**
+   * @param {http.ServerResponse} res - Réponse HTTP du POST
+   * @param {Array<string|number>} requestIds - IDs des requêtes du POST
+   * @param {boolean} isBatch - Le POST contenait un tableau de messages
+   * @param {boolean} useSse - Répondre par un flux SSE plutôt qu'en JSON
+   */
+  constructor(res, requestIds, isBatch, useSse) {
+    this.res = res;
+    this.remaining = new Set(requestIds);
+    this.isBatch = isBatch;
+    this.useSse = useSse;
+    this.responses = [];
+    this.closed = false;
+  }
+
+  /**
+   * Transmet un message au client dans le cadre de cet échange
+   * @param {Object} message - Message JSON-RPC
+   */
+  deliver(message) {
+    if (this.closed) return;
+
+    if (this.useSse) {
+      writeSseEvent(this.res, message);
+    } else {
+      this.responses.push(message);
+    }
+
+    if (message.id !== undefined && !message.method) {
+      this.remaining.delete(message.id);
+    }
+
+    if (this.remaining.size === 0) {
+      this.finish();
+    }
+  }
+
+  /**
+   * Cesse d'attendre une requête annulée par le client: le serveur n'y répondra pas
+   * @param {string|number} requestId - ID de la requête annulée
+   */
+  abandon(requestId) {
+    if (this.closed) return;
+
+    this.remaining.delete(requestId);
+
+    if (this.remaining.size === 0) {
+      this.finish();
+    }
+  }
+
+  /**
+   * Termine la réponse HTTP une fois toutes les réponses reçues
+   */
+  finish() {
+    this.closed = true;
+
+    if (this.useSse) {
+      this.res.end();
+      return;
+    }
+
+    // Toutes les requêtes du POST ont été annulées: rien à renvoyer
+    if (this.responses.length === 0) {
+      this.res.writeHead(202).end();
+      return;
+    }
+
+    const body = this.isBatch ? this.responses : this.responses[0];
+    this.res.end(JSON.stringify(body));
+  }
+}
+
+/**
+ * Transport d'une session HTTP, exposant la même interface que StdioServerTransport
+ * (onMessage / sendMessage) pour être branché sur MCPServer.listen()
+ */
+class HttpSessionTransport {
+  /**
+   * @param {string} sessionId - Identifiant de la session
+   */
+  constructor(sessionId) {
+    this.sessionId = sessionId;
+    this.handlers = {
+      message: null
+    };
+    this.pendingRequests = new Map();
+    this.openExchanges = new Set();
+    this.sseStream = null;
+    this.lastActivity = Date.now();
+  }
+
+  onMessage(handler) {
+    this.handlers.message = handler;
+    return this;
+  }
+
+  /**
+   * Transmet au serveur MCP un message reçu en HTTP
+   * @param {Object} message - Message JSON-RPC
+   */
+  receive(message) {
+    if (message?.method === 'notifications/cancelled') {
+      this.release(message.params?.requestId);
+    }
+
+    this.handlers.message?.(JSON.stringify(message));
+  }
+
+  /**
+   * Libère l'échange POST d'une requête annulée, qui ne recevra pas de réponse
+   * @param {string|number} requestId - ID de la requête annulée
+   */
+  release(requestId) {
+    const exchange = this.pendingRequests.get(requestId);
+    this.pendingRequests.delete(requestId);
+    exchange?.abandon(requestId);
+  }
+
+  /**
+   * Enregistre un échange POST en attente de réponses
+   * @param {PostExchange} exchange - Échange HTTP
+   * @param {Array<string|number>} requestIds - IDs des requêtes à attendre
+   */
+  track(exchange, requestIds) {
+    for (const id of requestIds) {
+      this.pendingRequests.set(id, exchange);
+    }
+
+    if (exchange.useSse) {
+      this.openExchanges.add(exchange);
+    }
+
+    exchange.res.on('close', () => {
+      exchange.closed = true;
+      this.lastActivity = Date.now();
+      this.openExchanges.delete(exchange);
+      for (const id of requestIds) {
+        if (this.pendingRequests.get(id) === exchange) {
+          this.pendingRequests.delete(id);
+        }
+      }
+    });
+  }
+
+  /**
+   * Envoie un message du serveur MCP au client
+   * @param {Object} message - Message JSON-RPC
+   * @returns {boolean} false si aucun échange ni flux SSE ne peut porter le message
+   */
+  sendMessage(message) {
+    const isResponse = message.id !== undefined && message.id !== null && !message.method;
+
+    if (isResponse) {
+      const exchange = this.pendingRequests.get(message.id);
+      this.pendingRequests.delete(message.id);
+      if (exchange) {
+        exchange.deliver(message);
+        return true;
+      }
+      log.warning(`[HTTP] Réponse ${message.id} sans requête en attente (client déconnecté), ignorée`);
+      return false;
+    }
+
+    // Notifications et requêtes du serveur: flux SSE d'un POST en cours, sinon flux GET
+    const [openExchange] = this.openExchanges;
+    if (openExchange && !openExchange.closed) {
+      openExchange.deliver(message);
+      return true;
+    }
+    if (this.sseStream) {
+      writeSseEvent(this.sseStream, message);
+      return true;
+    }
+    log.warning(`[HTTP] Aucun flux SSE ouvert pour la session ${this.sessionId}, message ignoré`);
+    return false;
+  }
+
+  /**
+   * Indique si la session attend encore quelque chose du serveur ou du client
+   * @returns {boolean} true si une requête est en cours ou si un flux SSE est ouvert
+   */
+  isBusy() {
+    return this.pendingRequests.size > 0 || this.openExchanges.size > 0 || this.sseStream !== null;
+  }
+
+  /**
+   * Ferme les flux encore ouverts de la session
+   */
+  close() {
+    for (const exchange of this.openExchanges) {
+      exchange.finish();
+    }
+    this.openExchanges.clear();
+    this.pendingRequests.clear();
+    this.sseStream?.end();
+    this.sseStream = null;
+  }
+}
+
+/**
+ * Serveur HTTP hébergeant les sessions MCP
+ */
+class HttpServerTransport {
+  /**
+   * @param {Object} [options] - Options du transport
+   * @param {number} [options.port=3000] - Port d'écoute
+   * @param {string} [options.host='127.0.0.1'] - Interface d'écoute
+   * @param {string} [options.endpoint='/mcp'] - Chemin de l'endpoint MCP
+   * @param {number} [options.sessionTimeout=1800000] - Inactivité (ms) au-delà de laquelle une session est fermée
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 3000;
+    this.host = options.host || '127.0.0.1';
+    this.endpoint = options.endpoint || '/mcp';
+    this.sessionTimeout = options.sessionTimeout ?? DEFAULT_SESSION_TIMEOUT;
+    this.sessions = new Map();
+    this.sweepTimer = null;
+    this.createServer = null;
+    this.httpServer = http.createServer((req, res) => {
+      this.handleHttpRequest(req, res).catch(error => {
+        log.error(`[HTTP] Erreur lors du traitement de la requête: ${error.message}`);
+        if (!res.headersSent) {
+          sendJsonRpcError(res, 500, -32603, 'Internal error');
+        }
+      });
+    });
+  }
+
+  /**
+   * Démarre l'écoute HTTP
+   * @param {Function} createServer - Factory retournant une instance MCPServer par session
+   * @returns {Promise<HttpServerTransport>} Le transport une fois en écoute
+   */
+  start(createServer) {
+    this.createServer = createServer;
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.port = this.httpServer.address().port;
+        log.info(`Transport HTTP en écoute sur http://${this.host}:${this.port}${this.endpoint}`);
+        // Le balayage ne doit pas empêcher le processus de s'arrêter
+        this.sweepTimer = setInterval(() => this.expireIdleSessions(), Math.min(this.sessionTimeout, MAX_SWEEP_INTERVAL));
+        this.sweepTimer.unref?.();
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Arrête le serveur HTTP et ferme toutes les sessions
+   * @returns {Promise<void>}
+   */
+  close() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+    for (const session of this.sessions.values()) {
+      session.server.close?.();
+      session.transport.close();
+    }
+    this.sessions.clear();
+
+    return new Promise(resolve => this.httpServer.close(() => resolve()));
+  }
+
+  /**
+   * Aiguille une requête HTTP selon sa méthode
+   * @param {http.IncomingMessage} req - Requête HTTP
+   * @param {http.ServerResponse} res - Réponse HTTP
+   * @returns {Promise<void>}
+   */
+  async handleHttpRequest(req, res) {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (pathname !== this.endpoint) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    if (!this.isOriginAllowed(req.headers.origin)) {
+      sendJsonRpcError(res, 403, -32000, 'Origin non autorisée');
+      return;
+    }
+
+    switch (req.method) {
+      case 'POST':
+        await this.handlePost(req, res);
+        break;
+      case 'GET':
+        this.handleGet(req, res);
+        break;
+      case 'DELETE':
+        this.handleDelete(req, res);
+        break;
+      default:
+        res.writeHead(405, { Allow: 'GET, POST, DELETE' }).end();
+    }
+  }
+
+  /**
+   * Protection contre le DNS rebinding: seules les origines locales sont acceptées
+   * @param {string} [origin] - En-tête Origin de la requête
+   * @returns {boolean} true si l'origine est acceptée
+   */
+  isOriginAllowed(origin) {
+    if (!origin) return true;
+
+    try {
+      const { hostname } = new URL(origin);
+      return ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Retrouve la session désignée par l'en-tête Mcp-Session-Id
+   * @param {http.IncomingMessage} req - Requête HTTP
+   * @param {http.ServerResponse} res - Réponse HTTP (erreur envoyée si la session est invalide)
+   * @returns {Object|null} Session trouvée ou null
+   */
+  requireSession(req, res) {
+    const sessionId = req.headers[SESSION_HEADER];
+
+    if (!sessionId) {
+      sendJsonRpcError(res, 400, -32000, 'En-tête Mcp-Session-Id manquant');
+      return null;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      sendJsonRpcError(res, 404, -32001, 'Session inconnue ou expirée');
+      return null;
+    }
+
+    session.transport.lastActivity = Date.now();
+    return session;
+  }
+
+  /**
+   * Crée une session et son instance MCPServer dédiée
+   * @returns {Object} Session créée
+   */
+  createSession() {
+    const sessionId = randomUUID();
+    const transport = new HttpSessionTransport(sessionId);
+    const server = this.createServer();
+
+    server.listen(transport);
+
+    const session = { id: sessionId, server, transport };
+    this.sessions.set(sessionId, session);
+    log.info(`[HTTP] Session MCP ouverte: ${sessionId}`);
+
+    return session;
+  }
+
+  /**
+   * Ferme une session: serveur MCP (relais des logs, surveillance), flux ouverts
+   * @param {Object} session - Session à fermer
+   * @param {string} reason - Motif, pour les traces
+   */
+  closeSession(session, reason) {
+    session.server.close?.();
+    session.transport.close();
+    this.sessions.delete(session.id);
+    log.info(`[HTTP] Session MCP fermée (${reason}): ${session.id}`);
+  }
+
+  /**
+   * Ferme les sessions inactives depuis plus de sessionTimeout
+   * Une session qui attend une réponse ou garde un flux SSE ouvert n'est pas inactive
+   * @param {number} [now=Date.now()] - Instant de référence
+   */
+  expireIdleSessions(now = Date.now()) {
+    for (const session of [...this.sessions.values()]) {
+      if (!session.transport.isBusy() && now - session.transport.lastActivity >= this.sessionTimeout) {
+        this.closeSession(session, 'inactive');
+      }
+    }
+  }
+
+  /**
+   * Lit le corps JSON d'une requête HTTP
+   * @param {http.IncomingMessage} req - Requête HTTP
+   * @returns {Promise<string>} Corps brut
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_SIZE) {
+          reject(new Error('Corps de requête trop volumineux'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * POST: messages JSON-RPC envoyés par le client
+   * @param {http.IncomingMessage} req - Requête HTTP
+   * @param {http.ServerResponse} res - Réponse HTTP
+   * @returns {Promise<void>}
+   */
+  async handlePost(req, res) {
+    let payload;
+    try {
+      payload = JSON.parse(await this.readBody(req));
+    } catch (error) {
+      sendJsonRpcError(res, 400, -32700, 'Parse error');
+      return;
+    }
+
+    const isBatch = Array.isArray(payload);
+    const messages = isBatch ? payload : [payload];
+    const isInitialize = messages.some(message => message?.method === 'initialize');
+
+    let session;
+    if (isInitialize) {
+      if (messages.length > 1) {
+        sendJsonRpcError(res, 400, -32600, 'initialize doit être envoyé seul');
+        return;
+      }
+      session = this.createSession();
+      res.setHeader('Mcp-Session-Id', session.id);
+    } else {
+      session = this.requireSession(req, res);
+      if (!session) return;
+    }
+
+    const requestIds = messages
+      .filter(message => message?.method && message.id !== undefined && message.id !== null)
+      .map(message => message.id);
+
+    // Uniquement des notifications ou des réponses: accusé de réception
+    if (requestIds.length === 0) {
+      res.writeHead(202).end();
+      messages.forEach(message => session.transport.receive(message));
+      return;
+    }
+
+    // Dès que le client l'accepte, la réponse passe en SSE: le flux peut alors porter les requêtes
+    // que le serveur émet pendant le traitement (sampling, elicitation, roots) sans flux GET
+    const useSse = (req.headers.accept || '').includes('text/event-stream');
+    const exchange = new PostExchange(res, requestIds, isBatch, useSse);
+
+    if (useSse) {
+      openSseStream(res);
+    } else {
+      res.setHeader('Content-Type', 'application/json');
+    }
+
+    session.transport.track(exchange, requestIds);
+    messages.forEach(message => session.transport.receive(message));
+  }
+
+  /**
+   * GET: ouverture du flux SSE des messages initiés par le serveur
+   * @param {http.IncomingMessage} req - Requête HTTP
+   * @param {http.ServerResponse} res - Réponse HTTP
+   */
+  handleGet(req, res) {
+    if (!(req.headers.accept || '').includes('text/event-stream')) {
+      res.writeHead(405, { Allow: 'POST, DELETE' }).end();
+      return;
+    }
+
+    const session = this.requireSession(req, res);
+    if (!session) return;
+
+    if (session.transport.sseStream) {
+      sendJsonRpcError(res, 409, -32000, 'Un flux SSE est déjà ouvert pour cette session');
+      return;
+    }
+
+    openSseStream(res);
+    session.transport.sseStream = res;
+    res.on('close', () => {
+      if (session.transport.sseStream === res) {
+        session.transport.sseStream = null;
+        // Le délai d'inactivité court à partir de la déconnexion du flux
+        session.transport.lastActivity = Date.now();
+      }
+    });
+  }
+
+  /**
+   * DELETE: fermeture explicite de la session par le client
+   * @param {http.IncomingMessage} req - Requête HTTP
+   * @param {http.ServerResponse} res - Réponse HTTP
+   */
+  handleDelete(req, res) {
+    const session = this.requireSession(req, res);
+    if (!session) return;
+
+    this.closeSession(session, 'DELETE');
+    res.writeHead(204).end();
+  }
+}
+
+module.exports = {
+  HttpServerTransport,
+  HttpSessionTransport
+};
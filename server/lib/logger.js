@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Journalisation des diagnostics du serveur
+ * Les messages sont écrits sur stderr, jamais sur stdout (réservé au JSON-RPC en mode MCP),
+ * et transmis aux serveurs MCP abonnés qui les relaient en notifications/message
+ * selon le niveau demandé par le client (logging/setLevel).
+ * Un log émis pendant le traitement d'une requête n'est transmis qu'à la session qui l'a
+ * envoyée: avec le transport HTTP, un client ne reçoit pas les logs des outils d'un autre.
+ * @module logger
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const chalk = require('chalk');
+
+// Niveaux de sévérité RFC 5424 utilisés par MCP, du moins au plus grave
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+const LEVEL_COLORS = {
+  debug: 'gray',
+  info: 'blue',
+  notice: 'cyan',
+  warning: 'yellow',
+  error: 'red',
+  critical: 'red',
+  alert: 'red',
+  emergency: 'red'
+};
+
+// Destinataires des logs (un par serveur MCP initialisé)
+const sinks = new Set();
+
+// Destinataire de la session dont la requête est en cours (suit les await et les callbacks)
+const sinkContext = new AsyncLocalStorage();
+
+// Niveau minimal écrit sur stderr (null: AGILE_PLANNER_LOG_LEVEL, lu à chaque log car le .env est chargé après les modules)
+let stderrLevel = null;
+
+// Empêche un log émis pendant l'envoi d'une notification d'être renvoyé aux clients
+let delivering = false;
+
+/**
+ * Vérifie qu'une valeur est un niveau de log MCP
+ * @param {*} level - Valeur à vérifier
+ * @returns {boolean} true si le niveau est connu
+ */
+function isLogLevel(level) {
+  return LOG_LEVELS.includes(level);
+}
+
+/**
+ * Indique si un message de niveau donné passe le niveau minimal
+ * @param {string} level - Niveau du message
+ * @param {string} minLevel - Niveau minimal demandé
+ * @returns {boolean} true si le message doit être émis
+ */
+function isLevelEnabled(level, minLevel) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(minLevel);
+}
+
+/**
+ * Modifie le niveau minimal des logs écrits sur stderr
+ * @param {string} level - Nouveau niveau
+ */
+function setStderrLevel(level) {
+  if (isLogLevel(level)) {
+    stderrLevel = level;
+  }
+}
+
+/**
+ * Retourne le niveau minimal des logs écrits sur stderr
+ * @returns {string} Niveau configuré, AGILE_PLANNER_LOG_LEVEL ou 'info'
+ */
+function getStderrLevel() {
+  if (stderrLevel) return stderrLevel;
+  return isLogLevel(process.env.AGILE_PLANNER_LOG_LEVEL) ? process.env.AGILE_PLANNER_LOG_LEVEL : 'info';
+}
+
+/**
+ * Abonne un destinataire aux logs
+ * @param {Function} sink - Reçoit { level, logger, data } pour chaque message
+ * @returns {Function} Fonction de désabonnement
+ */
+function addSink(sink) {
+  sinks.add(sink);
+  return () => sinks.delete(sink);
+}
+
+/**
+ * Exécute le traitement d'une requête pour le compte d'un destinataire
+ * Les logs émis pendant ce traitement ne sont transmis qu'à ce destinataire (s'il est abonné);
+ * les logs émis hors de toute requête (démarrage, transports) sont transmis à tous
+ * @param {Function} sink - Destinataire de la session qui a envoyé la requête
+ * @param {Function} callback - Traitement à exécuter
+ * @returns {*} Valeur renvoyée par le traitement
+ */
+function runWithSink(sink, callback) {
+  return sinkContext.run(sink, callback);
+}
+
+/**
+ * Construit le champ data d'une notification/message
+ * @param {string} message - Message lisible
+ * @param {*} [data] - Détails complémentaires
+ * @returns {string|Object} Message seul ou objet { message, ...détails }
+ */
+function toPayload(message, data) {
+  if (data === undefined) return message;
+  if (data instanceof Error) return { message, error: data.message };
+  if (data !== null && typeof data === 'object') return { message, ...data };
+  return { message, details: data };
+}
+
+/**
+ * Logger nommé (le nom est transmis dans le champ logger des notifications)
+ */
+class Logger {
+  /**
+   * @param {string} name - Nom du logger
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.notify=true] - false pour n'écrire que sur stderr (ex: traces des transports)
+   */
+  constructor(name, { notify = true } = {}) {
+    this.name = name;
+    this.notify = notify;
+  }
+
+  /**
+   * Émet un message au niveau donné
+   * @param {string} level - Niveau MCP (debug, info, notice, warning, error...)
+   * @param {string} message - Message lisible
+   * @param {*} [data] - Détails complémentaires (objet ou Error)
+   */
+  log(level, message, data) {
+    if (isLevelEnabled(level, getStderrLevel())) {
+      const color = chalk[LEVEL_COLORS[level]] || (text => text);
+      console.error(color(`[${level.toUpperCase()}] ${message}`));
+    }
+
+    if (!this.notify || delivering) return;
+
+    const owner = sinkContext.getStore();
+    const targets = owner ? [owner].filter(sink => sinks.has(sink)) : [...sinks];
+    if (targets.length === 0) return;
+
+    delivering = true;
+    try {
+      const entry = { level, logger: this.name, data: toPayload(message, data) };
+      for (const sink of targets) {
+        sink(entry);
+      }
+    } catch (error) {
+      console.error(`Échec de transmission d'un log au client MCP: ${error.message}`);
+    } finally {
+      delivering = false;
+    }
+  }
+
+  debug(message, data) {
+    this.log('debug', message, data);
+  }
+
+  info(message, data) {
+    this.log('info', message, data);
+  }
+
+  notice(message, data) {
+    this.log('notice', message, data);
+  }
+
+  warning(message, data) {
+    this.log('warning', message, data);
+  }
+
+  error(message, data) {
+    this.log('error', message, data);
+  }
+
+  /**
+   * Crée un logger dont le nom est préfixé par celui-ci
+   * @param {string} name - Suffixe du nom
+   * @param {Object} [options] - Options du Logger
+   * @returns {Logger} Logger enfant
+   */
+  child(name, options) {
+    return new Logger(`${this.name}:${name}`, options);
+  }
+}
+
+// Logger racine partagé par tous les modules du serveur
+const logger = new Logger('agile-planner');
+
+module.exports = {
+  LOG_LEVELS,
+  Logger,
+  logger,
+  isLogLevel,
+  isLevelEnabled,
+  setStderrLevel,
+  getStderrLevel,
+  addSink,
+  runWithSink
+};
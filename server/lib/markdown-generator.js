@@ -6,9 +6,18 @@
 
 const path = require('path');
 const fs = require('fs-extra');
-const chalk = require('chalk');
+const { logger } = require('./logger');
+const { McpError, CancellationError } = require('./errors');
+const { requireBacklog, requireEpicEntry, nextStoryIds, getEntryFilePath } = require('./utils/backlog-reader');
+const { saveBacklog } = require('./utils/backlog-writer');
+const { processFeature } = require('./markdown/feature-formatter');
+const { generateEpicContent } = require('./markdown/epic-formatter');
+const { createSlug } = require('./markdown/utils');
 
-console.log(chalk.yellow('🔍 Chargement du module markdown-generator.js de compatibilité'));
+// Code JSON-RPC Invalid params: feature déjà présente dans l'epic
+const INVALID_PARAMS = -32602;
+
+logger.debug('Chargement du module markdown-generator.js de compatibilité');
 
 // Importer le nouveau module façade
 const { 
@@ -17,44 +26,122 @@ const {
   createMarkdownGenerator
 } = require('./markdown/index');
 
-console.log(chalk.green('✅ Module façade importé avec succès'));
+logger.debug('Module façade importé avec succès');
+
+/**
+ * Convertit les user stories renvoyées par generateFeature (asA, iWant, soThat, critères
+ * { given, when, then }) au format attendu par les formateurs
+ * @param {Array<Object>} userStories - User stories générées
+ * @param {Object} [backlog] - backlog.json existant, dont les IDs sont réservés
+ * @returns {Array<Object>} User stories au format des formateurs
+ */
+function adaptGeneratedStories(userStories, backlog = null) {
+  const ids = nextStoryIds(backlog, userStories.length);
+
+  return userStories.map((story, index) => ({
+    id: story.id || ids[index],
+    title: story.title,
+    description: story.description || [story.asA, story.iWant, story.soThat].filter(Boolean).join(' '),
+    acceptance_criteria: story.acceptanceCriteria || story.acceptance_criteria || [],
+    tasks: (story.tasks || []).map(task => (typeof task === 'string' ? task : task.description)),
+    priority: story.priority || ''
+  }));
+}
+
+/**
+ * Ajoute une feature générée à un epic d'un backlog existant
+ * La feature est écrite dans epics/<slug>/features/, ajoutée à l'epic dans backlog.json
+ * et listée dans epic.md. Ses user stories reçoivent les prochains IDs libres.
+ * @param {Object} feature - Résultat de generateFeature ({ feature, userStories })
+ * @param {string} outputDir - Dossier .agile-planner-backlog existant
+ * @param {string} epicRef - ID ou slug de l'epic cible
+ * @param {Object} [options] - Options (onProgress, signal)
+ * @returns {Promise<Object>} backlog.json mis à jour
+ * @throws {McpError} Si l'epic n'existe pas ou contient déjà une feature de même titre
+ */
+async function appendFeatureToEpic(feature, outputDir, epicRef, options = {}) {
+  const backlogDir = path.resolve(outputDir);
+  const onProgress = options.onProgress || (() => {});
+  const backlog = await requireBacklog(backlogDir);
+  const epicJson = requireEpicEntry(backlog, epicRef);
+
+  const generatedFeature = feature.feature || feature;
+  const featureData = {
+    ...generatedFeature,
+    title: generatedFeature.title || 'Feature sans titre',
+    stories: generatedFeature.stories || adaptGeneratedStories(feature.userStories || [], backlog)
+  };
+
+  // Même slug, même dossier: la feature existante serait écrasée
+  const featureSlug = createSlug(featureData.title);
+  epicJson.features = epicJson.features || [];
+  if (epicJson.features.some(existing => existing.slug === featureSlug)) {
+    throw new McpError(`La feature "${featureData.title}" existe déjà dans l'epic ${epicJson.title}`, { epic: epicJson.slug, featureSlug }, INVALID_PARAMS);
+  }
+
+  CancellationError.throwIfAborted(options.signal);
+
+  const epicDir = path.join(backlogDir, 'epics', epicJson.slug);
+  await processFeature(featureData, epicDir, epicJson.title, new Map(), epicJson, onProgress);
+
+  await fs.writeFile(getEntryFilePath(backlogDir, epicJson), generateEpicContent(epicJson));
+  onProgress(`Epic mis à jour: ${epicJson.title}`);
+
+  await saveBacklog(backlogDir, backlog);
+  logger.info(`Feature "${featureData.title}" ajoutée à l'epic ${epicJson.title}`);
+
+  return backlog;
+}
 
 /**
  * Génère les fichiers markdown pour une feature
+ * Sans epic cible, un nouveau backlog est écrit avec la feature dans l'epic nommé par generateFeature
  * @param {Object} feature - La feature à formater
  * @param {string} outputDir - Répertoire de sortie
+ * @param {Object} [options] - Options de la génération
+ * @param {Function} [options.onProgress] - Callback appelé après chaque fichier écrit
+ * @param {AbortSignal} [options.signal] - Signal d'annulation
+ * @param {string} [options.epic] - ID ou slug d'un epic existant auquel ajouter la feature
  * @returns {Promise<Object>} - Résultat de la génération
  */
-const generateFeatureMarkdown = async (feature, outputDir) => {
-  console.log(chalk.blue('🔠 Generating feature markdown using refactored architecture...'));
+const generateFeatureMarkdown = async (feature, outputDir, options = {}) => {
+  logger.debug('Generating feature markdown using refactored architecture...');
+  
+  if (options.epic) {
+    return appendFeatureToEpic(feature, outputDir, options.epic, options);
+  }
   
   // Accéder correctement à la structure de données
-  const featureData = feature.feature || feature;
+  const generatedFeature = feature.feature || feature;
+  // Les user stories de generateFeature sont à côté de la feature, pas dedans
+  const featureData = {
+    ...generatedFeature,
+    stories: generatedFeature.stories || adaptGeneratedStories(feature.userStories || [])
+  };
   const title = featureData.title || 'Feature sans titre';
   const description = featureData.description || '';
   
-  console.log(chalk.yellow(`Feature reçue: "${title}"`));
-  console.log(chalk.yellow(`Répertoire de sortie: ${outputDir}`));
+  logger.debug(`Feature reçue: "${title}"`);
+  logger.debug(`Répertoire de sortie: ${outputDir}`);
   
   // Adapter l'appel à la nouvelle architecture
   const result = {
     project: { title: title, description: description },
     epics: [{
-      title: 'Feature Epic',
+      title: feature.epicName || 'Feature Epic',
       description: description,
       features: [featureData]
     }]
   };
   
-  console.log(chalk.yellow(`Structure adaptée créée pour la feature "${title}"`));
+  logger.debug(`Structure adaptée créée pour la feature "${title}"`);
   
   try {
-    const genResult = await generateMarkdownFilesFromResult(result, outputDir);
-    console.log(chalk.green(`✅ Markdown généré avec succès dans ${outputDir}`));
+    const genResult = await generateMarkdownFilesFromResult(result, outputDir, options);
+    logger.info(`Markdown généré avec succès dans ${outputDir}`);
     return genResult;
   } catch (error) {
-    console.error(chalk.red(`❌ Erreur lors de la génération du markdown: ${error.message}`));
-    console.error(chalk.red(error.stack));
+    logger.error(`Erreur lors de la génération du markdown: ${error.message}`, { stack: error.stack });
     throw error;
   }
 };
@@ -66,30 +153,30 @@ const generateFeatureMarkdown = async (feature, outputDir) => {
  */
 function determineBacklogStructure(backlog) {
   if (!backlog) {
-    console.error(chalk.red(`❌ Structure de backlog invalide`));
+    logger.error(`Structure de backlog invalide`);
     throw new Error('Structure de backlog invalide ou manquante');
   }
   
   // Structure {success: true, result: {...}}
   if (backlog.success && backlog.result) {
-    console.log(chalk.yellow(`Utilisation de backlog.result pour le traitement`));
+    logger.debug(`Utilisation de backlog.result pour le traitement`);
     return backlog.result;
   }
   
   // Structure directe contenant project
   if (backlog.project) {
-    console.log(chalk.yellow(`Utilisation directe du backlog pour le traitement`));
+    logger.debug(`Utilisation directe du backlog pour le traitement`);
     return backlog;
   }
   
   // Structure {result: {project: ...}}
   if (backlog.result?.project) {
-    console.log(chalk.yellow(`Utilisation de backlog.result qui contient project`));
+    logger.debug(`Utilisation de backlog.result qui contient project`);
     return backlog.result;
   }
   
   // Format inconnu mais objet présent - tenter une conversion
-  console.log(chalk.yellow(`Conversion d'une structure inconnue en un format compatible`));
+  logger.debug(`Conversion d'une structure inconnue en un format compatible`);
   return {
     project: {
       title: backlog.name || backlog.title || 'Projet sans titre',
@@ -105,20 +192,21 @@ function determineBacklogStructure(backlog) {
  * Alias de generateMarkdownFilesFromResult pour la compatibilité
  * @param {Object} backlog - Le backlog à formater
  * @param {string} outputDir - Répertoire de sortie
+ * @param {Object} [options] - Options de la génération (onProgress, signal)
  * @returns {Promise<Object>} - Résultat de la génération
  */
-const generateMarkdownFiles = async (backlog, outputDir) => {
-  console.log(chalk.blue('🔠 Generating markdown files using refactored architecture...'));
+const generateMarkdownFiles = async (backlog, outputDir, options = {}) => {
+  logger.debug('Generating markdown files using refactored architecture...');
   
   // Debug des données reçues
-  console.log(chalk.yellow(`Structure du backlog reçu : ${typeof backlog === 'object' ? 'Objet' : typeof backlog}`));
-  console.log(chalk.yellow(`Backlog a success: ${backlog?.success ? 'Oui' : 'Non'}`));
-  console.log(chalk.yellow(`Backlog a result: ${backlog?.result ? 'Oui' : 'Non'}`));
+  logger.debug(`Structure du backlog reçu : ${typeof backlog === 'object' ? 'Objet' : typeof backlog}`);
+  logger.debug(`Backlog a success: ${backlog?.success ? 'Oui' : 'Non'}`);
+  logger.debug(`Backlog a result: ${backlog?.result ? 'Oui' : 'Non'}`);
   
   // Déterminer la structure à traiter
   let dataToProcess = determineBacklogStructure(backlog);
   
-  console.log(chalk.yellow(`Répertoire de sortie: ${outputDir}`));
+  logger.debug(`Répertoire de sortie: ${outputDir}`);
   
   try {
     // Vérifier la structure minimale requise
@@ -130,12 +218,11 @@ const generateMarkdownFiles = async (backlog, outputDir) => {
       dataToProcess.project.title = 'Projet sans titre';
     }
     
-    const genResult = await generateMarkdownFilesFromResult(dataToProcess, outputDir);
-    console.log(chalk.green(`✅ Markdown généré avec succès dans ${outputDir}`));
+    const genResult = await generateMarkdownFilesFromResult(dataToProcess, outputDir, options);
+    logger.info(`Markdown généré avec succès dans ${outputDir}`);
     return genResult;
   } catch (error) {
-    console.error(chalk.red(`❌ Erreur lors de la génération du markdown: ${error.message}`));
-    console.error(chalk.red(error.stack));
+    logger.error(`Erreur lors de la génération du markdown: ${error.message}`, { stack: error.stack });
     throw error;
   }
 };
@@ -178,7 +265,7 @@ function validateBacklogResult(backlog) {
 
     // Vérifier si c'est une structure wrapper MCP avec success/result
     if (backlog.success && backlog.result) {
-      console.log(chalk.blue('📋 Extraction des données depuis un wrapper MCP'));
+      logger.debug('Extraction des données depuis un wrapper MCP');
       backlogData = backlog.result;
     } else {
       // Sinon utiliser directement le backlog
@@ -198,8 +285,7 @@ function validateBacklogResult(backlog) {
     // Succès - le backlog est valide et utilise le format moderne avec 'epics'
     return { valid: true, backlogData };
   } catch (error) {
-    console.error(chalk.red(`❌ Erreur lors de la validation du backlog: ${error.message}`));
-    console.error(chalk.red(error.stack));
+    logger.error(`Erreur lors de la validation du backlog: ${error.message}`, { stack: error.stack });
     return { valid: false, error: `Erreur lors de la validation: ${error.message}` };
   }
 }
@@ -221,4 +307,4 @@ module.exports = {
   createSlug: require('./markdown/utils').createSlug
 };
 
-console.log(chalk.green('✅ Module markdown-generator.js de compatibilité exporté avec succès'));
+logger.debug('Module markdown-generator.js de compatibilité exporté avec succès');
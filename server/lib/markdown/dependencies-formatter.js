@@ -0,0 +1,131 @@
+/**
+ * Module de formatage du graphe des dépendances (planning/dependencies.md)
+ * @module markdown/dependencies-formatter
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { logger } = require('../logger');
+const { markdownInstructions } = require('./utils');
+
+/**
+ * Échappe un libellé de nœud Mermaid (entre guillemets)
+ * @param {string} text - Libellé
+ * @returns {string} Libellé échappé
+ */
+function label(text) {
+  return String(text).replace(/"/g, '#quot;').replace(/\n/g, ' ');
+}
+
+/**
+ * Génère le graphe Mermaid: une flèche va du prérequis vers la story qui en dépend
+ * Les stories sont regroupées par feature; celles prises dans un cycle sont mises en évidence
+ * @param {Array<Object>} nodes - User stories ({ id, title, feature, featureKey, dependencies })
+ * @param {Array<Array<string>>} cycles - Cycles détectés
+ * @param {Array<Object>} orderingIssues - Problèmes d'ordonnancement ({ storyId })
+ * @returns {string} Bloc de code mermaid
+ */
+function generateMermaidGraph(nodes, cycles, orderingIssues) {
+  const lines = ['```mermaid', 'graph TD'];
+  const features = [];
+
+  for (const node of nodes) {
+    let group = features.find(feature => feature.key === node.featureKey);
+    if (!group) {
+      group = { key: node.featureKey, title: node.feature, nodes: [] };
+      features.push(group);
+    }
+    group.nodes.push(node);
+  }
+
+  // Identifiants F1, F2... et S1, S2...: slugs et IDs de stories peuvent contenir des tirets,
+  // des espaces ou des mots réservés (end), mal acceptés par Mermaid. L'ID réel reste dans le libellé.
+  const nodeIds = new Map(nodes.map((node, index) => [node.id, `S${index + 1}`]));
+  const toNodeIds = ids => ids.filter(id => nodeIds.has(id)).map(id => nodeIds.get(id));
+
+  features.forEach((feature, index) => {
+    lines.push(`  subgraph F${index + 1}["${label(feature.title)}"]`);
+    for (const node of feature.nodes) {
+      lines.push(`    ${nodeIds.get(node.id)}["${label(`${node.id}: ${node.title}`)}"]`);
+    }
+    lines.push('  end');
+  });
+
+  for (const node of nodes) {
+    for (const dependency of toNodeIds(node.dependencies)) {
+      lines.push(`  ${dependency} --> ${nodeIds.get(node.id)}`);
+    }
+  }
+
+  const cycleIds = [...new Set(cycles.flat())];
+  const misplacedIds = [...new Set(orderingIssues.map(issue => issue.storyId))].filter(id => !cycleIds.includes(id));
+
+  if (cycleIds.length > 0) {
+    lines.push('  classDef cycle fill:#f8d7da,stroke:#c0392b');
+    lines.push(`  class ${toNodeIds(cycleIds).join(',')} cycle`);
+  }
+  if (misplacedIds.length > 0) {
+    lines.push('  classDef misplaced fill:#fff3cd,stroke:#b7950b');
+    lines.push(`  class ${toNodeIds(misplacedIds).join(',')} misplaced`);
+  }
+
+  lines.push('```');
+  return lines.join('\n');
+}
+
+/**
+ * Génère le contenu de planning/dependencies.md
+ * @param {Object} analysis - Analyse ({ nodes, cycles, orderingIssues, unknownReferences })
+ * @returns {string} Contenu markdown
+ */
+function generateDependenciesMarkdown({ nodes, cycles, orderingIssues, unknownReferences }) {
+  let content = `# Dependencies\n\n${markdownInstructions.dependenciesFileInstructions}\n\n`;
+  content += `## Graph\n\n${generateMermaidGraph(nodes, cycles, orderingIssues)}\n\n`;
+
+  content += '## Cycles\n\n';
+  content += cycles.length > 0
+    ? cycles.map(cycle => `- ${cycle.join(' → ')}`).join('\n')
+    : '_No circular dependency._';
+  content += '\n\n';
+
+  content += '## Scheduling Issues\n\n';
+  content += orderingIssues.length > 0
+    ? orderingIssues.map(issue => (issue.dependencyIteration
+      ? `- ${issue.storyId} (${issue.storyIteration}) depends on ${issue.dependencyId}, scheduled later (${issue.dependencyIteration})`
+      : `- ${issue.storyId} (${issue.storyIteration}) depends on ${issue.dependencyId}, which is not scheduled`)).join('\n')
+    : '_No story is scheduled before its prerequisites._';
+  content += '\n\n';
+
+  if (unknownReferences.length > 0) {
+    content += '## Unknown References\n\n';
+    content += unknownReferences.map(reference => `- ${reference.storyId} → ${reference.dependency}`).join('\n');
+    content += '\n\n';
+  }
+
+  return content;
+}
+
+/**
+ * Écrit planning/dependencies.md
+ * @param {Object} analysis - Analyse ({ nodes, cycles, orderingIssues, unknownReferences })
+ * @param {string} backlogDir - Chemin du répertoire du backlog
+ * @param {Function} [onProgress] - Callback appelé après l'écriture (message)
+ * @returns {Promise<string>} Chemin du fichier écrit
+ */
+async function processDependencies(analysis, backlogDir, onProgress = () => {}) {
+  const planningDir = path.join(backlogDir, 'planning');
+  await fs.ensureDir(planningDir);
+
+  const filePath = path.join(planningDir, 'dependencies.md');
+  await fs.writeFile(filePath, generateDependenciesMarkdown(analysis));
+  logger.debug(`Dependencies document created: ${filePath}`);
+  onProgress(`Graphe des dépendances écrit: ${analysis.cycles.length} cycle(s)`);
+
+  return filePath;
+}
+
+module.exports = {
+  generateMermaidGraph,
+  generateDependenciesMarkdown,
+  processDependencies
+};
@@ -5,7 +5,7 @@
 
 const path = require('path');
 const fs = require('fs-extra');
-const chalk = require('chalk');
+const { logger } = require('../logger');
 const { createSlug, handleMarkdownError, markdownInstructions } = require('./utils');
 const { processFeatures } = require('./feature-formatter');
 
@@ -23,8 +23,14 @@ function generateEpicContent(epic) {
   content += `## Description\n\n${epicDescription}\n\n`;
   content += `## Features\n\n`;
   
-  // Les features seront ajoutées par référence, pas directement ici
-  content += `_Les features associées se trouvent dans le dossier "features"._\n\n`;
+  // Les features sont listées par lien vers leur feature.md
+  const features = epic.features || [];
+  if (features.length > 0) {
+    const links = features.map(feature => `- [${feature.title}](./features/${feature.slug || createSlug(feature.title)}/feature.md)`);
+    content += `${links.join('\n')}\n\n`;
+  } else {
+    content += `_Les features associées se trouvent dans le dossier "features"._\n\n`;
+  }
   
   return content;
 }
@@ -35,9 +41,10 @@ function generateEpicContent(epic) {
  * @param {string} epicsDir - Chemin du répertoire des epics
  * @param {Map} userStoryMap - Map pour suivre les user stories
  * @param {Object} backlogJson - Données JSON du backlog pour référencement
+ * @param {Function} [onProgress] - Callback appelé après chaque fichier écrit (message)
  * @returns {Promise<void>}
  */
-async function processEpic(epic, epicsDir, userStoryMap, backlogJson) {
+async function processEpic(epic, epicsDir, userStoryMap, backlogJson, onProgress = () => {}) {
   const epicTitle = epic.title;
   const epicSlug = createSlug(epicTitle);
   
@@ -52,10 +59,12 @@ async function processEpic(epic, epicsDir, userStoryMap, backlogJson) {
   const epicFilePath = path.join(epicDir, 'epic.md');
   await fs.writeFile(epicFilePath, epicContent);
   
-  console.log(chalk.green(`✓ Epic document created: ${epicFilePath}`));
+  logger.debug(`Epic document created: ${epicFilePath}`);
+  onProgress(`Epic créé: ${epicTitle}`);
   
   // Créer l'entrée JSON de l'epic
   const epicJson = {
+    ...(epic.id && { id: epic.id }),
     title: epicTitle,
     description: epic.description || '',
     slug: epicSlug,
@@ -68,7 +77,7 @@ async function processEpic(epic, epicsDir, userStoryMap, backlogJson) {
   
   // Traiter les features de cet epic
   if (epic.features && Array.isArray(epic.features)) {
-    await processFeatures(epic.features, epicDir, epicTitle, userStoryMap, epicJson);
+    await processFeatures(epic.features, epicDir, epicTitle, userStoryMap, epicJson, onProgress);
   }
 }
 
@@ -78,11 +87,12 @@ async function processEpic(epic, epicsDir, userStoryMap, backlogJson) {
  * @param {string} backlogDir - Chemin du répertoire du backlog
  * @param {Map} userStoryMap - Map pour suivre les user stories
  * @param {Object} backlogJson - Données JSON du backlog pour référencement
+ * @param {Function} [onProgress] - Callback appelé après chaque fichier écrit (message)
  * @returns {Promise<void>}
  */
-async function processEpics(epics, backlogDir, userStoryMap, backlogJson) {
+async function processEpics(epics, backlogDir, userStoryMap, backlogJson, onProgress = () => {}) {
   if (!epics || !Array.isArray(epics) || epics.length === 0) {
-    console.warn(chalk.yellow('⚠️ No epics found, skipping epics processing'));
+    logger.warning('No epics found, skipping epics processing');
     return;
   }
   
@@ -96,7 +106,7 @@ async function processEpics(epics, backlogDir, userStoryMap, backlogJson) {
     
     // Traiter chaque epic
     for (const epic of epics) {
-      await processEpic(epic, epicsDir, userStoryMap, backlogJson);
+      await processEpic(epic, epicsDir, userStoryMap, backlogJson, onProgress);
     }
   } catch (error) {
     throw handleMarkdownError('Error processing epics', error);
@@ -5,9 +5,10 @@
 
 const path = require('path');
 const fs = require('fs-extra');
-const chalk = require('chalk');
+const { logger } = require('../logger');
 const { createSlug, handleMarkdownError, markdownInstructions } = require('./utils');
 const { processUserStories } = require('./story-formatter');
+const { processGherkinFeature } = require('./gherkin-formatter');
 
 /**
  * Génère le contenu d'une feature en markdown
@@ -44,9 +45,10 @@ function generateFeatureContent(feature, epicTitle) {
  * @param {string} epicTitle - Titre de l'epic parent
  * @param {Map} userStoryMap - Map pour suivre les user stories
  * @param {Object} epicJson - Données JSON de l'epic pour référencement
+ * @param {Function} [onProgress] - Callback appelé après chaque fichier écrit (message)
  * @returns {Promise<void>}
  */
-async function processFeature(feature, epicDir, epicTitle, userStoryMap, epicJson) {
+async function processFeature(feature, epicDir, epicTitle, userStoryMap, epicJson, onProgress = () => {}) {
   const featureTitle = feature.title;
   const featureSlug = createSlug(featureTitle);
   
@@ -61,7 +63,8 @@ async function processFeature(feature, epicDir, epicTitle, userStoryMap, epicJso
   const featureFilePath = path.join(featureDir, 'feature.md');
   await fs.writeFile(featureFilePath, featureContent);
   
-  console.log(chalk.green(`✓ Feature document created: ${featureFilePath}`));
+  logger.debug(`Feature document created: ${featureFilePath}`);
+  onProgress(`Feature créée: ${featureTitle}`);
   
   // Créer l'entrée JSON de la feature
   const featureJson = {
@@ -78,7 +81,7 @@ async function processFeature(feature, epicDir, epicTitle, userStoryMap, epicJso
   
   // Traiter les user stories de cette feature
   if (feature.stories && Array.isArray(feature.stories)) {
-    await processUserStories(feature.stories, featureDir, userStoryMap, feature);
+    await processUserStories(feature.stories, featureDir, userStoryMap, feature, onProgress);
     
     // Ajouter les références aux user stories dans le JSON de la feature
     for (const story of feature.stories) {
@@ -92,6 +95,12 @@ async function processFeature(feature, epicDir, epicTitle, userStoryMap, epicJso
         });
       }
     }
+    
+    // Scénarios Gherkin des critères d'acceptation, à côté du markdown
+    const gherkinPath = await processGherkinFeature(feature, feature.stories, featureDir, featureSlug, onProgress);
+    if (gherkinPath) {
+      featureJson.gherkin_path = `./${path.relative(process.cwd(), gherkinPath).replace(/\\/g, '/')}`;
+    }
   }
 }
 
@@ -102,11 +111,12 @@ async function processFeature(feature, epicDir, epicTitle, userStoryMap, epicJso
  * @param {string} epicTitle - Titre de l'epic parent
  * @param {Map} userStoryMap - Map pour suivre les user stories
  * @param {Object} epicJson - Données JSON de l'epic pour référencement
+ * @param {Function} [onProgress] - Callback appelé après chaque fichier écrit (message)
  * @returns {Promise<void>}
  */
-async function processFeatures(features, epicDir, epicTitle, userStoryMap, epicJson) {
+async function processFeatures(features, epicDir, epicTitle, userStoryMap, epicJson, onProgress = () => {}) {
   if (!features || !Array.isArray(features) || features.length === 0) {
-    console.warn(chalk.yellow(`⚠️ No features found for epic "${epicTitle}", skipping features processing`));
+    logger.warning(`No features found for epic "${epicTitle}", skipping features processing`);
     return;
   }
   
@@ -120,7 +130,7 @@ async function processFeatures(features, epicDir, epicTitle, userStoryMap, epicJ
     
     // Traiter chaque feature
     for (const feature of features) {
-      await processFeature(feature, epicDir, epicTitle, userStoryMap, epicJson);
+      await processFeature(feature, epicDir, epicTitle, userStoryMap, epicJson, onProgress);
     }
   } catch (error) {
     throw handleMarkdownError(`Error processing features for epic "${epicTitle}"`, error);
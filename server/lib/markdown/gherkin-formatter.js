@@ -0,0 +1,141 @@
+/**
+ * Module de formatage Gherkin (.feature) des critères d'acceptation
+ * Un fichier par feature, un scénario par critère d'acceptation, tagué avec l'ID de sa user story
+ * @module markdown/gherkin-formatter
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { logger } = require('../logger');
+
+// Mot-clé Gherkin (anglais ou français) en tête d'une étape générée par le LLM
+const STEP_KEYWORD = /^(?:étant donnée?s? (?:que |qu')|étant donnée?s? |given |quand |lorsque |when |alors |then )/i;
+
+// Critère au format texte "Given ..., when ..., then ..." (ou "Étant donné ... Quand ... Alors ...")
+const STRUCTURED_CRITERION = /^(?:given|étant donnée?s?)\s+(.+?),?\s+(?:when|quand|lorsque)\s+(.+?),?\s+(?:then|alors)\s+(.+)$/i;
+
+/**
+ * Retire le mot-clé Gherkin d'une étape
+ * @param {string} step - Étape (ex: "Étant donné que l'utilisateur est connecté")
+ * @returns {string} Étape sans mot-clé
+ */
+function stripStepKeyword(step) {
+  return String(step || '').trim().replace(STEP_KEYWORD, '').trim();
+}
+
+/**
+ * Ramène un critère d'acceptation à ses étapes Given/When/Then
+ * Un critère en texte libre devient un scénario à une seule étape Then
+ * @param {string|Object} criterion - Critère en texte ou objet { given, when, then }
+ * @returns {{given?: string, when?: string, then: string}} Étapes du scénario
+ */
+function normalizeCriterion(criterion) {
+  if (criterion && typeof criterion === 'object') {
+    return {
+      given: stripStepKeyword(criterion.given),
+      when: stripStepKeyword(criterion.when),
+      then: stripStepKeyword(criterion.then)
+    };
+  }
+
+  const match = String(criterion || '').trim().match(STRUCTURED_CRITERION);
+  if (match) {
+    return { given: match[1].trim(), when: match[2].trim(), then: match[3].trim() };
+  }
+
+  return { then: String(criterion || '').trim() };
+}
+
+/**
+ * Texte d'un critère d'acceptation dans le markdown de la user story
+ * Relu par normalizeCriterion, ce texte redonne les mêmes étapes
+ * @param {string|Object} criterion - Critère en texte ou objet { given, when, then }
+ * @returns {string} Texte du critère
+ */
+function formatCriterionText(criterion) {
+  if (!criterion || typeof criterion !== 'object') {
+    return criterion;
+  }
+
+  const { given, when, then } = normalizeCriterion(criterion);
+  return `Given ${given}, when ${when}, then ${then}`;
+}
+
+/**
+ * Génère les lignes d'un scénario
+ * @param {Object} story - User story (id, title)
+ * @param {string|Object} criterion - Critère d'acceptation
+ * @param {number} index - Position du critère dans la user story
+ * @returns {Array<string>} Lignes du scénario
+ */
+function generateScenario(story, criterion, index) {
+  const steps = normalizeCriterion(criterion);
+  const lines = [];
+
+  if (story.id) {
+    lines.push(`  @${story.id}`);
+  }
+  lines.push(`  Scenario: ${story.title} (${index + 1})`);
+  if (steps.given) lines.push(`    Given ${steps.given}`);
+  if (steps.when) lines.push(`    When ${steps.when}`);
+  lines.push(`    Then ${steps.then}`);
+  lines.push('');
+
+  return lines;
+}
+
+/**
+ * Génère le contenu Gherkin d'une feature
+ * @param {Object} feature - Feature (title, description)
+ * @param {Array<Object>} stories - User stories de la feature (id, title, acceptance_criteria)
+ * @returns {string|null} Contenu du fichier .feature, ou null si aucun critère
+ */
+function generateGherkinFeature(feature, stories) {
+  const scenarios = (stories || []).flatMap(story =>
+    (story.acceptance_criteria || []).map((criterion, index) => generateScenario(story, criterion, index)));
+
+  if (scenarios.length === 0) {
+    return null;
+  }
+
+  const description = (feature.description || '').split('\n').filter(line => line.trim()).map(line => `  ${line.trim()}`);
+
+  return [
+    '# Généré par Agile Planner à partir des critères d\'acceptation des user stories',
+    `Feature: ${feature.title}`,
+    ...description,
+    '',
+    ...scenarios.flat()
+  ].join('\n');
+}
+
+/**
+ * Écrit le fichier .feature d'une feature dans son dossier
+ * @param {Object} feature - Feature (title, description)
+ * @param {Array<Object>} stories - User stories de la feature
+ * @param {string} featureDir - Dossier de la feature
+ * @param {string} featureSlug - Slug de la feature (nom du fichier)
+ * @param {Function} [onProgress] - Callback appelé après l'écriture (message)
+ * @returns {Promise<string|null>} Chemin du fichier écrit, ou null si aucun critère
+ */
+async function processGherkinFeature(feature, stories, featureDir, featureSlug, onProgress = () => {}) {
+  const content = generateGherkinFeature(feature, stories);
+
+  if (!content) {
+    return null;
+  }
+
+  const gherkinPath = path.join(featureDir, `${featureSlug}.feature`);
+  await fs.writeFile(gherkinPath, content);
+  logger.debug(`Gherkin feature created: ${gherkinPath}`);
+  onProgress(`Fichier Gherkin créé: ${feature.title}`);
+
+  return gherkinPath;
+}
+
+module.exports = {
+  normalizeCriterion,
+  formatCriterionText,
+  generateGherkinFeature,
+  processGherkinFeature
+};
@@ -5,8 +5,9 @@
 
 const path = require('path');
 const fs = require('fs-extra');
-const chalk = require('chalk');
+const { logger } = require('../logger');
 const { handleMarkdownError } = require('./utils');
+const { CancellationError } = require('../errors');
 const { createEpicFormatter } = require('./epic-formatter');
 const { createFeatureFormatter } = require('./feature-formatter');
 const { createStoryFormatter } = require('./story-formatter');
@@ -31,17 +32,36 @@ function createMarkdownGenerator(options = {}) {
    * Fonction principale pour générer les fichiers markdown
    * @param {Object} result - Résultat structuré de la génération du backlog
    * @param {string} outputDir - Répertoire de sortie
+   * @param {Object} [generationOptions] - Options de la génération
+   * @param {Function} [generationOptions.onProgress] - Callback appelé après chaque fichier écrit
+   * @param {AbortSignal} [generationOptions.signal] - Signal d'annulation, vérifié après chaque fichier écrit
    * @returns {Promise<Object>} - Structure JSON du backlog générée
+   * @throws {CancellationError} Si la génération a été annulée (le dossier créé est supprimé,
+   *   un dossier existant déjà modifié est signalé comme partiellement mis à jour)
    */
-  async function generateMarkdownFilesFromResult(result, outputDir) {
+  async function generateMarkdownFilesFromResult(result, outputDir, generationOptions = {}) {
     if (!result || typeof result !== 'object') {
       throw new Error('Invalid result object provided for markdown generation');
     }
     
     const backlogDir = path.resolve(outputDir);
+    const { signal } = generationOptions;
+    const reportProgress = generationOptions.onProgress || (() => {});
+    
+    // Chaque fichier écrit est aussi un point d'annulation
+    let writtenFiles = 0;
+    const onProgress = (message) => {
+      writtenFiles++;
+      CancellationError.throwIfAborted(signal);
+      reportProgress(message);
+    };
+    
+    const createdBacklogDir = !(await fs.pathExists(backlogDir));
     
     try {
-      console.log(chalk.blue('🔠 Generating markdown files from structured result...'));
+      logger.debug('Generating markdown files from structured result...');
+      
+      CancellationError.throwIfAborted(signal);
       
       // Créer le répertoire de base s'il n'existe pas
       await fs.ensureDir(backlogDir);
@@ -61,26 +81,41 @@ function createMarkdownGenerator(options = {}) {
 
       // Traiter les epics (qui traiteront ensuite les features et user stories)
       if (result.epics) {
-        await epicFormatter.processEpics(result.epics, backlogDir, userStoryMap, backlogJson);
+        await epicFormatter.processEpics(result.epics, backlogDir, userStoryMap, backlogJson, onProgress);
       }
       
       // Traiter les itérations
       if (result.iterations) {
-        await iterationFormatter.processIterations(result.iterations, backlogDir, userStoryMap, backlogJson);
+        await iterationFormatter.processIterations(result.iterations, backlogDir, userStoryMap, backlogJson, onProgress);
       }
       
       // Traiter le MVP s'il existe
       if (result.mvp) {
-        await mvpFormatter.processMVP(result.mvp, backlogDir, userStoryMap, backlogJson);
+        await mvpFormatter.processMVP(result.mvp, backlogDir, userStoryMap, backlogJson, onProgress);
       }
       
+      CancellationError.throwIfAborted(signal);
+      
       // Écrire le fichier backlog.json
       const backlogJsonPath = path.join(backlogDir, 'backlog.json');
       await fs.writeFile(backlogJsonPath, JSON.stringify(backlogJson, null, 2));
-      console.log(chalk.green(`✓ Backlog JSON created: ${backlogJsonPath}`));
+      logger.debug(`Backlog JSON created: ${backlogJsonPath}`);
       
       return backlogJson;
     } catch (error) {
+      if (error instanceof CancellationError) {
+        // Ne pas laisser de dossier backlog à moitié écrit
+        if (createdBacklogDir) {
+          await fs.remove(backlogDir);
+        } else if (writtenFiles > 0) {
+          // Un backlog existant ne peut pas être restauré: les fichiers déjà réécrits côtoient les anciens
+          throw new CancellationError(
+            `${error.message}. Le backlog existant a pu être partiellement mis à jour: ${backlogDir}`,
+            { ...error.details, backlogDir, partiallyUpdated: true }
+          );
+        }
+        throw error;
+      }
       throw handleMarkdownError('Error generating markdown files', error);
     }
   }
@@ -5,7 +5,7 @@
 
 const path = require('path');
 const fs = require('fs-extra');
-const chalk = require('chalk');
+const { logger } = require('../logger');
 const { createSlug, handleMarkdownError, markdownInstructions } = require('./utils');
 
 /**
@@ -50,7 +50,7 @@ function processIterationStory(story, userStoryMap) {
     storyJson.path = storyInfo.relativePath;
   } else {
     // Story orpheline
-    console.warn(chalk.yellow(`⚠️ Iteration story "${storyTitle}" not found in any epic/feature`));
+    logger.warning(`Iteration story "${storyTitle}" not found in any epic/feature`);
     storyContent += `- ${storyPrefix}${storyTitle} (Warning: This story is not defined in any epic/feature)\n`;
     storyContent += `  - Description: ${story.description || ''}\n`;
     storyContent += `  - Priority: ${story.priority || ''}\n`;
@@ -64,10 +64,14 @@ function processIterationStory(story, userStoryMap) {
  * Génère l'entête d'une itération
  * @param {string} iterationName - Nom de l'itération
  * @param {string} goal - Objectif de l'itération
+ * @param {number} [totalPoints] - Total des story points de l'itération (après estimation)
+ * @param {Object} [dates] - Dates du sprint planifié par planSprints ({ start, end }, format YYYY-MM-DD)
  * @returns {string} - Contenu markdown de l'entête
  */
-function generateIterationHeader(iterationName, goal) {
-  return `# Iteration: ${iterationName}\n\n${markdownInstructions.iterationFileInstructions}\n## Goal\n\n${goal}\n\n## User Stories\n\n`;
+function generateIterationHeader(iterationName, goal, totalPoints, dates) {
+  const schedule = dates?.start ? `**Dates:** ${dates.start} → ${dates.end}\n\n` : '';
+  const points = totalPoints !== undefined ? `**Total Points:** ${totalPoints}\n\n` : '';
+  return `# Iteration: ${iterationName}\n\n${markdownInstructions.iterationFileInstructions}\n## Goal\n\n${goal}\n\n${schedule}${points}## User Stories\n\n`;
 }
 
 /**
@@ -76,9 +80,10 @@ function generateIterationHeader(iterationName, goal) {
  * @param {string} backlogDir - Répertoire de base du backlog
  * @param {Map} userStoryMap - Map des user stories
  * @param {Object} backlogJson - Structure JSON du backlog
+ * @param {Function} [onProgress] - Callback appelé après chaque fichier écrit (message)
  * @returns {Promise<void>}
  */
-async function processIteration(iteration, backlogDir, userStoryMap, backlogJson) {
+async function processIteration(iteration, backlogDir, userStoryMap, backlogJson, onProgress = () => {}) {
   const iterationName = iteration.name;
   const iterationSlug = createSlug(iterationName);
   
@@ -89,7 +94,8 @@ async function processIteration(iteration, backlogDir, userStoryMap, backlogJson
   await fs.ensureDir(paths.directory);
   
   // Initialiser le contenu et les données JSON
-  let iterationContent = generateIterationHeader(iterationName, iteration.goal);
+  let iterationContent = generateIterationHeader(iterationName, iteration.goal, iteration.total_points,
+    { start: iteration.start_date, end: iteration.end_date });
   
   const iterationJson = {
     name: iterationName,
@@ -98,6 +104,11 @@ async function processIteration(iteration, backlogDir, userStoryMap, backlogJson
     stories: []
   };
   
+  // Dates et capacité posées par planSprints
+  if (iteration.start_date) {
+    Object.assign(iterationJson, { start_date: iteration.start_date, end_date: iteration.end_date, capacity: iteration.capacity });
+  }
+  
   // Traiter les stories de l'itération
   if (iteration.stories && Array.isArray(iteration.stories)) {
     for (const story of iteration.stories) {
@@ -109,7 +120,8 @@ async function processIteration(iteration, backlogDir, userStoryMap, backlogJson
   
   // Écrire le fichier d'itération
   await fs.writeFile(paths.filePath, iterationContent);
-  console.log(chalk.green(`✓ Iteration document created: ${paths.filePath}`));
+  logger.debug(`Iteration document created: ${paths.filePath}`);
+  onProgress(`Itération créée: ${iterationName}`);
   
   // Ajouter au backlog JSON
   iterationJson.path = paths.relativePath;
@@ -122,12 +134,13 @@ async function processIteration(iteration, backlogDir, userStoryMap, backlogJson
  * @param {string} backlogDir - Base backlog directory
  * @param {Map} userStoryMap - Map to track user stories
  * @param {Object} backlogJson - Backlog JSON structure
+ * @param {Function} [onProgress] - Callback called after each file is written (message)
  * @returns {Promise<void>}
  */
-async function processIterations(iterations, backlogDir, userStoryMap, backlogJson) {
+async function processIterations(iterations, backlogDir, userStoryMap, backlogJson, onProgress = () => {}) {
   // Validation initiale
   if (!iterations || !Array.isArray(iterations) || iterations.length === 0) {
-    console.warn(chalk.yellow('⚠️ No iterations found, skipping iterations processing'));
+    logger.warning('No iterations found, skipping iterations processing');
     return;
   }
   
@@ -137,7 +150,7 @@ async function processIterations(iterations, backlogDir, userStoryMap, backlogJs
   try {
     // Traiter chaque itération
     for (const iteration of iterations) {
-      await processIteration(iteration, backlogDir, userStoryMap, backlogJson);
+      await processIteration(iteration, backlogDir, userStoryMap, backlogJson, onProgress);
     }
   } catch (error) {
     throw handleMarkdownError('Error processing iterations', error);
@@ -5,7 +5,7 @@
 
 const path = require('path');
 const fs = require('fs-extra');
-const chalk = require('chalk');
+const { logger } = require('../logger');
 const { createSlug, handleMarkdownError, markdownInstructions } = require('./utils');
 
 /**
@@ -32,7 +32,7 @@ function processMvpStory(story, userStoryMap) {
     storyJson.path = storyInfo.relativePath;
   } else {
     // Story orpheline
-    console.warn(chalk.yellow(`⚠️ MVP story "${storyTitle}" not found in any epic/feature`));
+    logger.warning(`MVP story "${storyTitle}" not found in any epic/feature`);
     storyContent += `- ${storyPrefix}${storyTitle} (Warning: This story is not defined in any epic/feature)\n`;
     storyContent += `  - Description: ${story.description || ''}\n`;
     storyContent += `  - Priority: ${story.priority || ''}\n`;
@@ -58,12 +58,13 @@ function generateMvpHeader(mvpTitle, description) {
  * @param {string} backlogDir - Chemin du répertoire du backlog
  * @param {Map} userStoryMap - Map des user stories
  * @param {Object} backlogJson - Données JSON du backlog pour référencement
+ * @param {Function} [onProgress] - Callback appelé après chaque fichier écrit (message)
  * @returns {Promise<void>}
  */
-async function processMVP(mvp, backlogDir, userStoryMap, backlogJson) {
+async function processMVP(mvp, backlogDir, userStoryMap, backlogJson, onProgress = () => {}) {
   // Si pas de MVP, on ignore
   if (!mvp || !mvp.title || (!mvp.stories || !Array.isArray(mvp.stories) || mvp.stories.length === 0)) {
-    console.warn(chalk.yellow('⚠️ No MVP defined or empty MVP, skipping MVP processing'));
+    logger.warning('No MVP defined or empty MVP, skipping MVP processing');
     return;
   }
   
@@ -95,7 +96,8 @@ async function processMVP(mvp, backlogDir, userStoryMap, backlogJson) {
     const mvpFilePath = path.join(mvpDir, 'mvp.md');
     await fs.writeFile(mvpFilePath, mvpContent);
     
-    console.log(chalk.green(`✓ MVP document created: ${mvpFilePath}`));
+    logger.debug(`MVP document created: ${mvpFilePath}`);
+    onProgress(`MVP créé: ${mvpTitle}`);
     
     // Ajouter au backlog JSON
     mvpJson.path = `./${path.relative(backlogDir, mvpFilePath).replace(/\\/g, '/')}`;
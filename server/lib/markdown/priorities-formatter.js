@@ -0,0 +1,103 @@
+/**
+ * Module de formatage du classement des priorités (planning/priorities.md)
+ * @module markdown/priorities-formatter
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { logger } = require('../logger');
+const { markdownInstructions } = require('./utils');
+
+/**
+ * Échappe une valeur pour une cellule de tableau markdown
+ * @param {*} value - Valeur de la cellule
+ * @returns {string} Texte de la cellule
+ */
+function cell(value) {
+  return String(value === undefined || value === null ? '' : value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Génère un tableau classé
+ * @param {Array<string>} headers - En-têtes des colonnes avant les facteurs
+ * @param {Object} framework - Cadre de priorisation ({ factors })
+ * @param {Array<Object>} items - Éléments classés ({ rank, columns, factors, score })
+ * @returns {string} Tableau markdown
+ */
+function generateRankingTable(headers, framework, items) {
+  const factorKeys = Object.keys(framework.factors);
+  const allHeaders = ['Rank', ...headers, ...factorKeys.map(key => framework.factors[key].label), 'Score'];
+
+  const rows = items.map(item => [
+    item.rank,
+    ...item.columns,
+    ...factorKeys.map(key => item.factors[key]),
+    item.score
+  ].map(cell).join(' | '));
+
+  return [
+    `| ${allHeaders.join(' | ')} |`,
+    `| ${allHeaders.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row} |`)
+  ].join('\n');
+}
+
+/**
+ * Génère le contenu de planning/priorities.md
+ * @param {Object} framework - Cadre de priorisation ({ label, formula, factors })
+ * @param {Object} ranking - Classement ({ stories, features, unscored })
+ * @returns {string} Contenu markdown
+ */
+function generatePrioritiesMarkdown(framework, ranking) {
+  let content = `# Priorities: ${framework.label}\n\n${markdownInstructions.prioritiesFileInstructions}\n\n`;
+  content += `## Method\n\n${framework.formula}\n\n`;
+
+  content += '## User Stories\n\n';
+  content += generateRankingTable(['User Story', 'Feature'], framework, ranking.stories.map(story => ({
+    ...story,
+    columns: [`[${story.id}: ${story.title}](${story.link})`, story.feature]
+  })));
+  content += '\n\n';
+
+  if (ranking.features.length > 0) {
+    content += '## Features\n\n';
+    content += generateRankingTable(['Feature', 'Epic'], framework, ranking.features.map(feature => ({
+      ...feature,
+      columns: [`[${feature.title}](${feature.link})`, feature.epic]
+    })));
+    content += '\n\n';
+  }
+
+  if (ranking.unscored.length > 0) {
+    content += '## Not Scored\n\n';
+    content += ranking.unscored.map(item => `- ${item}`).join('\n');
+    content += '\n\n';
+  }
+
+  return content;
+}
+
+/**
+ * Écrit planning/priorities.md
+ * @param {Object} framework - Cadre de priorisation
+ * @param {Object} ranking - Classement ({ stories, features, unscored })
+ * @param {string} backlogDir - Chemin du répertoire du backlog
+ * @param {Function} [onProgress] - Callback appelé après l'écriture (message)
+ * @returns {Promise<string>} Chemin du fichier écrit
+ */
+async function processPriorities(framework, ranking, backlogDir, onProgress = () => {}) {
+  const planningDir = path.join(backlogDir, 'planning');
+  await fs.ensureDir(planningDir);
+
+  const filePath = path.join(planningDir, 'priorities.md');
+  await fs.writeFile(filePath, generatePrioritiesMarkdown(framework, ranking));
+  logger.debug(`Priorities document created: ${filePath}`);
+  onProgress(`Priorités écrites: ${ranking.stories.length} user stories classées`);
+
+  return filePath;
+}
+
+module.exports = {
+  generatePrioritiesMarkdown,
+  processPriorities
+};
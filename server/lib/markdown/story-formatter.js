@@ -5,8 +5,9 @@
 
 const path = require('path');
 const fs = require('fs-extra');
-const chalk = require('chalk');
+const { logger } = require('../logger');
 const { createSlug, handleMarkdownError, markdownInstructions } = require('./utils');
+const { formatCriterionText } = require('./gherkin-formatter');
 
 /**
  * Classe Builder pour construire un document markdown de user story
@@ -20,13 +21,28 @@ class UserStoryBuilder {
     this.id = userStory.id || '';
     this.title = userStory.title || '';
     this.description = userStory.description || '';
-    this.acceptanceCriteria = userStory.acceptance_criteria || [];
+    // Critères { given, when, then } (generateFeature) écrits en une ligne, relue par le formateur Gherkin
+    this.acceptanceCriteria = (userStory.acceptance_criteria || []).map(formatCriterionText);
     this.tasks = userStory.tasks || [];
     this.priority = userStory.priority || '';
+    this.status = userStory.status || '';
     this.dependencies = userStory.dependencies || [];
+    this.storyPoints = userStory.story_points;
+    this.estimationRationale = userStory.estimation_rationale || '';
+    // Cases déjà cochées par l'équipe: { description, acceptance_criteria: [...], tasks: [...] }
+    this.checked = userStory.checked || {};
     this.lines = [];
   }
 
+  /**
+   * Retourne la case à cocher d'un élément
+   * @param {boolean} isChecked - true si l'élément est coché
+   * @returns {string} Case markdown
+   */
+  checkbox(isChecked) {
+    return isChecked ? '- [x]' : '- [ ]';
+  }
+
   /**
    * Ajoute l'en-tête de la user story
    * @returns {UserStoryBuilder} - L'instance courante pour chaînage
@@ -43,7 +59,7 @@ class UserStoryBuilder {
    */
   withDescription() {
     this.lines.push('## Description');
-    this.lines.push(`- [ ] ${this.description}`);
+    this.lines.push(`${this.checkbox(this.checked.description)} ${this.description}`);
     this.lines.push('');
     return this;
   }
@@ -54,8 +70,9 @@ class UserStoryBuilder {
    */
   withAcceptanceCriteria() {
     this.lines.push('### Acceptance Criteria');
+    const checkedCriteria = this.checked.acceptance_criteria || [];
     for (const criteria of this.acceptanceCriteria) {
-      this.lines.push(`- [ ] ${criteria}`);
+      this.lines.push(`${this.checkbox(checkedCriteria.includes(criteria))} ${criteria}`);
     }
     this.lines.push('');
     return this;
@@ -67,27 +84,42 @@ class UserStoryBuilder {
    */
   withTasks() {
     this.lines.push('### Technical Tasks');
+    const checkedTasks = this.checked.tasks || [];
     for (const task of this.tasks) {
-      this.lines.push(`- [ ] ${task}`);
+      this.lines.push(`${this.checkbox(checkedTasks.includes(task))} ${task}`);
     }
     this.lines.push('');
     return this;
   }
 
   /**
-   * Ajoute la section des métadonnées (priorité, dépendances)
+   * Ajoute la section des métadonnées (priorité, statut, dépendances, estimation)
    * @returns {UserStoryBuilder} - L'instance courante pour chaînage
    */
   withMetadata() {
+    const metadataStart = this.lines.length;
+    
     if (this.priority) {
       this.lines.push(`**Priority:** ${this.priority}`);
     }
     
+    if (this.status) {
+      this.lines.push(`**Status:** ${this.status}`);
+    }
+    
     if (this.dependencies && this.dependencies.length > 0) {
       this.lines.push(`**Dependencies:** ${this.dependencies.join(', ')}`);
     }
     
-    if (this.priority || (this.dependencies && this.dependencies.length > 0)) {
+    if (this.storyPoints !== undefined && this.storyPoints !== null) {
+      this.lines.push(`**Story Points:** ${this.storyPoints}`);
+    }
+    
+    if (this.estimationRationale) {
+      this.lines.push(`**Estimation Rationale:** ${this.estimationRationale}`);
+    }
+    
+    if (this.lines.length > metadataStart) {
       this.lines.push('');
     }
     return this;
@@ -101,6 +133,7 @@ class UserStoryBuilder {
     this.lines.push('## 🤖 User Story Instructions for AI');
     this.lines.push('');
     this.lines.push('Lorsque vous travaillez avec cette User Story:');
+    this.lines.push('- Si l\'outil MCP updateStoryStatus est disponible, utilisez-le pour changer le statut et cocher tâches et critères (par numéro ou texte)');
     this.lines.push('- Mettez à jour le statut des tâches en remplaçant [ ] par [x] lorsqu\'elles sont terminées');
     this.lines.push('- Mettez à jour le statut des critères d\'acceptation en remplaçant [ ] par [x] lorsqu\'ils sont validés');
     this.lines.push('- Vérifiez les liens vers la feature parent et les dépendances avant de commencer');
@@ -139,17 +172,164 @@ function formatUserStory(userStory) {
     .build();
 }
 
+/**
+ * Relit le markdown d'une user story écrit par formatUserStory
+ * Les cases cochées sont restituées dans checked pour pouvoir réécrire le fichier sans les perdre
+ * @param {string} markdown - Contenu du fichier de la user story
+ * @returns {Object} User story { id, title, description, acceptance_criteria, tasks, priority, dependencies,
+ *   status?, story_points?, estimation_rationale?, checked }
+ */
+function parseUserStory(markdown) {
+  const story = {
+    id: '',
+    title: '',
+    description: '',
+    acceptance_criteria: [],
+    tasks: [],
+    priority: '',
+    dependencies: [],
+    checked: { description: false, acceptance_criteria: [], tasks: [] }
+  };
+  const sectionKeys = {
+    'description': 'description',
+    'acceptance criteria': 'acceptance_criteria',
+    'technical tasks': 'tasks'
+  };
+  let section = null;
+
+  for (const line of markdown.split(/\r?\n/)) {
+    const header = line.match(/^# User Story ([^:]*):\s*(.*)$/);
+    const heading = line.match(/^#{2,3}\s+(.*)$/);
+    const item = line.match(/^- \[( |x|X)\]\s?(.*)$/);
+    const metadata = line.match(/^\*\*(Priority|Status|Dependencies|Story Points|Estimation Rationale):\*\*\s*(.*)$/);
+
+    if (header) {
+      story.id = header[1].trim();
+      story.title = header[2].trim();
+    } else if (heading) {
+      section = sectionKeys[heading[1].trim().toLowerCase()] || null;
+    } else if (item && section) {
+      const text = item[2].trim();
+      const isChecked = item[1] !== ' ';
+
+      if (section === 'description') {
+        story.description = text;
+        story.checked.description = isChecked;
+      } else {
+        story[section].push(text);
+        if (isChecked) story.checked[section].push(text);
+      }
+    } else if (metadata) {
+      if (metadata[1] === 'Priority') {
+        story.priority = metadata[2].trim();
+      } else if (metadata[1] === 'Status') {
+        story.status = metadata[2].trim();
+      } else if (metadata[1] === 'Dependencies') {
+        story.dependencies = metadata[2].split(',').map(dependency => dependency.trim()).filter(Boolean);
+      } else if (metadata[1] === 'Story Points') {
+        story.story_points = Number(metadata[2]);
+      } else {
+        story.estimation_rationale = metadata[2].trim();
+      }
+    }
+  }
+
+  return story;
+}
+
+/**
+ * Libellés des métadonnées d'une user story, dans l'ordre où formatUserStory les écrit
+ */
+const METADATA_LABELS = {
+  priority: 'Priority',
+  status: 'Status',
+  dependencies: 'Dependencies',
+  story_points: 'Story Points',
+  estimation_rationale: 'Estimation Rationale'
+};
+
+/**
+ * Met à jour le markdown d'une user story sans le régénérer
+ * Seules les cases des critères et tâches visés et les lignes de métadonnées fournies changent:
+ * description sur plusieurs lignes, sections ajoutées par l'équipe et mise en forme sont conservées.
+ * Une métadonnée absente du fichier est insérée à sa place dans l'ordre de formatUserStory.
+ * @param {string} markdown - Contenu du fichier de la user story
+ * @param {Object} changes - Modifications
+ * @param {Object} [changes.checked] - Éléments cochés par section ({ acceptance_criteria?, tasks? }),
+ *   les autres éléments de la section sont décochés
+ * @param {string} [changes.status] - Statut
+ * @param {Array<string>} [changes.dependencies] - Dépendances (liste vide: ligne supprimée)
+ * @param {number} [changes.story_points] - Story points
+ * @param {string} [changes.estimation_rationale] - Justification de l'estimation
+ * @returns {string} Markdown mis à jour
+ */
+function updateUserStoryMarkdown(markdown, changes) {
+  const newline = markdown.includes('\r\n') ? '\r\n' : '\n';
+  const lines = markdown.split(/\r?\n/);
+  const sectionKeys = { 'acceptance criteria': 'acceptance_criteria', 'technical tasks': 'tasks' };
+  const checked = changes.checked || {};
+  let section = null;
+
+  lines.forEach((line, index) => {
+    const heading = line.match(/^#{2,3}\s+(.*)$/);
+    const item = line.match(/^- \[( |x|X)\](\s?)(.*)$/);
+
+    if (heading) {
+      section = sectionKeys[heading[1].trim().toLowerCase()] || null;
+    } else if (item && section && checked[section]) {
+      const isChecked = checked[section].includes(item[3].trim());
+      if (isChecked !== (item[1] !== ' ')) {
+        lines[index] = `- [${isChecked ? 'x' : ' '}]${item[2]}${item[3]}`;
+      }
+    }
+  });
+
+  const keys = Object.keys(METADATA_LABELS);
+  const findMetadata = key => lines.findIndex(line => line.startsWith(`**${METADATA_LABELS[key]}:**`));
+
+  for (const key of keys.filter(metadataKey => changes[metadataKey] !== undefined)) {
+    const value = Array.isArray(changes[key]) ? changes[key].join(', ') : changes[key];
+    const index = findMetadata(key);
+
+    if (value === '' || value === null) {
+      if (index !== -1) lines.splice(index, 1);
+      continue;
+    }
+
+    const line = `**${METADATA_LABELS[key]}:** ${value}`;
+    if (index !== -1) {
+      lines[index] = line;
+      continue;
+    }
+
+    // Après la métadonnée précédente, sinon avant la suivante, sinon avant les instructions pour l'IA
+    const previous = keys.slice(0, keys.indexOf(key)).map(findMetadata).filter(position => position !== -1).pop();
+    const next = keys.slice(keys.indexOf(key) + 1).map(findMetadata).find(position => position !== -1);
+    if (previous !== undefined) {
+      lines.splice(previous + 1, 0, line);
+    } else if (next !== undefined) {
+      lines.splice(next, 0, line);
+    } else {
+      const instructions = lines.findIndex(text => text.startsWith('## 🤖'));
+      lines.splice(instructions === -1 ? lines.length : instructions, 0, line, '');
+    }
+  }
+
+  return lines.join(newline);
+}
+
 /**
  * Traite les user stories et crée les fichiers markdown correspondants
  * @param {Array} stories - Liste des user stories à traiter
  * @param {string} featureDir - Chemin du répertoire de la feature parente
  * @param {Map} userStoryMap - Map pour suivre les user stories générées
  * @param {Object} feature - Objet feature parent
+ * @param {Function} [onProgress] - Callback appelé après chaque fichier écrit (message)
  * @returns {Promise<void>}
  */
-async function processUserStories(stories, featureDir, userStoryMap, feature) {
+async function processUserStories(stories, featureDir, userStoryMap, feature, onProgress = () => {}) {
   if (!stories || !Array.isArray(stories) || stories.length === 0) {
-    console.warn(chalk.yellow('⚠️ No user stories found, skipping user stories processing'));
+    logger.warning('No user stories found, skipping user stories processing');
     return;
   }
 
@@ -160,7 +340,7 @@ async function processUserStories(stories, featureDir, userStoryMap, feature) {
 
     // Traiter chaque user story
     for (const story of stories) {
-      await processUserStory(story, userStoriesDir, userStoryMap, feature);
+      await processUserStory(story, userStoriesDir, userStoryMap, feature, onProgress);
     }
   } catch (error) {
     throw handleMarkdownError(`Error processing user stories`, error);
@@ -173,9 +353,10 @@ async function processUserStories(stories, featureDir, userStoryMap, feature) {
  * @param {string} userStoriesDir - Répertoire des user stories
  * @param {Map} userStoryMap - Map pour suivre les user stories
  * @param {Object} feature - Feature parente
+ * @param {Function} [onProgress] - Callback appelé après chaque fichier écrit (message)
  * @returns {Promise<void>}
  */
-async function processUserStory(story, userStoriesDir, userStoryMap, feature) {
+async function processUserStory(story, userStoriesDir, userStoryMap, feature, onProgress = () => {}) {
   const storyTitle = story.title;
   const storyId = story.id || '';
   const storySlug = createSlug(storyTitle);
@@ -188,7 +369,8 @@ async function processUserStory(story, userStoriesDir, userStoryMap, feature) {
   
   // Écrire le fichier
   await fs.writeFile(storyPath, storyContent);
-  console.log(chalk.green(`✓ User story document created: ${storyPath}`));
+  logger.debug(`User story document created: ${storyPath}`);
+  onProgress(`User story créée: ${storyId ? storyId + ' ' : ''}${storyTitle}`);
   
   // Tracker cette user story dans la map
   const relativePath = `./${path.relative(process.cwd(), storyPath).replace(/\\/g, '/')}`;
@@ -225,6 +407,8 @@ function createStoryFormatter(options = {}) {
 module.exports = {
   createStoryFormatter,
   formatUserStory,
+  parseUserStory,
+  updateUserStoryMarkdown,
   processUserStories,
   UserStoryBuilder
 };
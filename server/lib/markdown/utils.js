@@ -5,7 +5,8 @@
 
 const path = require('path');
 const fs = require('fs-extra');
-const chalk = require('chalk');
+const { logger } = require('../logger');
+const { CancellationError } = require('../errors');
 
 // Instructions markdown partagées
 const markdownInstructions = {
@@ -26,7 +27,15 @@ Vous pouvez accéder aux User Stories en cliquant sur les liens.`,
 
   mvpFileInstructions: `Ce document est généré par Agile Planner et définit le Minimum Viable Product (MVP).
 Il regroupe les User Stories essentielles pour une première version fonctionnelle.
-Vous pouvez accéder aux User Stories en cliquant sur les liens.`
+Vous pouvez accéder aux User Stories en cliquant sur les liens.`,
+
+  prioritiesFileInstructions: `Ce document est généré par Agile Planner et classe les User Stories et les Features par priorité.
+Les facteurs de chaque élément ont été proposés par l'IA et sont conservés dans backlog.json.
+Vous pouvez accéder aux User Stories en cliquant sur les liens.`,
+
+  dependenciesFileInstructions: `Ce document est généré par Agile Planner et représente les dépendances entre User Stories.
+Dans le graphe, une flèche va du prérequis vers la User Story qui en dépend.
+Les dépendances sont écrites dans le fichier de chaque User Story (champ Dependencies).`
 };
 
 /**
@@ -37,7 +46,7 @@ Vous pouvez accéder aux User Stories en cliquant sur les liens.`
 function createSlug(title) {
   // Protection contre les valeurs null ou undefined
   if (!title) {
-    console.warn(chalk.yellow("⚠️ Tentative de création d'un slug avec une valeur undefined ou null. Utilisation d'un slug par défaut."));
+    logger.warning("Tentative de création d'un slug avec une valeur undefined ou null. Utilisation d'un slug par défaut.");
     return 'untitled-item';
   }
   
@@ -50,13 +59,18 @@ function createSlug(title) {
 
 /**
  * Lance un message d'erreur formaté et renvoie l'erreur
+ * Une annulation est renvoyée telle quelle pour rester reconnaissable par l'appelant
  * @param {string} message - Message d'erreur
  * @param {Error} error - Objet erreur original (optionnel)
- * @returns {Error} - Erreur formatée
+ * @returns {Error} - Erreur formatée, ou l'annulation d'origine
  */
 function handleMarkdownError(message, error = null) {
+  if (error instanceof CancellationError) {
+    return error;
+  }
+
   const errorMessage = error ? `${message}: ${error.message}` : message;
-  console.error(chalk.red(`❌ ${errorMessage}`));
+  logger.error(errorMessage);
   return new Error(errorMessage);
 }
 
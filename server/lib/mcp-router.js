@@ -3,47 +3,17 @@
  * Gère l'ensemble des handlers MCP selon la spécification 2025-03
  * @module mcp-router
  * @requires errors
- * @requires api-client
- * @requires tool-schemas
+ * @requires tool-registry
  */
 
-const path = require('path');
-const chalk = require('chalk');
-const { McpError, ValidationError } = require('./errors');
-const apiClient = require('./api-client');
-const toolSchemas = require('./tool-schemas');
+const { logger } = require('./logger');
+const { McpError } = require('./errors');
+const { toolRegistry } = require('./tool-registry');
+const backlogResources = require('./backlog-resources');
+const backlogPrompts = require('./backlog-prompts');
+const { completeArgument } = require('./backlog-completions');
 const packageInfo = require('../../package.json');
-
-// Importer les nouvelles classes utilitaires
-const { PathResolver } = require('./utils/path-resolver');
-
-// Fonctions à importer dynamiquement pour éviter les dépendances circulaires
-let generateBacklog, generateFeature, markdownTools;
-
-// Fonction utilitaire pour la création de slugs
-function slugify(text) {
-  return text.toString().toLowerCase()
-    .replace(/\s+/g, '-')           // Remplace les espaces par -
-    .replace(/[^\w-]+/g, '')        // Supprime tous les caractères non-word
-    .replace(/--+/g, '-')           // Remplace plusieurs - par un seul -
-    .replace(/^-+/, '')             // Supprime - au début
-    .replace(/-+$/, '');            // Supprime - à la fin
-}
-
-/**
- * Importe dynamiquement les modules de génération
- * @private
- */
-function loadGenerators() {
-  if (!generateBacklog) {
-    try {
-      generateBacklog = require('./backlog-generator').generateBacklog;
-      generateFeature = require('./feature-generator').generateFeature;
-    } catch (error) {
-      process.stderr.write(`[ERROR] Impossible de charger les générateurs: ${error.message}\n`);
-    }
-  }
-}
+const { resolveBacklogDir } = require('./utils/backlog-reader');
 
 /**
  * Handler pour la méthode initialize
@@ -57,12 +27,15 @@ function handleInitialize(req) {
   // Utilisation de chaînes optionnelles pour éviter les erreurs
   if (req?.params?.protocolVersion) {
     clientVersion = req.params.protocolVersion;
-    process.stderr.write(`Initialize request with protocol version: ${clientVersion}\n`);
+    logger.debug(`Initialize request with protocol version: ${clientVersion}`);
   }
   
   // Adapter les capabilities selon la version
   const capabilities = {
-    tools: true
+    tools: true,
+    resources: {},
+    prompts: {},
+    completions: {}
   };
   
   // Pour les versions 2024-11-05 et ultérieures, ajouter toolsSupport
@@ -71,7 +44,7 @@ function handleInitialize(req) {
   }
   
   // Log de la version
-  process.stderr.write(`Initialize request id: ${req?.id || 'unknown'}\n`);
+  logger.debug(`Initialize request id: ${req?.id || 'unknown'}`);
   
   const response = {
     protocolVersion: clientVersion, // Utiliser la même version que le client
@@ -83,13 +56,13 @@ function handleInitialize(req) {
     }
   };
   
-  process.stderr.write(`Initialize response sent for id: ${req?.id || 'unknown'}\n`);
+  logger.debug(`Initialize response sent for id: ${req?.id || 'unknown'}`);
   return response;
 }
 
 /**
  * Handler pour la méthode tools/list
- * @returns {Object} Liste des outils disponibles avec leur schéma d'entrée
+ * @returns {Object} Liste des outils du registre avec leur schéma d'entrée
  * @example
  * // Réponse attendue:
  * {
@@ -105,18 +78,7 @@ function handleInitialize(req) {
  */
 function handleToolsList() {
   return {
-    tools: [
-      {
-        name: 'generateBacklog',
-        description: "Génère un backlog agile complet à partir de la description d'un projet",
-        inputSchema: toolSchemas.generateBacklogSchema
-      },
-      {
-        name: 'generateFeature',
-        description: "Génère une fonctionnalité avec ses user stories à partir d'une description",
-        inputSchema: toolSchemas.generateFeatureSchema
-      }
-    ]
+    tools: toolRegistry.listDefinitions()
   };
 }
 
@@ -129,18 +91,10 @@ function handleToolsList() {
  * @throws {McpError} Si l'outil n'existe pas ou si une erreur survient
  */
 async function handleToolsCall(req) {
-  loadGenerators();
-  
   const { name, arguments: args } = req.params;
   
   try {
-    if (name === 'generateBacklog') {
-      return await handleGenerateBacklog(args);
-    } else if (name === 'generateFeature') {
-      return await handleGenerateFeature(args);
-    } else {
-      throw new McpError(`Outil '${name}' non trouvé`);
-    }
+    return await toolRegistry.invoke(name, args || {});
   } catch (error) {
     if (error instanceof McpError) {
       throw error;
@@ -150,169 +104,85 @@ async function handleToolsCall(req) {
 }
 
 /**
- * Handler pour l'outil generateBacklog
- * @param {Object} args - Arguments de l'outil
- * @param {string} args.projectName - Nom du projet
- * @param {string} args.projectDescription - Description du projet
- * @param {string} [args.outputPath] - Chemin de sortie pour les fichiers générés
- * @returns {Promise<Object>} Résultat de la génération au format MCP
- * @throws {ValidationError} Si des paramètres requis sont manquants
+ * Handler pour la méthode resources/list
+ * @param {Object} [req] - Requête MCP
+ * @param {Object} [options] - Options de la session
+ * @param {Array<string>} [options.roots] - Dossiers racines déclarés par le client
+ * @returns {Promise<Object>} Liste des fichiers du backlog exposés comme ressources
+ * @example
+ * // Réponse attendue:
+ * {
+ *   resources: [
+ *     { uri: 'agile-planner://backlog', name: 'backlog.json', mimeType: 'application/json' },
+ *     { uri: 'agile-planner://epics/gestion-utilisateurs', name: 'gestion-utilisateurs', mimeType: 'text/markdown' },
+ *     // Autres ressources...
+ *   ]
+ * }
  */
-async function handleGenerateBacklog(args) {
-  // Validation
-  const { projectName, projectDescription, outputPath } = args;
-  
-  if (!projectName || !projectDescription) {
-    throw new ValidationError('Le nom et la description du projet sont requis');
-  }
-  
-  // Initialiser le PathResolver pour gérer les chemins
-  const pathResolver = new PathResolver();
-  
-  // Génération du backlog
-  const client = apiClient.getClient();
-  const result = await generateBacklog(
-    projectDescription, 
-    client
-  );
-  
-  // Sauvegarde et génération des fichiers
-  const markdownGenerator = require('./markdown-generator');
-  if (result.success) {
-    try {
-      // Résoudre le chemin de sortie (conversion en chemin absolu)
-      const resolvedOutputPath = pathResolver.resolveOutputPath(outputPath);
-      
-      // Afficher clairement le chemin absolu où les fichiers seront générés
-      console.error(chalk.blue(`📂 Génération des fichiers dans: ${resolvedOutputPath}`));
-      
-      // Générer les fichiers markdown
-      const markdownResult = await markdownGenerator.generateMarkdownFilesFromResult(
-        result.result,
-        resolvedOutputPath
-      );
-      
-      if (markdownResult.success) {
-        // Log de confirmation
-        console.error(chalk.green(`✅ Fichiers du backlog générés avec succès dans: ${markdownResult.files[0]}`));
-      } else {
-        // Log d'erreur
-        console.error(chalk.red(`⚠️ Erreur lors de la génération des fichiers markdown: ${markdownResult.error.message}`));
-      }
-    } catch (error) {
-      console.error(chalk.red(`⚠️ Erreur lors de la génération des fichiers: ${error.message}`));
-      console.error(error.stack);
-    }
-  }
-  
-  return {
-    content: [
-      { 
-        type: "text", 
-        text: `Backlog généré avec succès pour '${projectName}'` 
-      },
-      {
-        type: "data",
-        data: {
-          epicCount: result.result?.epics?.length || 0,
-          userStoryCount: result.result?.mvp?.length || 0,
-          outputPath: pathResolver.resolveOutputPath(outputPath)
-        }
-      }
-    ]
-  };
+async function handleResourcesList(req, { roots } = {}) {
+  const resources = await backlogResources.listBacklogResources(resolveBacklogDir(undefined, roots));
+  return { resources };
 }
 
 /**
- * Handler pour l'outil generateFeature
- * @param {Object} args - Arguments de l'outil
- * @param {string} args.featureDescription - Description détaillée de la feature
- * @param {number} [args.storyCount=3] - Nombre de user stories à générer
- * @param {string} [args.iterationName='next'] - Nom de l'itération
- * @param {string} [args.businessValue] - Valeur métier de la feature
- * @param {string} [args.outputPath] - Chemin de sortie pour les fichiers générés
- * @returns {Promise<Object>} Résultat de la génération au format MCP
- * @throws {ValidationError} Si des paramètres requis sont manquants
+ * Handler pour la méthode resources/read
+ * @param {Object} req - Requête contenant l'URI de la ressource
+ * @param {string} req.params.uri - URI de la ressource (agile-planner://...)
+ * @param {Object} [options] - Options de la session ({ roots })
+ * @returns {Promise<Object>} Contenu de la ressource au format MCP
+ * @throws {McpError} Si l'URI est absente ou si la ressource n'existe pas
  */
-async function handleGenerateFeature(args) {
-  // Validation
-  const { 
-    featureDescription, 
-    storyCount = 3,
-    iterationName = 'next',
-    businessValue,
-    outputPath
-  } = args;
-  
-  if (!featureDescription) {
-    throw new ValidationError('La description de la feature est requise');
-  }
-  
-  if (storyCount < 1) {
-    throw new ValidationError('Le nombre de user stories doit être au moins 1');
+async function handleResourcesRead(req, { roots } = {}) {
+  const uri = req?.params?.uri;
+
+  if (!uri) {
+    throw new McpError("L'URI de la ressource est requise", { field: 'uri' }, -32602);
   }
-  
-  // Initialiser le PathResolver pour gérer les chemins
-  const pathResolver = new PathResolver();
-  
-  // Génération de la feature
-  const client = apiClient.getClient();
-  const result = await generateFeature(
-    featureDescription,
-    {
-      storyCount,
-      iterationName,
-      businessValue
-    },
-    client
-  );
-  
-  // Sauvegarde et génération des fichiers
-  const markdownGenerator = require('./markdown-generator');
-  if (result.success) {
-    try {
-      // Résoudre le chemin de sortie (conversion en chemin absolu)
-      const resolvedOutputPath = pathResolver.resolveOutputPath(outputPath);
-      
-      // Afficher clairement le chemin absolu où les fichiers seront générés
-      console.error(chalk.blue(`📂 Génération des fichiers dans: ${resolvedOutputPath}`));
-      
-      // Générer les fichiers markdown
-      const featureResult = await markdownGenerator.generateFeatureMarkdown(
-        result.result,
-        resolvedOutputPath
-      );
-      
-      if (featureResult.success) {
-        // Log de confirmation
-        console.error(chalk.green(`✅ Feature générée avec succès dans: ${featureResult.files[0]}`));
-      } else {
-        // Log d'erreur
-        console.error(chalk.red(`⚠️ Erreur lors de la génération de la feature: ${featureResult.error.message}`));
-      }
-    } catch (error) {
-      console.error(chalk.red(`⚠️ Erreur lors de la génération des fichiers: ${error.message}`));
-      console.error(error.stack);
-    }
+
+  return backlogResources.readBacklogResource(uri, resolveBacklogDir(undefined, roots));
+}
+
+/**
+ * Handler pour la méthode prompts/list
+ * @returns {Object} Liste des prompts d'affinage disponibles avec leurs arguments
+ */
+function handlePromptsList() {
+  return { prompts: backlogPrompts.listPrompts() };
+}
+
+/**
+ * Handler pour la méthode prompts/get
+ * @param {Object} req - Requête contenant le nom du prompt et ses arguments
+ * @param {string} req.params.name - Nom du prompt (ex: 'refine-user-story')
+ * @param {Object} [req.params.arguments] - Arguments du prompt (ex: { storyId: 'US001' })
+ * @param {Object} [options] - Options de la session ({ roots })
+ * @returns {Promise<Object>} Messages du prompt enrichis avec le contenu du backlog
+ * @throws {McpError} Si le prompt est inconnu ou si ses arguments sont invalides
+ */
+async function handlePromptsGet(req, { roots } = {}) {
+  const { name, arguments: args } = req?.params || {};
+
+  if (!name) {
+    throw new McpError('Le nom du prompt est requis', { field: 'name' }, -32602);
   }
-  
-  return {
-    content: [
-      { 
-        type: "text", 
-        text: `Feature générée avec succès avec ${result.result.stories.length} user stories` 
-      },
-      {
-        type: "data",
-        data: {
-          featureId: result.result.id,
-          featureTitle: result.result.title,
-          storyCount: result.result.stories.length,
-          outputPath: pathResolver.resolveOutputPath(outputPath)
-        }
-      }
-    ]
-  };
+
+  return backlogPrompts.getPrompt(name, args || {}, resolveBacklogDir(undefined, roots));
+}
+
+/**
+ * Handler pour la méthode completion/complete
+ * @param {Object} req - Requête de complétion
+ * @param {Object} req.params.ref - Prompt ou outil concerné ({ type: 'ref/prompt' | 'ref/tool', name })
+ * @param {Object} req.params.argument - Argument en cours de saisie ({ name, value })
+ * @param {Object} [req.params.context] - Arguments déjà saisis (outputPath désigne le backlog à lire)
+ * @param {Object} [options] - Options de la session ({ roots })
+ * @returns {Promise<Object>} Suggestions au format MCP
+ * @throws {McpError} Si la référence ou l'argument est invalide
+ */
+async function handleCompletionComplete(req, { roots } = {}) {
+  const { ref, argument, context } = req?.params || {};
+
+  return completeArgument(ref, argument, resolveBacklogDir(context?.arguments?.outputPath, roots));
 }
 
 /**
@@ -333,9 +203,9 @@ async function handleRequest(req) {
   if (typeof req === 'string') {
     try {
       normalizedRequest = JSON.parse(req);
-      console.error(chalk.blue(`🔄 Requête Claude détectée: conversion de string vers objet JSON`));
+      logger.debug(`Requête Claude détectée: conversion de string vers objet JSON`);
     } catch (error) {
-      console.error(chalk.red(`❌ Erreur lors de la lecture de la requête: ${error.message}`));
+      logger.error(`Erreur lors de la lecture de la requête: ${error.message}`);
       return {
         jsonrpc: "2.0",
         id: null,
@@ -357,7 +227,12 @@ async function handleRequest(req) {
   const handlers = {
     'initialize': handleInitialize,
     'tools/list': handleToolsList,
-    'tools/call': handleToolsCall
+    'tools/call': handleToolsCall,
+    'resources/list': handleResourcesList,
+    'resources/read': handleResourcesRead,
+    'prompts/list': handlePromptsList,
+    'prompts/get': handlePromptsGet,
+    'completion/complete': handleCompletionComplete
   };
   
   const handler = handlers[normalizedRequest.method];
@@ -369,7 +244,7 @@ async function handleRequest(req) {
   };
   
   if (!handler) {
-    console.error(chalk.yellow(`⚠️ Méthode non trouvée: ${normalizedRequest.method}`));
+    logger.warning(`Méthode non trouvée: ${normalizedRequest.method}`);
     return {
       ...baseResponse,
       error: {
@@ -381,9 +256,6 @@ async function handleRequest(req) {
   }
   
   try {
-    // Charger les générateurs de manière asynchrone si nécessaire (Windsurf)
-    loadGenerators();
-    
     // Exécuter le handler et normaliser la réponse
     const result = await handler(normalizedRequest);
     
@@ -393,8 +265,7 @@ async function handleRequest(req) {
       result
     };
   } catch (error) {
-    console.error(chalk.red(`❌ Erreur lors du traitement: ${error.message}`));
-    console.error(error.stack);
+    logger.error(`Erreur lors du traitement: ${error.message}`, { stack: error.stack });
     
     // Normaliser l'erreur selon le format JSON-RPC pour tous les LLMs
     if (error instanceof McpError) {
@@ -421,5 +292,10 @@ module.exports = {
   handleRequest,
   handleInitialize,
   handleToolsList,
-  handleToolsCall
+  handleToolsCall,
+  handleResourcesList,
+  handleResourcesRead,
+  handlePromptsList,
+  handlePromptsGet,
+  handleCompletionComplete
 };
@@ -7,9 +7,23 @@
  * - Pas de notification initialized côté serveur
  * - tools/list retourne la liste avec inputSchema (pas parameters)
  * - Toutes les erreurs suivent le format JSON-RPC standard
- * - stdin/stdout uniquement pour JSON-RPC, stderr pour tous les logs
+ * - stdin/stdout uniquement pour JSON-RPC, logs via le logger (stderr + notifications/message)
  */
-const chalk = require('chalk');
+const { fileURLToPath } = require('url');
+const { McpError, CancellationError } = require('./errors');
+const mcpRouter = require('./mcp-router');
+const { toolRegistry, validateToolArguments, toToolDefinition } = require('./tool-registry');
+const { createSamplingClient } = require('./sampling-client');
+const apiClient = require('./api-client');
+const { logger, addSink, runWithSink, isLogLevel, isLevelEnabled } = require('./logger');
+const { resolveResourceUri } = require('./backlog-resources');
+const { watchBacklog } = require('./backlog-watcher');
+const { resolveBacklogDir } = require('./utils/backlog-reader');
+
+const log = logger.child('mcp');
+
+// Les traces du transport ne sont jamais renvoyées au client (elles accompagnent chaque envoi)
+const transportLogger = logger.child('transport', { notify: false });
 
 // Correction multiplateforme :
 // Écriture stricte en UTF-8 sur STDOUT pour Node (Windows/Mac/Linux)
@@ -28,6 +42,15 @@ if (process.stdout.setDefaultEncoding) {
 // Variable globale pour empêcher le processus de se terminer
 let keepAliveInterval = null;
 
+// Délai de réponse du client à une requête du serveur: un formulaire ou un appel LLM de l'hôte peut durer
+const CLIENT_REQUEST_TIMEOUT = 5 * 60 * 1000;
+
+// roots/list ne demande rien à l'utilisateur, et chaque outil attend sa réponse
+const ROOTS_REQUEST_TIMEOUT = 30 * 1000;
+
+// Code JSON-RPC renvoyé quand le client ne répond pas à temps
+const REQUEST_TIMEOUT = -32001;
+
 class StdioServerTransport {
   constructor() {
     this.handlers = {
@@ -35,7 +58,7 @@ class StdioServerTransport {
     };
     
     // Debug - rediriger vers STDERR
-    process.stderr.write('Transport STDIO initialisé\n');
+    transportLogger.debug('Transport STDIO initialisé');
     
     // Configuration des flux d'entrée/sortie
     process.stdin.setEncoding('utf8');
@@ -50,20 +73,20 @@ class StdioServerTransport {
         const messageStr = line.trim();
         if (!messageStr) continue;
         try {
-          process.stderr.write(`Message reçu (${messageStr.length} caractères): ${messageStr.substring(0, 100)}...\n`);
+          transportLogger.debug(`Message reçu (${messageStr.length} caractères): ${messageStr.substring(0, 100)}...`);
           this.handlers.message?.(messageStr);
         } catch (error) {
-          process.stderr.write(`Erreur lors du traitement du message entrant: ${error.message}\n`);
+          transportLogger.error(`Erreur lors du traitement du message entrant: ${error.message}`);
         }
       }
     });
     
     process.stdin.on('error', (error) => {
-      process.stderr.write(`Erreur sur stdin: ${error.message}\n`);
+      transportLogger.error(`Erreur sur stdin: ${error.message}`);
     });
     
     process.stdin.on('end', () => {
-      process.stderr.write('Stream stdin terminé - Gardez le processus en vie pour les prochaines commandes\n');
+      transportLogger.debug('Stream stdin terminé - Gardez le processus en vie pour les prochaines commandes');
       // Ne PAS terminer le processus, restez en écoute
     });
     
@@ -73,7 +96,7 @@ class StdioServerTransport {
     // AJOUT: Garder le processus en vie même si stdin se termine
     if (!keepAliveInterval) {
       keepAliveInterval = setInterval(() => {
-        process.stderr.write(chalk.blue('MCP KeepAlive - Serveur actif\n'));
+        transportLogger.debug('MCP KeepAlive - Serveur actif');
       }, 30000); // Log toutes les 30 secondes pour montrer que le serveur est toujours actif
       
       // Empêcher Node.js de s'arrêter même si tous les autres événements sont terminés
@@ -82,7 +105,7 @@ class StdioServerTransport {
   }
   
   onMessage(handler) {
-    process.stderr.write('Gestionnaire de message enregistré\n');
+    transportLogger.debug('Gestionnaire de message enregistré');
     this.handlers.message = handler;
     return this;
   }
@@ -99,37 +122,107 @@ class StdioServerTransport {
       // Attendre suffisamment longtemps que stdout soit envoyé avant de logger sur stderr
       setTimeout(() => {
         // Utilise Buffer.byteLength pour afficher la taille réelle du message envoyé
-        process.stderr.write(`Message envoyé (${Buffer.byteLength(messageStr, 'utf8')} octets)\n`);
+        transportLogger.debug(`Message envoyé (${Buffer.byteLength(messageStr, 'utf8')} octets)`);
       }, 100); // Délai plus long pour éviter toute interférence
     } catch (error) {
       // Logger uniquement sur stderr en cas d'erreur
-      process.stderr.write(`Erreur d'envoi: ${error.message}\n`);
+      transportLogger.error(`Erreur d'envoi: ${error.message}`);
     }
   }
 }
 
+/**
+ * Convertit l'URI d'une racine MCP (file://...) en chemin local
+ * @param {string} uri - URI déclarée par le client dans roots/list
+ * @returns {string|null} Chemin absolu, null si l'URI n'est pas un fichier local
+ */
+function rootUriToPath(uri) {
+  try {
+    return fileURLToPath(uri);
+  } catch (error) {
+    log.warning(`Racine ignorée (URI file:// attendue): ${uri}`);
+    return null;
+  }
+}
+
 class MCPServer {
   constructor(options) {
     this.namespace = options.namespace;
-    this.tools = options.tools || [];
+    // Par défaut, les outils du registre partagé avec le routeur et le CLI
+    this.tools = options.tools || toolRegistry.list();
     this.transport = null;
     
-    process.stderr.write(`Serveur MCP '${this.namespace}' créé avec ${this.tools.length} outil(s)\n`);
+    // Requêtes tools/call en cours, annulables par notifications/cancelled
+    this.inFlightRequests = new Map();
+    
+    // Requêtes émises vers le client (sampling/createMessage) en attente de réponse
+    this.pendingClientRequests = new Map();
+    this.clientRequestTimeout = options.clientRequestTimeout ?? CLIENT_REQUEST_TIMEOUT;
+    this.nextClientRequestId = 1;
+    
+    // Capacités annoncées par le client lors de initialize
+    this.clientCapabilities = {};
+    
+    // Dossiers de travail déclarés par le client (roots/list), attendus avant chaque outil
+    this.roots = [];
+    this.rootsReady = Promise.resolve();
+    
+    // Niveau minimal des notifications/message envoyées au client (logging/setLevel)
+    this.logLevel = 'info';
+    this.removeLogSink = null;
+    
+    // Destinataire des logs de cette session: les requêtes du client sont traitées en son nom
+    this.logSink = ({ level, logger: loggerName, data }) => {
+      if (!isLevelEnabled(level, this.logLevel)) return;
+      
+      this.transport.sendMessage({
+        jsonrpc: '2.0',
+        method: 'notifications/message',
+        params: { level, logger: loggerName, data }
+      });
+    };
+    
+    // URIs suivies via resources/subscribe et surveillance du dossier backlog associée
+    this.resourceSubscriptions = new Set();
+    this.backlogWatcher = null;
+    
+    // Méthodes MCP déléguées au routeur (ressources et prompts du backlog)
+    this.methodHandlers = {
+      'logging/setLevel': (message) => this.setLogLevel(message.params?.level),
+      'resources/list': mcpRouter.handleResourcesList,
+      'resources/read': mcpRouter.handleResourcesRead,
+      'resources/subscribe': (message) => this.subscribeResource(message.params?.uri),
+      'resources/unsubscribe': (message) => this.unsubscribeResource(message.params?.uri),
+      'prompts/list': mcpRouter.handlePromptsList,
+      'prompts/get': mcpRouter.handlePromptsGet,
+      'completion/complete': mcpRouter.handleCompletionComplete
+    };
+    
+    log.debug(`Serveur MCP '${this.namespace}' créé avec ${this.tools.length} outil(s)`);
   }
   
   listen(transport) {
     this.transport = transport;
     
-    process.stderr.write('Enregistrement du gestionnaire de messages...\n');
-    transport.onMessage((messageStr) => {
+    log.debug('Enregistrement du gestionnaire de messages...');
+    transport.onMessage((messageStr) => runWithSink(this.logSink, () => {
       try {
         const message = JSON.parse(messageStr);
-        process.stderr.write(`Message reçu (méthode): ${message.method}\n`);
+        log.debug(`Message reçu (méthode): ${message.method}`);
         
-        if (message.method === 'initialize') {
+        if (message.method === undefined && this.pendingClientRequests.has(message.id)) {
+          // Réponse du client à une requête émise par le serveur
+          this.handleClientResponse(message);
+          
+        } else if (message.method === undefined && ('result' in message || 'error' in message)) {
+          // Réponse tardive (délai dépassé ou requête annulée): une réponse ne reçoit jamais de réponse
+          log.debug(`Réponse du client ignorée, aucune requête en attente: ${message.id}`);
+          
+        } else if (message.method === 'initialize') {
           // CONFORME À LA SPEC MCP: initialize renvoie uniquement protocolVersion, capabilities, serverInfo
           const id = message.id;
-          process.stderr.write(`Initialize request id: ${id}\n`);
+          log.debug(`Initialize request id: ${id}`);
+          this.clientCapabilities = message.params?.capabilities || {};
           
           // Build a spec-compliant initialize result
           const result = {
@@ -137,7 +230,11 @@ class MCPServer {
             protocolVersion: '2024-05-04',
             capabilities: {
               // Capabilities simplifiées pour compatibilité maximale
-              toolsSupport: true
+              toolsSupport: true,
+              resources: { subscribe: true },
+              prompts: {},
+              logging: {},
+              completions: {}
             },
             serverInfo: {
               name: this.namespace,
@@ -147,7 +244,8 @@ class MCPServer {
           };
           
           this.transport.sendMessage({ jsonrpc: '2.0', id, result });
-          process.stderr.write(`Initialize response sent for id: ${id}\n`);
+          log.debug(`Initialize response sent for id: ${id}`);
+          this.forwardLogs();
           
           // CONFORME À LA SPEC MCP: ne PAS envoyer notifications/initialized
           // C'est au client d'envoyer cette notification après le handshake
@@ -155,24 +253,35 @@ class MCPServer {
         } else if (message.method === 'tools/list') {
           // CONFORME À LA SPEC MCP: retourne inputSchema, pas parameters
           const id = message.id;
-          const toolsDesc = this.tools.map(tool => ({
-            name: tool.name,
-            description: tool.description,
-            inputSchema: tool.inputSchema // Utilisation de inputSchema, pas parameters
-          }));
+          // Utilisation de inputSchema (pas parameters) et outputSchema si l'outil en déclare un
+          const toolsDesc = this.tools.map(toToolDefinition);
           this.transport.sendMessage({ jsonrpc: '2.0', id, result: { tools: toolsDesc } });
           
         } else if (message.method === 'tools/call') {
           // CONFORME À LA SPEC MCP: format tools/call standard
           const { name, arguments: args } = message.params || {};
-          this.handleInvoke(message.id, name, args);
+          this.handleInvoke(message.id, name, args, message.params);
+          
+        } else if (message.method === 'notifications/cancelled') {
+          this.cancelRequest(message.params?.requestId, message.params?.reason);
+          
+        } else if (message.method === 'notifications/initialized' || message.method === 'notifications/roots/list_changed') {
+          // Handshake terminé ou dossiers de travail modifiés: (re)demander les racines du client
+          this.refreshRoots();
+          
+        } else if (this.methodHandlers[message.method]) {
+          this.handleMethod(message, this.methodHandlers[message.method]);
           
         } else if (this.tools.some(tool => tool.name === message.method)) {
           // Legacy direct-call fallback pour rétrocompatibilité
-          this.handleInvoke(message.id, message.method, message.params);
+          this.handleInvoke(message.id, message.method, message.params, message.params);
+          
+        } else if (message.id === undefined || message.id === null) {
+          // Notification JSON-RPC (ex: notifications/initialized): aucune réponse attendue
+          log.debug(`Notification reçue: ${message.method}`);
           
         } else {
-          process.stderr.write(`Méthode inconnue: ${message.method} - Ignoré\n`);
+          log.warning(`Méthode inconnue: ${message.method} - Ignoré`);
           // Erreur méthode non trouvée au format JSON-RPC standard
           this.transport.sendMessage({ 
             jsonrpc: '2.0', 
@@ -185,7 +294,7 @@ class MCPServer {
         }
       } catch (error) {
         // Log de l'erreur
-        process.stderr.write(`Erreur lors du traitement du message: ${error.message}\n`);
+        log.error(`Erreur lors du traitement du message: ${error.message}`);
         
         // Gérer l'erreur proprement et envoyer une réponse d'erreur si possible
         try {
@@ -206,12 +315,12 @@ class MCPServer {
           }
         } catch (parseError) {
           // Format invalide, impossible d'extraire un ID - ne pas envoyer d'erreur
-          process.stderr.write(`Impossible de parser le message pour extraire un ID: ${parseError.message}\n`);
+          log.error(`Impossible de parser le message pour extraire un ID: ${parseError.message}`);
         }
       }
-    });
+    }));
     
-    process.stderr.write(`Serveur MCP '${this.namespace}' en écoute...\n`);
+    log.info(`Serveur MCP '${this.namespace}' en écoute...`);
     
     // CRUCIAL: Garder le processus en vie explicitement
     if (!keepAliveInterval) {
@@ -221,13 +330,290 @@ class MCPServer {
     }
   }
   
-  async handleInvoke(id, name, params) {
-    process.stderr.write(`Traitement de l'invocation de l'outil '${name}' avec id '${id}'\n`);
+  /**
+   * Relaie les logs du serveur au client en notifications/message (une fois initialisé)
+   */
+  forwardLogs() {
+    if (this.removeLogSink) return;
+    
+    this.removeLogSink = addSink(this.logSink);
+  }
+  
+  /**
+   * Traite logging/setLevel: niveau minimal des logs envoyés au client
+   * @param {string} level - Niveau MCP (debug, info, notice, warning, error, critical, alert, emergency)
+   * @returns {Object} Résultat vide
+   * @throws {McpError} -32602 si le niveau est inconnu
+   */
+  setLogLevel(level) {
+    if (!isLogLevel(level)) {
+      throw new McpError(`Niveau de log invalide: ${level}`, { level }, -32602);
+    }
+    
+    this.logLevel = level;
+    log.debug(`Niveau de log du client: ${level}`);
+    return {};
+  }
+  
+  /**
+   * Demande au client ses dossiers de travail (roots/list)
+   * Les chemins de sortie relatifs sont résolus depuis la première racine et aucune
+   * écriture n'est autorisée en dehors des racines déclarées
+   * @returns {Promise<void>} Résolue une fois les racines connues (jamais rejetée)
+   */
+  refreshRoots() {
+    if (!this.clientCapabilities.roots) return this.rootsReady;
+    
+    // Sans réponse rapide, les outils qui attendent les racines continuent avec les précédentes
+    const timeout = Math.min(ROOTS_REQUEST_TIMEOUT, this.clientRequestTimeout);
+    this.rootsReady = this.sendRequest('roots/list', {}, { timeout })
+      .then(result => {
+        this.roots = (result?.roots || []).map(root => rootUriToPath(root.uri)).filter(Boolean);
+        log.info(`Dossiers de travail du client: ${this.roots.join(', ') || 'aucun'}`);
+        this.rewatchBacklog();
+      })
+      .catch(error => {
+        log.warning(`Impossible d'obtenir les dossiers de travail du client: ${error.message}`);
+      });
+    
+    return this.rootsReady;
+  }
+  
+  /**
+   * Redémarre la surveillance du backlog si son dossier a changé avec les racines
+   */
+  rewatchBacklog() {
+    if (!this.backlogWatcher) return;
+    
+    this.backlogWatcher.close();
+    this.backlogWatcher = watchBacklog(resolveBacklogDir(undefined, this.roots), uris => this.notifyResourcesUpdated(uris));
+    this.notifyResourcesUpdated(null);
+  }
+  
+  /**
+   * Traite resources/subscribe: le client sera notifié des modifications de la ressource
+   * @param {string} uri - URI de la ressource (agile-planner://...)
+   * @returns {Object} Résultat vide
+   * @throws {McpError} -32602 si l'URI ne désigne pas une ressource du backlog
+   */
+  subscribeResource(uri) {
+    const backlogDir = resolveBacklogDir(undefined, this.roots);
+    
+    if (!resolveResourceUri(uri, backlogDir)) {
+      throw new McpError(`URI de ressource invalide: ${uri}`, { uri }, -32602);
+    }
+    
+    this.resourceSubscriptions.add(uri);
+    this.backlogWatcher = this.backlogWatcher || watchBacklog(backlogDir, uris => this.notifyResourcesUpdated(uris));
+    log.debug(`Abonnement à la ressource ${uri}`);
+    return {};
+  }
+  
+  /**
+   * Traite resources/unsubscribe
+   * @param {string} uri - URI de la ressource
+   * @returns {Object} Résultat vide
+   */
+  unsubscribeResource(uri) {
+    this.resourceSubscriptions.delete(uri);
+    
+    if (this.resourceSubscriptions.size === 0) {
+      this.backlogWatcher?.close();
+      this.backlogWatcher = null;
+    }
+    return {};
+  }
+  
+  /**
+   * Envoie notifications/resources/updated pour les ressources suivies qui ont changé
+   * @param {Array<string>|null} uris - URIs modifiées, null si tout le backlog a pu changer
+   */
+  notifyResourcesUpdated(uris) {
+    for (const uri of this.resourceSubscriptions) {
+      if (uris && !uris.includes(uri)) continue;
+      
+      this.transport.sendMessage({
+        jsonrpc: '2.0',
+        method: 'notifications/resources/updated',
+        params: { uri }
+      });
+    }
+  }
+  
+  /**
+   * Arrête le relais des logs et la surveillance du backlog (fermeture de la session)
+   */
+  close() {
+    for (const pending of this.pendingClientRequests.values()) {
+      pending.reject(new McpError(`Session fermée avant la réponse du client à ${pending.method}`, { method: pending.method }));
+    }
+    this.removeLogSink?.();
+    this.removeLogSink = null;
+    this.backlogWatcher?.close();
+    this.backlogWatcher = null;
+    this.resourceSubscriptions.clear();
+  }
+  
+  /**
+   * Crée le contexte d'exécution transmis au handler d'un outil
+   * Si la requête porte un progressToken (params._meta), chaque étape signalée
+   * par l'outil est émise en notifications/progress vers le client
+   * Sans clé API, si le client annonce la capacité sampling, le contexte fournit un client
+   * LLM qui délègue la génération au modèle de l'hôte (sampling/createMessage)
+   * Si le client annonce la capacité elicitation, elicit(message, schema) lui demande de remplir un formulaire
+   * roots contient les dossiers de travail du client, où les fichiers doivent être écrits
+   * @param {Object} [params] - Paramètres de la requête tools/call
+   * @param {AbortSignal} [signal] - Signal déclenché si le client annule la requête
+   * @returns {Object} Contexte { progressToken, signal, roots, reportProgress(message), client?, elicit? }
+   */
+  createToolContext(params, signal = new AbortController().signal) {
+    const progressToken = params?._meta?.progressToken;
+    let progress = 0;
+    
+    return {
+      progressToken,
+      signal,
+      roots: this.roots,
+      ...(this.canUseSampling() && {
+        client: createSamplingClient((samplingParams, options) => this.sendRequest('sampling/createMessage', samplingParams, options))
+      }),
+      ...(this.clientCapabilities.elicitation && {
+        elicit: (message, requestedSchema) => this.sendRequest('elicitation/create', { message, requestedSchema }, { signal })
+      }),
+      reportProgress: (message) => {
+        if (progressToken === undefined || progressToken === null || signal.aborted) return;
+        
+        progress += 1;
+        this.transport.sendMessage({
+          jsonrpc: '2.0',
+          method: 'notifications/progress',
+          params: { progressToken, progress, message }
+        });
+      }
+    };
+  }
+  
+  /**
+   * Indique si la génération doit passer par le sampling MCP du client
+   * @returns {boolean} true si aucune clé API n'est configurée et que le client supporte le sampling
+   */
+  canUseSampling() {
+    return Boolean(this.clientCapabilities.sampling) && !apiClient.hasApiKey();
+  }
+  
+  /**
+   * Envoie une requête JSON-RPC au client et attend sa réponse
+   * Si le signal est déclenché ou si le client ne répond pas à temps, la requête est
+   * annulée côté client (notifications/cancelled)
+   * @param {string} method - Méthode demandée au client (ex: sampling/createMessage)
+   * @param {Object} params - Paramètres de la requête
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Signal d'annulation de l'outil appelant
+   * @param {number} [options.timeout] - Délai de réponse en ms (clientRequestTimeout par défaut)
+   * @returns {Promise<Object>} Résultat renvoyé par le client
+   * @throws {McpError} -32001 si le client ne répond pas dans le délai, ou immédiatement si le
+   *   transport n'a aucun flux pour transmettre la requête (client HTTP sans SSE)
+   */
+  sendRequest(method, params, { signal, timeout = this.clientRequestTimeout } = {}) {
+    CancellationError.throwIfAborted(signal);
+    
+    const id = `srv-${this.nextClientRequestId++}`;
+    
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const settle = (callback) => (value) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        this.pendingClientRequests.delete(id);
+        callback(value);
+      };
+      const cancel = (reason, error) => {
+        settle(reject)(error);
+        this.transport.sendMessage({
+          jsonrpc: '2.0',
+          method: 'notifications/cancelled',
+          params: { requestId: id, reason }
+        });
+      };
+      // AbortSignal.reason n'existe qu'à partir de Node 16.14
+      const onAbort = () => cancel('Requête tools/call annulée', signal.reason ?? new CancellationError());
+      
+      timer = setTimeout(() => {
+        log.warning(`Le client n'a pas répondu à ${method} en ${timeout / 1000} s`);
+        cancel('Délai de réponse dépassé', new McpError(`Le client n'a pas répondu à ${method} en ${timeout / 1000} s`, { method, timeout }, REQUEST_TIMEOUT));
+      }, timeout);
+      timer.unref?.();
+      
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.pendingClientRequests.set(id, { method, resolve: settle(resolve), reject: settle(reject) });
+      
+      // Inutile d'attendre le délai: le client ne recevra jamais la requête
+      if (this.transport.sendMessage({ jsonrpc: '2.0', id, method, params }) === false) {
+        settle(reject)(new McpError(`Aucun flux ouvert pour transmettre ${method} au client`, { method }));
+      }
+    });
+  }
+  
+  /**
+   * Traite la réponse du client à une requête émise par sendRequest
+   * @param {Object} message - Réponse JSON-RPC (result ou error)
+   */
+  handleClientResponse(message) {
+    const pending = this.pendingClientRequests.get(message.id);
+    this.pendingClientRequests.delete(message.id);
+    
+    if (message.error) {
+      log.warning(`Le client a refusé la requête ${pending.method}: ${message.error.message}`);
+      pending.reject(new McpError(`Requête ${pending.method} refusée par le client: ${message.error.message}`, message.error.data, message.error.code));
+    } else {
+      pending.resolve(message.result);
+    }
+  }
+  
+  /**
+   * Annule une requête tools/call en cours (notifications/cancelled)
+   * Le signal transmis à l'outil est déclenché et aucune réponse ne sera envoyée
+   * @param {string|number} requestId - ID de la requête à annuler
+   * @param {string} [reason] - Raison fournie par le client
+   */
+  cancelRequest(requestId, reason) {
+    const controller = this.inFlightRequests.get(requestId);
+    
+    if (!controller) {
+      log.warning(`Annulation ignorée: aucune requête en cours avec l'id '${requestId}'`);
+      return;
+    }
+    
+    log.info(`Annulation de la requête '${requestId}'${reason ? `: ${reason}` : ''}`);
+    controller.abort(new CancellationError(reason ? `Opération annulée par le client: ${reason}` : undefined, { requestId }));
+  }
+  
+  async handleMethod(message, handler) {
+    const id = message.id;
+    
+    try {
+      await this.rootsReady;
+      const result = await handler(message, { roots: this.roots });
+      this.transport.sendMessage({ jsonrpc: '2.0', id, result });
+    } catch (error) {
+      log.error(`Erreur lors du traitement de '${message.method}': ${error.message}`);
+      
+      // Les McpError portent déjà leur code JSON-RPC (ex: -32002 ressource introuvable)
+      const rpcError = error instanceof McpError
+        ? error.toJsonRpcError()
+        : { code: -32000, message: error.message || 'Internal error' };
+      
+      this.transport.sendMessage({ jsonrpc: '2.0', id, error: rpcError });
+    }
+  }
+  
+  async handleInvoke(id, name, params, requestParams) {
+    log.debug(`Traitement de l'invocation de l'outil '${name}' avec id '${id}'`);
     
     const tool = this.tools.find(t => t.name === name);
     
     if (!tool) {
-      process.stderr.write(`Outil '${name}' non trouvé\n`);
+      log.warning(`Outil '${name}' non trouvé`);
       // Erreur au format JSON-RPC standard
       this.transport.sendMessage({ 
         jsonrpc: '2.0', 
@@ -240,54 +626,47 @@ class MCPServer {
       return;
     }
     
+    const controller = new AbortController();
+    this.inFlightRequests.set(id, controller);
+    
     try {
-      process.stderr.write(`Exécution de l'outil '${name}'...\n`);
-      const result = await tool.handler(params);
+      log.debug(`Exécution de l'outil '${name}'...`);
+      const args = validateToolArguments(tool, params || {});
+      await this.rootsReady;
+      const result = await tool.handler(args, this.createToolContext(requestParams, controller.signal));
+      
+      // CONFORME À LA SPEC MCP: pas de réponse à une requête annulée
+      if (controller.signal.aborted) {
+        log.info(`Outil '${name}' annulé, résultat ignoré`);
+        return;
+      }
       
-      process.stderr.write(`Envoi du résultat de l'outil '${name}'\n`);
+      log.debug(`Envoi du résultat de l'outil '${name}'`);
       this.transport.sendMessage({ jsonrpc: '2.0', id, result });
       
-      process.stderr.write(`Invocation de l'outil '${name}' terminée avec succès\n`);
+      log.info(`Invocation de l'outil '${name}' terminée avec succès`);
     } catch (error) {
+      if (controller.signal.aborted) {
+        log.info(`Outil '${name}' annulé: ${error.message}`);
+        return;
+      }
+      
       // Log de l'erreur
-      process.stderr.write(`Erreur lors de l'exécution de l'outil '${name}': ${error.message}\n`);
+      log.error(`Erreur lors de l'exécution de l'outil '${name}': ${error.message}`);
       
       // Renvoi de l'erreur au client en format MCP standard JSON-RPC
-      this.transport.sendMessage({ 
-        jsonrpc: '2.0', 
-        id, 
-        error: { 
-          code: -32000, 
-          message: error.message || 'Internal error' 
-        } 
-      });
+      // (les McpError portent leur code, ex: -32602 pour des arguments invalides)
+      const rpcError = error instanceof McpError
+        ? error.toJsonRpcError()
+        : { code: -32000, message: error.message || 'Internal error' };
+      
+      this.transport.sendMessage({ jsonrpc: '2.0', id, error: rpcError });
+    } finally {
+      this.inFlightRequests.delete(id);
     }
   }
 }
 
-// Définition des outils disponibles pour le serveur MCP
-const tools = {
-  generateBacklog: async (params) => {
-    try {
-      // Le vrai générateur de backlog
-      const result = await backlogGenerator.generateBacklog(params.project, params.model || 'claude-3-haiku-20240307');
-      return {
-        success: true,
-        result
-      };
-    } catch (error) {
-      // Gestion des erreurs
-      process.stderr.write(`Erreur lors de la génération du backlog: ${error.message}\n`);
-      return {
-        success: false,
-        error: {
-          message: error.message || 'Erreur inconnue lors de la génération du backlog'
-        }
-      };
-    }
-  }
-};
-
 module.exports = {
   MCPServer,
   StdioServerTransport
@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Priorisation du backlog avec un cadre de scoring (WSJF, RICE, MoSCoW, valeur/effort)
+ * Le LLM propose les facteurs de chaque user story et de chaque feature; le score et le
+ * classement sont calculés ici, de façon reproductible. Facteurs, score et rang sont
+ * conservés dans backlog.json et le classement est écrit dans planning/priorities.md.
+ * @module prioritizer
+ * @requires structured-completion
+ */
+
+const fs = require('fs-extra');
+const { logger } = require('./logger');
+const { McpError, CancellationError } = require('./errors');
+const { requestStructuredOutput } = require('./structured-completion');
+const { parseUserStory } = require('./markdown/story-formatter');
+const { processPriorities } = require('./markdown/priorities-formatter');
+const { requireBacklog, listStoryEntries, getEntryFilePath, getStoryFileName } = require('./utils/backlog-reader');
+const { saveBacklog } = require('./utils/backlog-writer');
+
+// Code JSON-RPC pour un argument invalide
+const INVALID_PARAMS = -32602;
+
+const MOSCOW_SCORES = { must: 4, should: 3, could: 2, wont: 1 };
+
+/**
+ * Cadres de priorisation: facteurs demandés au LLM et calcul du score (le plus élevé en premier)
+ */
+const FRAMEWORKS = {
+  wsjf: {
+    label: 'WSJF (Weighted Shortest Job First)',
+    formula: 'Score = (Business Value + Time Criticality + Risk Reduction) / Job Size. Pour une user story estimée, Job Size reprend ses story points.',
+    factors: {
+      business_value: { label: 'Business Value', type: 'integer', minimum: 1, maximum: 20, description: 'Valeur métier relative (1 à 20)' },
+      time_criticality: { label: 'Time Criticality', type: 'integer', minimum: 1, maximum: 20, description: 'Coût du retard (1 à 20)' },
+      risk_reduction: { label: 'Risk Reduction', type: 'integer', minimum: 1, maximum: 20, description: 'Risque réduit ou opportunité ouverte (1 à 20)' },
+      job_size: { label: 'Job Size', type: 'integer', minimum: 1, maximum: 21, description: 'Taille relative du travail (1 à 21)' }
+    },
+    score: factors => (factors.business_value + factors.time_criticality + factors.risk_reduction) / factors.job_size
+  },
+  rice: {
+    label: 'RICE (Reach, Impact, Confidence, Effort)',
+    formula: 'Score = Reach × Impact × Confidence / Effort',
+    factors: {
+      reach: { label: 'Reach', type: 'number', minimum: 0, description: 'Utilisateurs touchés par trimestre' },
+      impact: { label: 'Impact', type: 'number', enum: [0.25, 0.5, 1, 2, 3], description: 'Impact par utilisateur (0.25 minime à 3 massif)' },
+      confidence: { label: 'Confidence (%)', type: 'integer', minimum: 0, maximum: 100, description: 'Confiance dans les estimations, en %' },
+      effort: { label: 'Effort', type: 'number', minimum: 0.5, description: 'Effort en personnes-semaines' }
+    },
+    score: factors => (factors.reach * factors.impact * (factors.confidence / 100)) / factors.effort
+  },
+  moscow: {
+    label: 'MoSCoW',
+    formula: 'Must = 4, Should = 3, Could = 2, Won\'t = 1. À catégorie égale, l\'ordre du backlog est conservé.',
+    factors: {
+      category: { label: 'Category', type: 'string', enum: Object.keys(MOSCOW_SCORES), description: 'must, should, could ou wont (pas dans cette version)' }
+    },
+    score: factors => MOSCOW_SCORES[factors.category]
+  },
+  'value-effort': {
+    label: 'Valeur / Effort',
+    formula: 'Score = Value / Effort',
+    factors: {
+      value: { label: 'Value', type: 'integer', minimum: 1, maximum: 10, description: 'Valeur pour l\'utilisateur et le métier (1 à 10)' },
+      effort: { label: 'Effort', type: 'integer', minimum: 1, maximum: 10, description: 'Effort de réalisation (1 à 10)' }
+    },
+    score: factors => factors.value / factors.effort
+  }
+};
+
+/**
+ * Crée le schéma de la réponse attendue du LLM (fonction deliver_priorities)
+ * @param {Object} framework - Cadre de priorisation
+ * @returns {Object} Schéma JSON
+ */
+function createPrioritiesSchema(framework) {
+  // Le libellé des facteurs ne sert qu'aux colonnes de priorities.md
+  const factorProperties = Object.fromEntries(Object.entries(framework.factors)
+    .map(([key, factor]) => [key, { type: factor.type, minimum: factor.minimum, maximum: factor.maximum, enum: factor.enum, description: factor.description }]));
+  const itemSchema = (idKey, idDescription) => ({
+    type: 'array',
+    items: {
+      type: 'object',
+      required: [idKey, ...Object.keys(framework.factors), 'rationale'],
+      properties: {
+        [idKey]: { type: 'string', description: idDescription },
+        ...factorProperties,
+        rationale: { type: 'string', description: 'Justification en une phrase' }
+      }
+    }
+  });
+
+  return {
+    type: 'object',
+    required: ['stories', 'features'],
+    properties: {
+      stories: itemSchema('id', 'ID de la user story'),
+      features: itemSchema('key', 'Clé de la feature, entre crochets dans la liste')
+    }
+  };
+}
+
+/**
+ * Crée les messages envoyés au LLM pour proposer les facteurs de priorisation
+ * @param {Object} backlog - Contenu de backlog.json
+ * @param {Object} framework - Cadre de priorisation
+ * @param {Map<string, Object>} details - User stories relues par parseUserStory, par ID
+ * @returns {Array<Object>} Messages de la conversation
+ */
+function createPrioritizeMessages(backlog, framework, details) {
+  const factors = Object.entries(framework.factors)
+    .map(([key, factor]) => `- ${key}: ${factor.description}`)
+    .join('\n');
+
+  const lines = [`Projet: ${backlog.project_title || 'Backlog'}`];
+  for (const epic of backlog.epics || []) {
+    lines.push('', `Epic: ${epic.title}`);
+    for (const feature of epic.features || []) {
+      lines.push(`Feature [${getFeatureKey(epic, feature)}]: ${feature.title}${feature.description ? ` - ${feature.description}` : ''}`);
+      for (const story of feature.stories || []) {
+        const storyDetails = details.get(story.id) || {};
+        const extras = [
+          typeof story.story_points === 'number' ? `${story.story_points} points` : '',
+          storyDetails.priority ? `priorité ${storyDetails.priority}` : ''
+        ].filter(Boolean).join(', ');
+        lines.push(`- ${story.id}: ${story.title}${extras ? ` (${extras})` : ''}${storyDetails.description ? ` - ${storyDetails.description}` : ''}`);
+      }
+    }
+  }
+
+  return [
+    {
+      role: 'system',
+      content: `Tu es un Product Owner expérimenté. Priorise le backlog avec le cadre ${framework.label}.
+
+Propose pour chaque user story et pour chaque feature les facteurs suivants:
+${factors}
+
+RÈGLES IMPORTANTES:
+- Évalue les éléments les uns par rapport aux autres, de façon cohérente
+- Tiens compte des dépendances: un prérequis technique a souvent une valeur de réduction de risque élevée
+- Ne calcule pas de score: il est calculé à partir de tes facteurs
+- Renvoie chaque user story par son ID et chaque feature par sa clé entre crochets, avec une justification d'une phrase`
+    },
+    { role: 'user', content: lines.join('\n') }
+  ];
+}
+
+/**
+ * Clé stable d'une feature (son slug n'est unique qu'au sein de son epic)
+ * @param {Object} epic - Epic parent
+ * @param {Object} feature - Feature
+ * @returns {string} Clé "epic-slug/feature-slug"
+ */
+function getFeatureKey(epic, feature) {
+  return `${epic.slug}/${feature.slug}`;
+}
+
+/**
+ * Ramène les facteurs proposés par le LLM dans les bornes du cadre
+ * @param {Object} framework - Cadre de priorisation
+ * @param {Object} proposed - Facteurs proposés
+ * @returns {Object|null} Facteurs valides, ou null si un facteur catégoriel est inconnu
+ */
+function sanitizeFactors(framework, proposed) {
+  const factors = {};
+
+  for (const [key, factor] of Object.entries(framework.factors)) {
+    if (factor.type === 'string') {
+      const value = String(proposed[key] || '').trim().toLowerCase().replace(/[^a-z]/g, '');
+      if (!factor.enum.includes(value)) return null;
+      factors[key] = value;
+    } else {
+      const value = Number(proposed[key]);
+      const minimum = factor.minimum ?? 0;
+      factors[key] = Math.min(factor.maximum ?? Infinity, Math.max(minimum, Number.isFinite(value) ? value : minimum));
+    }
+  }
+
+  return factors;
+}
+
+/**
+ * Calcule le score d'un élément (arrondi à deux décimales)
+ * @param {Object} framework - Cadre de priorisation
+ * @param {Object} factors - Facteurs validés
+ * @returns {number} Score
+ */
+function computeScore(framework, factors) {
+  return Math.round(framework.score(factors) * 100) / 100;
+}
+
+/**
+ * Classe des éléments par score décroissant (ordre du backlog à score égal) et pose leur rang
+ * @param {Array<Object>} items - Éléments avec score
+ * @returns {Array<Object>} Éléments classés
+ */
+function rankItems(items) {
+  return items
+    .map((item, order) => ({ item, order }))
+    .sort((a, b) => b.item.score - a.item.score || a.order - b.order)
+    .map(({ item }, index) => Object.assign(item, { rank: index + 1 }));
+}
+
+/**
+ * Priorise les user stories et les features du backlog, puis écrit priorities.md et backlog.json
+ * @param {string} backlogDir - Chemin du dossier .agile-planner-backlog
+ * @param {Object} client - Client API
+ * @param {string} provider - Fournisseur d'API
+ * @param {Object} [options] - Options
+ * @param {string} [options.framework='wsjf'] - Cadre: wsjf, rice, moscow ou value-effort
+ * @param {Function} [options.onProgress] - Callback appelé à chaque étape (message)
+ * @param {AbortSignal} [options.signal] - Signal d'annulation
+ * @returns {Promise<Object>} { framework, stories, features, files, warnings }
+ * @throws {McpError} Si le backlog n'existe pas, est vide ou que le cadre est inconnu
+ * @throws {CancellationError} Si la priorisation a été annulée (aucun fichier modifié)
+ */
+async function prioritizeBacklog(backlogDir, client, provider, options = {}) {
+  const frameworkName = options.framework || 'wsjf';
+  const framework = FRAMEWORKS[frameworkName];
+  const onProgress = options.onProgress || (() => {});
+
+  if (!framework) {
+    throw new McpError(`Cadre de priorisation inconnu: ${frameworkName}`, { framework: frameworkName }, INVALID_PARAMS);
+  }
+
+  const backlog = await requireBacklog(backlogDir);
+  const entries = listStoryEntries(backlog);
+
+  if (entries.length === 0) {
+    throw new McpError('Aucune user story à prioriser dans backlog.json', {}, INVALID_PARAMS);
+  }
+
+  // Description et priorité ne sont écrites que dans le markdown de la user story
+  const details = new Map();
+  for (const { story, feature, epic } of entries) {
+    const filePath = getEntryFilePath(backlogDir, epic, feature, story);
+    if (await fs.pathExists(filePath)) {
+      details.set(story.id, parseUserStory(await fs.readFile(filePath, 'utf8')));
+    }
+  }
+  onProgress(`${entries.length} user stories relues`);
+
+  onProgress(`Appel LLM pour la priorisation (${framework.label})`);
+  const proposal = await requestStructuredOutput(client, provider, {
+    messages: createPrioritizeMessages(backlog, framework, details),
+    functionName: 'deliver_priorities',
+    description: 'Renvoie les facteurs de priorisation de chaque user story et de chaque feature',
+    schema: createPrioritiesSchema(framework)
+  }, { signal: options.signal });
+
+  // Requête annulée pendant l'appel LLM: rien n'est modifié
+  CancellationError.throwIfAborted(options.signal);
+
+  const proposedStories = new Map((proposal.stories || []).map(item => [String(item.id).trim().toUpperCase(), item]));
+  const proposedFeatures = new Map((proposal.features || []).map(item => [String(item.key).trim(), item]));
+  const warnings = [];
+  const unscored = [];
+
+  // Calcule la priorisation d'un élément et la conserve dans backlog.json
+  const applyScore = (target, proposed, label, adjust = factors => factors) => {
+    const factors = proposed && sanitizeFactors(framework, proposed);
+    if (!factors) {
+      warnings.push(`Aucun facteur de priorisation valide pour ${label}`);
+      unscored.push(label);
+      delete target.prioritization;
+      return null;
+    }
+
+    const adjusted = adjust(factors);
+    target.prioritization = { framework: frameworkName, factors: adjusted, score: computeScore(framework, adjusted), rationale: proposed.rationale || '' };
+    return target;
+  };
+
+  const storyItems = [];
+  for (const { story, feature, epic } of entries) {
+    // WSJF: la taille d'une story estimée est celle de l'équipe, pas celle du LLM
+    const scored = applyScore(story, proposedStories.get(story.id.toUpperCase()), `${story.id}: ${story.title}`,
+      factors => (frameworkName === 'wsjf' && typeof story.story_points === 'number' ? { ...factors, job_size: story.story_points } : factors));
+    if (scored) {
+      storyItems.push({
+        story,
+        id: story.id,
+        title: story.title,
+        feature: feature.title,
+        link: `../epics/${epic.slug}/features/${feature.slug}/user-stories/${getStoryFileName(story)}`,
+        factors: story.prioritization.factors,
+        score: story.prioritization.score
+      });
+    }
+  }
+
+  const featureItems = [];
+  for (const epic of backlog.epics || []) {
+    for (const feature of epic.features || []) {
+      const key = getFeatureKey(epic, feature);
+      if (applyScore(feature, proposedFeatures.get(key), `Feature ${feature.title}`)) {
+        featureItems.push({
+          feature,
+          key,
+          title: feature.title,
+          epic: epic.title,
+          link: `../epics/${epic.slug}/features/${feature.slug}/feature.md`,
+          factors: feature.prioritization.factors,
+          score: feature.prioritization.score
+        });
+      }
+    }
+  }
+
+  const ranking = { stories: rankItems(storyItems), features: rankItems(featureItems), unscored };
+  for (const item of [...ranking.stories, ...ranking.features]) {
+    (item.story || item.feature).prioritization.rank = item.rank;
+  }
+
+  backlog.priorities = {
+    framework: frameworkName,
+    stories: ranking.stories.map(item => item.id),
+    features: ranking.features.map(item => item.key),
+    path: './planning/priorities.md'
+  };
+
+  const prioritiesPath = await processPriorities(framework, ranking, backlogDir, onProgress);
+  const jsonPath = await saveBacklog(backlogDir, backlog);
+  logger.info(`Backlog priorisé (${framework.label}): ${ranking.stories.length} user stories, ${ranking.features.length} features`);
+
+  const summary = items => items.map(({ id, key, title, score, rank }) => ({ id: id || key, title, score, rank }));
+
+  return {
+    framework: frameworkName,
+    stories: summary(ranking.stories),
+    features: summary(ranking.features),
+    files: [prioritiesPath, jsonPath],
+    warnings
+  };
+}
+
+module.exports = {
+  FRAMEWORKS,
+  createPrioritizeMessages,
+  sanitizeFactors,
+  computeScore,
+  prioritizeBacklog
+};
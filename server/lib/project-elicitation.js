@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Demande de précisions sur le projet avant la génération du backlog
+ * Quand la description est trop courte, le client MCP affiche un formulaire
+ * (elicitation/create) pour recueillir utilisateurs cibles, contraintes et périmètre.
+ * @module project-elicitation
+ */
+
+const { logger } = require('./logger');
+const { CancellationError } = require('./errors');
+
+// En dessous de ce nombre de mots, la description est jugée trop vague pour le LLM
+const MIN_DESCRIPTION_WORDS = 20;
+
+/**
+ * Formulaire envoyé au client (schéma plat de types primitifs, comme l'exige elicitation/create)
+ */
+const PROJECT_DETAILS_SCHEMA = {
+  type: 'object',
+  properties: {
+    targetUsers: {
+      type: 'string',
+      title: 'Utilisateurs cibles',
+      description: 'Qui utilisera le produit ? (ex: bibliothécaires, adhérents)'
+    },
+    constraints: {
+      type: 'string',
+      title: 'Contraintes',
+      description: 'Contraintes techniques, réglementaires, de budget ou de délai'
+    },
+    scope: {
+      type: 'string',
+      title: 'Périmètre',
+      description: 'Ce qui est inclus et exclu de la première version'
+    }
+  },
+  required: ['targetUsers', 'scope']
+};
+
+/**
+ * Indique si une description de projet est trop courte pour générer un backlog pertinent
+ * @param {string} projectDescription - Description fournie par l'utilisateur
+ * @returns {boolean} true si des précisions doivent être demandées
+ */
+function needsProjectDetails(projectDescription) {
+  const words = String(projectDescription || '').trim().split(/\s+/).filter(Boolean);
+  return words.length < MIN_DESCRIPTION_WORDS;
+}
+
+/**
+ * Demande à l'utilisateur de préciser le projet si sa description est trop courte
+ * Sans support de l'élicitation côté client, si l'utilisateur refuse ou si la demande
+ * échoue (erreur du client, délai dépassé), la génération se poursuit avec la description d'origine
+ * @param {string} projectName - Nom du projet
+ * @param {string} projectDescription - Description fournie par l'utilisateur
+ * @param {Object} context - Contexte de l'outil (elicit, reportProgress)
+ * @returns {Promise<Object>} Précisions { targetUsers?, constraints?, scope? } (vide si aucune)
+ */
+async function elicitProjectDetails(projectName, projectDescription, context) {
+  if (!context.elicit || !needsProjectDetails(projectDescription)) {
+    return {};
+  }
+
+  context.reportProgress?.('Précisions sur le projet demandées à l\'utilisateur');
+
+  let response;
+  try {
+    response = await context.elicit(
+      `La description du projet "${projectName}" est succincte. Précisez les utilisateurs cibles, les contraintes et le périmètre pour obtenir un backlog plus pertinent.`,
+      PROJECT_DETAILS_SCHEMA
+    );
+  } catch (error) {
+    // L'annulation de l'outil doit interrompre la génération
+    if (error instanceof CancellationError) {
+      throw error;
+    }
+    logger.warning(`Précisions sur le projet indisponibles (${error.message}), génération avec la description d'origine`);
+    return {};
+  }
+
+  if (response?.action !== 'accept') {
+    logger.info(`Précisions sur le projet non fournies (${response?.action || 'sans réponse'}), génération avec la description d'origine`);
+    return {};
+  }
+
+  // Seuls les champs du formulaire renseignés sont conservés
+  return Object.fromEntries(
+    Object.keys(PROJECT_DETAILS_SCHEMA.properties)
+      .filter(key => typeof response.content?.[key] === 'string' && response.content[key].trim())
+      .map(key => [key, response.content[key].trim()])
+  );
+}
+
+module.exports = {
+  MIN_DESCRIPTION_WORDS,
+  PROJECT_DETAILS_SCHEMA,
+  needsProjectDetails,
+  elicitProjectDetails
+};
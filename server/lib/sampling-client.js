@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Client LLM s'appuyant sur le sampling MCP (sampling/createMessage)
+ * Expose la même interface que le client OpenAI (chat.completions.create) afin que
+ * backlog-generator et feature-generator puissent utiliser le modèle de l'hôte MCP
+ * (Claude, Cursor...) sans clé API OpenAI ou Groq.
+ * @module sampling-client
+ */
+
+// Nom du provider retourné aux générateurs quand le sampling est utilisé
+const SAMPLING_PROVIDER = 'sampling';
+
+/**
+ * Extrait l'objet JSON d'une réponse texte (éventuellement entourée d'un bloc ```json)
+ * @param {string} text - Texte renvoyé par le modèle
+ * @returns {string} Texte JSON
+ */
+function extractJson(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+
+  return start !== -1 && end > start ? candidate.slice(start, end + 1) : candidate.trim();
+}
+
+/**
+ * Convertit une requête chat.completions en paramètres sampling/createMessage
+ * Les messages system deviennent le systemPrompt (ou des messages user après le premier échange)
+ * et un appel de fonction forcé est remplacé par une consigne de réponse JSON
+ * @param {Object} request - Requête au format OpenAI chat.completions
+ * @returns {Object} Paramètres sampling/createMessage
+ */
+function toSamplingParams(request) {
+  const systemParts = [];
+  const messages = [];
+
+  for (const message of request.messages) {
+    const text = message.function_call ? message.function_call.arguments : message.content;
+
+    if (message.role === 'system' && messages.length === 0) {
+      systemParts.push(text);
+    } else {
+      messages.push({
+        role: message.role === 'assistant' ? 'assistant' : 'user',
+        content: { type: 'text', text }
+      });
+    }
+  }
+
+  const forcedFunction = request.function_call?.name
+    && (request.functions || []).find(fn => fn.name === request.function_call.name);
+
+  if (forcedFunction) {
+    systemParts.push(`Réponds uniquement avec un objet JSON valide, sans texte autour, conforme à ce schéma JSON:\n${JSON.stringify(forcedFunction.parameters)}`);
+  }
+
+  return {
+    messages,
+    systemPrompt: systemParts.join('\n\n') || undefined,
+    includeContext: 'none',
+    temperature: request.temperature,
+    maxTokens: request.max_tokens || 4096
+  };
+}
+
+/**
+ * Crée un client compatible chat.completions qui délègue la génération au client MCP
+ * @param {Function} createMessage - (params, { signal }) => Promise<résultat sampling/createMessage>
+ * @returns {Object} Client { chat: { completions: { create } } }
+ */
+function createSamplingClient(createMessage) {
+  return {
+    provider: SAMPLING_PROVIDER,
+    chat: {
+      completions: {
+        create: async (request, options = {}) => {
+          const result = await createMessage(toSamplingParams(request), { signal: options.signal });
+          const text = result?.content?.type === 'text' ? result.content.text : '';
+
+          // Un appel de fonction forcé est restitué sous forme de function_call
+          const message = request.function_call?.name
+            ? { role: 'assistant', content: null, function_call: { name: request.function_call.name, arguments: extractJson(text) } }
+            : { role: 'assistant', content: text };
+
+          return {
+            model: result?.model,
+            choices: [{ index: 0, message, finish_reason: result?.stopReason || 'stop' }]
+          };
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  SAMPLING_PROVIDER,
+  createSamplingClient,
+  toSamplingParams,
+  extractJson
+};
@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Planification des sprints à capacité fixe, sans appel LLM
+ * Les user stories estimées (story_points) sont réparties par priorité dans des sprints
+ * dont la charge ne dépasse pas la vélocité de l'équipe. Une story n'est planifiée
+ * qu'une fois ses dépendances placées dans le même sprint ou un sprint précédent.
+ * Les itérations de backlog.json et les fichiers planning/iterations sont régénérés.
+ * @module sprint-planner
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { logger } = require('./logger');
+const { McpError } = require('./errors');
+const { createSlug } = require('./markdown/utils');
+const { parseUserStory } = require('./markdown/story-formatter');
+const { requireBacklog, listStoryEntries, getEntryFilePath } = require('./utils/backlog-reader');
+const { saveBacklog, rewritePlanning } = require('./utils/backlog-writer');
+
+// Code JSON-RPC pour un argument invalide
+const INVALID_PARAMS = -32602;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rang de tri des priorités (les priorités inconnues sont traitées comme moyennes)
+ */
+const PRIORITY_RANKS = { high: 0, must: 0, medium: 1, should: 1, low: 2, could: 2 };
+
+/**
+ * Retourne le rang de tri d'une priorité
+ * @param {string} priority - Priorité de la user story (HIGH, Medium, low...)
+ * @returns {number} Rang, le plus petit en premier
+ */
+function priorityRank(priority) {
+  const rank = PRIORITY_RANKS[String(priority || '').trim().toLowerCase()];
+  return rank === undefined ? PRIORITY_RANKS.medium : rank;
+}
+
+/**
+ * Lit une date au format YYYY-MM-DD (UTC)
+ * @param {string} [value] - Date de début (aujourd'hui par défaut)
+ * @returns {Date} Date à minuit UTC
+ * @throws {McpError} -32602 si la date n'existe pas
+ */
+function parseStartDate(value) {
+  if (!value) {
+    return new Date(new Date().toISOString().slice(0, 10));
+  }
+
+  const date = new Date(`${value}T00:00:00Z`);
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    throw new McpError(`Date de début invalide: ${value} (format attendu: AAAA-MM-JJ)`, { startDate: value }, INVALID_PARAMS);
+  }
+
+  return date;
+}
+
+/**
+ * Formate une date au format YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Date formatée
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Remplit un sprint avec les stories prêtes (dépendances placées) qui tiennent dans la capacité
+ * Les stories sont parcourues dans l'ordre de priorité, jusqu'à ce que plus aucune ne puisse entrer
+ * @param {Array<Object>} remaining - Stories restantes, triées par priorité
+ * @param {number} velocity - Capacité du sprint en story points
+ * @param {Function} isReady - Indique si les dépendances d'une story sont placées
+ * @param {Function} place - Place une story dans le sprint
+ * @param {number} [initialLoad=0] - Charge déjà placée dans le sprint
+ * @returns {number} Charge du sprint
+ */
+function fillSprint(remaining, velocity, isReady, place, initialLoad = 0) {
+  let load = initialLoad;
+  let added = true;
+
+  while (added) {
+    added = false;
+    for (const story of remaining) {
+      if (story.placed || !isReady(story) || (load > 0 && load + story.points > velocity)) continue;
+      place(story);
+      load += story.points;
+      added = true;
+    }
+  }
+
+  return load;
+}
+
+/**
+ * Trouve un cycle parmi des stories qui attendent toutes une dépendance non placée
+ * Chaque story a au moins une dépendance bloquante: en les suivant depuis la plus prioritaire,
+ * on finit forcément par repasser sur une story déjà visitée, qui ferme le cycle
+ * @param {Array<Object>} waiting - Stories non placées, triées par priorité
+ * @param {Function} blockingDependencies - Dépendances non placées d'une story (IDs normalisés)
+ * @param {Function} key - Normalise un ID de story
+ * @returns {Array<Object>} Stories du cycle, dans l'ordre des dépendances
+ */
+function findBlockingCycle(waiting, blockingDependencies, key) {
+  const byId = new Map(waiting.map(story => [key(story.id), story]));
+  const path = [];
+  let current = waiting[0];
+
+  while (!path.includes(current)) {
+    path.push(current);
+    current = byId.get(blockingDependencies(current)[0]);
+  }
+
+  return path.slice(path.indexOf(current));
+}
+
+/**
+ * Répartit des user stories estimées dans des sprints
+ * @param {Array<Object>} stories - Stories dans l'ordre du backlog ({ id, title, path, points, priority, dependencies, feature, rank? })
+ * @param {Object} options - Paramètres de planification
+ * @param {number} options.velocity - Story points réalisables par sprint
+ * @param {number} [options.sprintLength=14] - Durée d'un sprint en jours calendaires
+ * @param {string} [options.startDate] - Début du premier sprint (YYYY-MM-DD, aujourd'hui par défaut)
+ * @returns {{iterations: Array<Object>, warnings: Array<string>}} Itérations planifiées et avertissements
+ */
+function planSprints(stories, { velocity, sprintLength = 14, startDate }) {
+  const start = parseStartDate(startDate);
+  const warnings = [];
+  // Les IDs sont comparés sans tenir compte de la casse (dépendances saisies à la main)
+  const key = id => String(id).toUpperCase();
+  const plannedIds = new Set(stories.map(story => key(story.id)));
+  const placedIds = new Set();
+
+  // À priorité égale, le rang calculé par prioritizeBacklog passe avant l'ordre du backlog
+  const remaining = stories
+    .map((story, order) => ({ ...story, order: story.rank ?? stories.length + order, placed: false }))
+    .sort((a, b) => priorityRank(a.priority) - priorityRank(b.priority) || a.order - b.order);
+
+  // Les dépendances hors du plan (stories inconnues ou non estimées) ne bloquent pas
+  const blockingDependencies = story => story.dependencies.map(key).filter(dependency => plannedIds.has(dependency) && !placedIds.has(dependency));
+  const isReady = story => blockingDependencies(story).length === 0;
+
+  const iterations = [];
+  while (remaining.some(story => !story.placed)) {
+    const sprintStories = [];
+    const place = story => {
+      story.placed = true;
+      placedIds.add(key(story.id));
+      sprintStories.push(story);
+    };
+
+    let load = fillSprint(remaining, velocity, isReady, place);
+
+    if (sprintStories.length === 0) {
+      // Toutes les stories restantes attendent une dépendance: la plus prioritaire d'un cycle est forcée
+      const cycle = findBlockingCycle(remaining.filter(story => !story.placed), blockingDependencies, key);
+      const forced = remaining.find(story => cycle.includes(story));
+      const cycleIds = [...cycle, cycle[0]].map(story => story.id).join(' → ');
+      warnings.push(`Dépendances circulaires (${cycleIds}): ${forced.id} planifiée sans attendre ${blockingDependencies(forced).join(', ')}`);
+      place(forced);
+      load = fillSprint(remaining, velocity, isReady, place, forced.points);
+    }
+
+    for (const story of sprintStories.filter(story => story.points > velocity)) {
+      warnings.push(`${story.id} (${story.points} points) dépasse la vélocité de ${velocity} points: pensez à la découper`);
+    }
+
+    const sprintStart = new Date(start.getTime() + iterations.length * sprintLength * DAY_MS);
+    const sprintEnd = new Date(sprintStart.getTime() + (sprintLength - 1) * DAY_MS);
+    const features = [...new Set(sprintStories.map(story => story.feature).filter(Boolean))];
+
+    iterations.push({
+      name: `Iteration ${iterations.length + 1}`,
+      goal: features.length > 0 ? `Livrer: ${features.join(', ')}` : 'Livrer les user stories planifiées',
+      start_date: formatDate(sprintStart),
+      end_date: formatDate(sprintEnd),
+      capacity: velocity,
+      points: load,
+      stories: sprintStories
+    });
+  }
+
+  return { iterations, warnings };
+}
+
+/**
+ * Planifie les sprints du backlog et régénère les itérations (backlog.json et planning/iterations)
+ * @param {string} backlogDir - Chemin du dossier .agile-planner-backlog
+ * @param {Object} options - Paramètres de planification (velocity, sprintLength, startDate, onProgress)
+ * @returns {Promise<Object>} { iterations, unplannedStoryIds, removedIterations, files, warnings }
+ * @throws {McpError} Si le backlog n'existe pas ou qu'aucune story n'est estimée
+ */
+async function planSprintsInBacklog(backlogDir, options) {
+  const { velocity, sprintLength = 14, startDate } = options;
+  const onProgress = options.onProgress || (() => {});
+  const backlog = await requireBacklog(backlogDir);
+
+  const stories = [];
+  const unplannedStoryIds = [];
+  for (const { story, feature, epic } of listStoryEntries(backlog)) {
+    if (typeof story.story_points !== 'number') {
+      unplannedStoryIds.push(story.id);
+      continue;
+    }
+
+    // Priorité et dépendances ne sont écrites que dans le markdown de la user story
+    const filePath = getEntryFilePath(backlogDir, epic, feature, story);
+    const details = (await fs.pathExists(filePath)) ? parseUserStory(await fs.readFile(filePath, 'utf8')) : {};
+
+    stories.push({
+      id: story.id,
+      title: story.title,
+      path: story.path,
+      points: story.story_points,
+      priority: details.priority || '',
+      rank: story.prioritization?.rank,
+      dependencies: details.dependencies || [],
+      feature: feature.title
+    });
+  }
+
+  if (stories.length === 0) {
+    throw new McpError("Aucune user story estimée dans backlog.json: lancez d'abord estimateStories", {}, INVALID_PARAMS);
+  }
+
+  const plan = planSprints(stories, { velocity, sprintLength, startDate });
+  onProgress(`${stories.length} user stories réparties en ${plan.iterations.length} sprints`);
+
+  const warnings = [...plan.warnings];
+  if (unplannedStoryIds.length > 0) {
+    warnings.push(`User stories non estimées, non planifiées: ${unplannedStoryIds.join(', ')}`);
+  }
+
+  // Les dossiers des anciennes itérations absentes du nouveau plan sont supprimés
+  const newSlugs = new Set(plan.iterations.map(iteration => createSlug(iteration.name)));
+  const removedIterations = [];
+  for (const iteration of backlog.iterations || []) {
+    const slug = iteration.slug || createSlug(iteration.name);
+    if (!newSlugs.has(slug)) {
+      const iterationDir = path.join(backlogDir, 'planning', 'iterations', slug);
+      await fs.remove(iterationDir);
+      removedIterations.push(iterationDir);
+    }
+  }
+
+  backlog.iterations = plan.iterations.map(({ name, goal, start_date, end_date, capacity, stories: sprintStories }) => ({
+    name,
+    goal,
+    start_date,
+    end_date,
+    capacity,
+    stories: sprintStories.map(story => ({ id: story.id, title: story.title, path: story.path }))
+  }));
+  backlog.sprint_plan = { velocity, sprint_length: sprintLength, start_date: plan.iterations[0].start_date };
+
+  const files = await rewritePlanning(backlog, backlogDir, onProgress);
+  files.push(await saveBacklog(backlogDir, backlog));
+  logger.info(`Sprints planifiés: ${plan.iterations.length} itérations de ${velocity} points`);
+
+  return {
+    iterations: plan.iterations.map(iteration => ({
+      name: iteration.name,
+      startDate: iteration.start_date,
+      endDate: iteration.end_date,
+      points: iteration.points,
+      storyIds: iteration.stories.map(story => story.id)
+    })),
+    unplannedStoryIds,
+    removedIterations,
+    files,
+    warnings
+  };
+}
+
+module.exports = {
+  priorityRank,
+  planSprints,
+  planSprintsInBacklog
+};
@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Estimation des user stories en story points (suite de Fibonacci)
+ * Le LLM estime toutes les stories du backlog en un seul appel, pour des estimations
+ * cohérentes entre elles. Des stories de référence déjà estimées par l'équipe servent
+ * d'étalon. Les points sont écrits dans les métadonnées des fichiers markdown et dans
+ * backlog.json, avec leurs totaux par feature, epic, itération et MVP.
+ * @module story-estimator
+ * @requires structured-completion
+ */
+
+const fs = require('fs-extra');
+const { logger } = require('./logger');
+const { McpError, CancellationError } = require('./errors');
+const { requestStructuredOutput } = require('./structured-completion');
+const { parseUserStory, updateUserStoryMarkdown } = require('./markdown/story-formatter');
+const { requireBacklog, listStoryEntries, requireStoryEntry, getEntryFilePath } = require('./utils/backlog-reader');
+const { saveBacklog, rewritePlanning, rollupStoryPoints } = require('./utils/backlog-writer');
+
+// Code JSON-RPC pour un argument invalide
+const INVALID_PARAMS = -32602;
+
+/**
+ * Valeurs de story points autorisées
+ */
+const FIBONACCI_POINTS = [1, 2, 3, 5, 8, 13, 21];
+
+/**
+ * Schéma de la réponse attendue du LLM (fonction deliver_estimates)
+ */
+const ESTIMATES_SCHEMA = {
+  type: 'object',
+  required: ['estimates'],
+  properties: {
+    estimates: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'points', 'rationale'],
+        properties: {
+          id: { type: 'string', description: 'ID de la user story' },
+          points: { type: 'integer', enum: FIBONACCI_POINTS },
+          rationale: { type: 'string', description: "Justification courte (complexité, incertitude, volume)" }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Ramène une valeur à la valeur de la suite de Fibonacci la plus proche
+ * @param {number} points - Points proposés
+ * @returns {number} Points autorisés
+ */
+function toFibonacciPoints(points) {
+  const value = Number(points) || FIBONACCI_POINTS[0];
+  return FIBONACCI_POINTS.reduce((closest, candidate) =>
+    (Math.abs(candidate - value) < Math.abs(closest - value) ? candidate : closest));
+}
+
+/**
+ * Décrit une user story pour le prompt d'estimation
+ * @param {Object} story - User story relue par parseUserStory
+ * @returns {string} Bloc de texte
+ */
+function describeStory(story) {
+  return [
+    `### ${story.id}: ${story.title}`,
+    story.description,
+    ...story.acceptance_criteria.map(criteria => `- Critère: ${criteria}`),
+    ...story.tasks.map(task => `- Tâche: ${task}`)
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Crée les messages envoyés au LLM pour estimer des user stories
+ * @param {Array<Object>} stories - User stories à estimer
+ * @param {Array<Object>} references - Stories de référence ({ story, points })
+ * @returns {Array<Object>} Messages de la conversation
+ */
+function createEstimateMessages(stories, references) {
+  const calibration = references.length > 0
+    ? `\n\nSTORIES DE RÉFÉRENCE (déjà estimées par l'équipe, à utiliser comme étalon):\n${references
+      .map(({ story, points }) => `${describeStory(story)}\n=> ${points} points`).join('\n\n')}`
+    : '';
+
+  return [
+    {
+      role: 'system',
+      content: `Tu es un coach agile qui anime une séance d'estimation. Estime chaque user story en story points.
+
+RÈGLES IMPORTANTES:
+- Utilise uniquement les valeurs ${FIBONACCI_POINTS.join(', ')}
+- Les points mesurent l'effort relatif (complexité, incertitude, volume de travail), pas une durée
+- Estime les stories les unes par rapport aux autres, de façon cohérente
+- Une story à 13 points ou plus devrait être découpée: signale-le dans la justification
+- Renvoie une estimation pour chaque ID fourni, avec une justification d'une phrase${calibration}`
+    },
+    {
+      role: 'user',
+      content: `User stories à estimer:\n\n${stories.map(describeStory).join('\n\n')}`
+    }
+  ];
+}
+
+/**
+ * Estime des user stories avec le LLM
+ * @param {Array<Object>} stories - User stories relues par parseUserStory
+ * @param {Object} client - Client API (OpenAI, Groq ou sampling MCP)
+ * @param {string} provider - Fournisseur d'API
+ * @param {Object} [options] - Options
+ * @param {Array<Object>} [options.references] - Stories de référence ({ story, points })
+ * @param {Function} [options.onProgress] - Callback appelé à chaque étape (message)
+ * @param {AbortSignal} [options.signal] - Signal d'annulation transmis au client API
+ * @returns {Promise<Map<string, {points: number, rationale: string}>>} Estimations par ID
+ */
+async function estimateUserStories(stories, client, provider, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+
+  onProgress(`Appel LLM pour l'estimation de ${stories.length} user stories`);
+  const result = await requestStructuredOutput(client, provider, {
+    messages: createEstimateMessages(stories, options.references || []),
+    functionName: 'deliver_estimates',
+    description: 'Renvoie les story points estimés pour chaque user story',
+    schema: ESTIMATES_SCHEMA
+  }, { signal: options.signal });
+
+  const estimates = new Map();
+  for (const estimate of result.estimates || []) {
+    estimates.set(String(estimate.id).trim().toUpperCase(), {
+      points: toFibonacciPoints(estimate.points),
+      rationale: estimate.rationale || ''
+    });
+  }
+
+  return estimates;
+}
+
+/**
+ * Relit le fichier markdown d'une user story (ou se contente de son entrée dans backlog.json)
+ * @param {string} backlogDir - Chemin du dossier backlog
+ * @param {Object} entry - Entrée { story, feature, epic } de listStoryEntries
+ * @returns {Promise<{story: Object, markdown: string|null, filePath: string|null}>} User story relue,
+ *   contenu et chemin de son fichier
+ */
+async function readStory(backlogDir, { story, feature, epic }) {
+  const filePath = getEntryFilePath(backlogDir, epic, feature, story);
+
+  if (!(await fs.pathExists(filePath))) {
+    return {
+      story: { id: story.id, title: story.title, description: '', acceptance_criteria: [], tasks: [] },
+      markdown: null,
+      filePath: null
+    };
+  }
+
+  const markdown = await fs.readFile(filePath, 'utf8');
+  return {
+    story: { ...parseUserStory(markdown), id: story.id, title: story.title },
+    markdown,
+    filePath
+  };
+}
+
+/**
+ * Estime les user stories du backlog et met à jour fichiers, backlog.json et planification
+ * @param {string} backlogDir - Chemin du dossier .agile-planner-backlog
+ * @param {Object} client - Client API
+ * @param {string} provider - Fournisseur d'API
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.storyIds] - Stories à estimer (toutes par défaut)
+ * @param {Array<{storyId: string, points: number}>} [options.referenceStories] - Étalon fourni par l'équipe
+ * @param {Function} [options.onProgress] - Callback appelé à chaque étape (message)
+ * @param {AbortSignal} [options.signal] - Signal d'annulation
+ * @returns {Promise<Object>} { estimates: [{ id, points, rationale }], totalPoints, files, warnings }
+ * @throws {McpError} Si le backlog ou une user story demandée n'existe pas
+ * @throws {CancellationError} Si l'estimation a été annulée (aucun fichier modifié)
+ */
+async function estimateBacklog(backlogDir, client, provider, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+  const backlog = await requireBacklog(backlogDir);
+  const warnings = [];
+
+  const referencePoints = new Map((options.referenceStories || []).map(({ storyId, points }) =>
+    [requireStoryEntry(backlog, storyId).story.id, toFibonacciPoints(points)]));
+
+  const targets = options.storyIds?.length > 0
+    ? options.storyIds.map(storyId => requireStoryEntry(backlog, storyId))
+    : listStoryEntries(backlog);
+  const targetStories = new Set(targets.map(({ story }) => story).filter(story => !referencePoints.has(story.id)));
+
+  if (targetStories.size === 0 && referencePoints.size === 0) {
+    throw new McpError('Aucune user story à estimer dans backlog.json', {}, INVALID_PARAMS);
+  }
+
+  const stories = [];
+  const references = [];
+  for (const entry of listStoryEntries(backlog)) {
+    const isReference = referencePoints.has(entry.story.id);
+    if (!isReference && !targetStories.has(entry.story)) continue;
+
+    const read = await readStory(backlogDir, entry);
+    if (!read.filePath) {
+      warnings.push(`Fichier de ${entry.story.id} introuvable: estimation sur le seul titre`);
+    }
+    (isReference ? references : stories).push({ story: entry.story, parsed: read.story, markdown: read.markdown, filePath: read.filePath });
+  }
+  onProgress(`${stories.length} user stories relues`);
+
+  const estimates = stories.length > 0
+    ? await estimateUserStories(stories.map(({ parsed }) => parsed), client, provider, {
+      references: references.map(({ parsed }) => ({ story: parsed, points: referencePoints.get(parsed.id) })),
+      onProgress,
+      signal: options.signal
+    })
+    : new Map();
+
+  // Requête annulée pendant l'appel LLM: rien n'est modifié
+  CancellationError.throwIfAborted(options.signal);
+
+  for (const reference of references) {
+    estimates.set(reference.story.id.toUpperCase(), {
+      points: referencePoints.get(reference.story.id),
+      rationale: 'Story de référence estimée par l\'équipe'
+    });
+  }
+
+  const files = [];
+  const results = [];
+  for (const { story, markdown, filePath } of [...references, ...stories]) {
+    const estimate = estimates.get(story.id.toUpperCase());
+
+    if (!estimate) {
+      warnings.push(`Aucune estimation renvoyée pour ${story.id}`);
+      continue;
+    }
+
+    story.story_points = estimate.points;
+    results.push({ id: story.id, ...estimate });
+
+    if (filePath) {
+      // Seules les lignes Story Points et Estimation Rationale changent dans le fichier
+      await fs.writeFile(filePath, updateUserStoryMarkdown(markdown, { story_points: estimate.points, estimation_rationale: estimate.rationale }));
+      files.push(filePath);
+      onProgress(`User story estimée: ${story.id} (${estimate.points} points)`);
+    }
+  }
+
+  const totalPoints = rollupStoryPoints(backlog) || 0;
+  const hasPlanning = backlog.iterations?.length > 0 || backlog.mvp?.stories?.length > 0;
+  files.push(...(hasPlanning ? await rewritePlanning(backlog, backlogDir, onProgress) : []));
+  files.push(await saveBacklog(backlogDir, backlog));
+  logger.info(`${results.length} user stories estimées (${totalPoints} points au total)`);
+
+  return { estimates: results, totalPoints, files, warnings };
+}
+
+module.exports = {
+  FIBONACCI_POINTS,
+  toFibonacciPoints,
+  createEstimateMessages,
+  estimateUserStories,
+  estimateBacklog
+};
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Affinage d'une user story existante selon les critères INVEST
+ * Le fichier markdown écrit par processUserStory est relu, amélioré par le LLM puis réécrit
+ * en place. L'ID, le titre (qui fixe le nom du fichier et les liens des itérations et du MVP),
+ * les dépendances, l'estimation, le statut et les cases déjà cochées par l'équipe sont conservés.
+ * @module story-refiner
+ * @requires structured-completion
+ */
+
+const fs = require('fs-extra');
+const { logger } = require('./logger');
+const { McpError, CancellationError } = require('./errors');
+const { requestStructuredOutput } = require('./structured-completion');
+const { formatUserStory, parseUserStory } = require('./markdown/story-formatter');
+const { requireBacklog, requireStoryEntry, getEntryFilePath } = require('./utils/backlog-reader');
+const { rewriteFeatureGherkin } = require('./utils/backlog-writer');
+
+/**
+ * Schéma de la réponse attendue du LLM (fonction deliver_refined_story)
+ */
+const REFINED_STORY_SCHEMA = {
+  type: 'object',
+  required: ['description', 'acceptance_criteria', 'tasks', 'invest_issues'],
+  properties: {
+    description: {
+      type: 'string',
+      description: 'Description au format "En tant que... Je veux... Afin de..."'
+    },
+    acceptance_criteria: {
+      type: 'array',
+      items: { type: 'string' },
+      minItems: 1,
+      description: "Critères d'acceptation vérifiables"
+    },
+    tasks: {
+      type: 'array',
+      items: { type: 'string' },
+      minItems: 1,
+      description: 'Tâches techniques'
+    },
+    priority: {
+      type: 'string',
+      description: 'Priorité (conserver celle d\'origine sauf incohérence)'
+    },
+    invest_issues: {
+      type: 'array',
+      items: { type: 'string' },
+      description: "Critères INVEST non respectés par la version d'origine et correction apportée"
+    }
+  }
+};
+
+/**
+ * Liste les éléments d'une section avec leur case à cocher
+ * @param {Array<string>} items - Éléments de la section
+ * @param {Array<string>} checked - Éléments cochés
+ * @returns {string} Liste markdown
+ */
+function describeItems(items, checked) {
+  return items.length > 0
+    ? items.map(item => `- [${checked.includes(item) ? 'x' : ' '}] ${item}`).join('\n')
+    : '- (aucun)';
+}
+
+/**
+ * Crée les messages envoyés au LLM pour affiner une user story
+ * @param {Object} story - User story relue par parseUserStory
+ * @param {Object} parents - Parents de la user story dans backlog.json
+ * @param {Object} parents.epic - Epic parent
+ * @param {Object} parents.feature - Feature parente
+ * @returns {Array<Object>} Messages de la conversation
+ */
+function createRefineMessages(story, { epic, feature }) {
+  return [
+    {
+      role: 'system',
+      content: `Tu es un Product Owner expérimenté. Affine la user story fournie pour qu'elle respecte les critères INVEST (Indépendante, Négociable, Valorisable, Estimable, Petite, Testable).
+
+RÈGLES IMPORTANTES:
+- Garde le format "En tant que... Je veux... Afin de..." pour la description
+- Reste dans le périmètre de la feature parente: ne crée pas de nouvelle fonctionnalité
+- Les éléments cochés [x] sont déjà réalisés ou validés par l'équipe: reprends-les mot pour mot
+- Rends chaque critère d'acceptation vérifiable par un test
+- Liste dans invest_issues les critères INVEST que la version d'origine ne respectait pas`
+    },
+    {
+      role: 'user',
+      content: [
+        `Epic parent: ${epic.title}${epic.description ? ` - ${epic.description}` : ''}`,
+        `Feature parente: ${feature.title}${feature.description ? ` - ${feature.description}` : ''}`,
+        '',
+        `User story ${story.id}: ${story.title}`,
+        `Description: ${story.description}`,
+        story.priority ? `Priorité: ${story.priority}` : null,
+        '',
+        "Critères d'acceptation:",
+        describeItems(story.acceptance_criteria, story.checked.acceptance_criteria),
+        '',
+        'Tâches techniques:',
+        describeItems(story.tasks, story.checked.tasks)
+      ].filter(line => line !== null).join('\n')
+    }
+  ];
+}
+
+/**
+ * Réintègre les éléments cochés que le LLM aurait reformulés ou retirés
+ * Une case cochée correspond à un travail fait: elle ne doit jamais disparaître
+ * @param {Array<string>} refinedItems - Éléments proposés par le LLM
+ * @param {Array<string>} checkedItems - Éléments cochés de la version d'origine
+ * @returns {Array<string>} Éléments affinés, cochés d'origine inclus
+ */
+function keepCheckedItems(refinedItems, checkedItems) {
+  const missing = checkedItems.filter(item => !refinedItems.includes(item));
+  return [...missing, ...refinedItems];
+}
+
+/**
+ * Affine une user story avec le LLM
+ * @param {Object} story - User story relue par parseUserStory
+ * @param {Object} parents - Epic et feature parents ({ epic, feature })
+ * @param {Object} client - Client API (OpenAI, Groq ou sampling MCP)
+ * @param {string} provider - Fournisseur d'API
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onProgress] - Callback appelé à chaque étape (message)
+ * @param {AbortSignal} [options.signal] - Signal d'annulation transmis au client API
+ * @returns {Promise<{story: Object, investIssues: Array<string>}>} User story affinée
+ */
+async function refineUserStory(story, parents, client, provider, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+
+  onProgress(`Appel LLM pour l'affinage de ${story.id}`);
+  const refined = await requestStructuredOutput(client, provider, {
+    messages: createRefineMessages(story, parents),
+    functionName: 'deliver_refined_story',
+    description: 'Renvoie la user story affinée selon les critères INVEST',
+    schema: REFINED_STORY_SCHEMA
+  }, { signal: options.signal });
+
+  const acceptanceCriteria = keepCheckedItems(refined.acceptance_criteria || [], story.checked.acceptance_criteria);
+  const tasks = keepCheckedItems(refined.tasks || [], story.checked.tasks);
+
+  return {
+    story: {
+      id: story.id,
+      title: story.title,
+      description: refined.description || story.description,
+      acceptance_criteria: acceptanceCriteria,
+      tasks,
+      priority: refined.priority || story.priority,
+      status: story.status,
+      dependencies: story.dependencies,
+      story_points: story.story_points,
+      estimation_rationale: story.estimation_rationale,
+      checked: story.checked
+    },
+    investIssues: refined.invest_issues || []
+  };
+}
+
+/**
+ * Affine une user story du backlog et réécrit son fichier markdown en place
+ * @param {string} backlogDir - Chemin du dossier .agile-planner-backlog
+ * @param {string} storyId - ID de la user story (ex: US001)
+ * @param {Object} client - Client API
+ * @param {string} provider - Fournisseur d'API
+ * @param {Object} [options] - Options (onProgress, signal)
+ * @returns {Promise<{story: Object, investIssues: Array<string>, filePath: string, files: Array<string>}>} Résultat de l'affinage
+ * @throws {McpError} Si le backlog, la user story ou son fichier n'existe pas
+ * @throws {CancellationError} Si l'affinage a été annulé (le fichier n'est pas modifié)
+ */
+async function refineStoryInBacklog(backlogDir, storyId, client, provider, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+  const backlog = await requireBacklog(backlogDir);
+  const { story, feature, epic } = requireStoryEntry(backlog, storyId);
+  const filePath = getEntryFilePath(backlogDir, epic, feature, story);
+
+  if (!(await fs.pathExists(filePath))) {
+    throw new McpError(`Fichier de la user story introuvable: ${filePath}`, { storyId: story.id, filePath });
+  }
+
+  const original = parseUserStory(await fs.readFile(filePath, 'utf8'));
+  // L'ID de backlog.json fait foi si l'en-tête du fichier a été modifié à la main
+  original.id = story.id;
+  original.title = original.title || story.title;
+  onProgress(`User story ${story.id} relue`);
+
+  const refined = await refineUserStory(original, { epic, feature }, client, provider, options);
+
+  // Requête annulée pendant l'appel LLM: le fichier reste intact
+  CancellationError.throwIfAborted(options.signal);
+
+  await fs.writeFile(filePath, formatUserStory(refined.story));
+  logger.info(`User story ${story.id} affinée: ${filePath}`);
+  onProgress(`User story réécrite: ${story.id} ${refined.story.title}`);
+
+  // Les scénarios Gherkin de la feature suivent les nouveaux critères d'acceptation
+  const gherkinPath = await rewriteFeatureGherkin(backlogDir, epic, feature);
+
+  return { ...refined, filePath, files: gherkinPath ? [filePath, gherkinPath] : [filePath] };
+}
+
+module.exports = {
+  REFINED_STORY_SCHEMA,
+  createRefineMessages,
+  refineUserStory,
+  refineStoryInBacklog
+};
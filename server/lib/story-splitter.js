@@ -0,0 +1,327 @@
+/**
+ * @fileoverview Découpage d'une user story trop grosse pour un sprint
+ * Le LLM applique un motif de découpage SPIDR (Spike, Paths, Interfaces, Data, Rules).
+ * Les nouvelles stories sont écrites dans le dossier de la feature d'origine et remplacent
+ * l'originale dans backlog.json, dans les itérations, dans le MVP et dans les dépendances
+ * des autres stories.
+ * @module story-splitter
+ * @requires structured-completion
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { logger } = require('./logger');
+const { McpError, ApiError, CancellationError } = require('./errors');
+const { requestStructuredOutput } = require('./structured-completion');
+const { parseUserStory, processUserStories, updateUserStoryMarkdown } = require('./markdown/story-formatter');
+const { requireBacklog, requireStoryEntry, listStoryEntries, nextStoryIds, getEntryFilePath, getStoryFileName } = require('./utils/backlog-reader');
+const { saveBacklog, rewritePlanning, rewriteFeatureGherkin } = require('./utils/backlog-writer');
+
+// Code JSON-RPC des paramètres invalides
+const INVALID_PARAMS = -32602;
+
+/**
+ * Motifs de découpage SPIDR proposés au LLM
+ */
+const SPLIT_PATTERNS = {
+  paths: 'Chemins: une story par parcours utilisateur (cas nominal, alternatives, erreurs)',
+  interfaces: 'Interfaces: une story par canal ou interface (web, mobile, API, import...)',
+  data: 'Données: une story par type ou sous-ensemble de données traitées',
+  rules: "Règles: la règle métier la plus simple d'abord, les règles plus complexes dans les stories suivantes",
+  spikes: "Spike: une story d'investigation limitée dans le temps pour lever l'inconnue, puis la réalisation"
+};
+
+/**
+ * Crée le schéma de la réponse attendue du LLM (fonction deliver_story_split)
+ * @param {number} storyCount - Nombre de stories attendues
+ * @returns {Object} Schéma JSON
+ */
+function createSplitSchema(storyCount) {
+  return {
+    type: 'object',
+    required: ['pattern', 'stories'],
+    properties: {
+      pattern: {
+        type: 'string',
+        enum: Object.keys(SPLIT_PATTERNS),
+        description: 'Motif de découpage appliqué'
+      },
+      stories: {
+        type: 'array',
+        minItems: storyCount,
+        maxItems: storyCount,
+        items: {
+          type: 'object',
+          required: ['title', 'description', 'acceptance_criteria', 'tasks'],
+          properties: {
+            title: { type: 'string' },
+            description: { type: 'string', description: 'Format "En tant que... Je veux... Afin de..."' },
+            acceptance_criteria: { type: 'array', items: { type: 'string' }, minItems: 1 },
+            tasks: { type: 'array', items: { type: 'string' }, minItems: 1 }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Crée les messages envoyés au LLM pour découper une user story
+ * @param {Object} story - User story relue par parseUserStory
+ * @param {Object} parents - Epic et feature parents ({ epic, feature })
+ * @param {number} storyCount - Nombre de stories à produire
+ * @param {string} [pattern] - Motif imposé (sinon choisi par le LLM)
+ * @returns {Array<Object>} Messages de la conversation
+ */
+function createSplitMessages(story, { epic, feature }, storyCount, pattern) {
+  const patterns = pattern
+    ? `- Applique le motif: ${SPLIT_PATTERNS[pattern]}`
+    : `- Choisis le motif le plus adapté parmi:\n${Object.entries(SPLIT_PATTERNS).map(([key, label]) => `  - ${key}: ${label}`).join('\n')}`;
+
+  return [
+    {
+      role: 'system',
+      content: `Tu es un Product Owner expérimenté. Découpe la user story fournie en exactement ${storyCount} user stories plus petites, chacune livrable dans un sprint.
+
+RÈGLES IMPORTANTES:
+${patterns}
+- Chaque story apporte de la valeur à l'utilisateur par elle-même (découpage vertical, pas par couche technique)
+- Ensemble, les stories couvrent tout le périmètre de la story d'origine, sans le dépasser
+- Garde le format "En tant que... Je veux... Afin de..." et des critères d'acceptation vérifiables
+- Chaque story a un titre distinct de celui de la story d'origine`
+    },
+    {
+      role: 'user',
+      content: [
+        `Epic parent: ${epic.title}`,
+        `Feature parente: ${feature.title}${feature.description ? ` - ${feature.description}` : ''}`,
+        '',
+        `User story ${story.id}: ${story.title}`,
+        `Description: ${story.description}`,
+        '',
+        "Critères d'acceptation:",
+        ...story.acceptance_criteria.map(criteria => `- ${criteria}`),
+        '',
+        'Tâches techniques:',
+        ...story.tasks.map(task => `- ${task}`)
+      ].join('\n')
+    }
+  ];
+}
+
+/**
+ * Remplace une user story par ses stories issues du découpage dans une liste
+ * @param {Array<Object>} stories - Liste de références { id, title, path }
+ * @param {string} storyId - ID de la story d'origine
+ * @param {Array<Object>} replacements - Nouvelles références
+ * @returns {boolean} true si la story figurait dans la liste
+ */
+function replaceStoryReference(stories, storyId, replacements) {
+  const index = (stories || []).findIndex(story => story.id === storyId);
+
+  if (index === -1) return false;
+
+  stories.splice(index, 1, ...replacements.map(reference => ({ ...reference })));
+  return true;
+}
+
+/**
+ * Relit les autres stories du backlog qui dépendent de la story découpée
+ * @param {string} backlogDir - Chemin du dossier .agile-planner-backlog
+ * @param {Object} backlog - Contenu de backlog.json
+ * @param {string} storyId - ID de la story découpée
+ * @returns {Promise<Array<Object>>} Stories dépendantes { id, filePath, markdown, dependencies }
+ */
+async function findDependentStories(backlogDir, backlog, storyId) {
+  const dependents = [];
+
+  for (const { story, feature, epic } of listStoryEntries(backlog)) {
+    const filePath = getEntryFilePath(backlogDir, epic, feature, story);
+    if (story.id === storyId || !(await fs.pathExists(filePath))) continue;
+
+    const markdown = await fs.readFile(filePath, 'utf8');
+    const { dependencies } = parseUserStory(markdown);
+    if (dependencies.some(dependency => dependency.toUpperCase() === storyId.toUpperCase())) {
+      dependents.push({ id: story.id, filePath, markdown, dependencies });
+    }
+  }
+
+  return dependents;
+}
+
+/**
+ * Découpe une user story avec le LLM
+ * @param {Object} story - User story relue par parseUserStory
+ * @param {Object} parents - Epic et feature parents ({ epic, feature })
+ * @param {Object} client - Client API (OpenAI, Groq ou sampling MCP)
+ * @param {string} provider - Fournisseur d'API
+ * @param {Object} [options] - Options
+ * @param {number} [options.storyCount=2] - Nombre de stories à produire
+ * @param {string} [options.pattern] - Motif SPIDR imposé
+ * @param {Function} [options.onProgress] - Callback appelé à chaque étape (message)
+ * @param {AbortSignal} [options.signal] - Signal d'annulation transmis au client API
+ * @returns {Promise<{pattern: string, stories: Array<Object>}>} Motif appliqué et stories produites
+ * @throws {ApiError} Si le LLM ne renvoie pas le nombre de stories demandé
+ */
+async function splitUserStory(story, parents, client, provider, options = {}) {
+  const { storyCount = 2, pattern } = options;
+  const onProgress = options.onProgress || (() => {});
+
+  onProgress(`Appel LLM pour le découpage de ${story.id}`);
+  const split = await requestStructuredOutput(client, provider, {
+    messages: createSplitMessages(story, parents, storyCount, pattern),
+    functionName: 'deliver_story_split',
+    description: 'Renvoie les user stories issues du découpage',
+    schema: createSplitSchema(storyCount)
+  }, { signal: options.signal });
+
+  if (!Array.isArray(split.stories) || split.stories.length !== storyCount) {
+    throw new ApiError(`Le découpage doit produire ${storyCount} user stories (reçu: ${split.stories?.length || 0})`, { storyId: story.id });
+  }
+
+  return { pattern: pattern || split.pattern, stories: split.stories };
+}
+
+/**
+ * Vérifie qu'aucune story issue du découpage n'écraserait le fichier d'une autre story de la feature
+ * Le fichier de la story découpée peut être réutilisé: il est supprimé avant l'écriture
+ * @param {Array<Object>} newStories - Stories issues du découpage ({ id, title })
+ * @param {Object} feature - Feature parente (stories de backlog.json)
+ * @param {string} storyId - ID de la story découpée
+ * @throws {McpError} Si deux fichiers portent le même nom
+ */
+function checkSliceFileNames(newStories, feature, storyId) {
+  const existing = new Map((feature.stories || [])
+    .filter(entry => entry.id !== storyId)
+    .map(entry => [getStoryFileName(entry), entry.id]));
+  const collisions = [];
+
+  for (const newStory of newStories) {
+    const fileName = getStoryFileName(newStory);
+    if (existing.has(fileName)) {
+      collisions.push({ storyId: newStory.id, fileName, existingStoryId: existing.get(fileName) });
+    }
+    existing.set(fileName, newStory.id);
+  }
+
+  if (collisions.length > 0) {
+    const details = collisions.map(collision => `${collision.storyId} → user-stories/${collision.fileName} (${collision.existingStoryId})`);
+    throw new McpError(
+      `Le découpage de ${storyId} écraserait des fichiers existants: ${details.join(', ')}. Relancez le découpage ou renommez la story.`,
+      { storyId, collisions },
+      INVALID_PARAMS
+    );
+  }
+}
+
+/**
+ * Découpe une user story du backlog et met à jour fichiers, backlog.json et planification
+ * @param {string} backlogDir - Chemin du dossier .agile-planner-backlog
+ * @param {string} storyId - ID de la user story à découper
+ * @param {Object} client - Client API
+ * @param {string} provider - Fournisseur d'API
+ * @param {Object} [options] - Options (storyCount, pattern, onProgress, signal)
+ * @returns {Promise<Object>} { storyId, pattern, stories: [{ id, title, path }], removedFile, files, warnings }
+ * @throws {McpError} Si le backlog, la user story ou son fichier n'existe pas, ou si une nouvelle
+ * story porte le nom de fichier d'une autre story de la feature (-32602)
+ * @throws {CancellationError} Si le découpage a été annulé (aucun fichier modifié)
+ */
+async function splitStoryInBacklog(backlogDir, storyId, client, provider, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+  const backlog = await requireBacklog(backlogDir);
+  const { story, feature, epic } = requireStoryEntry(backlog, storyId);
+  const filePath = getEntryFilePath(backlogDir, epic, feature, story);
+
+  if (!(await fs.pathExists(filePath))) {
+    throw new McpError(`Fichier de la user story introuvable: ${filePath}`, { storyId: story.id, filePath });
+  }
+
+  const original = { ...parseUserStory(await fs.readFile(filePath, 'utf8')), id: story.id, title: story.title };
+  onProgress(`User story ${story.id} relue`);
+
+  const split = await splitUserStory(original, { epic, feature }, client, provider, options);
+
+  // Requête annulée pendant l'appel LLM: rien n'est modifié
+  CancellationError.throwIfAborted(options.signal);
+
+  const newIds = nextStoryIds(backlog, split.stories.length);
+  const newStories = split.stories.map((newStory, index) => ({
+    ...newStory,
+    id: newIds[index],
+    priority: original.priority,
+    dependencies: original.dependencies
+  }));
+
+  // Vérifié avant toute suppression ou écriture: le backlog reste intact en cas de collision
+  checkSliceFileNames(newStories, feature, story.id);
+
+  // Relues avant toute modification: une story qui dépendait de l'originale dépendra de toutes ses découpes
+  const dependents = await findDependentStories(backlogDir, backlog, story.id);
+
+  // Supprimé avant l'écriture: une nouvelle story au même titre réutiliserait ce fichier
+  await fs.remove(filePath);
+
+  const userStoryMap = new Map();
+  const featureDir = path.join(backlogDir, 'epics', epic.slug, 'features', feature.slug);
+  await processUserStories(newStories, featureDir, userStoryMap, feature, onProgress);
+
+  const references = newStories.map(newStory => ({
+    id: newStory.id,
+    title: newStory.title,
+    path: userStoryMap.get(newStory.id).relativePath
+  }));
+
+  const sliceIds = references.map(reference => reference.id);
+  for (const dependent of dependents) {
+    const dependencies = [...new Set(dependent.dependencies.flatMap(dependency => (
+      dependency.toUpperCase() === story.id.toUpperCase() ? sliceIds : [dependency]
+    )))];
+    // Seule la ligne Dependencies change dans le fichier
+    await fs.writeFile(dependent.filePath, updateUserStoryMarkdown(dependent.markdown, { dependencies }));
+  }
+
+  replaceStoryReference(feature.stories, story.id, references);
+  const gherkinPath = await rewriteFeatureGherkin(backlogDir, epic, feature);
+  const planned = [...(backlog.iterations || []), backlog.mvp || {}]
+    .map(planning => replaceStoryReference(planning.stories, story.id, references))
+    .some(Boolean);
+
+  const planningFiles = planned ? await rewritePlanning(backlog, backlogDir, onProgress) : [];
+  const jsonPath = await saveBacklog(backlogDir, backlog);
+  logger.info(`User story ${story.id} découpée en ${sliceIds.join(', ')} (${split.pattern})`);
+
+  const warnings = [];
+  const checkedCount = original.checked.acceptance_criteria.length + original.checked.tasks.length;
+  if (checkedCount > 0) {
+    warnings.push(`${story.id} avait ${checkedCount} case(s) cochée(s): vérifiez l'avancement des nouvelles stories`);
+  }
+  if (dependents.length > 0) {
+    warnings.push(`Dépendances vers ${story.id} remplacées par ${sliceIds.join(', ')} dans ${dependents.map(dependent => dependent.id).join(', ')}`);
+  }
+  // Cycles et problèmes d'ordre calculés par analyzeDependencies: ils ne peuvent pas être transposés sans nouvelle analyse
+  if (backlog.dependencies) {
+    warnings.push(`L'analyse des dépendances (planning/dependencies.md) cite encore ${story.id}: relancez analyzeDependencies`);
+  }
+
+  return {
+    storyId: story.id,
+    pattern: split.pattern,
+    stories: references,
+    removedFile: filePath,
+    files: [
+      ...newStories.map(newStory => userStoryMap.get(newStory.id).path),
+      ...dependents.map(dependent => dependent.filePath),
+      ...(gherkinPath ? [gherkinPath] : []),
+      ...planningFiles,
+      jsonPath
+    ],
+    warnings
+  };
+}
+
+module.exports = {
+  SPLIT_PATTERNS,
+  createSplitMessages,
+  splitUserStory,
+  splitStoryInBacklog
+};
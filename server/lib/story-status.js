@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Suivi de l'avancement d'une user story: statut, tâches et critères cochés
+ * Le fichier markdown est modifié sur place: seules les cases visées et la ligne Status
+ * changent, le reste du document est conservé tel quel. Le statut et l'avancement sont
+ * reportés dans backlog.json.
+ * @module story-status
+ */
+
+const fs = require('fs-extra');
+const { logger } = require('./logger');
+const { McpError } = require('./errors');
+const { parseUserStory, updateUserStoryMarkdown } = require('./markdown/story-formatter');
+const { requireBacklog, requireStoryEntry, getEntryFilePath } = require('./utils/backlog-reader');
+const { saveBacklog } = require('./utils/backlog-writer');
+
+// Code JSON-RPC Invalid params: élément à cocher introuvable ou ambigu
+const INVALID_PARAMS = -32602;
+
+/**
+ * Statuts possibles d'une user story
+ */
+const STORY_STATUSES = ['todo', 'in-progress', 'done'];
+
+/**
+ * Normalise un texte pour comparer des éléments sans tenir compte de la casse ni des espaces
+ * @param {string} text - Texte
+ * @returns {string} Texte normalisé
+ */
+function normalize(text) {
+  return String(text).replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Retrouve un élément de liste par son numéro (à partir de 1) ou par son texte
+ * Le texte est comparé en entier, puis comme extrait s'il ne désigne qu'un seul élément
+ * @param {Array<string>} items - Éléments de la section (tâches ou critères)
+ * @param {number|string} reference - Numéro ou texte de l'élément
+ * @param {string} label - Nom de la section, pour les messages d'erreur
+ * @returns {string} Élément trouvé
+ * @throws {McpError} -32602 si l'élément est introuvable ou ambigu
+ */
+function resolveItem(items, reference, label) {
+  if (/^\d+$/.test(String(reference).trim())) {
+    const index = Number(reference);
+    if (index < 1 || index > items.length) {
+      throw new McpError(`${label}: numéro ${index} hors limites (1 à ${items.length})`, { reference, items }, INVALID_PARAMS);
+    }
+    return items[index - 1];
+  }
+
+  const wanted = normalize(reference);
+  const exact = items.find(item => normalize(item) === wanted);
+  if (exact) return exact;
+
+  const partial = items.filter(item => normalize(item).includes(wanted));
+  if (partial.length !== 1) {
+    const reason = partial.length === 0 ? 'aucun élément ne correspond à' : 'plusieurs éléments correspondent à';
+    throw new McpError(`${label}: ${reason} "${reference}"`, { reference, items, matches: partial }, INVALID_PARAMS);
+  }
+  return partial[0];
+}
+
+/**
+ * Coche ou décoche les éléments désignés d'une section
+ * @param {Array<string>} items - Éléments de la section
+ * @param {Array<string>} checked - Éléments déjà cochés
+ * @param {Array<number|string>} references - Numéros ou textes des éléments visés
+ * @param {boolean} uncheck - true pour décocher
+ * @param {string} label - Nom de la section, pour les messages d'erreur
+ * @returns {{checked: Array<string>, changed: Array<string>}} Nouvelle liste cochée (ordre du document) et éléments visés
+ */
+function toggleItems(items, checked, references, uncheck, label) {
+  const changed = references.map(reference => resolveItem(items, reference, label));
+  const targets = new Set(changed);
+
+  return {
+    checked: items.filter(item => (targets.has(item) ? !uncheck : checked.includes(item))),
+    changed: [...targets]
+  };
+}
+
+/**
+ * Met à jour le statut d'une user story et coche ses tâches ou critères d'acceptation
+ * @param {string} backlogDir - Chemin du dossier .agile-planner-backlog
+ * @param {string} storyId - ID de la user story (ex: US001)
+ * @param {Object} [changes] - Modifications
+ * @param {string} [changes.status] - Nouveau statut (todo, in-progress, done)
+ * @param {Array<number|string>} [changes.tasks] - Tâches visées, par numéro (à partir de 1) ou texte
+ * @param {Array<number|string>} [changes.criteria] - Critères d'acceptation visés, par numéro ou texte
+ * @param {boolean} [changes.uncheck] - Décoche les éléments visés au lieu de les cocher
+ * @param {Function} [changes.onProgress] - Callback appelé à chaque étape (message)
+ * @returns {Promise<Object>} { storyId, title, status, changedTasks, changedCriteria, progress, files, warnings }
+ * @throws {McpError} Si la user story, son fichier ou un élément visé n'existe pas
+ */
+async function updateStoryStatus(backlogDir, storyId, changes = {}) {
+  const { status, tasks = [], criteria = [], uncheck = false } = changes;
+  const onProgress = changes.onProgress || (() => {});
+
+  if (!status && tasks.length === 0 && criteria.length === 0) {
+    throw new McpError('Indiquez un statut, des tâches ou des critères à mettre à jour', { storyId }, INVALID_PARAMS);
+  }
+
+  const backlog = await requireBacklog(backlogDir);
+  const { story, feature, epic } = requireStoryEntry(backlog, storyId);
+  const filePath = getEntryFilePath(backlogDir, epic, feature, story);
+
+  if (!(await fs.pathExists(filePath))) {
+    throw new McpError(`Fichier de la user story introuvable: ${filePath}`, { storyId: story.id, filePath });
+  }
+
+  const markdown = await fs.readFile(filePath, 'utf8');
+  const parsed = parseUserStory(markdown);
+  // Tout est résolu avant d'écrire: une référence invalide laisse le fichier intact
+  const taskUpdate = toggleItems(parsed.tasks, parsed.checked.tasks, tasks, uncheck, `Tâches de ${story.id}`);
+  const criteriaUpdate = toggleItems(parsed.acceptance_criteria, parsed.checked.acceptance_criteria, criteria, uncheck,
+    `Critères d'acceptation de ${story.id}`);
+  const newStatus = status || story.status || parsed.status || STORY_STATUSES[0];
+
+  await fs.writeFile(filePath, updateUserStoryMarkdown(markdown, {
+    status: newStatus,
+    checked: { tasks: taskUpdate.checked, acceptance_criteria: criteriaUpdate.checked }
+  }));
+  onProgress(`User story mise à jour: ${story.id} (${newStatus})`);
+
+  const progress = {
+    tasks: { done: taskUpdate.checked.length, total: parsed.tasks.length },
+    acceptance_criteria: { done: criteriaUpdate.checked.length, total: parsed.acceptance_criteria.length }
+  };
+  const remaining = (progress.tasks.total - progress.tasks.done) + (progress.acceptance_criteria.total - progress.acceptance_criteria.done);
+
+  const warnings = [];
+  if (newStatus === 'done' && remaining > 0) {
+    warnings.push(`${story.id} est terminée mais ${remaining} tâche(s) ou critère(s) ne sont pas cochés`);
+  } else if (newStatus !== 'done' && remaining === 0 && !status) {
+    warnings.push(`Toutes les cases de ${story.id} sont cochées: passez son statut à done`);
+  }
+
+  if (newStatus !== story.status) {
+    story.status_updated_at = new Date().toISOString();
+  }
+  story.status = newStatus;
+  story.progress = progress;
+  const backlogPath = await saveBacklog(backlogDir, backlog);
+  logger.info(`User story ${story.id} mise à jour: ${newStatus}`);
+
+  return {
+    storyId: story.id,
+    title: story.title,
+    status: newStatus,
+    changedTasks: taskUpdate.changed,
+    changedCriteria: criteriaUpdate.changed,
+    progress,
+    files: [filePath, backlogPath],
+    warnings
+  };
+}
+
+module.exports = {
+  STORY_STATUSES,
+  resolveItem,
+  updateStoryStatus
+};
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Appel LLM renvoyant un objet JSON via un appel de fonction forcé
+ * Partagé par les traitements qui retravaillent un backlog existant (affinage d'une user story...)
+ * @module structured-completion
+ */
+
+const { logger } = require('./logger');
+const { ApiError, CancellationError } = require('./errors');
+
+/**
+ * Détermine le modèle à utiliser selon le fournisseur
+ * @param {string} provider - Fournisseur d'API ('openai', 'groq' ou 'sampling')
+ * @returns {string} Nom du modèle (ignoré par le sampling MCP, qui utilise le modèle de l'hôte)
+ */
+function determineModel(provider) {
+  return provider === 'groq' ? 'llama3-70b-8192' : 'gpt-4.1';
+}
+
+/**
+ * Demande au LLM un objet JSON conforme à un schéma
+ * @param {Object} client - Client API (OpenAI, Groq ou sampling MCP)
+ * @param {string} provider - Fournisseur d'API
+ * @param {Object} request - Requête
+ * @param {Array<Object>} request.messages - Messages de la conversation
+ * @param {string} request.functionName - Nom de la fonction forcée (ex: 'deliver_refined_story')
+ * @param {string} request.description - Description de la fonction
+ * @param {Object} request.schema - Schéma JSON des arguments attendus
+ * @param {number} [request.maxTokens=4096] - Nombre maximal de tokens de la réponse
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Signal d'annulation transmis au client API
+ * @returns {Promise<Object>} Arguments de l'appel de fonction, désérialisés
+ * @throws {CancellationError} Si l'appel a été annulé
+ * @throws {ApiError} Si l'appel échoue ou si la réponse n'est pas un JSON valide
+ */
+async function requestStructuredOutput(client, provider, request, { signal } = {}) {
+  const { messages, functionName, description, schema, maxTokens = 4096 } = request;
+  const model = determineModel(provider);
+  let completion;
+
+  try {
+    logger.info(`Appel API en cours (${functionName})... Modèle: ${model}`);
+    completion = await client.chat.completions.create({
+      model,
+      messages,
+      temperature: 0.7,
+      functions: [{ name: functionName, description, parameters: schema }],
+      function_call: { name: functionName },
+      max_tokens: maxTokens
+    }, { signal });
+  } catch (error) {
+    CancellationError.throwIfAborted(signal);
+    throw new ApiError(`Erreur lors de l'appel API (${functionName}): ${error.message}`, { functionName });
+  }
+
+  const functionCall = completion?.choices?.[0]?.message?.function_call;
+
+  if (!functionCall) {
+    throw new ApiError("Aucun appel de fonction retourné par l'API", { functionName });
+  }
+
+  try {
+    return JSON.parse(functionCall.arguments);
+  } catch (error) {
+    logger.error(`Réponse JSON invalide pour ${functionName}: ${error.message}`, { response: functionCall.arguments });
+    throw new ApiError(`Erreur de parsing JSON: ${error.message}`, { functionName });
+  }
+}
+
+module.exports = {
+  requestStructuredOutput
+};
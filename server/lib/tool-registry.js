@@ -0,0 +1,311 @@
+/**
+ * @fileoverview Registre unique des outils Agile Planner
+ * Chaque outil déclare une seule fois son nom, son schéma d'entrée, son handler
+ * et sa correspondance en ligne de commande. Le serveur MCP, le routeur MCP et
+ * le CLI s'appuient tous sur ce registre, qui accepte aussi des outils tiers.
+ * @module tool-registry
+ * @requires errors
+ * @requires tools
+ */
+
+const path = require('path');
+const Ajv = require('ajv');
+const { McpError, ValidationError } = require('./errors');
+const { logger } = require('./logger');
+const builtInTools = require('./tools');
+
+// Code JSON-RPC Invalid params: outil inconnu ou arguments non conformes à l'inputSchema
+const INVALID_PARAMS = -32602;
+
+// Variable d'environnement listant les modules d'outils tiers à charger
+const PLUGINS_ENV_VAR = 'AGILE_PLANNER_TOOL_PLUGINS';
+
+// useDefaults: les valeurs "default" des schémas sont appliquées aux arguments
+const ajv = new Ajv({ allErrors: true, useDefaults: true, strict: false });
+const compiledSchemas = new WeakMap();
+
+/**
+ * Traduit une erreur ajv en chemin de champ lisible (ex: 'storyCount', 'criteria[0].given')
+ * @param {Object} error - Erreur ajv
+ * @returns {string} Chemin du champ en erreur
+ */
+function toFieldPath(error) {
+  const segments = error.instancePath.split('/').slice(1);
+
+  if (error.keyword === 'required') {
+    segments.push(error.params.missingProperty);
+  }
+
+  return segments.reduce((fieldPath, segment) =>
+    (/^\d+$/.test(segment) ? `${fieldPath}[${segment}]` : `${fieldPath}${fieldPath ? '.' : ''}${segment}`), '');
+}
+
+/**
+ * Valide les arguments d'un outil contre son inputSchema et applique les valeurs par défaut
+ * @param {Object} tool - Définition de l'outil
+ * @param {Object} [args] - Arguments reçus
+ * @returns {Object} Copie des arguments complétée par les valeurs par défaut
+ * @throws {McpError} -32602 listant chaque champ invalide
+ */
+function validateToolArguments(tool, args = {}) {
+  if (!compiledSchemas.has(tool.inputSchema)) {
+    compiledSchemas.set(tool.inputSchema, ajv.compile(tool.inputSchema));
+  }
+
+  const validate = compiledSchemas.get(tool.inputSchema);
+  // Les arguments sont du JSON: cette copie fonctionne aussi avant Node 17 (pas de structuredClone)
+  const validatedArgs = JSON.parse(JSON.stringify(args));
+
+  if (!validate(validatedArgs)) {
+    const errors = validate.errors.map(error => ({
+      path: toFieldPath(error) || '(racine)',
+      message: error.message
+    }));
+    const summary = errors.map(error => `${error.path} ${error.message}`).join('; ');
+
+    throw new McpError(`Paramètres invalides pour '${tool.name}': ${summary}`, { errors }, INVALID_PARAMS);
+  }
+
+  return validatedArgs;
+}
+
+/**
+ * Extrait d'une définition d'outil les champs publiés par tools/list
+ * @param {Object} tool - Définition de l'outil
+ * @returns {Object} Outil { name, description, inputSchema, outputSchema? }
+ */
+function toToolDefinition({ name, description, inputSchema, outputSchema }) {
+  return outputSchema
+    ? { name, description, inputSchema, outputSchema }
+    : { name, description, inputSchema };
+}
+
+/**
+ * Registre des outils exposés par Agile Planner
+ *
+ * Un outil est un objet de la forme:
+ * {
+ *   name: 'generateBacklog',
+ *   description: '...',
+ *   inputSchema: { type: 'object', properties: {...} },
+ *   outputSchema: { type: 'object', properties: {...} }, // optionnel: forme de structuredContent
+ *   handler: async (args, context) => ({ content: [...], structuredContent: {...} }),
+ *   cli: { command: '--generateBacklog', usage: '<projectName> ...', positional: [...], options: { '--output-path': 'outputPath' } }
+ * }
+ * La section cli est optionnelle: sans elle, l'outil n'est exposé qu'en MCP.
+ */
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Enregistre un outil
+   * @param {Object} tool - Définition de l'outil
+   * @returns {ToolRegistry} Le registre (chaînable)
+   * @throws {ValidationError} Si la définition est incomplète ou si le nom est déjà pris
+   */
+  register(tool) {
+    if (!tool || typeof tool.name !== 'string' || !tool.name) {
+      throw new ValidationError("Un outil doit déclarer un nom");
+    }
+
+    if (typeof tool.handler !== 'function') {
+      throw new ValidationError(`L'outil '${tool.name}' doit déclarer un handler`, { tool: tool.name });
+    }
+
+    if (!tool.inputSchema || tool.inputSchema.type !== 'object') {
+      throw new ValidationError(`L'outil '${tool.name}' doit déclarer un inputSchema de type object`, { tool: tool.name });
+    }
+
+    if (this.tools.has(tool.name)) {
+      throw new ValidationError(`Un outil nommé '${tool.name}' est déjà enregistré`, { tool: tool.name });
+    }
+
+    if (tool.cli?.command && this.findByCliCommand(tool.cli.command)) {
+      throw new ValidationError(`La commande '${tool.cli.command}' est déjà utilisée`, { tool: tool.name });
+    }
+
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  /**
+   * Retire un outil du registre
+   * @param {string} name - Nom de l'outil
+   * @returns {boolean} true si l'outil existait
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * @param {string} name - Nom de l'outil
+   * @returns {Object|undefined} Définition de l'outil
+   */
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  /**
+   * @param {string} name - Nom de l'outil
+   * @returns {boolean} true si l'outil est enregistré
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * @returns {Array<Object>} Définitions complètes des outils, dans l'ordre d'enregistrement
+   */
+  list() {
+    return [...this.tools.values()];
+  }
+
+  /**
+   * Liste les outils au format de la réponse tools/list
+   * @returns {Array<Object>} Outils { name, description, inputSchema, outputSchema? }
+   */
+  listDefinitions() {
+    return this.list().map(toToolDefinition);
+  }
+
+  /**
+   * Exécute un outil après validation de ses arguments
+   * @param {string} name - Nom de l'outil
+   * @param {Object} [args] - Arguments de l'outil
+   * @param {Object} [context] - Contexte d'exécution (reportProgress, signal, client)
+   * @returns {Promise<Object>} Résultat de l'outil au format MCP
+   * @throws {McpError} Si l'outil n'existe pas ou si les arguments sont invalides
+   */
+  async invoke(name, args = {}, context = {}) {
+    const tool = this.get(name);
+
+    if (!tool) {
+      throw new McpError(`Outil '${name}' non trouvé`, { availableTools: [...this.tools.keys()] }, INVALID_PARAMS);
+    }
+
+    return tool.handler(validateToolArguments(tool, args), {
+      reportProgress: () => {},
+      ...context
+    });
+  }
+
+  /**
+   * Retrouve l'outil associé à une commande de la ligne de commande
+   * @param {string} command - Commande (ex: '--generateBacklog')
+   * @returns {Object|undefined} Définition de l'outil
+   */
+  findByCliCommand(command) {
+    return this.list().find(tool => tool.cli?.command === command);
+  }
+
+  /**
+   * Convertit les arguments de la ligne de commande en arguments d'outil
+   * Les arguments positionnels suivent l'ordre déclaré dans cli.positional,
+   * les options --nom=valeur sont converties selon le type déclaré dans inputSchema
+   * @param {Object} tool - Définition de l'outil
+   * @param {string[]} argv - Arguments suivant la commande
+   * @returns {Object} Arguments de l'outil
+   */
+  parseCliArgs(tool, argv) {
+    const { positional = [], options = {} } = tool.cli || {};
+    const properties = tool.inputSchema.properties || {};
+    const args = {};
+    let position = 0;
+
+    const assign = (param, rawValue) => {
+      const type = properties[param]?.type;
+      if (type === 'integer' || type === 'number') {
+        args[param] = Number(rawValue);
+      } else if (type === 'boolean') {
+        args[param] = rawValue !== 'false';
+      } else if (type === 'array') {
+        args[param] = rawValue.split(',').map(value => value.trim()).filter(Boolean);
+      } else {
+        args[param] = rawValue;
+      }
+    };
+
+    for (const arg of argv) {
+      if (arg.startsWith('--')) {
+        const [flag, ...rest] = arg.split('=');
+        const param = options[flag];
+        if (param) {
+          assign(param, rest.length > 0 ? rest.join('=') : 'true');
+        }
+      } else if (position < positional.length) {
+        assign(positional[position++], arg);
+      }
+    }
+
+    return args;
+  }
+
+  /**
+   * Charge des modules d'outils tiers
+   * Un module peut exporter une fonction register(registry), un objet { register },
+   * une définition d'outil ou un tableau de définitions
+   * Un module introuvable ou invalide est signalé puis ignoré: les outils intégrés restent disponibles
+   * @param {string[]} specifiers - Chemins (relatifs au répertoire courant) ou noms de modules
+   * @returns {ToolRegistry} Le registre (chaînable)
+   */
+  loadPlugins(specifiers) {
+    for (const specifier of specifiers) {
+      try {
+        const modulePath = specifier.startsWith('.') ? path.resolve(process.cwd(), specifier) : specifier;
+        const plugin = require(modulePath);
+
+        if (typeof plugin === 'function') {
+          plugin(this);
+        } else if (typeof plugin?.register === 'function') {
+          plugin.register(this);
+        } else {
+          [].concat(plugin).forEach(tool => this.register(tool));
+        }
+
+        logger.info(`Module d'outils chargé: ${specifier}`);
+      } catch (error) {
+        logger.error(`Module d'outils ignoré (${specifier}): ${error.message}`);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Charge les modules déclarés dans la variable d'environnement AGILE_PLANNER_TOOL_PLUGINS
+   * (séparés par des virgules)
+   * @returns {ToolRegistry} Le registre (chaînable)
+   */
+  loadEnvPlugins() {
+    const plugins = (process.env[PLUGINS_ENV_VAR] || '').split(',').map(value => value.trim()).filter(Boolean);
+    return this.loadPlugins(plugins);
+  }
+}
+
+/**
+ * Crée un registre contenant les outils intégrés et les modules déclarés
+ * dans la variable d'environnement AGILE_PLANNER_TOOL_PLUGINS (séparés par des virgules)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.loadEnvPlugins=true] - Charge les modules de AGILE_PLANNER_TOOL_PLUGINS
+ * @returns {ToolRegistry} Registre initialisé
+ */
+function createDefaultRegistry({ loadEnvPlugins = true } = {}) {
+  const registry = new ToolRegistry();
+  builtInTools.forEach(tool => registry.register(tool));
+
+  return loadEnvPlugins ? registry.loadEnvPlugins() : registry;
+}
+
+// Registre partagé par le serveur MCP, le routeur et le CLI
+// Les modules tiers sont chargés par server/index.js une fois .env lu (loadEnvPlugins)
+const toolRegistry = createDefaultRegistry({ loadEnvPlugins: false });
+
+module.exports = {
+  ToolRegistry,
+  createDefaultRegistry,
+  validateToolArguments,
+  toToolDefinition,
+  toolRegistry
+};
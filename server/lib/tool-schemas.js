@@ -1,18 +1,49 @@
 /**
  * Schémas de validation pour les tools MCP
+ * - inputSchema: arguments acceptés (validés avant l'appel)
+ * - outputSchema: structuredContent renvoyé, pour enchaîner les outils sans analyser le texte
  */
 
+// Propriétés communes aux outils qui écrivent dans le dossier backlog
+const writtenBacklogProperties = {
+  outputPath: {
+    type: 'string',
+    description: 'Chemin de sortie résolu (absolu)'
+  },
+  backlogDir: {
+    type: 'string',
+    description: 'Dossier .agile-planner-backlog écrit'
+  },
+  storyIds: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'IDs des user stories écrites'
+  },
+  files: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Chemins absolus des fichiers écrits'
+  },
+  warnings: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Avertissements de validation rencontrés pendant la génération'
+  }
+};
+
 const generateBacklogSchema = {
   type: 'object',
   required: ['projectName', 'projectDescription'],
   properties: {
     projectName: {
       type: 'string',
-      description: 'Nom du projet'
+      description: 'Nom du projet',
+      minLength: 1
     },
     projectDescription: {
       type: 'string',
-      description: 'Description complète du projet'
+      description: 'Description complète du projet',
+      minLength: 1
     },
     outputPath: {
       type: 'string',
@@ -27,7 +58,8 @@ const generateFeatureSchema = {
   properties: {
     featureDescription: {
       type: 'string',
-      description: 'Description détaillée de la feature à générer'
+      description: 'Description détaillée de la feature à générer',
+      minLength: 1
     },
     iterationName: {
       type: 'string',
@@ -44,6 +76,10 @@ const generateFeatureSchema = {
       type: 'string',
       description: 'Valeur métier de cette feature (optionnel)'
     },
+    epic: {
+      type: 'string',
+      description: "ID ou slug d'un epic du backlog existant: la feature y est ajoutée au lieu de créer un nouveau backlog"
+    },
     outputPath: {
       type: 'string',
       description: 'Chemin de sortie personnalisé (optionnel)'
@@ -51,7 +87,609 @@ const generateFeatureSchema = {
   }
 };
 
+const refineUserStorySchema = {
+  type: 'object',
+  required: ['storyId'],
+  properties: {
+    storyId: {
+      type: 'string',
+      description: 'ID de la user story à affiner (ex: US001)',
+      minLength: 1
+    },
+    outputPath: {
+      type: 'string',
+      description: 'Chemin contenant le dossier .agile-planner-backlog (optionnel)'
+    }
+  }
+};
+
+const addEpicSchema = {
+  type: 'object',
+  required: ['epicName', 'epicDescription'],
+  properties: {
+    epicName: {
+      type: 'string',
+      description: "Titre du nouvel epic",
+      minLength: 1
+    },
+    epicDescription: {
+      type: 'string',
+      description: "Description du périmètre de l'epic",
+      minLength: 1
+    },
+    featureCount: {
+      type: 'integer',
+      description: 'Nombre de features à générer',
+      minimum: 1,
+      maximum: 6,
+      default: 3
+    },
+    storyCount: {
+      type: 'integer',
+      description: 'Nombre de user stories par feature',
+      minimum: 1,
+      maximum: 8,
+      default: 3
+    },
+    outputPath: {
+      type: 'string',
+      description: 'Chemin contenant le dossier .agile-planner-backlog (optionnel)'
+    }
+  }
+};
+
+const splitUserStorySchema = {
+  type: 'object',
+  required: ['storyId'],
+  properties: {
+    storyId: {
+      type: 'string',
+      description: 'ID de la user story à découper (ex: US001)',
+      minLength: 1
+    },
+    storyCount: {
+      type: 'integer',
+      description: 'Nombre de user stories à produire',
+      minimum: 2,
+      maximum: 6,
+      default: 2
+    },
+    pattern: {
+      type: 'string',
+      enum: ['paths', 'interfaces', 'data', 'rules', 'spikes'],
+      description: 'Motif de découpage SPIDR (choisi par le LLM si absent)'
+    },
+    outputPath: {
+      type: 'string',
+      description: 'Chemin contenant le dossier .agile-planner-backlog (optionnel)'
+    }
+  }
+};
+
+const estimateStoriesSchema = {
+  type: 'object',
+  properties: {
+    storyIds: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+      description: 'IDs des user stories à estimer (toutes par défaut)'
+    },
+    referenceStories: {
+      type: 'array',
+      description: "Stories déjà estimées par l'équipe, utilisées comme étalon",
+      items: {
+        type: 'object',
+        required: ['storyId', 'points'],
+        properties: {
+          storyId: { type: 'string', minLength: 1 },
+          points: { type: 'integer', enum: [1, 2, 3, 5, 8, 13, 21] }
+        }
+      }
+    },
+    outputPath: {
+      type: 'string',
+      description: 'Chemin contenant le dossier .agile-planner-backlog (optionnel)'
+    }
+  }
+};
+
+const planSprintsSchema = {
+  type: 'object',
+  required: ['velocity'],
+  properties: {
+    velocity: {
+      type: 'integer',
+      description: "Vélocité de l'équipe: story points réalisables par sprint",
+      minimum: 1
+    },
+    sprintLength: {
+      type: 'integer',
+      description: "Durée d'un sprint en jours calendaires",
+      minimum: 1,
+      maximum: 60,
+      default: 14
+    },
+    startDate: {
+      type: 'string',
+      description: "Début du premier sprint (AAAA-MM-JJ, aujourd'hui par défaut)",
+      pattern: '^\\d{4}-\\d{2}-\\d{2}$'
+    },
+    outputPath: {
+      type: 'string',
+      description: 'Chemin contenant le dossier .agile-planner-backlog (optionnel)'
+    }
+  }
+};
+
+const prioritizeBacklogSchema = {
+  type: 'object',
+  properties: {
+    framework: {
+      type: 'string',
+      enum: ['wsjf', 'rice', 'moscow', 'value-effort'],
+      description: 'Cadre de priorisation',
+      default: 'wsjf'
+    },
+    outputPath: {
+      type: 'string',
+      description: 'Chemin contenant le dossier .agile-planner-backlog (optionnel)'
+    }
+  }
+};
+
+const analyzeDependenciesSchema = {
+  type: 'object',
+  properties: {
+    propose: {
+      type: 'boolean',
+      description: "Demande à l'IA de proposer des dépendances, ajoutées à celles des user stories (false: analyse seule)",
+      default: true
+    },
+    outputPath: {
+      type: 'string',
+      description: 'Chemin contenant le dossier .agile-planner-backlog (optionnel)'
+    }
+  }
+};
+
+const queryBacklogSchema = {
+  type: 'object',
+  properties: {
+    type: {
+      type: 'string',
+      enum: ['epic', 'feature', 'story'],
+      description: "Type d'élément recherché"
+    },
+    priority: {
+      type: 'string',
+      description: 'Priorité des user stories (HIGH, MEDIUM, LOW)'
+    },
+    parent: {
+      type: 'string',
+      description: 'Epic ou feature parent: slug, titre ou clé epic-slug/feature-slug'
+    },
+    iteration: {
+      type: 'string',
+      description: 'Itération (slug ou nom), ou "none" pour les user stories hors itération'
+    },
+    status: {
+      type: 'string',
+      enum: ['todo', 'in-progress', 'done'],
+      description: 'Statut des user stories'
+    },
+    text: {
+      type: 'string',
+      description: "Texte cherché dans l'ID, le titre, la description et les critères d'acceptation"
+    },
+    missing: {
+      type: 'array',
+      items: {
+        type: 'string',
+        enum: ['description', 'prioritization', 'acceptance_criteria', 'tasks', 'priority', 'dependencies', 'story_points', 'iteration']
+      },
+      description: 'Champs qui doivent être vides (ex: story_points pour les stories non estimées)'
+    },
+    outputPath: {
+      type: 'string',
+      description: 'Chemin contenant le dossier .agile-planner-backlog (optionnel)'
+    }
+  }
+};
+
+const updateStoryStatusSchema = {
+  type: 'object',
+  required: ['storyId'],
+  properties: {
+    storyId: {
+      type: 'string',
+      description: 'ID de la user story à mettre à jour (ex: US001)',
+      minLength: 1
+    },
+    status: {
+      type: 'string',
+      enum: ['todo', 'in-progress', 'done'],
+      description: 'Nouveau statut de la user story'
+    },
+    tasks: {
+      type: 'array',
+      items: { type: ['integer', 'string'] },
+      description: 'Tâches à cocher: numéro (à partir de 1) ou texte de la tâche'
+    },
+    criteria: {
+      type: 'array',
+      items: { type: ['integer', 'string'] },
+      description: "Critères d'acceptation à cocher: numéro (à partir de 1) ou texte du critère"
+    },
+    uncheck: {
+      type: 'boolean',
+      description: 'Décoche les tâches et critères indiqués au lieu de les cocher',
+      default: false
+    },
+    outputPath: {
+      type: 'string',
+      description: 'Chemin contenant le dossier .agile-planner-backlog (optionnel)'
+    }
+  }
+};
+
+const generateBacklogOutputSchema = {
+  type: 'object',
+  required: ['projectName', 'epicCount', 'storyIds', 'files', 'outputPath', 'backlogDir', 'warnings'],
+  properties: {
+    projectName: {
+      type: 'string',
+      description: 'Nom du projet'
+    },
+    epicCount: {
+      type: 'integer',
+      description: "Nombre d'epics générés"
+    },
+    ...writtenBacklogProperties
+  }
+};
+
+const generateFeatureOutputSchema = {
+  type: 'object',
+  required: ['featureTitle', 'epicName', 'storyIds', 'files', 'outputPath', 'backlogDir', 'warnings'],
+  properties: {
+    featureTitle: {
+      type: 'string',
+      description: 'Titre de la feature générée'
+    },
+    epicName: {
+      type: 'string',
+      description: "Nom de l'epic parent"
+    },
+    ...writtenBacklogProperties
+  }
+};
+
+const refineUserStoryOutputSchema = {
+  type: 'object',
+  required: ['storyId', 'title', 'investIssues', 'storyIds', 'files', 'outputPath', 'backlogDir', 'warnings'],
+  properties: {
+    storyId: {
+      type: 'string',
+      description: 'ID de la user story affinée'
+    },
+    title: {
+      type: 'string',
+      description: 'Titre de la user story (inchangé)'
+    },
+    investIssues: {
+      type: 'array',
+      items: { type: 'string' },
+      description: "Critères INVEST non respectés par la version d'origine"
+    },
+    ...writtenBacklogProperties
+  }
+};
+
+const addEpicOutputSchema = {
+  type: 'object',
+  required: ['epic', 'features', 'storyIds', 'files', 'outputPath', 'backlogDir', 'warnings'],
+  properties: {
+    epic: {
+      type: 'object',
+      required: ['title', 'slug'],
+      properties: {
+        title: { type: 'string' },
+        slug: { type: 'string' }
+      }
+    },
+    features: {
+      type: 'array',
+      description: "Features créées dans l'epic",
+      items: {
+        type: 'object',
+        required: ['title', 'slug', 'storyIds'],
+        properties: {
+          title: { type: 'string' },
+          slug: { type: 'string' },
+          storyIds: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    ...writtenBacklogProperties
+  }
+};
+
+const splitUserStoryOutputSchema = {
+  type: 'object',
+  required: ['storyId', 'pattern', 'removedFile', 'storyIds', 'files', 'outputPath', 'backlogDir', 'warnings'],
+  properties: {
+    storyId: {
+      type: 'string',
+      description: 'ID de la user story découpée (retirée du backlog)'
+    },
+    pattern: {
+      type: 'string',
+      description: 'Motif de découpage appliqué'
+    },
+    removedFile: {
+      type: 'string',
+      description: 'Fichier de la user story d\'origine, supprimé'
+    },
+    ...writtenBacklogProperties
+  }
+};
+
+const estimateStoriesOutputSchema = {
+  type: 'object',
+  required: ['estimates', 'totalPoints', 'storyIds', 'files', 'outputPath', 'backlogDir', 'warnings'],
+  properties: {
+    estimates: {
+      type: 'array',
+      description: 'Story points attribués',
+      items: {
+        type: 'object',
+        required: ['id', 'points', 'rationale'],
+        properties: {
+          id: { type: 'string' },
+          points: { type: 'integer' },
+          rationale: { type: 'string' }
+        }
+      }
+    },
+    totalPoints: {
+      type: 'integer',
+      description: 'Total des story points du backlog'
+    },
+    ...writtenBacklogProperties
+  }
+};
+
+const planSprintsOutputSchema = {
+  type: 'object',
+  required: ['iterations', 'unplannedStoryIds', 'removedIterations', 'storyIds', 'files', 'outputPath', 'backlogDir', 'warnings'],
+  properties: {
+    iterations: {
+      type: 'array',
+      description: 'Sprints planifiés, dans l\'ordre',
+      items: {
+        type: 'object',
+        required: ['name', 'startDate', 'endDate', 'points', 'storyIds'],
+        properties: {
+          name: { type: 'string' },
+          startDate: { type: 'string' },
+          endDate: { type: 'string' },
+          points: { type: 'integer' },
+          storyIds: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    unplannedStoryIds: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'User stories non estimées, laissées hors des sprints'
+    },
+    removedIterations: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Dossiers des anciennes itérations absentes du nouveau plan, supprimés'
+    },
+    ...writtenBacklogProperties
+  }
+};
+
+// Élément classé par prioritizeBacklog
+const rankedItemSchema = {
+  type: 'object',
+  required: ['id', 'title', 'score', 'rank'],
+  properties: {
+    id: { type: 'string', description: 'ID de la user story ou clé epic-slug/feature-slug' },
+    title: { type: 'string' },
+    score: { type: 'number' },
+    rank: { type: 'integer' }
+  }
+};
+
+const prioritizeBacklogOutputSchema = {
+  type: 'object',
+  required: ['framework', 'stories', 'features', 'storyIds', 'files', 'outputPath', 'backlogDir', 'warnings'],
+  properties: {
+    framework: {
+      type: 'string',
+      description: 'Cadre de priorisation appliqué'
+    },
+    stories: {
+      type: 'array',
+      items: rankedItemSchema,
+      description: 'User stories classées, de la plus prioritaire à la moins prioritaire'
+    },
+    features: {
+      type: 'array',
+      items: rankedItemSchema,
+      description: 'Features classées, de la plus prioritaire à la moins prioritaire'
+    },
+    ...writtenBacklogProperties
+  }
+};
+
+// Dépendances d'une user story
+const storyDependenciesSchema = {
+  type: 'object',
+  required: ['storyId', 'dependsOn'],
+  properties: {
+    storyId: { type: 'string' },
+    dependsOn: { type: 'array', items: { type: 'string' } },
+    rationale: { type: 'string' }
+  }
+};
+
+const analyzeDependenciesOutputSchema = {
+  type: 'object',
+  required: ['dependencies', 'addedDependencies', 'cycles', 'orderingIssues', 'unknownReferences', 'storyIds', 'files', 'outputPath', 'backlogDir', 'warnings'],
+  properties: {
+    dependencies: {
+      type: 'array',
+      description: 'Prérequis de chaque user story qui en a (graphe complet)',
+      items: storyDependenciesSchema
+    },
+    addedDependencies: {
+      type: 'array',
+      description: "Dépendances proposées par l'IA et ajoutées aux user stories",
+      items: storyDependenciesSchema
+    },
+    cycles: {
+      type: 'array',
+      description: 'Dépendances circulaires, sous la forme [A, B, ..., A]',
+      items: { type: 'array', items: { type: 'string' } }
+    },
+    orderingIssues: {
+      type: 'array',
+      description: 'User stories planifiées avant un prérequis',
+      items: {
+        type: 'object',
+        required: ['storyId', 'storyIteration', 'dependencyId', 'dependencyIteration'],
+        properties: {
+          storyId: { type: 'string' },
+          storyIteration: { type: 'string' },
+          dependencyId: { type: 'string' },
+          dependencyIteration: { type: ['string', 'null'], description: 'null si le prérequis est hors itération' }
+        }
+      }
+    },
+    unknownReferences: {
+      type: 'array',
+      description: 'Dépendances des fichiers qui ne désignent aucune autre user story du backlog',
+      items: {
+        type: 'object',
+        required: ['storyId', 'dependency'],
+        properties: {
+          storyId: { type: 'string' },
+          dependency: { type: 'string' }
+        }
+      }
+    },
+    ...writtenBacklogProperties
+  }
+};
+
+const queryBacklogOutputSchema = {
+  type: 'object',
+  required: ['items', 'count', 'backlogDir'],
+  properties: {
+    items: {
+      type: 'array',
+      description: 'Éléments trouvés, dans l\'ordre du backlog',
+      items: {
+        type: 'object',
+        required: ['type', 'id', 'title', 'path'],
+        properties: {
+          type: { type: 'string', enum: ['epic', 'feature', 'story'] },
+          id: { type: 'string', description: "ID de la user story, slug de l'epic ou clé epic-slug/feature-slug" },
+          title: { type: 'string' },
+          epic: { type: 'string', description: "Titre de l'epic parent" },
+          feature: { type: 'string', description: 'Titre de la feature parente' },
+          priority: { type: 'string' },
+          status: { type: 'string' },
+          storyPoints: { type: 'integer' },
+          iterations: { type: 'array', items: { type: 'string' } },
+          path: { type: 'string', description: "Chemin absolu du fichier markdown de l'élément" }
+        }
+      }
+    },
+    count: {
+      type: 'integer',
+      description: "Nombre d'éléments trouvés"
+    },
+    backlogDir: {
+      type: 'string',
+      description: 'Chemin absolu du dossier .agile-planner-backlog'
+    }
+  }
+};
+
+// Avancement d'une section de la user story (cases cochées / total)
+const checklistProgressSchema = {
+  type: 'object',
+  required: ['done', 'total'],
+  properties: {
+    done: { type: 'integer' },
+    total: { type: 'integer' }
+  }
+};
+
+const updateStoryStatusOutputSchema = {
+  type: 'object',
+  required: ['storyId', 'title', 'status', 'changedTasks', 'changedCriteria', 'progress', 'storyIds', 'files', 'outputPath', 'backlogDir', 'warnings'],
+  properties: {
+    storyId: {
+      type: 'string',
+      description: 'ID de la user story mise à jour'
+    },
+    title: {
+      type: 'string',
+      description: 'Titre de la user story'
+    },
+    status: {
+      type: 'string',
+      description: 'Statut enregistré'
+    },
+    changedTasks: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Tâches cochées (ou décochées)'
+    },
+    changedCriteria: {
+      type: 'array',
+      items: { type: 'string' },
+      description: "Critères d'acceptation cochés (ou décochés)"
+    },
+    progress: {
+      type: 'object',
+      required: ['tasks', 'acceptance_criteria'],
+      properties: {
+        tasks: checklistProgressSchema,
+        acceptance_criteria: checklistProgressSchema
+      }
+    },
+    ...writtenBacklogProperties
+  }
+};
+
 module.exports = {
   generateBacklogSchema,
-  generateFeatureSchema
+  generateBacklogOutputSchema,
+  generateFeatureSchema,
+  generateFeatureOutputSchema,
+  refineUserStorySchema,
+  refineUserStoryOutputSchema,
+  addEpicSchema,
+  addEpicOutputSchema,
+  splitUserStorySchema,
+  splitUserStoryOutputSchema,
+  estimateStoriesSchema,
+  estimateStoriesOutputSchema,
+  planSprintsSchema,
+  planSprintsOutputSchema,
+  prioritizeBacklogSchema,
+  prioritizeBacklogOutputSchema,
+  analyzeDependenciesSchema,
+  analyzeDependenciesOutputSchema,
+  queryBacklogSchema,
+  queryBacklogOutputSchema,
+  updateStoryStatusSchema,
+  updateStoryStatusOutputSchema
 };
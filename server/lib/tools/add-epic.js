@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Outil addEpic: ajoute un epic généré (features et user stories) à un backlog existant
+ * @module tools/add-epic
+ * @requires epic-generator
+ */
+
+const apiClient = require('../api-client');
+const { addEpicSchema, addEpicOutputSchema } = require('../tool-schemas');
+const { PathResolver } = require('../utils/path-resolver');
+const { createToolResult } = require('./tool-result');
+
+module.exports = {
+  name: 'addEpic',
+  description: 'Génère un nouvel epic avec ses features et user stories et le fusionne dans le backlog existant, sans écraser les IDs ni les fichiers actuels',
+  inputSchema: addEpicSchema,
+  outputSchema: addEpicOutputSchema,
+  cli: {
+    command: '--addEpic',
+    usage: '<epicName> <epicDescription> [options]',
+    positional: ['epicName', 'epicDescription'],
+    options: {
+      '--feature-count': 'featureCount',
+      '--story-count': 'storyCount',
+      '--output-path': 'outputPath'
+    }
+  },
+
+  /**
+   * @param {Object} args - Arguments validés par addEpicSchema (valeurs par défaut appliquées)
+   * @param {Object} context - Contexte d'exécution (reportProgress, signal, client, roots)
+   * @returns {Promise<Object>} Résultat au format MCP (structuredContent conforme à addEpicOutputSchema)
+   */
+  async handler(args, context) {
+    const { epicName, epicDescription, featureCount, storyCount, outputPath } = args;
+    const { reportProgress: onProgress, signal } = context;
+
+    // Chargé à l'exécution pour éviter les dépendances circulaires au démarrage
+    const epicGenerator = require('../epic-generator');
+
+    const pathResolver = new PathResolver({ roots: context.roots });
+    const resolvedOutputPath = pathResolver.resolveOutputPath(outputPath);
+    const backlogDir = pathResolver.getBacklogDir(resolvedOutputPath);
+
+    const client = context.client || apiClient.getClient();
+    const result = await epicGenerator.addEpicToBacklog(
+      backlogDir,
+      { epicName, epicDescription, featureCount, storyCount },
+      client,
+      client.provider || apiClient.getCurrentProvider() || 'openai',
+      { onProgress, signal }
+    );
+
+    return createToolResult(
+      `Epic '${result.epic.title}' ajouté au backlog: ${result.features.length} feature(s), ${result.storyIds.length} user stories (${result.storyIds.join(', ')})`,
+      {
+        epic: result.epic,
+        features: result.features,
+        storyIds: result.storyIds,
+        files: result.files,
+        outputPath: resolvedOutputPath,
+        backlogDir,
+        warnings: result.warnings
+      }
+    );
+  }
+};
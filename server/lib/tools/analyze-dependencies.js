@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Outil analyzeDependencies: graphe des dépendances entre user stories, cycles et ordre des sprints
+ * @module tools/analyze-dependencies
+ * @requires dependency-analyzer
+ */
+
+const apiClient = require('../api-client');
+const { analyzeDependenciesSchema, analyzeDependenciesOutputSchema } = require('../tool-schemas');
+const { PathResolver } = require('../utils/path-resolver');
+const { createToolResult } = require('./tool-result');
+
+module.exports = {
+  name: 'analyzeDependencies',
+  description: 'Propose les dépendances entre user stories, détecte les cycles et les stories planifiées avant leurs prérequis, et écrit le graphe Mermaid dans planning/dependencies.md',
+  inputSchema: analyzeDependenciesSchema,
+  outputSchema: analyzeDependenciesOutputSchema,
+  cli: {
+    command: '--analyzeDependencies',
+    usage: '[options]',
+    positional: [],
+    options: {
+      '--propose': 'propose',
+      '--output-path': 'outputPath'
+    }
+  },
+
+  /**
+   * @param {Object} args - Arguments validés par analyzeDependenciesSchema (valeurs par défaut appliquées)
+   * @param {Object} context - Contexte d'exécution (reportProgress, signal, client, roots)
+   * @returns {Promise<Object>} Résultat au format MCP (structuredContent conforme à analyzeDependenciesOutputSchema)
+   */
+  async handler(args, context) {
+    const { propose, outputPath } = args;
+    const { reportProgress: onProgress, signal } = context;
+
+    // Chargé à l'exécution pour éviter les dépendances circulaires au démarrage
+    const dependencyAnalyzer = require('../dependency-analyzer');
+
+    const pathResolver = new PathResolver({ roots: context.roots });
+    const resolvedOutputPath = pathResolver.resolveOutputPath(outputPath);
+    const backlogDir = pathResolver.getBacklogDir(resolvedOutputPath);
+
+    // Sans proposition, l'analyse se fait sans appel LLM
+    const client = propose ? context.client || apiClient.getClient() : null;
+    const result = await dependencyAnalyzer.analyzeDependencies(
+      backlogDir,
+      client,
+      client && (client.provider || apiClient.getCurrentProvider() || 'openai'),
+      { propose, onProgress, signal }
+    );
+
+    const edgeCount = result.dependencies.reduce((total, item) => total + item.dependsOn.length, 0);
+
+    return createToolResult(
+      `${edgeCount} dépendance(s) entre user stories, ${result.cycles.length} cycle(s), ${result.orderingIssues.length} problème(s) d'ordre dans les sprints`,
+      {
+        dependencies: result.dependencies,
+        addedDependencies: result.addedDependencies,
+        cycles: result.cycles,
+        orderingIssues: result.orderingIssues,
+        unknownReferences: result.unknownReferences,
+        storyIds: result.storyIds,
+        files: result.files,
+        outputPath: resolvedOutputPath,
+        backlogDir,
+        warnings: result.warnings
+      }
+    );
+  }
+};
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Outil estimateStories: estime les user stories en story points (Fibonacci)
+ * @module tools/estimate-stories
+ * @requires story-estimator
+ */
+
+const apiClient = require('../api-client');
+const { estimateStoriesSchema, estimateStoriesOutputSchema } = require('../tool-schemas');
+const { PathResolver } = require('../utils/path-resolver');
+const { createToolResult } = require('./tool-result');
+
+module.exports = {
+  name: 'estimateStories',
+  description: 'Estime les user stories du backlog en story points (1, 2, 3, 5, 8, 13, 21) avec une justification, et calcule les totaux par feature, epic et itération',
+  inputSchema: estimateStoriesSchema,
+  outputSchema: estimateStoriesOutputSchema,
+  cli: {
+    command: '--estimateStories',
+    usage: '[options]',
+    options: {
+      '--story-ids': 'storyIds',
+      '--output-path': 'outputPath'
+    }
+  },
+
+  /**
+   * @param {Object} args - Arguments validés par estimateStoriesSchema
+   * @param {Object} context - Contexte d'exécution (reportProgress, signal, client, roots)
+   * @returns {Promise<Object>} Résultat au format MCP (structuredContent conforme à estimateStoriesOutputSchema)
+   */
+  async handler(args, context) {
+    const { storyIds, referenceStories, outputPath } = args;
+    const { reportProgress: onProgress, signal } = context;
+
+    // Chargé à l'exécution pour éviter les dépendances circulaires au démarrage
+    const storyEstimator = require('../story-estimator');
+
+    const pathResolver = new PathResolver({ roots: context.roots });
+    const resolvedOutputPath = pathResolver.resolveOutputPath(outputPath);
+    const backlogDir = pathResolver.getBacklogDir(resolvedOutputPath);
+
+    const client = context.client || apiClient.getClient();
+    const result = await storyEstimator.estimateBacklog(
+      backlogDir,
+      client,
+      client.provider || apiClient.getCurrentProvider() || 'openai',
+      { storyIds, referenceStories, onProgress, signal }
+    );
+
+    return createToolResult(
+      `${result.estimates.length} user stories estimées, ${result.totalPoints} points au total`,
+      {
+        estimates: result.estimates,
+        totalPoints: result.totalPoints,
+        storyIds: result.estimates.map(estimate => estimate.id),
+        files: result.files,
+        outputPath: resolvedOutputPath,
+        backlogDir,
+        warnings: result.warnings
+      }
+    );
+  }
+};
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Outil generateBacklog: génère un backlog complet et ses fichiers markdown
+ * @module tools/generate-backlog
+ * @requires backlog-generator
+ * @requires markdown-generator
+ */
+
+const { logger } = require('../logger');
+const apiClient = require('../api-client');
+const { ApiError, CancellationError } = require('../errors');
+const { generateBacklogSchema, generateBacklogOutputSchema } = require('../tool-schemas');
+const { PathResolver } = require('../utils/path-resolver');
+const { elicitProjectDetails } = require('../project-elicitation');
+const { createToolResult, describeWrittenBacklog } = require('./tool-result');
+
+module.exports = {
+  name: 'generateBacklog',
+  description: "Génère un backlog agile complet à partir de la description d'un projet",
+  inputSchema: generateBacklogSchema,
+  outputSchema: generateBacklogOutputSchema,
+  cli: {
+    command: '--generateBacklog',
+    usage: '<projectName> <projectDescription> [outputPath]',
+    positional: ['projectName', 'projectDescription', 'outputPath'],
+    options: {
+      '--output-path': 'outputPath'
+    }
+  },
+
+  /**
+   * @param {Object} args - Arguments validés par generateBacklogSchema (champs requis présents)
+   * @param {Object} context - Contexte d'exécution (reportProgress, signal, client, elicit, roots)
+   * @returns {Promise<Object>} Résultat au format MCP (structuredContent conforme à generateBacklogOutputSchema)
+   */
+  async handler(args, context) {
+    const { projectName, projectDescription, outputPath } = args;
+    const { reportProgress: onProgress, signal } = context;
+
+    // Chargés à l'exécution pour éviter les dépendances circulaires au démarrage
+    const backlogGenerator = require('../backlog-generator');
+    const markdownGenerator = require('../markdown-generator');
+
+    // Résolu avant l'appel LLM: un chemin hors des dossiers du client est refusé d'emblée
+    const pathResolver = new PathResolver({ roots: context.roots });
+    const resolvedOutputPath = pathResolver.resolveOutputPath(outputPath);
+    const backlogDir = pathResolver.getBacklogDir(resolvedOutputPath);
+
+    const client = context.client || apiClient.getClient();
+
+    // Description trop vague: demander des précisions à l'utilisateur si le client le permet
+    const projectDetails = await elicitProjectDetails(projectName, projectDescription, context);
+    CancellationError.throwIfAborted(signal);
+
+    const result = await backlogGenerator.generateBacklog(
+      projectName,
+      projectDescription,
+      client,
+      client.provider || apiClient.getCurrentProvider() || 'openai',
+      { onProgress, signal, projectDetails }
+    );
+
+    // Requête annulée pendant l'appel LLM: ne rien écrire sur le disque
+    CancellationError.throwIfAborted(signal);
+
+    if (!result.success) {
+      throw new ApiError(result.error?.message || 'Échec de la génération du backlog', result.error);
+    }
+
+    const backlogJson = await markdownGenerator.generateMarkdownFiles(
+      { project: { title: projectName, description: projectDescription }, ...result.result },
+      backlogDir,
+      { onProgress, signal }
+    );
+    logger.info(`Fichiers générés dans: ${backlogDir}`);
+
+    const written = describeWrittenBacklog(backlogDir, backlogJson);
+
+    return createToolResult(
+      `Backlog généré avec succès pour '${projectName}': ${written.epicCount} epic(s), ${written.storyIds.length} user stories`,
+      {
+        projectName,
+        ...written,
+        outputPath: resolvedOutputPath,
+        backlogDir,
+        warnings: result.warnings || []
+      }
+    );
+  }
+};
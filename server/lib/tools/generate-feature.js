@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Outil generateFeature: génère une feature, ses user stories et leurs fichiers markdown
+ * @module tools/generate-feature
+ * @requires feature-generator
+ * @requires markdown-generator
+ */
+
+const { logger } = require('../logger');
+const apiClient = require('../api-client');
+const { generateFeatureSchema, generateFeatureOutputSchema } = require('../tool-schemas');
+const { PathResolver } = require('../utils/path-resolver');
+const { requireBacklog, requireEpicEntry } = require('../utils/backlog-reader');
+const { createToolResult, describeWrittenBacklog } = require('./tool-result');
+
+module.exports = {
+  name: 'generateFeature',
+  description: "Génère une fonctionnalité avec ses user stories à partir d'une description",
+  inputSchema: generateFeatureSchema,
+  outputSchema: generateFeatureOutputSchema,
+  cli: {
+    command: '--generateFeature',
+    usage: '<featureDescription> [options]',
+    positional: ['featureDescription'],
+    options: {
+      '--story-count': 'storyCount',
+      '--business-value': 'businessValue',
+      '--iteration-name': 'iterationName',
+      '--epic': 'epic',
+      '--output-path': 'outputPath'
+    }
+  },
+
+  /**
+   * @param {Object} args - Arguments validés par generateFeatureSchema (valeurs par défaut appliquées)
+   * @param {Object} context - Contexte d'exécution (reportProgress, signal, client, roots)
+   * @returns {Promise<Object>} Résultat au format MCP (structuredContent conforme à generateFeatureOutputSchema)
+   */
+  async handler(args, context) {
+    const { featureDescription, storyCount, iterationName, businessValue = '', epic, outputPath } = args;
+    const { reportProgress: onProgress, signal } = context;
+
+    // Chargés à l'exécution pour éviter les dépendances circulaires au démarrage
+    const featureGenerator = require('../feature-generator');
+    const markdownGenerator = require('../markdown-generator');
+
+    // Résolu avant l'appel LLM: un chemin hors des dossiers du client est refusé d'emblée
+    const pathResolver = new PathResolver({ roots: context.roots });
+    const resolvedOutputPath = pathResolver.resolveOutputPath(outputPath);
+    const backlogDir = pathResolver.getBacklogDir(resolvedOutputPath);
+
+    // Epic cible vérifié avant l'appel LLM, qui reçoit son titre en contexte
+    const targetEpic = epic ? requireEpicEntry(await requireBacklog(backlogDir), epic) : null;
+
+    const result = await featureGenerator.generateFeature(
+      { featureDescription, businessValue, storyCount, iterationName, ...(targetEpic && { epicName: targetEpic.title }) },
+      context.client || apiClient.getClient(),
+      context.client?.provider || apiClient.getCurrentProvider() || 'openai',
+      { onProgress, signal }
+    );
+
+    const backlogJson = await markdownGenerator.generateFeatureMarkdown(result, backlogDir, { onProgress, signal, epic });
+    logger.info(`Fichiers générés dans: ${backlogDir}`);
+
+    // Ajout à un epic existant: seuls l'epic, la nouvelle feature et backlog.json ont été écrits
+    const updatedEpic = targetEpic && backlogJson.epics.find(entry => entry.slug === targetEpic.slug);
+    const { storyIds, files } = describeWrittenBacklog(backlogDir, updatedEpic
+      ? { epics: [{ ...updatedEpic, features: updatedEpic.features.slice(-1) }] }
+      : backlogJson);
+
+    return createToolResult(
+      `Feature '${result.feature.title}' générée avec succès avec ${result.userStories.length} user stories`,
+      {
+        featureTitle: result.feature.title,
+        epicName: targetEpic ? targetEpic.title : result.epicName,
+        storyIds,
+        files,
+        outputPath: resolvedOutputPath,
+        backlogDir,
+        warnings: []
+      }
+    );
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * @fileoverview Outils intégrés d'Agile Planner, enregistrés dans le registre par défaut
+ * @module tools
+ */
+
+module.exports = [
+  require('./generate-backlog'),
+  require('./generate-feature'),
+  require('./add-epic'),
+  require('./refine-user-story'),
+  require('./split-user-story'),
+  require('./update-story-status'),
+  require('./estimate-stories'),
+  require('./prioritize-backlog'),
+  require('./plan-sprints'),
+  require('./analyze-dependencies'),
+  require('./query-backlog')
+];
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Outil planSprints: répartit les user stories estimées en sprints selon la vélocité
+ * @module tools/plan-sprints
+ * @requires sprint-planner
+ */
+
+const { planSprintsSchema, planSprintsOutputSchema } = require('../tool-schemas');
+const { PathResolver } = require('../utils/path-resolver');
+const { createToolResult } = require('./tool-result');
+
+module.exports = {
+  name: 'planSprints',
+  description: "Planifie les sprints à partir de la vélocité de l'équipe et des story points, par priorité et dépendances, et régénère les itérations",
+  inputSchema: planSprintsSchema,
+  outputSchema: planSprintsOutputSchema,
+  cli: {
+    command: '--planSprints',
+    usage: '<velocity> [options]',
+    positional: ['velocity'],
+    options: {
+      '--sprint-length': 'sprintLength',
+      '--start-date': 'startDate',
+      '--output-path': 'outputPath'
+    }
+  },
+
+  /**
+   * @param {Object} args - Arguments validés par planSprintsSchema (valeurs par défaut appliquées)
+   * @param {Object} context - Contexte d'exécution (reportProgress, roots)
+   * @returns {Promise<Object>} Résultat au format MCP (structuredContent conforme à planSprintsOutputSchema)
+   */
+  async handler(args, context) {
+    const { velocity, sprintLength, startDate, outputPath } = args;
+
+    // Chargé à l'exécution pour éviter les dépendances circulaires au démarrage
+    const sprintPlanner = require('../sprint-planner');
+
+    const pathResolver = new PathResolver({ roots: context.roots });
+    const resolvedOutputPath = pathResolver.resolveOutputPath(outputPath);
+    const backlogDir = pathResolver.getBacklogDir(resolvedOutputPath);
+
+    const result = await sprintPlanner.planSprintsInBacklog(backlogDir, {
+      velocity,
+      sprintLength,
+      startDate,
+      onProgress: context.reportProgress
+    });
+
+    const last = result.iterations[result.iterations.length - 1];
+
+    return createToolResult(
+      `${result.iterations.length} sprint(s) planifié(s) à ${velocity} points, jusqu'au ${last.endDate}`,
+      {
+        iterations: result.iterations,
+        unplannedStoryIds: result.unplannedStoryIds,
+        removedIterations: result.removedIterations,
+        storyIds: result.iterations.flatMap(iteration => iteration.storyIds),
+        files: result.files,
+        outputPath: resolvedOutputPath,
+        backlogDir,
+        warnings: result.warnings
+      }
+    );
+  }
+};
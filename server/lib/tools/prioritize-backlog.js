@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Outil prioritizeBacklog: classe user stories et features avec WSJF, RICE, MoSCoW ou valeur/effort
+ * @module tools/prioritize-backlog
+ * @requires prioritizer
+ */
+
+const apiClient = require('../api-client');
+const { prioritizeBacklogSchema, prioritizeBacklogOutputSchema } = require('../tool-schemas');
+const { PathResolver } = require('../utils/path-resolver');
+const { createToolResult } = require('./tool-result');
+
+module.exports = {
+  name: 'prioritizeBacklog',
+  description: 'Priorise les user stories et les features avec un cadre de scoring (wsjf, rice, moscow, value-effort) et écrit planning/priorities.md',
+  inputSchema: prioritizeBacklogSchema,
+  outputSchema: prioritizeBacklogOutputSchema,
+  cli: {
+    command: '--prioritizeBacklog',
+    usage: '[framework] [options]',
+    positional: ['framework'],
+    options: {
+      '--output-path': 'outputPath'
+    }
+  },
+
+  /**
+   * @param {Object} args - Arguments validés par prioritizeBacklogSchema (valeurs par défaut appliquées)
+   * @param {Object} context - Contexte d'exécution (reportProgress, signal, client, roots)
+   * @returns {Promise<Object>} Résultat au format MCP (structuredContent conforme à prioritizeBacklogOutputSchema)
+   */
+  async handler(args, context) {
+    const { framework, outputPath } = args;
+    const { reportProgress: onProgress, signal } = context;
+
+    // Chargé à l'exécution pour éviter les dépendances circulaires au démarrage
+    const prioritizer = require('../prioritizer');
+
+    const pathResolver = new PathResolver({ roots: context.roots });
+    const resolvedOutputPath = pathResolver.resolveOutputPath(outputPath);
+    const backlogDir = pathResolver.getBacklogDir(resolvedOutputPath);
+
+    const client = context.client || apiClient.getClient();
+    const result = await prioritizer.prioritizeBacklog(
+      backlogDir,
+      client,
+      client.provider || apiClient.getCurrentProvider() || 'openai',
+      { framework, onProgress, signal }
+    );
+
+    const top = result.stories[0];
+
+    return createToolResult(
+      `Backlog priorisé (${result.framework}): ${result.stories.length} user stories classées${top ? `, en tête ${top.id}` : ''}`,
+      {
+        framework: result.framework,
+        stories: result.stories,
+        features: result.features,
+        storyIds: result.stories.map(story => story.id),
+        files: result.files,
+        outputPath: resolvedOutputPath,
+        backlogDir,
+        warnings: result.warnings
+      }
+    );
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Outil queryBacklog: recherche en lecture seule des epics, features et user stories
+ * @module tools/query-backlog
+ * @requires backlog-query
+ */
+
+const { queryBacklogSchema, queryBacklogOutputSchema } = require('../tool-schemas');
+const { PathResolver } = require('../utils/path-resolver');
+const { createToolResult } = require('./tool-result');
+
+module.exports = {
+  name: 'queryBacklog',
+  description: 'Recherche dans le backlog existant (lecture seule): filtres par type, priorité, parent, itération, statut, texte et champs manquants',
+  inputSchema: queryBacklogSchema,
+  outputSchema: queryBacklogOutputSchema,
+  cli: {
+    command: '--queryBacklog',
+    usage: '[options]',
+    options: {
+      '--type': 'type',
+      '--priority': 'priority',
+      '--parent': 'parent',
+      '--iteration': 'iteration',
+      '--status': 'status',
+      '--text': 'text',
+      '--missing': 'missing',
+      '--output-path': 'outputPath'
+    }
+  },
+
+  /**
+   * @param {Object} args - Arguments validés par queryBacklogSchema
+   * @param {Object} context - Contexte d'exécution (roots)
+   * @returns {Promise<Object>} Résultat au format MCP (structuredContent conforme à queryBacklogOutputSchema)
+   */
+  async handler(args, context) {
+    const { outputPath, ...filters } = args;
+
+    // Chargé à l'exécution pour éviter les dépendances circulaires au démarrage
+    const { queryBacklog } = require('../backlog-query');
+
+    const pathResolver = new PathResolver({ roots: context.roots });
+    const backlogDir = pathResolver.getBacklogDir(pathResolver.resolveOutputPath(outputPath));
+
+    const items = await queryBacklog(backlogDir, filters);
+
+    // Le résumé liste les éléments: c'est la seule sortie affichée en mode batch
+    const lines = items.map(item => `- ${item.type === 'story' ? `${item.id}: ` : ''}${item.title} (${item.path})`);
+
+    return createToolResult(
+      [`${items.length} élément(s) trouvé(s) dans le backlog`, ...lines].join('\n'),
+      { items, count: items.length, backlogDir }
+    );
+  }
+};
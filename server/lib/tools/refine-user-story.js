@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Outil refineUserStory: affine une user story existante selon INVEST et réécrit son fichier
+ * @module tools/refine-user-story
+ * @requires story-refiner
+ */
+
+const apiClient = require('../api-client');
+const { refineUserStorySchema, refineUserStoryOutputSchema } = require('../tool-schemas');
+const { PathResolver } = require('../utils/path-resolver');
+const { createToolResult } = require('./tool-result');
+
+module.exports = {
+  name: 'refineUserStory',
+  description: "Affine une user story existante selon les critères INVEST en conservant son ID, ses liens et les cases déjà cochées",
+  inputSchema: refineUserStorySchema,
+  outputSchema: refineUserStoryOutputSchema,
+  cli: {
+    command: '--refineUserStory',
+    usage: '<storyId> [options]',
+    positional: ['storyId'],
+    options: {
+      '--output-path': 'outputPath'
+    }
+  },
+
+  /**
+   * @param {Object} args - Arguments validés par refineUserStorySchema
+   * @param {Object} context - Contexte d'exécution (reportProgress, signal, client, roots)
+   * @returns {Promise<Object>} Résultat au format MCP (structuredContent conforme à refineUserStoryOutputSchema)
+   */
+  async handler(args, context) {
+    const { storyId, outputPath } = args;
+    const { reportProgress: onProgress, signal } = context;
+
+    // Chargé à l'exécution pour éviter les dépendances circulaires au démarrage
+    const storyRefiner = require('../story-refiner');
+
+    const pathResolver = new PathResolver({ roots: context.roots });
+    const resolvedOutputPath = pathResolver.resolveOutputPath(outputPath);
+    const backlogDir = pathResolver.getBacklogDir(resolvedOutputPath);
+
+    const client = context.client || apiClient.getClient();
+    const { story, investIssues, files } = await storyRefiner.refineStoryInBacklog(
+      backlogDir,
+      storyId,
+      client,
+      client.provider || apiClient.getCurrentProvider() || 'openai',
+      { onProgress, signal }
+    );
+
+    return createToolResult(
+      `User story ${story.id} affinée: ${investIssues.length} critère(s) INVEST corrigé(s)`,
+      {
+        storyId: story.id,
+        title: story.title,
+        investIssues,
+        storyIds: [story.id],
+        files,
+        outputPath: resolvedOutputPath,
+        backlogDir,
+        warnings: []
+      }
+    );
+  }
+};
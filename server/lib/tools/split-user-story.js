@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Outil splitUserStory: découpe une user story en stories plus petites (motifs SPIDR)
+ * @module tools/split-user-story
+ * @requires story-splitter
+ */
+
+const apiClient = require('../api-client');
+const { splitUserStorySchema, splitUserStoryOutputSchema } = require('../tool-schemas');
+const { PathResolver } = require('../utils/path-resolver');
+const { createToolResult } = require('./tool-result');
+
+module.exports = {
+  name: 'splitUserStory',
+  description: 'Découpe une user story trop grosse en plusieurs stories plus petites (chemins, interfaces, données, règles, spikes)',
+  inputSchema: splitUserStorySchema,
+  outputSchema: splitUserStoryOutputSchema,
+  cli: {
+    command: '--splitUserStory',
+    usage: '<storyId> [options]',
+    positional: ['storyId'],
+    options: {
+      '--story-count': 'storyCount',
+      '--pattern': 'pattern',
+      '--output-path': 'outputPath'
+    }
+  },
+
+  /**
+   * @param {Object} args - Arguments validés par splitUserStorySchema (valeurs par défaut appliquées)
+   * @param {Object} context - Contexte d'exécution (reportProgress, signal, client, roots)
+   * @returns {Promise<Object>} Résultat au format MCP (structuredContent conforme à splitUserStoryOutputSchema)
+   */
+  async handler(args, context) {
+    const { storyId, storyCount, pattern, outputPath } = args;
+    const { reportProgress: onProgress, signal } = context;
+
+    // Chargé à l'exécution pour éviter les dépendances circulaires au démarrage
+    const storySplitter = require('../story-splitter');
+
+    const pathResolver = new PathResolver({ roots: context.roots });
+    const resolvedOutputPath = pathResolver.resolveOutputPath(outputPath);
+    const backlogDir = pathResolver.getBacklogDir(resolvedOutputPath);
+
+    const client = context.client || apiClient.getClient();
+    const result = await storySplitter.splitStoryInBacklog(
+      backlogDir,
+      storyId,
+      client,
+      client.provider || apiClient.getCurrentProvider() || 'openai',
+      { storyCount, pattern, onProgress, signal }
+    );
+
+    const storyIds = result.stories.map(story => story.id);
+
+    return createToolResult(
+      `User story ${result.storyId} découpée en ${storyIds.join(', ')} (motif: ${result.pattern})`,
+      {
+        storyId: result.storyId,
+        pattern: result.pattern,
+        removedFile: result.removedFile,
+        storyIds,
+        files: result.files,
+        outputPath: resolvedOutputPath,
+        backlogDir,
+        warnings: result.warnings
+      }
+    );
+  }
+};
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Construction des résultats d'outils au format MCP (texte + structuredContent)
+ * @module tools/tool-result
+ */
+
+const { listStoryEntries, listBacklogFiles } = require('../utils/backlog-reader');
+
+/**
+ * Construit le résultat MCP d'un outil
+ * Le JSON structuré est aussi sérialisé en texte pour les clients qui ignorent structuredContent
+ * @param {string} summary - Résumé lisible du résultat
+ * @param {Object} structuredContent - Résultat conforme à l'outputSchema de l'outil
+ * @returns {Object} Résultat tools/call
+ */
+function createToolResult(summary, structuredContent) {
+  return {
+    content: [
+      { type: 'text', text: summary },
+      { type: 'text', text: JSON.stringify(structuredContent, null, 2) }
+    ],
+    structuredContent
+  };
+}
+
+/**
+ * Décrit le contenu écrit dans le dossier backlog à partir de son backlog.json
+ * @param {string} backlogDir - Chemin du dossier .agile-planner-backlog
+ * @param {Object} backlogJson - Index retourné par generateMarkdownFilesFromResult
+ * @returns {{epicCount: number, storyIds: string[], files: string[]}} Résumé du backlog écrit
+ */
+function describeWrittenBacklog(backlogDir, backlogJson) {
+  return {
+    epicCount: (backlogJson.epics || []).length,
+    storyIds: listStoryEntries(backlogJson).map(({ story }) => story.id).filter(Boolean),
+    files: listBacklogFiles(backlogDir, backlogJson)
+  };
+}
+
+module.exports = {
+  createToolResult,
+  describeWrittenBacklog
+};
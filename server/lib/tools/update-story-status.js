@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Outil updateStoryStatus: change le statut d'une user story et coche ses tâches ou critères
+ * @module tools/update-story-status
+ * @requires story-status
+ */
+
+const { updateStoryStatusSchema, updateStoryStatusOutputSchema } = require('../tool-schemas');
+const { PathResolver } = require('../utils/path-resolver');
+const { createToolResult } = require('./tool-result');
+
+module.exports = {
+  name: 'updateStoryStatus',
+  description: "Change le statut d'une user story (todo, in-progress, done) et coche ses tâches ou critères d'acceptation par numéro ou texte",
+  inputSchema: updateStoryStatusSchema,
+  outputSchema: updateStoryStatusOutputSchema,
+  cli: {
+    command: '--updateStoryStatus',
+    usage: '<storyId> [status] [options]',
+    positional: ['storyId', 'status'],
+    options: {
+      '--tasks': 'tasks',
+      '--criteria': 'criteria',
+      '--uncheck': 'uncheck',
+      '--output-path': 'outputPath'
+    }
+  },
+
+  /**
+   * @param {Object} args - Arguments validés par updateStoryStatusSchema (valeurs par défaut appliquées)
+   * @param {Object} context - Contexte d'exécution (reportProgress, roots)
+   * @returns {Promise<Object>} Résultat au format MCP (structuredContent conforme à updateStoryStatusOutputSchema)
+   */
+  async handler(args, context) {
+    const { storyId, status, tasks, criteria, uncheck, outputPath } = args;
+
+    // Chargé à l'exécution pour éviter les dépendances circulaires au démarrage
+    const storyStatus = require('../story-status');
+
+    const pathResolver = new PathResolver({ roots: context.roots });
+    const resolvedOutputPath = pathResolver.resolveOutputPath(outputPath);
+    const backlogDir = pathResolver.getBacklogDir(resolvedOutputPath);
+
+    const result = await storyStatus.updateStoryStatus(backlogDir, storyId, {
+      status,
+      tasks,
+      criteria,
+      uncheck,
+      onProgress: context.reportProgress
+    });
+    const { tasks: taskProgress, acceptance_criteria: criteriaProgress } = result.progress;
+
+    return createToolResult(
+      `User story ${result.storyId} (${result.status}): ${taskProgress.done}/${taskProgress.total} tâches, ${criteriaProgress.done}/${criteriaProgress.total} critères cochés`,
+      {
+        storyId: result.storyId,
+        title: result.title,
+        status: result.status,
+        changedTasks: result.changedTasks,
+        changedCriteria: result.changedCriteria,
+        progress: result.progress,
+        storyIds: [result.storyId],
+        files: result.files,
+        outputPath: resolvedOutputPath,
+        backlogDir,
+        warnings: result.warnings
+      }
+    );
+  }
+};
@@ -0,0 +1,264 @@
+/**
+ * BacklogReader - Lecture du backlog généré dans le dossier .agile-planner-backlog
+ * @module backlog-reader
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { createSlug } = require('../markdown/utils');
+const { PathResolver } = require('./path-resolver');
+const { McpError } = require('../errors');
+
+// Code JSON-RPC pour un argument invalide (ID inconnu)
+const INVALID_PARAMS = -32602;
+
+/**
+ * Résout le dossier .agile-planner-backlog à partir d'un chemin de sortie
+ * @param {string} [outputPath] - Chemin de sortie fourni par l'utilisateur
+ * @param {Array<string>} [roots] - Dossiers racines déclarés par le client MCP
+ * @returns {string} Chemin absolu du dossier backlog
+ */
+function resolveBacklogDir(outputPath, roots) {
+  const pathResolver = new PathResolver({ roots });
+  return pathResolver.getBacklogDir(pathResolver.resolveOutputPath(outputPath));
+}
+
+/**
+ * Charge le fichier backlog.json écrit par generateMarkdownFilesFromResult
+ * @param {string} backlogDir - Chemin du dossier backlog
+ * @returns {Promise<Object|null>} Contenu du backlog ou null s'il n'existe pas encore
+ */
+async function loadBacklog(backlogDir) {
+  const jsonPath = path.join(backlogDir, 'backlog.json');
+
+  if (!(await fs.pathExists(jsonPath))) {
+    return null;
+  }
+
+  const content = await fs.readFile(jsonPath, 'utf8');
+  return JSON.parse(content);
+}
+
+/**
+ * Charge backlog.json, qui doit exister (outils et prompts qui travaillent sur un backlog généré)
+ * @param {string} backlogDir - Chemin du dossier backlog
+ * @returns {Promise<Object>} Contenu du backlog
+ * @throws {McpError} Si aucun backlog n'a encore été généré
+ */
+async function requireBacklog(backlogDir) {
+  const backlog = await loadBacklog(backlogDir);
+
+  if (!backlog) {
+    throw new McpError(`Aucun backlog.json trouvé dans ${backlogDir}. Générez d'abord un backlog.`);
+  }
+
+  return backlog;
+}
+
+/**
+ * Retourne le slug d'une user story (même règle que processUserStory)
+ * @param {Object} story - Entrée de la user story dans backlog.json
+ * @returns {string} Slug de la user story
+ */
+function getStorySlug(story) {
+  return createSlug(story.title);
+}
+
+/**
+ * Retourne le nom du fichier markdown d'une user story
+ * @param {Object} story - Entrée de la user story dans backlog.json
+ * @returns {string} Nom du fichier markdown
+ */
+function getStoryFileName(story) {
+  return `${getStorySlug(story)}.md`;
+}
+
+/**
+ * Aplatit les user stories du backlog avec leurs parents
+ * @param {Object} backlog - Contenu de backlog.json
+ * @returns {Array<{story: Object, feature: Object, epic: Object}>} Liste des user stories
+ */
+function listStoryEntries(backlog) {
+  const entries = [];
+
+  for (const epic of backlog?.epics || []) {
+    for (const feature of epic.features || []) {
+      for (const story of feature.stories || []) {
+        entries.push({ story, feature, epic });
+      }
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Recherche une user story par son ID (insensible à la casse)
+ * @param {Object} backlog - Contenu de backlog.json
+ * @param {string} storyId - ID de la user story (ex: US001)
+ * @returns {{story: Object, feature: Object, epic: Object}|null} Entrée trouvée ou null
+ */
+function findStoryEntry(backlog, storyId) {
+  const wanted = String(storyId).trim().toLowerCase();
+  return listStoryEntries(backlog).find(({ story }) => (story.id || '').toLowerCase() === wanted) || null;
+}
+
+/**
+ * Recherche une user story par son ID, qui doit exister
+ * @param {Object} backlog - Contenu de backlog.json
+ * @param {string} storyId - ID de la user story (ex: US001)
+ * @returns {{story: Object, feature: Object, epic: Object}} Entrée trouvée
+ * @throws {McpError} -32602 si la user story n'existe pas
+ */
+function requireStoryEntry(backlog, storyId) {
+  const entry = findStoryEntry(backlog, storyId);
+
+  if (!entry) {
+    throw new McpError(`User story introuvable dans backlog.json: ${storyId}`, { storyId }, INVALID_PARAMS);
+  }
+
+  return entry;
+}
+
+/**
+ * Recherche un epic par son ID ou son slug (insensible à la casse)
+ * @param {Object} backlog - Contenu de backlog.json
+ * @param {string} epicRef - ID (ex: EPIC-001) ou slug de l'epic
+ * @returns {Object|null} Epic de backlog.json ou null
+ */
+function findEpicEntry(backlog, epicRef) {
+  const wanted = String(epicRef).trim().toLowerCase();
+  return (backlog?.epics || []).find(epic =>
+    [epic.id, epic.slug].some(value => value && String(value).toLowerCase() === wanted)) || null;
+}
+
+/**
+ * Recherche un epic par son ID ou son slug, qui doit exister
+ * @param {Object} backlog - Contenu de backlog.json
+ * @param {string} epicRef - ID ou slug de l'epic
+ * @returns {Object} Epic de backlog.json
+ * @throws {McpError} -32602 si l'epic n'existe pas
+ */
+function requireEpicEntry(backlog, epicRef) {
+  const epic = findEpicEntry(backlog, epicRef);
+
+  if (!epic) {
+    const availableEpics = (backlog?.epics || []).map(entry => entry.id || entry.slug);
+    throw new McpError(`Epic introuvable dans backlog.json: ${epicRef}`, { epic: epicRef, availableEpics }, INVALID_PARAMS);
+  }
+
+  return epic;
+}
+
+/**
+ * Calcule des IDs de user stories libres, au format des IDs existants (ex: US007, US008)
+ * Les IDs des itérations et du MVP sont aussi réservés (stories orphelines comprises)
+ * @param {Object} backlog - Contenu de backlog.json
+ * @param {number} count - Nombre d'IDs à réserver
+ * @returns {string[]} Nouveaux IDs, dans l'ordre
+ */
+function nextStoryIds(backlog, count) {
+  const plannedStories = [...(backlog?.iterations || []), backlog?.mvp || {}].flatMap(planning => planning.stories || []);
+  const numbered = [...listStoryEntries(backlog).map(({ story }) => story), ...plannedStories]
+    .map(story => String(story.id || '').match(/^([A-Za-z_-]*)(\d+)$/))
+    .filter(Boolean);
+
+  const prefix = numbered[0]?.[1] || 'US';
+  const width = Math.max(3, ...numbered.map(match => match[2].length));
+  const highest = Math.max(0, ...numbered.map(match => Number(match[2])));
+
+  return Array.from({ length: count }, (_, index) => `${prefix}${String(highest + index + 1).padStart(width, '0')}`);
+}
+
+/**
+ * Calcule les chemins absolus des fichiers d'un élément du backlog
+ * @param {string} backlogDir - Chemin du dossier backlog
+ * @param {Object} epic - Epic (avec slug)
+ * @param {Object} [feature] - Feature (avec slug)
+ * @param {Object} [story] - User story
+ * @returns {string} Chemin du fichier markdown le plus spécifique
+ */
+function getEntryFilePath(backlogDir, epic, feature, story) {
+  const epicDir = path.join(backlogDir, 'epics', epic.slug);
+
+  if (!feature) {
+    return path.join(epicDir, 'epic.md');
+  }
+
+  const featureDir = path.join(epicDir, 'features', feature.slug);
+
+  if (!story) {
+    return path.join(featureDir, 'feature.md');
+  }
+
+  return path.join(featureDir, 'user-stories', getStoryFileName(story));
+}
+
+/**
+ * Calcule le chemin absolu du fichier Gherkin d'une feature (écrit par processGherkinFeature)
+ * @param {string} backlogDir - Chemin du dossier backlog
+ * @param {Object} epic - Epic (avec slug)
+ * @param {Object} feature - Feature (avec slug)
+ * @returns {string} Chemin du fichier .feature
+ */
+function getGherkinFilePath(backlogDir, epic, feature) {
+  return path.join(backlogDir, 'epics', epic.slug, 'features', feature.slug, `${feature.slug}.feature`);
+}
+
+/**
+ * Liste les fichiers décrits par backlog.json (index, epics, features, scénarios Gherkin, user stories, planning)
+ * @param {string} backlogDir - Chemin du dossier backlog
+ * @param {Object} backlog - Contenu de backlog.json
+ * @returns {string[]} Chemins absolus des fichiers
+ */
+function listBacklogFiles(backlogDir, backlog) {
+  const files = [path.join(backlogDir, 'backlog.json')];
+
+  for (const epic of backlog?.epics || []) {
+    files.push(getEntryFilePath(backlogDir, epic));
+    for (const feature of epic.features || []) {
+      files.push(getEntryFilePath(backlogDir, epic, feature));
+      if (feature.gherkin_path) {
+        files.push(getGherkinFilePath(backlogDir, epic, feature));
+      }
+      for (const story of feature.stories || []) {
+        files.push(getEntryFilePath(backlogDir, epic, feature, story));
+      }
+    }
+  }
+
+  if (backlog?.mvp) {
+    files.push(path.join(backlogDir, 'planning', 'mvp', 'mvp.md'));
+  }
+
+  if (backlog?.priorities) {
+    files.push(path.join(backlogDir, 'planning', 'priorities.md'));
+  }
+
+  if (backlog?.dependencies) {
+    files.push(path.join(backlogDir, 'planning', 'dependencies.md'));
+  }
+
+  for (const iteration of backlog?.iterations || []) {
+    files.push(path.join(backlogDir, 'planning', 'iterations', iteration.slug, 'iteration.md'));
+  }
+
+  return files;
+}
+
+module.exports = {
+  resolveBacklogDir,
+  loadBacklog,
+  requireBacklog,
+  getStorySlug,
+  getStoryFileName,
+  listStoryEntries,
+  findStoryEntry,
+  requireStoryEntry,
+  findEpicEntry,
+  requireEpicEntry,
+  nextStoryIds,
+  getEntryFilePath,
+  getGherkinFilePath,
+  listBacklogFiles
+};
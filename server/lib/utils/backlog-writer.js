@@ -0,0 +1,155 @@
+/**
+ * BacklogWriter - Mise à jour d'un backlog déjà généré dans le dossier .agile-planner-backlog
+ * @module backlog-writer
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { listStoryEntries, getEntryFilePath, getGherkinFilePath } = require('./backlog-reader');
+const { parseUserStory } = require('../markdown/story-formatter');
+const { generateGherkinFeature } = require('../markdown/gherkin-formatter');
+const { processIterations } = require('../markdown/iteration-formatter');
+const { processMVP } = require('../markdown/mvp-formatter');
+
+/**
+ * Somme les story points d'une liste de user stories (les stories non estimées comptent pour 0)
+ * @param {Array<Object>} stories - User stories avec story_points éventuels
+ * @returns {number} Total des points
+ */
+function sumPoints(stories) {
+  return (stories || []).reduce((total, story) => total + (Number(story.story_points) || 0), 0);
+}
+
+/**
+ * Reporte le total des story points sur les features, epics, itérations et MVP (total_points)
+ * Sans aucune story estimée, le backlog n'est pas modifié
+ * @param {Object} backlog - Contenu de backlog.json (modifié en place)
+ * @returns {number|undefined} Total du projet, ou undefined si aucune story n'est estimée
+ */
+function rollupStoryPoints(backlog) {
+  const entries = listStoryEntries(backlog);
+
+  if (!entries.some(({ story }) => typeof story.story_points === 'number')) {
+    return undefined;
+  }
+
+  for (const epic of backlog.epics || []) {
+    for (const feature of epic.features || []) {
+      feature.total_points = sumPoints(feature.stories);
+    }
+    epic.total_points = (epic.features || []).reduce((total, feature) => total + feature.total_points, 0);
+  }
+
+  // Les itérations et le MVP ne référencent que les IDs: les points sont lus dans les epics
+  const storiesById = new Map(entries.map(({ story }) => [story.id, story]));
+  const plannedPoints = planning => sumPoints((planning.stories || []).map(story => storiesById.get(story.id) || story));
+
+  for (const iteration of backlog.iterations || []) {
+    iteration.total_points = plannedPoints(iteration);
+  }
+
+  if (backlog.mvp) {
+    backlog.mvp.total_points = plannedPoints(backlog.mvp);
+  }
+
+  backlog.total_points = sumPoints(entries.map(({ story }) => story));
+  return backlog.total_points;
+}
+
+/**
+ * Écrit backlog.json (totaux de story points recalculés)
+ * @param {string} backlogDir - Chemin du dossier backlog
+ * @param {Object} backlog - Contenu de backlog.json
+ * @returns {Promise<string>} Chemin du fichier écrit
+ */
+async function saveBacklog(backlogDir, backlog) {
+  rollupStoryPoints(backlog);
+  const jsonPath = path.join(backlogDir, 'backlog.json');
+  await fs.writeFile(jsonPath, JSON.stringify(backlog, null, 2));
+  return jsonPath;
+}
+
+/**
+ * Reconstruit la map des user stories (titre et ID vers chemin) utilisée par les formateurs de planification
+ * @param {Object} backlog - Contenu de backlog.json
+ * @returns {Map} Map au format de celle remplie par processUserStories
+ */
+function buildUserStoryMap(backlog) {
+  const userStoryMap = new Map();
+
+  for (const { story, feature } of listStoryEntries(backlog)) {
+    const storyInfo = { path: story.path, relativePath: story.path, feature: feature.title, id: story.id || '' };
+    userStoryMap.set(story.title, storyInfo);
+    if (story.id) {
+      userStoryMap.set(story.id, storyInfo);
+    }
+  }
+
+  return userStoryMap;
+}
+
+/**
+ * Réécrit les fichiers des itérations et du MVP à partir de backlog.json
+ * backlog.iterations et backlog.mvp sont remplacés par leur version régénérée
+ * @param {Object} backlog - Contenu de backlog.json (modifié en place)
+ * @param {string} backlogDir - Chemin du dossier backlog
+ * @param {Function} [onProgress] - Callback appelé après chaque fichier écrit (message)
+ * @returns {Promise<string[]>} Chemins des fichiers réécrits
+ */
+async function rewritePlanning(backlog, backlogDir, onProgress = () => {}) {
+  // Totaux affichés dans l'entête des itérations
+  rollupStoryPoints(backlog);
+  const userStoryMap = buildUserStoryMap(backlog);
+  const files = [];
+
+  if (backlog.iterations?.length > 0) {
+    await processIterations([...backlog.iterations], backlogDir, userStoryMap, backlog, onProgress);
+    files.push(...backlog.iterations.map(iteration => path.join(backlogDir, 'planning', 'iterations', iteration.slug, 'iteration.md')));
+  }
+
+  if (backlog.mvp?.stories?.length > 0) {
+    await processMVP(backlog.mvp, backlogDir, userStoryMap, backlog, onProgress);
+    files.push(path.join(backlogDir, 'planning', 'mvp', 'mvp.md'));
+  }
+
+  return files;
+}
+
+/**
+ * Réécrit le fichier .feature d'une feature à partir des fichiers markdown de ses user stories
+ * Seules les features dont le fichier Gherkin a été généré (gherkin_path) sont concernées
+ * @param {string} backlogDir - Chemin du dossier backlog
+ * @param {Object} epic - Epic parent (avec slug)
+ * @param {Object} feature - Feature de backlog.json (avec slug et stories)
+ * @returns {Promise<string|null>} Chemin du fichier réécrit, ou null
+ */
+async function rewriteFeatureGherkin(backlogDir, epic, feature) {
+  if (!feature.gherkin_path) {
+    return null;
+  }
+
+  const stories = [];
+  for (const story of feature.stories || []) {
+    const storyPath = getEntryFilePath(backlogDir, epic, feature, story);
+    if (await fs.pathExists(storyPath)) {
+      stories.push({ ...parseUserStory(await fs.readFile(storyPath, 'utf8')), id: story.id, title: story.title });
+    }
+  }
+
+  const content = generateGherkinFeature(feature, stories);
+  if (!content) {
+    return null;
+  }
+
+  const gherkinPath = getGherkinFilePath(backlogDir, epic, feature);
+  await fs.writeFile(gherkinPath, content);
+  return gherkinPath;
+}
+
+module.exports = {
+  rollupStoryPoints,
+  saveBacklog,
+  buildUserStoryMap,
+  rewritePlanning,
+  rewriteFeatureGherkin
+};
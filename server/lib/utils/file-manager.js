@@ -6,7 +6,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const slugify = require('slugify');
-const chalk = require('chalk');
+const { logger } = require('../logger');
 
 /**
  * Classe gérant la création et l'organisation des fichiers markdown selon la structure hiérarchique
@@ -52,7 +52,7 @@ class FileManager {
    * @returns {Promise<void>}
    */
   async createBacklogStructure() {
-    console.log(chalk.blue(`📂 Création de la structure hiérarchique dans: ${this.getBacklogDir()}`));
+    logger.debug(`Création de la structure hiérarchique dans: ${this.getBacklogDir()}`);
     
     // Créer le dossier principal
     await fs.ensureDir(this.getBacklogDir());
@@ -63,7 +63,7 @@ class FileManager {
     await fs.ensureDir(path.join(this.getBacklogDir(), 'planning', 'mvp'));
     await fs.ensureDir(path.join(this.getBacklogDir(), 'planning', 'iterations'));
     
-    console.log(chalk.green('✅ Structure de base créée'));
+    logger.debug('Structure de base créée');
   }
 
   /**
@@ -91,7 +91,7 @@ class FileManager {
     // Écrire le fichier
     await fs.writeFile(epicPath, epicContent);
     
-    console.log(chalk.green(`✅ Epic créé: ${epicPath}`));
+    logger.debug(`Epic créé: ${epicPath}`);
     return epicPath;
   }
 
@@ -130,7 +130,7 @@ class FileManager {
     // Écrire le fichier
     await fs.writeFile(featurePath, featureContent);
     
-    console.log(chalk.green(`✅ Feature créée: ${featurePath}`));
+    logger.debug(`Feature créée: ${featurePath}`);
     return featurePath;
   }
 
@@ -176,7 +176,7 @@ class FileManager {
     // Écrire le fichier
     await fs.writeFile(storyPath, storyContent);
     
-    console.log(chalk.green(`✅ User Story créée: ${storyPath}`));
+    logger.debug(`User Story créée: ${storyPath}`);
     return storyPath;
   }
 
@@ -201,7 +201,7 @@ class FileManager {
     // Écrire le fichier
     await fs.writeFile(mvpPath, mvpContent);
     
-    console.log(chalk.green(`✅ MVP créé: ${mvpPath}`));
+    logger.debug(`MVP créé: ${mvpPath}`);
     return mvpPath;
   }
 
@@ -234,7 +234,7 @@ class FileManager {
     // Écrire le fichier
     await fs.writeFile(iterationPath, iterationContent);
     
-    console.log(chalk.green(`✅ Itération créée: ${iterationPath}`));
+    logger.debug(`Itération créée: ${iterationPath}`);
     return iterationPath;
   }
 
@@ -5,7 +5,8 @@
 
 const path = require('path');
 const slugify = require('slugify');
-const chalk = require('chalk');
+const { logger } = require('../logger');
+const { ValidationError } = require('../errors');
 
 /**
  * Classe pour gérer de manière centralisée tous les chemins de l'application
@@ -14,29 +15,59 @@ const chalk = require('chalk');
 class PathResolver {
   /**
    * Crée une instance du PathResolver
+   * @param {Object} [options] - Options
+   * @param {Array<string>} [options.roots] - Dossiers racines déclarés par le client MCP (roots/list)
    */
-  constructor() {
+  constructor({ roots = [] } = {}) {
     this.backlogDirName = '.agile-planner-backlog';
+    this.roots = roots;
   }
 
   /**
    * Résout un chemin de sortie, en tenant compte des chemins relatifs et des variables d'environnement
+   * Si le client MCP a déclaré des racines, les chemins relatifs partent de la première
+   * (et non du répertoire courant, souvent le dossier d'installation de l'IDE)
    * @param {string} outputPath - Chemin fourni par l'utilisateur
    * @returns {string} Chemin absolu résolu
+   * @throws {ValidationError} Si le chemin sort des racines déclarées par le client
    */
   resolveOutputPath(outputPath) {
-    // Priorité: 1. outputPath spécifié 2. Variable d'environnement 3. Répertoire courant
-    let resolvedPath = outputPath || process.env.AGILE_PLANNER_OUTPUT_ROOT || process.cwd();
+    const baseDir = this.roots[0] || process.cwd();
+    
+    // Priorité: 1. outputPath spécifié 2. Variable d'environnement 3. Racine du client ou répertoire courant
+    let resolvedPath = outputPath || process.env.AGILE_PLANNER_OUTPUT_ROOT || baseDir;
     
     // Convertir en chemin absolu si nécessaire
     if (!path.isAbsolute(resolvedPath)) {
-      resolvedPath = path.resolve(process.cwd(), resolvedPath);
+      resolvedPath = path.resolve(baseDir, resolvedPath);
+    }
+    
+    if (this.roots.length > 0 && !this.isWithinRoots(resolvedPath)) {
+      throw new ValidationError(`Le chemin de sortie ${resolvedPath} est en dehors des dossiers autorisés par le client`, {
+        outputPath: resolvedPath,
+        roots: this.roots
+      });
     }
     
-    console.log(chalk.blue(`📂 Chemin de sortie résolu: ${resolvedPath}`));
+    // stderr: stdout est réservé au protocole MCP en mode stdio
+    logger.debug(`Chemin de sortie résolu: ${resolvedPath}`);
     return resolvedPath;
   }
 
+  /**
+   * Vérifie qu'un chemin absolu se trouve dans l'une des racines déclarées
+   * @param {string} absolutePath - Chemin à vérifier
+   * @returns {boolean} true si le chemin est une racine ou l'un de ses descendants
+   */
+  isWithinRoots(absolutePath) {
+    return this.roots.some(root => {
+      const relative = path.relative(root, absolutePath);
+      // Un dossier enfant peut commencer par '..' (ex: ..drafts): seul le segment '..' sort de la racine
+      const isOutside = relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative);
+      return !isOutside;
+    });
+  }
+
   /**
    * Obtient le chemin du dossier backlog
    * @param {string} basePath - Chemin de base
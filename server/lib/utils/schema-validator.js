@@ -7,7 +7,7 @@
  * @see {@link ./validators/validators-factory.js}
  */
 
-const chalk = require('chalk');
+const { logger } = require('../logger');
 
 // Import de la nouvelle Factory de validateurs
 const validatorsFactory = require('./validators/validators-factory');
@@ -428,7 +428,7 @@ class SchemaValidator {
 
     // Si l'objet a une structure de wrapper MCP (success, result)
     if (potentiallyWrappedBacklog.success && potentiallyWrappedBacklog.result) {
-      console.log(chalk.blue('📋 Extraction des données depuis un wrapper MCP'));
+      logger.debug('Extraction des données depuis un wrapper MCP');
       return potentiallyWrappedBacklog.result;
     }
 
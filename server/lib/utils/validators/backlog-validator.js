@@ -3,7 +3,7 @@
  * @module backlog-validator
  */
 
-const chalk = require('chalk');
+const { logger } = require('../../logger');
 const { SchemaValidatorStrategy } = require('./schema-validator-strategy');
 const { EpicValidator } = require('./epic-validator');
 const { UserStoryValidator } = require('./user-story-validator');
@@ -59,7 +59,7 @@ class BacklogValidator extends SchemaValidatorStrategy {
     if (backlog.epic && !backlog.epics) {
       // Ne pas tenter de convertir le format singulier
       // Rejeter complètement l'ancien format 'epic'
-      console.log(chalk.yellow('⚠️ Format obsolète détecté (epic singulier) - Rejeté'));
+      logger.warning('Format obsolète détecté (epic singulier) - Rejeté');
       return {
         ...backlog,
         epics: null  // Forcer l'échec de validation
@@ -87,7 +87,7 @@ class BacklogValidator extends SchemaValidatorStrategy {
     const normalizedBacklog = this.normalizeBacklog(extractedBacklog);
     
     // Log pour debug
-    console.log(`Validation du backlog ${normalizedBacklog?.projectName || 'sans nom'}`);
+    logger.debug(`Validation du backlog ${normalizedBacklog?.projectName || 'sans nom'}`);
 
     // Vérification de la structure de base du backlog avec le backlog normalisé
     const baseResult = this.validateAgainstSchema(normalizedBacklog, this.schema);
@@ -216,10 +216,7 @@ class BacklogValidator extends SchemaValidatorStrategy {
    * @private
    */
   _logValidationErrors(errors) {
-    console.log(chalk.red('⚠️ Backlog invalide:'));
-    errors.forEach(error => {
-      console.log(chalk.yellow(`  - ${error}`));
-    });
+    logger.warning(`Backlog invalide:\n${errors.map(error => `  - ${error}`).join('\n')}`, { errors });
   }
   
   /**
@@ -228,21 +225,21 @@ class BacklogValidator extends SchemaValidatorStrategy {
    * @returns {Object} Résultat de la validation {valid, error?}
    */
   validateBacklog(backlog) {
-    console.log(chalk.blue('🔍 Validation du backlog...'));
+    logger.debug('Validation du backlog...');
     
     try {
       const result = this.validate(backlog);
       
       // Afficher le résultat de validation
       if (result.valid) {
-        console.log(chalk.green('✓ Backlog valide'));
+        logger.debug('Backlog valide');
       } else {
         this._logValidationErrors(result.errors);
       }
       
       return result;
     } catch (error) {
-      console.error(chalk.red('❌ Erreur lors de la validation du backlog:'), error);
+      logger.error(`Erreur lors de la validation du backlog: ${error.message}`);
       return { 
         valid: false, 
         error: `Erreur inattendue: ${error.message || 'Erreur inconnue'}` 
@@ -3,7 +3,7 @@
  * @module schema-validator-strategy
  */
 
-const chalk = require('chalk');
+const { logger } = require('../../logger');
 const { TypeValidator } = require('./type-validator');
 
 /**
@@ -129,7 +129,7 @@ class SchemaValidatorStrategy {
 
     // Si l'objet a une structure de wrapper MCP (success, result)
     if (potentiallyWrappedData.success && potentiallyWrappedData.result) {
-      console.log(chalk.blue('📋 Extraction des données depuis un wrapper MCP'));
+      logger.debug('Extraction des données depuis un wrapper MCP');
       return potentiallyWrappedData.result;
     }
 
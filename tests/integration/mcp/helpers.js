@@ -0,0 +1,79 @@
+/**
+ * Fixtures partagées des tests d'intégration des outils qui relisent et modifient un backlog existant
+ * Chaque fichier de test ne garde que ses propres données (stories, itérations, réponse du LLM).
+ */
+
+const fs = require('fs-extra');
+const { createSlug } = require('../../../server/lib/markdown/utils');
+
+const backlogDir = '/tmp/projet/.agile-planner-backlog';
+
+/**
+ * Entrée d'une user story dans backlog.json, avec le chemin écrit par processUserStory
+ * @param {string} id - ID de la user story
+ * @param {string} title - Titre
+ * @param {Object} [fields] - Champs supplémentaires (story_points, status...)
+ * @returns {Object} Entrée { id, title, path, ...fields }
+ */
+function storyEntry(id, title, fields = {}) {
+  return { id, title, path: `./user-stories/${createSlug(title)}.md`, ...fields };
+}
+
+/**
+ * backlog.json de départ: l'epic "Gestion des membres" et sa feature "Inscription"
+ * @param {Object} [options] - Contenu propre au test
+ * @param {Array<Object>} [options.stories] - User stories de la feature Inscription
+ * @param {Object} [options.epic] - Champs ajoutés à l'epic (id, description...)
+ * @param {Object} [options.feature] - Champs ajoutés à la feature
+ * @param {...*} [options.fields] - Champs de premier niveau ajoutés ou remplacés (iterations, mvp...)
+ * @returns {Object} Contenu de backlog.json
+ */
+function createBacklogJson({ stories = [], epic = {}, feature = {}, ...fields } = {}) {
+  return {
+    project_title: 'Bibliothèque',
+    epics: [
+      { title: 'Gestion des membres', slug: 'gestion-des-membres', ...epic, features: [
+        { title: 'Inscription', slug: 'inscription', ...feature, stories }
+      ] }
+    ],
+    iterations: [],
+    ...fields
+  };
+}
+
+/**
+ * Client LLM factice (OpenAI) qui répond par un appel de fonction
+ * @param {string} functionName - Fonction appelée (ex: deliver_estimates)
+ * @param {Object} payload - Arguments renvoyés par le LLM
+ * @returns {Object} Client API
+ */
+function createFakeClient(functionName, payload) {
+  return {
+    provider: 'openai',
+    chat: {
+      completions: {
+        create: jest.fn().mockResolvedValue({
+          choices: [{ message: { function_call: { name: functionName, arguments: JSON.stringify(payload) } } }]
+        })
+      }
+    }
+  };
+}
+
+/**
+ * Contenu écrit pour un fichier (dernière écriture)
+ * @param {string} filePath - Chemin du fichier
+ * @returns {string|undefined} Contenu, ou undefined si le fichier n'a pas été écrit
+ */
+function writtenContent(filePath) {
+  const call = fs.writeFile.mock.calls.filter(([file]) => file === filePath).pop();
+  return call && call[1];
+}
+
+module.exports = {
+  backlogDir,
+  storyEntry,
+  createBacklogJson,
+  createFakeClient,
+  writtenContent
+};
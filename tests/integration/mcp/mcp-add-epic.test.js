@@ -0,0 +1,155 @@
+/**
+ * Tests d'intégration de l'outil addEpic
+ */
+
+const fs = require('fs-extra');
+const { toolRegistry } = require('../../../server/lib/tool-registry');
+const { backlogDir, storyEntry, createBacklogJson, createFakeClient, writtenContent } = require('./helpers');
+
+const epicDir = `${backlogDir}/epics/catalogue`;
+
+/**
+ * Backlog existant: un epic, trois user stories dont une planifiée
+ */
+function createExistingBacklog() {
+  return createBacklogJson({
+    project_description: 'Gestion des prêts',
+    epic: { description: 'Comptes' },
+    stories: [
+      storyEntry('US001', 'Creer son compte'),
+      storyEntry('US002', 'Valider son email'),
+      storyEntry('US003', 'Exporter ses donnees')
+    ],
+    iterations: [{ name: 'Iteration 1', slug: 'iteration-1', stories: [{ id: 'US001', title: 'Creer son compte' }] }]
+  });
+}
+
+const newStory = (id, title, dependencies = []) => ({
+  id,
+  title,
+  description: `En tant que lecteur, je veux ${title.toLowerCase()}`,
+  acceptance_criteria: ['Critère 1', 'Critère 2'],
+  tasks: ['Tâche 1', 'Tâche 2'],
+  priority: 'MEDIUM',
+  dependencies
+});
+
+describe('Outil addEpic', () => {
+  beforeEach(() => {
+    const backlogJson = createExistingBacklog();
+    fs.pathExists.mockResolvedValue(true);
+    fs.readFile.mockImplementation(async () => JSON.stringify(backlogJson));
+  });
+
+  test('attribue les IDs libres, renumérote les dépendances et fusionne l\'epic dans backlog.json', async () => {
+    const client = createFakeClient('deliver_epic', {
+      description: 'Recherche et consultation des ouvrages',
+      features: [{
+        title: 'Recherche',
+        description: 'Trouver un livre',
+        stories: [
+          newStory('NEW1', 'Chercher par titre', ['US001']),
+          newStory('NEW2', 'Filtrer par auteur', ['new1', 'US999'])
+        ]
+      }]
+    });
+
+    const result = await toolRegistry.invoke('addEpic', {
+      epicName: 'Catalogue',
+      epicDescription: 'Consulter les ouvrages',
+      featureCount: 1,
+      storyCount: 2,
+      outputPath: '/tmp/projet'
+    }, { client });
+
+    expect(result.structuredContent).toMatchObject({
+      epic: { title: 'Catalogue', slug: 'catalogue' },
+      features: [{ title: 'Recherche', slug: 'recherche', storyIds: ['US004', 'US005'] }],
+      storyIds: ['US004', 'US005'],
+      warnings: [
+        'Dépendance inconnue retirée de US005: US999',
+        'Les nouvelles user stories ne sont dans aucune itération: relancez planSprints'
+      ]
+    });
+    expect(result.structuredContent.files).toEqual([
+      `${epicDir}/epic.md`,
+      `${epicDir}/features/recherche/feature.md`,
+      `${epicDir}/features/recherche/recherche.feature`,
+      `${epicDir}/features/recherche/user-stories/chercher-par-titre.md`,
+      `${epicDir}/features/recherche/user-stories/filtrer-par-auteur.md`,
+      `${backlogDir}/backlog.json`
+    ]);
+
+    const saved = JSON.parse(writtenContent(`${backlogDir}/backlog.json`));
+    expect(saved.epics.map(epic => epic.slug)).toEqual(['gestion-des-membres', 'catalogue']);
+    expect(saved.epics[0].features[0].stories.map(story => story.id)).toEqual(['US001', 'US002', 'US003']);
+    expect(saved.epics[1].features[0].stories.map(story => story.id)).toEqual(['US004', 'US005']);
+    expect(saved.iterations).toEqual(createExistingBacklog().iterations);
+
+    const markdown = writtenContent(`${epicDir}/features/recherche/user-stories/filtrer-par-auteur.md`);
+    expect(markdown).toContain('# User Story US005: Filtrer par auteur');
+    expect(markdown).toContain('**Dependencies:** US004');
+    expect(writtenContent(`${epicDir}/epic.md`)).toContain('Recherche et consultation des ouvrages');
+  });
+
+  test('un ID provisoire qui reprend un ID existant ne détourne pas les dépendances vers la story existante', async () => {
+    const client = createFakeClient('deliver_epic', {
+      description: 'd',
+      features: [{
+        title: 'Recherche',
+        description: 'Trouver un livre',
+        stories: [
+          newStory('US001', 'Chercher par titre'),
+          newStory('NEW2', 'Filtrer par auteur', ['US001'])
+        ]
+      }]
+    });
+
+    const result = await toolRegistry.invoke('addEpic', {
+      epicName: 'Catalogue',
+      epicDescription: 'Consulter les ouvrages',
+      featureCount: 1,
+      storyCount: 2,
+      outputPath: '/tmp/projet'
+    }, { client });
+
+    expect(result.structuredContent.storyIds).toEqual(['US004', 'US005']);
+    expect(result.structuredContent.warnings).toContain(
+      'ID provisoire US001 déjà utilisé dans le backlog: la nouvelle story devient US004, les dépendances vers US001 désignent la story existante'
+    );
+    const markdown = writtenContent(`${epicDir}/features/recherche/user-stories/filtrer-par-auteur.md`);
+    expect(markdown).toContain('**Dependencies:** US001');
+  });
+
+  test('le prompt présente le backlog existant et demande des IDs provisoires', async () => {
+    const client = createFakeClient('deliver_epic', { description: 'd', features: [{ title: 'F', description: 'f', stories: [newStory('NEW1', 'Story')] }] });
+
+    await toolRegistry.invoke('addEpic', { epicName: 'Catalogue', epicDescription: 'Consulter les ouvrages', outputPath: '/tmp/projet' }, { client });
+
+    const request = client.chat.completions.create.mock.calls[0][0];
+    expect(request.messages[0].content).toContain('exactement 3 feature(s) de 3 user stories chacune');
+    expect(request.messages[1].content).toContain('Projet: Bibliothèque - Gestion des prêts');
+    expect(request.messages[1].content).toContain('    - US002: Valider son email');
+    expect(request.messages[1].content).toContain('NOUVEL EPIC: Catalogue\nConsulter les ouvrages');
+    expect(request.functions[0].parameters.properties.features.minItems).toBe(3);
+  });
+
+  test('un epic du même nom est refusé avant tout appel LLM', async () => {
+    const client = createFakeClient('deliver_epic', {});
+
+    await expect(toolRegistry.invoke('addEpic', { epicName: 'Gestion des Membres', epicDescription: 'd', outputPath: '/tmp/projet' }, { client }))
+      .rejects.toMatchObject({ errorCode: -32602, message: 'Un epic existe déjà sous le nom "Gestion des membres"' });
+    expect(client.chat.completions.create).not.toHaveBeenCalled();
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  test('la commande --addEpic prend le nom et la description en arguments positionnels', () => {
+    const tool = toolRegistry.findByCliCommand('--addEpic');
+
+    expect(toolRegistry.parseCliArgs(tool, ['Catalogue', 'Consulter les ouvrages', '--feature-count=2'])).toEqual({
+      epicName: 'Catalogue',
+      epicDescription: 'Consulter les ouvrages',
+      featureCount: 2
+    });
+  });
+});
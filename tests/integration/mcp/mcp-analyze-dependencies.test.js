@@ -0,0 +1,171 @@
+/**
+ * Tests d'intégration de l'outil analyzeDependencies
+ */
+
+const fs = require('fs-extra');
+const { toolRegistry } = require('../../../server/lib/tool-registry');
+const { formatUserStory, parseUserStory } = require('../../../server/lib/markdown/story-formatter');
+const { generateMermaidGraph } = require('../../../server/lib/markdown/dependencies-formatter');
+const { backlogDir, storyEntry, createBacklogJson, createFakeClient, writtenContent } = require('./helpers');
+
+const storiesDir = `${backlogDir}/epics/gestion-des-membres/features/inscription/user-stories`;
+
+/**
+ * Backlog de départ: US003 est planifiée dans le premier sprint, US001 dans le second
+ */
+function createDependenciesBacklog() {
+  return createBacklogJson({
+    stories: [
+      storyEntry('US001', 'Creer son compte'),
+      storyEntry('US002', 'Valider son email'),
+      storyEntry('US003', 'Modifier son "profil"'),
+      storyEntry('US004', 'Supprimer son compte')
+    ],
+    iterations: [
+      { name: 'Iteration 1', slug: 'iteration-1', stories: [{ id: 'US003' }] },
+      { name: 'Iteration 2', slug: 'iteration-2', stories: [{ id: 'US001' }, { id: 'US002' }] }
+    ]
+  });
+}
+
+describe('Outil analyzeDependencies', () => {
+  let storyDependencies;
+
+  beforeEach(() => {
+    const backlogJson = createDependenciesBacklog();
+    storyDependencies = {};
+    fs.pathExists.mockResolvedValue(true);
+    fs.readFile.mockImplementation(async file => {
+      if (file.endsWith('backlog.json')) return JSON.stringify(backlogJson);
+      const id = `US00${['creer', 'valider', 'modifier', 'supprimer'].findIndex(verb => file.includes(verb)) + 1}`;
+      return formatUserStory({
+        id,
+        title: 'Story',
+        description: `Description de ${id}`,
+        acceptance_criteria: ['a'],
+        tasks: ['t'],
+        priority: 'HIGH',
+        dependencies: storyDependencies[id] || []
+      });
+    });
+  });
+
+  test('ajoute les dépendances proposées et écarte les IDs inconnus', async () => {
+    storyDependencies = { US004: ['US001'] };
+    const client = createFakeClient('deliver_dependencies', {
+      dependencies: [
+        { id: 'US002', depends_on: ['US001', 'US999'], rationale: 'Le compte doit exister' },
+        { id: 'US004', depends_on: ['US001'], rationale: 'Déjà connue' }
+      ]
+    });
+
+    const result = await toolRegistry.invoke('analyzeDependencies', { outputPath: '/tmp/projet' }, { client });
+
+    expect(result.structuredContent.addedDependencies).toEqual([
+      { storyId: 'US002', dependsOn: ['US001'], rationale: 'Le compte doit exister' }
+    ]);
+    expect(result.structuredContent.dependencies).toEqual([
+      { storyId: 'US002', dependsOn: ['US001'] },
+      { storyId: 'US004', dependsOn: ['US001'] }
+    ]);
+    expect(result.structuredContent.warnings).toContain('Dépendance inconnue ignorée pour US002: US999');
+    expect(result.structuredContent.storyIds).toEqual(['US002']);
+    expect(parseUserStory(writtenContent(`${storiesDir}/valider-son-email.md`)).dependencies).toEqual(['US001']);
+    expect(writtenContent(`${storiesDir}/supprimer-son-compte.md`)).toBeUndefined();
+
+    const request = client.chat.completions.create.mock.calls[0][0];
+    expect(request.messages[1].content).toContain('  - US004: Supprimer son compte\n    Description de US004\n    Dépend déjà de: US001');
+  });
+
+  test('seule la ligne Dependencies est ajoutée au fichier de la story', async () => {
+    const original = [
+      '# User Story US002: Valider son email',
+      '',
+      '## Description',
+      '- [ ] En tant que membre, je veux valider mon email',
+      '  pour sécuriser mon compte.',
+      '',
+      '**Priority:** HIGH',
+      '**Status:** in-progress',
+      '**Story Points:** 3',
+      '',
+      '## Notes',
+      '',
+      'Lien valable 24 heures.'
+    ].join('\n');
+    const backlogJson = createDependenciesBacklog();
+    fs.readFile.mockImplementation(async file => (file.endsWith('backlog.json') ? JSON.stringify(backlogJson) : original));
+    const client = createFakeClient('deliver_dependencies', { dependencies: [{ id: 'US002', depends_on: ['US001'], rationale: 'Le compte doit exister' }] });
+
+    await toolRegistry.invoke('analyzeDependencies', { outputPath: '/tmp/projet' }, { client });
+
+    expect(writtenContent(`${storiesDir}/valider-son-email.md`))
+      .toBe(original.replace('**Status:** in-progress', '**Status:** in-progress\n**Dependencies:** US001'));
+  });
+
+  test('détecte les cycles et les met en évidence dans le graphe Mermaid', async () => {
+    storyDependencies = { US001: ['US003'], US002: ['US001'], US003: ['US002', 'US003'] };
+
+    const result = await toolRegistry.invoke('analyzeDependencies', { propose: false, outputPath: '/tmp/projet' }, {});
+
+    expect(result.structuredContent.cycles).toEqual([['US001', 'US003', 'US002', 'US001']]);
+    expect(result.structuredContent.unknownReferences).toEqual([{ storyId: 'US003', dependency: 'US003' }]);
+    expect(result.structuredContent.warnings).toContain('Dépendance circulaire: US001 → US003 → US002 → US001');
+
+    const markdown = writtenContent(`${backlogDir}/planning/dependencies.md`);
+    expect(markdown).toContain('```mermaid\ngraph TD\n  subgraph F1["Inscription"]\n    S1["US001: Creer son compte"]');
+    expect(markdown).toContain('    S3["US003: Modifier son #quot;profil#quot;"]');
+    expect(markdown).toContain('  S3 --> S1\n  S1 --> S2');
+    expect(markdown).toContain('  class S1,S3,S2 cycle');
+    expect(markdown).toContain('## Cycles\n\n- US001 → US003 → US002 → US001');
+    expect(markdown).toContain('## Unknown References\n\n- US003 → US003');
+  });
+
+  test('les IDs de stories non valides pour Mermaid restent dans les libellés seulement', () => {
+    const graph = generateMermaidGraph([
+      { id: 'AUTH-1', title: 'Connexion', feature: 'Accès', featureKey: 'acces', dependencies: [] },
+      { id: 'end', title: 'Déconnexion', feature: 'Accès', featureKey: 'acces', dependencies: ['AUTH-1'] }
+    ], [], [{ storyId: 'end' }]);
+
+    expect(graph).toBe([
+      '```mermaid',
+      'graph TD',
+      '  subgraph F1["Accès"]',
+      '    S1["AUTH-1: Connexion"]',
+      '    S2["end: Déconnexion"]',
+      '  end',
+      '  S1 --> S2',
+      '  classDef misplaced fill:#fff3cd,stroke:#b7950b',
+      '  class S2 misplaced',
+      '```'
+    ].join('\n'));
+  });
+
+  test('signale les stories planifiées avant leurs prérequis', async () => {
+    storyDependencies = { US003: ['US001'], US002: ['US004'] };
+
+    const result = await toolRegistry.invoke('analyzeDependencies', { propose: false, outputPath: '/tmp/projet' }, {});
+
+    expect(result.structuredContent.orderingIssues).toEqual([
+      { storyId: 'US002', storyIteration: 'Iteration 2', dependencyId: 'US004', dependencyIteration: null },
+      { storyId: 'US003', storyIteration: 'Iteration 1', dependencyId: 'US001', dependencyIteration: 'Iteration 2' }
+    ]);
+    expect(result.structuredContent.cycles).toEqual([]);
+
+    const saved = JSON.parse(writtenContent(`${backlogDir}/backlog.json`));
+    expect(saved.dependencies.path).toBe('./planning/dependencies.md');
+    expect(saved.dependencies.ordering_issues).toHaveLength(2);
+
+    const markdown = writtenContent(`${backlogDir}/planning/dependencies.md`);
+    expect(markdown).toContain('- US003 (Iteration 1) depends on US001, scheduled later (Iteration 2)');
+    expect(markdown).toContain('- US002 (Iteration 2) depends on US004, which is not scheduled');
+    expect(markdown).toContain('  class S2,S3 misplaced');
+    expect(markdown).toContain('## Cycles\n\n_No circular dependency._');
+  });
+
+  test('la commande --analyzeDependencies accepte --propose=false', () => {
+    const tool = toolRegistry.findByCliCommand('--analyzeDependencies');
+
+    expect(toolRegistry.parseCliArgs(tool, ['--propose=false', '--output-path=/tmp/projet'])).toEqual({ propose: false, outputPath: '/tmp/projet' });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests d'intégration de la validation des arguments tools/call contre l'inputSchema
+ */
+
+const mcpRouter = require('../../../server/lib/mcp-router');
+const { MCPServer } = require('../../../server/lib/mcp-server');
+const { toolRegistry, validateToolArguments } = require('../../../server/lib/tool-registry');
+const { McpError } = require('../../../server/lib/errors');
+
+describe('Validation des arguments des outils', () => {
+  const generateFeature = toolRegistry.get('generateFeature');
+
+  test('les valeurs par défaut déclarées sont appliquées', () => {
+    const args = validateToolArguments(generateFeature, { featureDescription: 'Export PDF' });
+
+    expect(args).toEqual({ featureDescription: 'Export PDF', storyCount: 3, iterationName: 'next' });
+  });
+
+  test('les arguments reçus ne sont pas modifiés', () => {
+    const received = { featureDescription: 'Export PDF' };
+
+    validateToolArguments(generateFeature, received);
+
+    expect(received).toEqual({ featureDescription: 'Export PDF' });
+  });
+
+  test('chaque champ invalide est listé avec son chemin', () => {
+    expect.assertions(3);
+
+    try {
+      validateToolArguments(generateFeature, { storyCount: 2, iterationName: 4 });
+    } catch (error) {
+      expect(error).toBeInstanceOf(McpError);
+      expect(error.errorCode).toBe(-32602);
+      expect(error.details.errors.map(e => e.path)).toEqual(['featureDescription', 'iterationName', 'storyCount']);
+    }
+  });
+
+  test('tools/call renvoie -32602 Invalid params via le routeur', async () => {
+    const response = await mcpRouter.handleRequest({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'tools/call',
+      params: { name: 'generateFeature', arguments: { featureDescription: 'Export PDF', storyCount: 1 } }
+    });
+
+    expect(response.error.code).toBe(-32602);
+    expect(response.error.data.errors).toEqual([{ path: 'storyCount', message: 'must be >= 3' }]);
+  });
+
+  test('tools/call renvoie -32602 via le serveur MCP sans appeler le handler', async () => {
+    const handler = jest.fn();
+    const transport = {
+      onMessage(h) { this.handler = h; return this; },
+      sendMessage: jest.fn()
+    };
+    new MCPServer({
+      namespace: 'agile-planner',
+      tools: [{ name: 'strict', description: 'Outil strict', inputSchema: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } }, handler }]
+    }).listen(transport);
+
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'strict', arguments: {} } }));
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(transport.sendMessage.mock.calls[0][0].error).toEqual(expect.objectContaining({
+      code: -32602,
+      data: { errors: [{ path: 'id', message: "must have required property 'id'" }] }
+    }));
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Tests d'intégration de l'annulation des requêtes (notifications/cancelled)
+ */
+
+const fs = require('fs-extra');
+const { MCPServer } = require('../../../server/lib/mcp-server');
+const { CancellationError } = require('../../../server/lib/errors');
+const backlogGenerator = require('../../../server/lib/backlog-generator');
+const apiClient = require('../../../server/lib/api-client');
+const { generateMarkdownFilesFromResult } = require('../../../server/lib/markdown');
+
+/**
+ * Transport factice capturant les messages envoyés par le serveur
+ */
+function createFakeTransport() {
+  return {
+    handler: null,
+    onMessage(handler) {
+      this.handler = handler;
+      return this;
+    },
+    sendMessage: jest.fn()
+  };
+}
+
+/**
+ * Client LLM factice dont l'appel reste en attente jusqu'à l'annulation
+ */
+function createPendingClient() {
+  return {
+    chat: {
+      completions: {
+        create: jest.fn((request, { signal }) => new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new Error('Request was aborted.')));
+        }))
+      }
+    }
+  };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Annulation des requêtes MCP', () => {
+  test('notifications/cancelled déclenche le signal de l\'outil et supprime la réponse', async () => {
+    let receivedSignal;
+    const slowTool = {
+      name: 'slow',
+      description: 'Attend son annulation',
+      inputSchema: { type: 'object', properties: {} },
+      handler: (params, context) => new Promise((resolve, reject) => {
+        receivedSignal = context.signal;
+        context.signal.addEventListener('abort', () => reject(context.signal.reason));
+      })
+    };
+    const transport = createFakeTransport();
+    new MCPServer({ namespace: 'agile-planner', tools: [slowTool] }).listen(transport);
+
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'slow', arguments: {} } }));
+    await flush();
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 7, reason: 'Utilisateur' } }));
+    await flush();
+
+    expect(receivedSignal.aborted).toBe(true);
+    expect(receivedSignal.reason).toBeInstanceOf(CancellationError);
+    expect(transport.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('generateBacklog interrompt l\'appel LLM en cours sans nouvelle tentative', async () => {
+    const client = createPendingClient();
+    const controller = new AbortController();
+
+    const pending = backlogGenerator.generateBacklog('Projet', 'Description', client, 'openai', { signal: controller.signal });
+    await flush();
+    controller.abort(new CancellationError());
+    const result = await pending;
+
+    expect(result.success).toBe(false);
+    expect(result.cancelled).toBe(true);
+    expect(client.chat.completions.create).toHaveBeenCalledTimes(1);
+    expect(client.chat.completions.create.mock.calls[0][1].signal).toBe(controller.signal);
+  });
+
+  test('le client Groq transmet le signal d\'annulation à fetch', async () => {
+    const savedEnv = { ...process.env };
+    const savedFetch = global.fetch;
+    process.env = { ...savedEnv, GROQ_API_KEY: 'gsk-test' };
+    delete process.env.OPENAI_API_KEY;
+    global.fetch = jest.fn().mockResolvedValue({ json: async () => ({ choices: [] }) });
+    apiClient.resetClient();
+
+    try {
+      const controller = new AbortController();
+      await apiClient.getClient().chat.completions.create({ model: 'llama' }, { signal: controller.signal });
+
+      expect(global.fetch.mock.calls[0][1].signal).toBe(controller.signal);
+    } finally {
+      process.env = savedEnv;
+      global.fetch = savedFetch;
+      apiClient.resetClient();
+    }
+  });
+
+  test('le dossier backlog créé pendant une génération annulée est supprimé', async () => {
+    const controller = new AbortController();
+    fs.pathExists.mockResolvedValueOnce(false);
+    fs.remove = jest.fn().mockResolvedValue();
+    controller.abort(new CancellationError());
+
+    await expect(generateMarkdownFilesFromResult(
+      { project: { title: 'Projet' }, epics: [] },
+      '/tmp/projet/.agile-planner-backlog',
+      { signal: controller.signal }
+    )).rejects.toBeInstanceOf(CancellationError);
+
+    expect(fs.remove).toHaveBeenCalledWith(expect.stringContaining('.agile-planner-backlog'));
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  test('une annulation reçue pendant l\'écriture des fichiers supprime le backlog à moitié écrit', async () => {
+    fs.pathExists.mockResolvedValueOnce(false);
+    fs.remove = jest.fn().mockResolvedValue();
+    let generationError;
+    const writeTool = {
+      name: 'write',
+      description: 'Écrit un backlog',
+      inputSchema: { type: 'object', properties: {} },
+      handler: (params, context) => generateMarkdownFilesFromResult({
+        project: { title: 'Projet' },
+        epics: [{ title: 'Epic', description: 'd', features: [{ title: 'Feature', description: 'd', stories: [
+          { id: 'US001', title: 'Story 1', description: 'd', acceptance_criteria: ['a'], tasks: ['t'], priority: 'HIGH' },
+          { id: 'US002', title: 'Story 2', description: 'd', acceptance_criteria: ['a'], tasks: ['t'], priority: 'HIGH' }
+        ] }] }]
+      }, '/tmp/projet/.agile-planner-backlog', { onProgress: context.reportProgress, signal: context.signal }).catch(error => {
+        generationError = error;
+        throw error;
+      })
+    };
+    const transport = createFakeTransport();
+    // Le client annule dès la première notification de progression
+    transport.sendMessage.mockImplementation(message => {
+      if (message.method === 'notifications/progress' && message.params.progress === 1) {
+        transport.handler(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 8 } }));
+      }
+    });
+    new MCPServer({ namespace: 'agile-planner', tools: [writeTool] }).listen(transport);
+
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 8, method: 'tools/call', params: { name: 'write', arguments: {}, _meta: { progressToken: 'p' } } }));
+    for (let i = 0; i < 10 && !generationError; i++) {
+      await flush();
+    }
+
+    expect(generationError).toBeInstanceOf(CancellationError);
+    expect(fs.writeFile).not.toHaveBeenCalledWith('/tmp/projet/.agile-planner-backlog/backlog.json', expect.anything());
+    expect(fs.remove).toHaveBeenCalledWith('/tmp/projet/.agile-planner-backlog');
+    expect(transport.sendMessage.mock.calls.map(([message]) => message.method)).toEqual(['notifications/progress']);
+  });
+
+  test('une annulation pendant la régénération d\'un backlog existant le signale comme partiellement mis à jour', async () => {
+    const controller = new AbortController();
+    fs.remove = jest.fn().mockResolvedValue();
+    const result = {
+      project: { title: 'Projet' },
+      epics: [{ title: 'Epic', description: 'd', features: [{ title: 'Feature', description: 'd', stories: [
+        { id: 'US001', title: 'Story 1', description: 'd', acceptance_criteria: ['a'], tasks: ['t'], priority: 'HIGH' }
+      ] }] }]
+    };
+
+    const generation = generateMarkdownFilesFromResult(result, '/tmp/projet/.agile-planner-backlog', {
+      signal: controller.signal,
+      onProgress: () => controller.abort(new CancellationError())
+    });
+
+    await expect(generation).rejects.toBeInstanceOf(CancellationError);
+    await expect(generation).rejects.toThrow('partiellement mis à jour');
+    await expect(generation).rejects.toMatchObject({
+      details: { backlogDir: '/tmp/projet/.agile-planner-backlog', partiallyUpdated: true }
+    });
+    expect(fs.remove).not.toHaveBeenCalled();
+    expect(fs.writeFile).not.toHaveBeenCalledWith('/tmp/projet/.agile-planner-backlog/backlog.json', expect.anything());
+  });
+
+  test('une annulation avant la première écriture laisse un backlog existant intact', async () => {
+    const controller = new AbortController();
+    fs.remove = jest.fn().mockResolvedValue();
+    controller.abort(new CancellationError());
+
+    const generation = generateMarkdownFilesFromResult(
+      { project: { title: 'Projet' }, epics: [] },
+      '/tmp/projet/.agile-planner-backlog',
+      { signal: controller.signal }
+    );
+
+    await expect(generation).rejects.toThrow('Opération annulée par le client');
+    expect(fs.remove).not.toHaveBeenCalled();
+    expect(fs.ensureDir).not.toHaveBeenCalled();
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests d'intégration de la complétion des arguments (completion/complete)
+ */
+
+const fs = require('fs-extra');
+const mcpRouter = require('../../../server/lib/mcp-router');
+
+const sampleBacklogJson = {
+  project_title: 'Bibliothèque',
+  epics: [
+    { title: 'Gestion des membres', slug: 'gestion-des-membres', features: [
+      { title: 'Inscription', slug: 'inscription', stories: [{ id: 'US001', title: 'Créer un compte' }, { id: 'US002', title: 'Valider son email' }] }
+    ] },
+    { id: 'EPIC-002', title: 'Gestion des prêts', slug: 'gestion-des-prets', features: [] }
+  ],
+  iterations: [
+    { name: 'Iteration 1', slug: 'iteration-1', stories: [] },
+    { name: 'Sprint Paiement', slug: 'sprint-paiement', stories: [] }
+  ]
+};
+
+/**
+ * Envoie une requête completion/complete au routeur
+ */
+function complete(ref, name, value, context) {
+  return mcpRouter.handleRequest({
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'completion/complete',
+    params: { ref, argument: { name, value }, context }
+  });
+}
+
+describe('Complétion des arguments MCP', () => {
+  const originalOutputRoot = process.env.AGILE_PLANNER_OUTPUT_ROOT;
+
+  beforeEach(() => {
+    process.env.AGILE_PLANNER_OUTPUT_ROOT = '/tmp/projet';
+    fs.pathExists.mockResolvedValue(true);
+    fs.readFile.mockResolvedValue(JSON.stringify(sampleBacklogJson));
+  });
+
+  afterAll(() => {
+    process.env.AGILE_PLANNER_OUTPUT_ROOT = originalOutputRoot;
+  });
+
+  test('iterationName de generateFeature propose les itérations existantes', async () => {
+    const response = await complete({ type: 'ref/tool', name: 'generateFeature' }, 'iterationName', 'it');
+
+    expect(response.result.completion).toEqual({ values: ['Iteration 1'], total: 1, hasMore: false });
+  });
+
+  test('les correspondances en début de valeur passent avant les autres', async () => {
+    const response = await complete({ type: 'ref/tool', name: 'generateFeature' }, 'iterationName', 'i');
+
+    expect(response.result.completion.values).toEqual(['Iteration 1', 'Sprint Paiement']);
+
+    const partial = await complete({ type: 'ref/tool', name: 'generateFeature' }, 'iterationName', 'pai');
+    expect(partial.result.completion.values).toEqual(['Sprint Paiement']);
+  });
+
+  test('epic de generateFeature propose les IDs et slugs des epics existants', async () => {
+    const response = await complete({ type: 'ref/tool', name: 'generateFeature' }, 'epic', 'ges');
+
+    expect(response.result.completion.values).toEqual(['gestion-des-membres', 'gestion-des-prets']);
+
+    const byId = await complete({ type: 'ref/tool', name: 'generateFeature' }, 'epic', 'epic');
+    expect(byId.result.completion.values).toEqual(['EPIC-002']);
+  });
+
+  test('storyId d\'un prompt propose les IDs des user stories', async () => {
+    const response = await complete({ type: 'ref/prompt', name: 'refine-user-story' }, 'storyId', 'us00');
+
+    expect(response.result.completion.values).toEqual(['US001', 'US002']);
+  });
+
+  test('le backlog lu est celui de l\'outputPath déjà saisi', async () => {
+    await complete({ type: 'ref/tool', name: 'generateFeature' }, 'iterationName', '', { arguments: { outputPath: '/autre/projet' } });
+
+    expect(fs.readFile).toHaveBeenCalledWith(expect.stringContaining('/autre/projet/.agile-planner-backlog/backlog.json'), 'utf8');
+  });
+
+  test('un argument sans source ou un backlog absent ne propose rien', async () => {
+    const undeclared = await complete({ type: 'ref/tool', name: 'generateFeature' }, 'featureDescription', 'ex');
+    expect(undeclared.result.completion.values).toEqual([]);
+
+    // Le nom d'un nouvel epic ne doit pas reprendre un epic existant (refusé par addEpic)
+    const newEpic = await complete({ type: 'ref/tool', name: 'addEpic' }, 'epicName', 'gest');
+    expect(newEpic.result.completion.values).toEqual([]);
+
+    fs.pathExists.mockResolvedValue(false);
+    const missing = await complete({ type: 'ref/tool', name: 'generateFeature' }, 'iterationName', '');
+    expect(missing.result.completion).toEqual({ values: [], total: 0, hasMore: false });
+  });
+
+  test('une référence inconnue renvoie -32602', async () => {
+    const response = await complete({ type: 'ref/prompt', name: 'inconnu' }, 'storyId', '');
+
+    expect(response.error.code).toBe(-32602);
+  });
+
+  test('initialize annonce la capacité completions', async () => {
+    const response = await mcpRouter.handleRequest({ jsonrpc: '2.0', id: 2, method: 'initialize', params: {} });
+
+    expect(response.result.capabilities.completions).toEqual({});
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests d'intégration de la demande de précisions sur le projet (elicitation/create)
+ */
+
+jest.mock('../../../server/lib/api-client', () => ({
+  ...jest.requireActual('../../../server/lib/api-client'),
+  getClient: jest.fn(() => ({})),
+  getCurrentProvider: jest.fn(() => 'openai')
+}));
+jest.mock('../../../server/lib/backlog-generator', () => ({
+  ...jest.requireActual('../../../server/lib/backlog-generator'),
+  generateBacklog: jest.fn()
+}));
+
+const backlogGenerator = require('../../../server/lib/backlog-generator');
+const { MCPServer } = require('../../../server/lib/mcp-server');
+const { needsProjectDetails, PROJECT_DETAILS_SCHEMA } = require('../../../server/lib/project-elicitation');
+
+/**
+ * Transport factice capturant les messages envoyés par le serveur
+ */
+function createFakeTransport() {
+  return {
+    handler: null,
+    onMessage(handler) {
+      this.handler = handler;
+      return this;
+    },
+    sendMessage: jest.fn()
+  };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const longDescription = 'Application web de gestion de bibliothèque municipale permettant aux adhérents de réserver des livres en ligne, '
+  + 'aux bibliothécaires de gérer le catalogue et les retards, avec notifications par email et tableau de bord des statistiques de prêt.';
+
+describe('Élicitation des précisions du projet', () => {
+  let transport;
+
+  const sent = () => transport.sendMessage.mock.calls.map(([message]) => message);
+  const elicitationRequest = () => sent().find(message => message.method === 'elicitation/create');
+
+  /**
+   * Attend la réponse à une requête du client
+   */
+  async function responseTo(id) {
+    for (let i = 0; i < 20; i++) {
+      const response = sent().find(message => message.id === id && !message.method);
+      if (response) return response;
+      await flush();
+    }
+    return undefined;
+  }
+
+  /**
+   * Démarre un serveur et appelle generateBacklog
+   */
+  async function callGenerateBacklog(projectDescription, capabilities = { elicitation: {} }) {
+    transport = createFakeTransport();
+    new MCPServer({ namespace: 'agile-planner' }).listen(transport);
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { capabilities } }));
+    transport.handler(JSON.stringify({
+      jsonrpc: '2.0',
+      id: 2,
+      method: 'tools/call',
+      params: { name: 'generateBacklog', arguments: { projectName: 'Bibliothèque', projectDescription, outputPath: '/tmp/projet' } }
+    }));
+    await flush();
+  }
+
+  beforeEach(() => {
+    backlogGenerator.generateBacklog.mockResolvedValue({
+      success: true,
+      result: { projectName: 'Bibliothèque', epics: [] },
+      warnings: []
+    });
+  });
+
+  test('une description de moins de 20 mots est jugée trop vague', () => {
+    expect(needsProjectDetails('Gestion de bibliothèque')).toBe(true);
+    expect(needsProjectDetails(longDescription)).toBe(false);
+  });
+
+  test('les précisions sont ajoutées au message utilisateur de createApiMessages', () => {
+    const messages = backlogGenerator.createApiMessages('Bibliothèque: Gestion de prêts', {
+      targetUsers: 'Adhérents et bibliothécaires',
+      scope: 'Réservation en ligne uniquement'
+    });
+
+    expect(messages[1].content).toBe([
+      'Project description: Bibliothèque: Gestion de prêts',
+      'Target users: Adhérents et bibliothécaires',
+      'Scope: Réservation en ligne uniquement'
+    ].join('\n'));
+  });
+
+  test('le formulaire rempli par l\'utilisateur est transmis à la génération', async () => {
+    await callGenerateBacklog('Gestion de bibliothèque');
+
+    const request = elicitationRequest();
+    expect(request.params.requestedSchema).toEqual(PROJECT_DETAILS_SCHEMA);
+    expect(backlogGenerator.generateBacklog).not.toHaveBeenCalled();
+
+    transport.handler(JSON.stringify({
+      jsonrpc: '2.0',
+      id: request.id,
+      result: { action: 'accept', content: { targetUsers: ' Adhérents ', constraints: '', scope: 'Prêts' } }
+    }));
+
+    expect((await responseTo(2)).result).toBeDefined();
+    expect(backlogGenerator.generateBacklog.mock.calls[0][4].projectDetails).toEqual({ targetUsers: 'Adhérents', scope: 'Prêts' });
+  });
+
+  test('un refus de l\'utilisateur n\'empêche pas la génération', async () => {
+    await callGenerateBacklog('Gestion de bibliothèque');
+
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', id: elicitationRequest().id, result: { action: 'decline' } }));
+
+    expect((await responseTo(2)).result).toBeDefined();
+    expect(backlogGenerator.generateBacklog.mock.calls[0][4].projectDetails).toEqual({});
+  });
+
+  test('une erreur du client sur elicitation/create n\'empêche pas la génération', async () => {
+    await callGenerateBacklog('Gestion de bibliothèque');
+
+    transport.handler(JSON.stringify({
+      jsonrpc: '2.0',
+      id: elicitationRequest().id,
+      error: { code: -32601, message: 'Method not found' }
+    }));
+
+    expect((await responseTo(2)).result).toBeDefined();
+    expect(backlogGenerator.generateBacklog.mock.calls[0][4].projectDetails).toEqual({});
+  });
+
+  test('aucune question n\'est posée pour une description détaillée ou sans support client', async () => {
+    await callGenerateBacklog(longDescription);
+    expect(elicitationRequest()).toBeUndefined();
+    expect((await responseTo(2)).result).toBeDefined();
+
+    await callGenerateBacklog('Gestion de bibliothèque', {});
+    expect(elicitationRequest()).toBeUndefined();
+    expect((await responseTo(2)).result).toBeDefined();
+  });
+});
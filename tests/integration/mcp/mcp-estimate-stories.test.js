@@ -0,0 +1,124 @@
+/**
+ * Tests d'intégration de l'outil estimateStories
+ */
+
+const fs = require('fs-extra');
+const { toolRegistry } = require('../../../server/lib/tool-registry');
+const { formatUserStory, parseUserStory } = require('../../../server/lib/markdown/story-formatter');
+const { backlogDir, storyEntry, createBacklogJson, createFakeClient, writtenContent } = require('./helpers');
+
+const storyDir = `${backlogDir}/epics/gestion-des-membres/features/inscription/user-stories`;
+
+/**
+ * Backlog de départ: deux stories dans l'itération 1, une troisième non planifiée
+ */
+function createEstimateBacklog() {
+  const stories = [
+    storyEntry('US001', 'Creer son compte'),
+    storyEntry('US002', 'Valider son email'),
+    storyEntry('US003', 'Supprimer son compte')
+  ];
+
+  return createBacklogJson({
+    stories,
+    iterations: [{ name: 'Iteration 1', goal: 'Inscription', slug: 'iteration-1', stories: stories.slice(0, 2) }]
+  });
+}
+
+describe('Outil estimateStories', () => {
+  beforeEach(() => {
+    const backlogJson = createEstimateBacklog();
+    fs.pathExists.mockResolvedValue(true);
+    fs.readFile.mockImplementation(async file => (file.endsWith('backlog.json')
+      ? JSON.stringify(backlogJson)
+      : formatUserStory({ id: 'US001', title: 'Creer son compte', description: 'Un compte', acceptance_criteria: ['A'], tasks: ['B'], priority: 'High' })));
+  });
+
+  test('écrit les points dans les fichiers et reporte les totaux', async () => {
+    const client = createFakeClient('deliver_estimates', { estimates: [
+      { id: 'US001', points: 3, rationale: 'Formulaire simple' },
+      { id: 'us002', points: 6, rationale: 'Envoi d\'email' },
+      { id: 'US003', points: 2, rationale: 'Suppression' }
+    ] });
+
+    const result = await toolRegistry.invoke('estimateStories', { outputPath: '/tmp/projet' }, { client });
+
+    const story = parseUserStory(writtenContent(`${storyDir}/creer-son-compte.md`));
+    expect(story.story_points).toBe(3);
+    expect(story.estimation_rationale).toBe('Formulaire simple');
+    expect(story.priority).toBe('High');
+    // 6 n'est pas dans la suite: ramené à la valeur la plus proche
+    expect(writtenContent(`${storyDir}/valider-son-email.md`)).toContain('**Story Points:** 5');
+
+    const saved = JSON.parse(writtenContent(`${backlogDir}/backlog.json`));
+    expect(saved.epics[0].features[0].stories.map(entry => entry.story_points)).toEqual([3, 5, 2]);
+    expect(saved.epics[0].features[0].total_points).toBe(10);
+    expect(saved.epics[0].total_points).toBe(10);
+    expect(saved.iterations[0].total_points).toBe(8);
+    expect(writtenContent(`${backlogDir}/planning/iterations/iteration-1/iteration.md`)).toContain('**Total Points:** 8');
+
+    expect(result.structuredContent).toMatchObject({ totalPoints: 10, storyIds: ['US001', 'US002', 'US003'], warnings: [] });
+  });
+
+  test('les stories de référence servent d\'étalon et gardent leurs points', async () => {
+    const client = createFakeClient('deliver_estimates', { estimates: [{ id: 'US002', points: 5, rationale: 'Envoi d\'email' }] });
+
+    const result = await toolRegistry.invoke('estimateStories', {
+      storyIds: ['US002'],
+      referenceStories: [{ storyId: 'US001', points: 2 }],
+      outputPath: '/tmp/projet'
+    }, { client });
+
+    const request = client.chat.completions.create.mock.calls[0][0];
+    expect(request.messages[0].content).toContain('STORIES DE RÉFÉRENCE');
+    expect(request.messages[0].content).toContain('=> 2 points');
+    expect(request.messages[1].content).toContain('### US002: Valider son email');
+    expect(request.messages[1].content).not.toContain('US003');
+
+    expect(writtenContent(`${storyDir}/creer-son-compte.md`)).toContain('**Story Points:** 2');
+    expect(writtenContent(`${storyDir}/supprimer-son-compte.md`)).toBeUndefined();
+    expect(result.structuredContent.totalPoints).toBe(7);
+  });
+
+  test('une nouvelle estimation ne change que les lignes de points du fichier', async () => {
+    const original = [
+      '# User Story US001: Creer son compte',
+      '',
+      '## Description',
+      '- [x] En tant que lecteur, je veux un compte',
+      '  afin d\'emprunter des livres en ligne.',
+      '',
+      '**Priority:** High',
+      '**Status:** in-progress',
+      '**Story Points:** 8',
+      '**Estimation Rationale:** Première estimation',
+      '',
+      '## Notes',
+      '',
+      'Revoir avec le métier.'
+    ].join('\n');
+    fs.readFile.mockImplementation(async file => (file.endsWith('backlog.json') ? JSON.stringify(createEstimateBacklog()) : original));
+    const client = createFakeClient('deliver_estimates', { estimates: [{ id: 'US001', points: 3, rationale: 'Formulaire simple' }] });
+
+    await toolRegistry.invoke('estimateStories', { storyIds: ['US001'], outputPath: '/tmp/projet' }, { client });
+
+    expect(writtenContent(`${storyDir}/creer-son-compte.md`)).toBe(original
+      .replace('**Story Points:** 8', '**Story Points:** 3')
+      .replace('Première estimation', 'Formulaire simple'));
+  });
+
+  test('une story oubliée par le LLM est signalée', async () => {
+    const client = createFakeClient('deliver_estimates', { estimates: [{ id: 'US001', points: 3, rationale: 'Formulaire simple' }] });
+
+    const result = await toolRegistry.invoke('estimateStories', { storyIds: ['US001', 'US003'], outputPath: '/tmp/projet' }, { client });
+
+    expect(result.structuredContent.warnings).toEqual(['Aucune estimation renvoyée pour US003']);
+    expect(result.structuredContent.storyIds).toEqual(['US001']);
+  });
+
+  test('la commande --estimateStories accepte une liste d\'IDs', () => {
+    const tool = toolRegistry.findByCliCommand('--estimateStories');
+
+    expect(toolRegistry.parseCliArgs(tool, ['--story-ids=US001,US002'])).toEqual({ storyIds: ['US001', 'US002'] });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests d'intégration de generateFeature avec un epic cible existant
+ */
+
+const fs = require('fs-extra');
+const { toolRegistry } = require('../../../server/lib/tool-registry');
+const { backlogDir, storyEntry, createBacklogJson, writtenContent } = require('./helpers');
+
+const epicDir = `${backlogDir}/epics/gestion-des-membres`;
+
+/**
+ * Backlog existant: un epic (avec ID) et une feature
+ */
+function createExistingBacklog() {
+  return createBacklogJson({
+    epic: { id: 'EPIC-001', description: 'Comptes' },
+    stories: [storyEntry('US001', 'Creer son compte'), storyEntry('US002', 'Valider son email')]
+  });
+}
+
+/**
+ * Client LLM factice renvoyant la feature au format de generateFeature
+ */
+function createFakeClient() {
+  const story = title => ({
+    title,
+    asA: 'En tant que membre',
+    iWant: `je veux ${title.toLowerCase()}`,
+    soThat: 'afin de gagner du temps',
+    acceptanceCriteria: [{ given: 'un compte actif', when: 'je me connecte', then: 'je vois mes prêts' }],
+    tasks: [{ description: 'Créer le formulaire', estimate: '2' }]
+  });
+
+  return {
+    provider: 'openai',
+    chat: {
+      completions: {
+        create: jest.fn().mockResolvedValue({
+          choices: [{ message: { content: JSON.stringify({
+            feature: { title: 'Connexion', description: 'Se connecter', businessValue: 'Accès' },
+            epicName: 'Gestion des membres',
+            userStories: [story('Se connecter'), story('Se deconnecter'), story('Reinitialiser son mot de passe')]
+          }) } }]
+        })
+      }
+    }
+  };
+}
+
+describe('Outil generateFeature avec un epic existant', () => {
+  beforeEach(() => {
+    const backlogJson = createExistingBacklog();
+    fs.pathExists.mockResolvedValue(true);
+    fs.readFile.mockImplementation(async () => JSON.stringify(backlogJson));
+  });
+
+  test('ajoute la feature à l\'epic désigné par son ID, avec des IDs de stories libres', async () => {
+    const client = createFakeClient();
+
+    const result = await toolRegistry.invoke('generateFeature', {
+      featureDescription: 'Connexion des membres',
+      epic: 'epic-001',
+      outputPath: '/tmp/projet'
+    }, { client });
+
+    expect(result.structuredContent).toMatchObject({
+      featureTitle: 'Connexion',
+      epicName: 'Gestion des membres',
+      storyIds: ['US003', 'US004', 'US005']
+    });
+    expect(result.structuredContent.files).toEqual([
+      `${backlogDir}/backlog.json`,
+      `${epicDir}/epic.md`,
+      `${epicDir}/features/connexion/feature.md`,
+      `${epicDir}/features/connexion/connexion.feature`,
+      `${epicDir}/features/connexion/user-stories/se-connecter.md`,
+      `${epicDir}/features/connexion/user-stories/se-deconnecter.md`,
+      `${epicDir}/features/connexion/user-stories/reinitialiser-son-mot-de-passe.md`
+    ]);
+
+    const saved = JSON.parse(writtenContent(`${backlogDir}/backlog.json`));
+    expect(saved.epics).toHaveLength(1);
+    expect(saved.epics[0].features.map(feature => feature.slug)).toEqual(['inscription', 'connexion']);
+    expect(saved.epics[0].features[0]).toEqual(createExistingBacklog().epics[0].features[0]);
+
+    const epicMarkdown = writtenContent(`${epicDir}/epic.md`);
+    expect(epicMarkdown).toContain('- [Inscription](./features/inscription/feature.md)\n- [Connexion](./features/connexion/feature.md)');
+    expect(client.chat.completions.create.mock.calls[0][0].messages[1].content).toContain('L\'epic parent est: "Gestion des membres"');
+  });
+
+  test('un epic inconnu est refusé avant l\'appel LLM', async () => {
+    const client = createFakeClient();
+
+    await expect(toolRegistry.invoke('generateFeature', { featureDescription: 'Connexion', epic: 'catalogue', outputPath: '/tmp/projet' }, { client }))
+      .rejects.toMatchObject({ errorCode: -32602, message: 'Epic introuvable dans backlog.json: catalogue' });
+    expect(client.chat.completions.create).not.toHaveBeenCalled();
+  });
+
+  test('une feature déjà présente dans l\'epic n\'est pas écrasée', async () => {
+    const client = createFakeClient();
+    client.chat.completions.create.mockResolvedValue({
+      choices: [{ message: { content: JSON.stringify({
+        feature: { title: 'Inscription', description: 'd' },
+        userStories: [{ title: 'A' }, { title: 'B' }, { title: 'C' }]
+      }) } }]
+    });
+
+    await expect(toolRegistry.invoke('generateFeature', { featureDescription: 'Inscription', epic: 'gestion-des-membres', outputPath: '/tmp/projet' }, { client }))
+      .rejects.toMatchObject({ errorCode: -32602, message: 'La feature "Inscription" existe déjà dans l\'epic Gestion des membres' });
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  test('la commande --generateFeature accepte --epic', () => {
+    const tool = toolRegistry.findByCliCommand('--generateFeature');
+
+    expect(toolRegistry.parseCliArgs(tool, ['Connexion', '--epic=EPIC-001'])).toEqual({ featureDescription: 'Connexion', epic: 'EPIC-001' });
+  });
+});
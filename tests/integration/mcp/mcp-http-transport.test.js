@@ -0,0 +1,219 @@
+/**
+ * Tests d'intégration du transport Streamable HTTP (POST JSON-RPC + SSE)
+ */
+
+const http = require('http');
+const { MCPServer } = require('../../../server/lib/mcp-server');
+const { HttpServerTransport } = require('../../../server/lib/http-transport');
+
+/**
+ * Envoie une requête HTTP au transport et renvoie statut, en-têtes et corps
+ */
+function send(port, method, { body, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: '/mcp', method, headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      ...headers
+    } }, res => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+    });
+    req.on('error', reject);
+    if (body !== undefined) {
+      req.write(JSON.stringify(body));
+    }
+    req.end();
+  });
+}
+
+describe('Transport HTTP MCP', () => {
+  let transport;
+  let port;
+  const echoTool = {
+    name: 'echo',
+    description: 'Renvoie le texte reçu',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } } },
+    handler: async (params) => ({ content: [{ type: 'text', text: params.text }] })
+  };
+  // Outil qui interroge le client (elicitation/create) pendant son exécution
+  const askTool = {
+    name: 'ask',
+    description: 'Demande un nom au client',
+    inputSchema: { type: 'object', properties: {} },
+    handler: async (params, context) => {
+      try {
+        const answer = await context.elicit('Votre nom ?', { type: 'object', properties: { name: { type: 'string' } } });
+        return { content: [{ type: 'text', text: answer.content.name }] };
+      } catch (error) {
+        return { content: [{ type: 'text', text: error.message }], isError: true };
+      }
+    }
+  };
+
+  beforeAll(async () => {
+    transport = new HttpServerTransport({ port: 0 });
+    await transport.start(() => new MCPServer({ namespace: 'agile-planner', tools: [echoTool, askTool] }));
+    port = transport.port;
+  });
+
+  afterAll(async () => {
+    await transport.close();
+  });
+
+  async function initialize(capabilities = {}) {
+    const response = await send(port, 'POST', {
+      headers: { Accept: 'application/json' },
+      body: { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities } }
+    });
+    return response;
+  }
+
+  test('initialize crée une session et renvoie son identifiant', async () => {
+    const response = await initialize();
+
+    expect(response.status).toBe(200);
+    expect(response.headers['mcp-session-id']).toBeDefined();
+    expect(JSON.parse(response.body).result.serverInfo.name).toBe('agile-planner');
+  });
+
+  test('une requête sans session est refusée', async () => {
+    const response = await send(port, 'POST', { body: { jsonrpc: '2.0', id: 2, method: 'tools/list' } });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('tools/call répond en JSON avec le registre d\'outils partagé', async () => {
+    const sessionId = (await initialize()).headers['mcp-session-id'];
+
+    const response = await send(port, 'POST', {
+      headers: { 'Mcp-Session-Id': sessionId, Accept: 'application/json' },
+      body: { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'echo', arguments: { text: 'bonjour' } } }
+    });
+
+    expect(response.status).toBe(200);
+    expect(JSON.parse(response.body)).toEqual({
+      jsonrpc: '2.0',
+      id: 3,
+      result: { content: [{ type: 'text', text: 'bonjour' }] }
+    });
+  });
+
+  test('la réponse est diffusée en SSE quand le client l\'accepte', async () => {
+    const sessionId = (await initialize()).headers['mcp-session-id'];
+
+    const response = await send(port, 'POST', {
+      headers: { 'Mcp-Session-Id': sessionId },
+      body: { jsonrpc: '2.0', id: 4, method: 'tools/list' }
+    });
+
+    expect(response.headers['content-type']).toBe('text/event-stream');
+    const event = response.body.split('\n').find(line => line.startsWith('data: '));
+    expect(JSON.parse(event.slice(6)).result.tools[0].name).toBe('echo');
+  });
+
+  test('une requête du serveur échoue aussitôt quand aucun flux SSE ne peut la porter', async () => {
+    const sessionId = (await initialize({ elicitation: {} })).headers['mcp-session-id'];
+
+    const response = await send(port, 'POST', {
+      headers: { 'Mcp-Session-Id': sessionId, Accept: 'application/json' },
+      body: { jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'ask', arguments: {} } }
+    });
+
+    expect(response.status).toBe(200);
+    expect(JSON.parse(response.body).result).toMatchObject({
+      isError: true,
+      content: [{ type: 'text', text: 'Aucun flux ouvert pour transmettre elicitation/create au client' }]
+    });
+  });
+
+  test('une requête du serveur passe par le flux SSE du POST tools/call', async () => {
+    const sessionId = (await initialize({ elicitation: {} })).headers['mcp-session-id'];
+    const elicitationIds = [];
+
+    const body = await new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port, path: '/mcp', method: 'POST', headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        'Mcp-Session-Id': sessionId
+      } }, res => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          data += chunk;
+          const request = data.split('\n').filter(line => line.startsWith('data: '))
+            .map(line => JSON.parse(line.slice(6)))
+            .find(message => message.method === 'elicitation/create');
+          if (request && !elicitationIds.includes(request.id)) {
+            elicitationIds.push(request.id);
+            send(port, 'POST', {
+              headers: { 'Mcp-Session-Id': sessionId },
+              body: { jsonrpc: '2.0', id: request.id, result: { action: 'accept', content: { name: 'Ada' } } }
+            }).catch(reject);
+          }
+        });
+        res.on('end', () => resolve(data));
+      });
+      req.on('error', reject);
+      req.end(JSON.stringify({ jsonrpc: '2.0', id: 8, method: 'tools/call', params: { name: 'ask', arguments: {} } }));
+    });
+
+    const response = body.split('\n').filter(line => line.startsWith('data: '))
+      .map(line => JSON.parse(line.slice(6)))
+      .find(message => message.id === 8);
+    expect(elicitationIds).toHaveLength(1);
+    expect(response.result.content[0].text).toBe('Ada');
+  });
+
+  test('les notifications sont acquittées par 202', async () => {
+    const sessionId = (await initialize()).headers['mcp-session-id'];
+
+    const response = await send(port, 'POST', {
+      headers: { 'Mcp-Session-Id': sessionId },
+      body: { jsonrpc: '2.0', method: 'notifications/initialized' }
+    });
+
+    expect(response.status).toBe(202);
+  });
+
+  test('DELETE ferme la session', async () => {
+    const sessionId = (await initialize()).headers['mcp-session-id'];
+
+    const deleted = await send(port, 'DELETE', { headers: { 'Mcp-Session-Id': sessionId } });
+    const after = await send(port, 'POST', {
+      headers: { 'Mcp-Session-Id': sessionId },
+      body: { jsonrpc: '2.0', id: 5, method: 'tools/list' }
+    });
+
+    expect(deleted.status).toBe(204);
+    expect(after.status).toBe(404);
+  });
+
+  test('une session inactive expire, pas une session qui garde un flux SSE ouvert', async () => {
+    const idleId = (await initialize()).headers['mcp-session-id'];
+    const streamingId = (await initialize()).headers['mcp-session-id'];
+    const stream = await new Promise((resolve, reject) => {
+      http.request({ host: '127.0.0.1', port, path: '/mcp', method: 'GET', headers: {
+        Accept: 'text/event-stream',
+        'Mcp-Session-Id': streamingId
+      } }, resolve).on('error', reject).end();
+    });
+
+    transport.expireIdleSessions(Date.now() + transport.sessionTimeout);
+
+    expect(transport.sessions.has(idleId)).toBe(false);
+    expect(transport.sessions.has(streamingId)).toBe(true);
+    stream.destroy();
+  });
+
+  test('les origines non locales sont refusées', async () => {
+    const response = await send(port, 'POST', {
+      headers: { Origin: 'https://evil.example' },
+      body: { jsonrpc: '2.0', id: 6, method: 'initialize' }
+    });
+
+    expect(response.status).toBe(403);
+  });
+});
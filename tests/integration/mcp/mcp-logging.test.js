@@ -0,0 +1,145 @@
+/**
+ * Tests d'intégration de la journalisation MCP (logging/setLevel + notifications/message)
+ */
+
+const { MCPServer } = require('../../../server/lib/mcp-server');
+const { logger } = require('../../../server/lib/logger');
+const backlogGenerator = require('../../../server/lib/backlog-generator');
+
+/**
+ * Transport factice capturant les messages envoyés par le serveur
+ */
+function createFakeTransport() {
+  return {
+    handler: null,
+    onMessage(handler) {
+      this.handler = handler;
+      return this;
+    },
+    sendMessage: jest.fn()
+  };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Journalisation MCP', () => {
+  let server;
+  let transport;
+
+  const sent = () => transport.sendMessage.mock.calls.map(([message]) => message);
+  const logNotifications = () => sent().filter(message => message.method === 'notifications/message');
+
+  beforeEach(() => {
+    transport = createFakeTransport();
+    server = new MCPServer({ namespace: 'agile-planner', tools: [] });
+    server.listen(transport);
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { capabilities: {} } }));
+  });
+
+  afterEach(() => {
+    server.close();
+  });
+
+  test('initialize annonce la capacité logging', () => {
+    expect(sent()[0].result.capabilities.logging).toEqual({});
+  });
+
+  test('les logs sont relayés en notifications/message au niveau info par défaut', () => {
+    transport.sendMessage.mockClear();
+
+    logger.debug('Trace détaillée');
+    logger.warning('Validation échouée', { attempt: 1 });
+
+    expect(logNotifications()).toEqual([{
+      jsonrpc: '2.0',
+      method: 'notifications/message',
+      params: { level: 'warning', logger: 'agile-planner', data: { message: 'Validation échouée', attempt: 1 } }
+    }]);
+  });
+
+  test('logging/setLevel modifie le niveau minimal envoyé au client', async () => {
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'logging/setLevel', params: { level: 'error' } }));
+    await flush();
+    expect(sent().find(message => message.id === 2).result).toEqual({});
+
+    transport.sendMessage.mockClear();
+    logger.warning('Ignoré');
+    logger.child('mcp').error('Transmis');
+
+    expect(logNotifications().map(message => message.params)).toEqual([
+      { level: 'error', logger: 'agile-planner:mcp', data: 'Transmis' }
+    ]);
+  });
+
+  test('un niveau inconnu est rejeté avec -32602', async () => {
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'logging/setLevel', params: { level: 'verbose' } }));
+    await flush();
+
+    expect(sent().find(message => message.id === 3).error.code).toBe(-32602);
+  });
+
+  test('les traces des transports et les logs après fermeture ne sont pas relayés', () => {
+    transport.sendMessage.mockClear();
+
+    logger.child('transport', { notify: false }).error('Erreur d\'envoi');
+    server.close();
+    logger.error('Après fermeture');
+
+    expect(logNotifications()).toEqual([]);
+  });
+
+  test('les logs d\'un outil ne sont relayés qu\'à la session qui l\'a appelé', async () => {
+    const loggingTool = {
+      name: 'noisy',
+      description: 'Journalise après une attente',
+      inputSchema: { type: 'object', properties: {} },
+      handler: async () => {
+        await flush();
+        logger.warning('Backlog du client A écrit');
+        return { content: [{ type: 'text', text: 'ok' }] };
+      }
+    };
+    const otherTransport = createFakeTransport();
+    const callerTransport = createFakeTransport();
+    const otherServer = new MCPServer({ namespace: 'agile-planner', tools: [loggingTool] });
+    const callerServer = new MCPServer({ namespace: 'agile-planner', tools: [loggingTool] });
+    otherServer.listen(otherTransport);
+    callerServer.listen(callerTransport);
+    for (const client of [otherTransport, callerTransport]) {
+      client.handler(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { capabilities: {} } }));
+    }
+
+    callerTransport.handler(JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'noisy', arguments: {} } }));
+    for (let i = 0; i < 5; i++) {
+      await flush();
+    }
+
+    const notified = fake => fake.sendMessage.mock.calls
+      .map(([message]) => message)
+      .filter(message => message.method === 'notifications/message' && message.params.data === 'Backlog du client A écrit');
+    expect(notified(callerTransport)).toHaveLength(1);
+    expect(notified(otherTransport)).toEqual([]);
+    expect(notified(transport)).toEqual([]);
+    otherServer.close();
+    callerServer.close();
+  });
+
+  test('la génération du backlog n\'écrit rien sur stdout', async () => {
+    const stdoutSpy = jest.spyOn(process.stdout, 'write');
+    const client = {
+      chat: {
+        completions: {
+          create: jest.fn().mockResolvedValue({
+            choices: [{ message: { function_call: { name: 'deliver_backlog', arguments: '{}' } } }]
+          })
+        }
+      }
+    };
+
+    await backlogGenerator.generateBacklog('Projet', 'Description', client);
+
+    expect(console.log).not.toHaveBeenCalled();
+    expect(stdoutSpy).not.toHaveBeenCalled();
+    stdoutSpy.mockRestore();
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests d'intégration de l'outil planSprints
+ */
+
+const fs = require('fs-extra');
+const { toolRegistry } = require('../../../server/lib/tool-registry');
+const { formatUserStory } = require('../../../server/lib/markdown/story-formatter');
+const { planSprints } = require('../../../server/lib/sprint-planner');
+const { backlogDir, storyEntry, createBacklogJson, writtenContent } = require('./helpers');
+
+// Priorité et dépendances sont lues dans le markdown de chaque user story
+const storyDetails = {
+  'creer-son-compte': { priority: 'HIGH' },
+  'exporter-ses-donnees': { priority: 'LOW' },
+  'se-connecter': { priority: 'HIGH', dependencies: ['US004'] },
+  'valider-son-email': { priority: 'MEDIUM' }
+};
+
+/**
+ * Backlog estimé (sauf US005), avec deux anciennes itérations inventées par le LLM
+ */
+function createPlanBacklog() {
+  return createBacklogJson({
+    stories: [
+      storyEntry('US001', 'Creer son compte', { story_points: 5 }),
+      storyEntry('US002', 'Exporter ses donnees', { story_points: 3 }),
+      storyEntry('US003', 'Se connecter', { story_points: 5 }),
+      storyEntry('US004', 'Valider son email', { story_points: 3 }),
+      storyEntry('US005', 'Supprimer son compte')
+    ],
+    iterations: [
+      { name: 'Iteration 1', goal: 'Inscription', slug: 'iteration-1', stories: [] },
+      { name: 'Phase finale', goal: 'Le reste', slug: 'phase-finale', stories: [] }
+    ]
+  });
+}
+
+describe('Outil planSprints', () => {
+  beforeAll(() => {
+    fs.remove = jest.fn().mockResolvedValue(undefined);
+  });
+
+  beforeEach(() => {
+    const backlogJson = createPlanBacklog();
+    fs.pathExists.mockResolvedValue(true);
+    fs.readFile.mockImplementation(async file => {
+      if (file.endsWith('backlog.json')) return JSON.stringify(backlogJson);
+      const slug = file.split('/').pop().replace('.md', '');
+      return formatUserStory({ id: 'US', title: slug, description: 'd', acceptance_criteria: ['a'], tasks: ['t'], ...storyDetails[slug] });
+    });
+  });
+
+  test('remplit les sprints par priorité sans dépasser la vélocité ni devancer une dépendance', async () => {
+    const result = await toolRegistry.invoke('planSprints', { velocity: 8, startDate: '2026-01-05', outputPath: '/tmp/projet' }, {});
+
+    expect(result.structuredContent.iterations).toEqual([
+      { name: 'Iteration 1', startDate: '2026-01-05', endDate: '2026-01-18', points: 8, storyIds: ['US001', 'US004'] },
+      { name: 'Iteration 2', startDate: '2026-01-19', endDate: '2026-02-01', points: 8, storyIds: ['US003', 'US002'] }
+    ]);
+    expect(result.structuredContent.unplannedStoryIds).toEqual(['US005']);
+    expect(result.structuredContent.warnings).toEqual(['User stories non estimées, non planifiées: US005']);
+    expect(fs.remove).toHaveBeenCalledWith(`${backlogDir}/planning/iterations/phase-finale`);
+
+    const iterationMarkdown = writtenContent(`${backlogDir}/planning/iterations/iteration-2/iteration.md`);
+    expect(iterationMarkdown).toContain('**Dates:** 2026-01-19 → 2026-02-01');
+    expect(iterationMarkdown).toContain('**Total Points:** 8');
+
+    const saved = JSON.parse(writtenContent(`${backlogDir}/backlog.json`));
+    expect(saved.iterations.map(iteration => iteration.slug)).toEqual(['iteration-1', 'iteration-2']);
+    expect(saved.iterations[0]).toMatchObject({ start_date: '2026-01-05', end_date: '2026-01-18', capacity: 8, total_points: 8 });
+    expect(saved.sprint_plan).toEqual({ velocity: 8, sprint_length: 14, start_date: '2026-01-05' });
+  });
+
+  test('une story trop grosse et un cycle de dépendances sont planifiés avec un avertissement', () => {
+    const { iterations, warnings } = planSprints([
+      { id: 'US001', points: 13, priority: 'HIGH', dependencies: [] },
+      { id: 'US002', points: 2, priority: 'HIGH', dependencies: ['US003'] },
+      { id: 'US003', points: 2, priority: 'HIGH', dependencies: ['US002'] }
+    ], { velocity: 8, startDate: '2026-01-05' });
+
+    expect(iterations.map(iteration => iteration.stories.map(story => story.id))).toEqual([['US001'], ['US002', 'US003']]);
+    expect(warnings).toEqual([
+      'US001 (13 points) dépasse la vélocité de 8 points: pensez à la découper',
+      'Dépendances circulaires (US002 → US003 → US002): US002 planifiée sans attendre US003'
+    ]);
+  });
+
+  test('seule une story prise dans le cycle est forcée, pas celle qui en dépend', () => {
+    const { iterations, warnings } = planSprints([
+      { id: 'US001', points: 2, priority: 'HIGH', dependencies: ['us002'] },
+      { id: 'us002', points: 2, priority: 'MEDIUM', dependencies: ['US003'] },
+      { id: 'US003', points: 2, priority: 'LOW', dependencies: ['US002'] }
+    ], { velocity: 8, startDate: '2026-01-05' });
+
+    expect(iterations.map(iteration => iteration.stories.map(story => story.id))).toEqual([['us002', 'US001', 'US003']]);
+    expect(warnings).toEqual(['Dépendances circulaires (us002 → US003 → us002): us002 planifiée sans attendre US003']);
+  });
+
+  test('sans story estimée, la planification est refusée avec -32602', async () => {
+    fs.readFile.mockResolvedValue(JSON.stringify({ epics: [{ slug: 'e', features: [{ slug: 'f', stories: [{ id: 'US001', title: 'A' }] }] }] }));
+
+    await expect(toolRegistry.invoke('planSprints', { velocity: 8, outputPath: '/tmp/projet' }, {}))
+      .rejects.toMatchObject({ errorCode: -32602 });
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  test('la commande --planSprints prend la vélocité en argument positionnel', () => {
+    const tool = toolRegistry.findByCliCommand('--planSprints');
+
+    expect(toolRegistry.parseCliArgs(tool, ['20', '--start-date=2026-01-05'])).toEqual({ velocity: 20, startDate: '2026-01-05' });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests d'intégration de l'outil prioritizeBacklog
+ */
+
+const fs = require('fs-extra');
+const { toolRegistry } = require('../../../server/lib/tool-registry');
+const { formatUserStory } = require('../../../server/lib/markdown/story-formatter');
+const { backlogDir, storyEntry, createBacklogJson, createFakeClient, writtenContent } = require('./helpers');
+
+/**
+ * Backlog de départ: US002 est estimée (sa taille WSJF vient de ses points)
+ */
+function createPrioritizeBacklog() {
+  return createBacklogJson({
+    stories: [
+      storyEntry('US001', 'Creer son compte'),
+      storyEntry('US002', 'Valider son email', { story_points: 2 }),
+      storyEntry('US003', 'Exporter ses donnees')
+    ]
+  });
+}
+
+const wsjf = (id, businessValue, jobSize) => ({ id, business_value: businessValue, time_criticality: 3, risk_reduction: 1, job_size: jobSize, rationale: `Raison ${id}` });
+
+describe('Outil prioritizeBacklog', () => {
+  beforeEach(() => {
+    const backlogJson = createPrioritizeBacklog();
+    fs.pathExists.mockResolvedValue(true);
+    fs.readFile.mockImplementation(async file => (file.endsWith('backlog.json')
+      ? JSON.stringify(backlogJson)
+      : formatUserStory({ id: 'US', title: 'Story', description: 'Une description', acceptance_criteria: ['a'], tasks: ['t'], priority: 'HIGH' })));
+  });
+
+  test('calcule le score WSJF, classe les éléments et écrit priorities.md', async () => {
+    const client = createFakeClient('deliver_priorities', {
+      // US002: le LLM propose 8, mais la taille retenue est celle de ses 2 story points
+      stories: [wsjf('US001', 8, 4), wsjf('US002', 4, 8), wsjf('US003', 2, 6)],
+      features: [{ key: 'gestion-des-membres/inscription', business_value: 10, time_criticality: 5, risk_reduction: 5, job_size: 10, rationale: 'Socle' }]
+    });
+
+    const result = await toolRegistry.invoke('prioritizeBacklog', { outputPath: '/tmp/projet' }, { client });
+
+    expect(result.structuredContent.stories).toEqual([
+      { id: 'US002', title: 'Valider son email', score: 4, rank: 1 },
+      { id: 'US001', title: 'Creer son compte', score: 3, rank: 2 },
+      { id: 'US003', title: 'Exporter ses donnees', score: 1, rank: 3 }
+    ]);
+    expect(result.structuredContent.features).toEqual([{ id: 'gestion-des-membres/inscription', title: 'Inscription', score: 2, rank: 1 }]);
+
+    const saved = JSON.parse(writtenContent(`${backlogDir}/backlog.json`));
+    expect(saved.epics[0].features[0].stories[1].prioritization).toEqual({
+      framework: 'wsjf',
+      factors: { business_value: 4, time_criticality: 3, risk_reduction: 1, job_size: 2 },
+      score: 4,
+      rationale: 'Raison US002',
+      rank: 1
+    });
+    expect(saved.priorities).toEqual({
+      framework: 'wsjf',
+      stories: ['US002', 'US001', 'US003'],
+      features: ['gestion-des-membres/inscription'],
+      path: './planning/priorities.md'
+    });
+
+    const markdown = writtenContent(`${backlogDir}/planning/priorities.md`);
+    expect(markdown).toContain('# Priorities: WSJF (Weighted Shortest Job First)');
+    expect(markdown).toContain('| Rank | User Story | Feature | Business Value | Time Criticality | Risk Reduction | Job Size | Score |');
+    expect(markdown).toContain('| 1 | [US002: Valider son email](../epics/gestion-des-membres/features/inscription/user-stories/valider-son-email.md) | Inscription | 4 | 3 | 1 | 2 | 4 |');
+  });
+
+  test('MoSCoW: une catégorie inconnue laisse la story hors du classement', async () => {
+    const client = createFakeClient('deliver_priorities', {
+      stories: [
+        { id: 'US001', category: 'Should', rationale: 'r' },
+        { id: 'US002', category: 'must', rationale: 'r' },
+        { id: 'US003', category: 'maybe', rationale: 'r' }
+      ],
+      features: []
+    });
+
+    const result = await toolRegistry.invoke('prioritizeBacklog', { framework: 'moscow', outputPath: '/tmp/projet' }, { client });
+
+    expect(result.structuredContent.storyIds).toEqual(['US002', 'US001']);
+    expect(result.structuredContent.warnings).toEqual([
+      'Aucun facteur de priorisation valide pour US003: Exporter ses donnees',
+      'Aucun facteur de priorisation valide pour Feature Inscription'
+    ]);
+    expect(writtenContent(`${backlogDir}/planning/priorities.md`)).toContain('## Not Scored\n\n- US003: Exporter ses donnees');
+  });
+
+  test('le prompt décrit les facteurs du cadre et chaque élément', async () => {
+    const client = createFakeClient('deliver_priorities', { stories: [], features: [] });
+
+    await toolRegistry.invoke('prioritizeBacklog', { framework: 'rice', outputPath: '/tmp/projet' }, { client });
+
+    const request = client.chat.completions.create.mock.calls[0][0];
+    expect(request.messages[0].content).toContain('RICE (Reach, Impact, Confidence, Effort)');
+    expect(request.messages[0].content).toContain('- confidence: Confiance dans les estimations, en %');
+    expect(request.messages[1].content).toContain('Feature [gestion-des-membres/inscription]: Inscription');
+    expect(request.messages[1].content).toContain('- US002: Valider son email (2 points, priorité HIGH) - Une description');
+    expect(request.functions[0].parameters.properties.stories.items.required).toEqual(['id', 'reach', 'impact', 'confidence', 'effort', 'rationale']);
+  });
+
+  test('la commande --prioritizeBacklog prend le cadre en argument positionnel', () => {
+    const tool = toolRegistry.findByCliCommand('--prioritizeBacklog');
+
+    expect(toolRegistry.parseCliArgs(tool, ['rice', '--output-path=/tmp/projet'])).toEqual({ framework: 'rice', outputPath: '/tmp/projet' });
+  });
+});
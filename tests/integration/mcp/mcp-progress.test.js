@@ -0,0 +1,108 @@
+/**
+ * Tests d'intégration des notifications de progression (notifications/progress)
+ */
+
+const { MCPServer } = require('../../../server/lib/mcp-server');
+const backlogGenerator = require('../../../server/lib/backlog-generator');
+
+/**
+ * Transport factice capturant les messages envoyés par le serveur
+ */
+function createFakeTransport() {
+  return {
+    handler: null,
+    onMessage(handler) {
+      this.handler = handler;
+      return this;
+    },
+    sendMessage: jest.fn()
+  };
+}
+
+describe('Notifications de progression MCP', () => {
+  const stepsTool = {
+    name: 'steps',
+    description: 'Signale deux étapes puis répond',
+    inputSchema: { type: 'object', properties: {} },
+    handler: async (params, context) => {
+      context.reportProgress('Première étape');
+      context.reportProgress('Seconde étape');
+      return { content: [{ type: 'text', text: 'ok' }] };
+    }
+  };
+
+  /**
+   * Transmet un message au serveur et attend la fin de son traitement asynchrone
+   */
+  async function dispatch(transport, message) {
+    transport.handler(JSON.stringify(message));
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  function createServer() {
+    const transport = createFakeTransport();
+    new MCPServer({ namespace: 'agile-planner', tools: [stepsTool] }).listen(transport);
+    return transport;
+  }
+
+  test('émet une notification par étape quand la requête porte un progressToken', async () => {
+    const transport = createServer();
+
+    await dispatch(transport, {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'tools/call',
+      params: { name: 'steps', arguments: {}, _meta: { progressToken: 'tok-1' } }
+    });
+
+    const notifications = transport.sendMessage.mock.calls
+      .map(([message]) => message)
+      .filter(message => message.method === 'notifications/progress');
+
+    expect(notifications.map(notification => notification.params)).toEqual([
+      { progressToken: 'tok-1', progress: 1, message: 'Première étape' },
+      { progressToken: 'tok-1', progress: 2, message: 'Seconde étape' }
+    ]);
+    expect(transport.sendMessage).toHaveBeenLastCalledWith(expect.objectContaining({ id: 1 }));
+  });
+
+  test('n\'émet aucune notification sans progressToken', async () => {
+    const transport = createServer();
+
+    await dispatch(transport, {
+      jsonrpc: '2.0',
+      id: 2,
+      method: 'tools/call',
+      params: { name: 'steps', arguments: {} }
+    });
+
+    expect(transport.sendMessage).toHaveBeenCalledTimes(1);
+    expect(transport.sendMessage.mock.calls[0][0].id).toBe(2);
+  });
+
+  test('generateBacklog signale la construction du prompt et chaque appel LLM', async () => {
+    const onProgress = jest.fn();
+    const client = {
+      chat: {
+        completions: {
+          create: jest.fn().mockResolvedValue({
+            choices: [{
+              message: {
+                function_call: {
+                  name: 'deliver_backlog',
+                  arguments: JSON.stringify({ projectName: 'Projet', epics: [] })
+                }
+              }
+            }]
+          })
+        }
+      }
+    };
+
+    await backlogGenerator.generateBacklog('Projet', 'Description', client, 'openai', { onProgress });
+
+    expect(onProgress).toHaveBeenCalledWith('Prompt de génération du backlog construit');
+    expect(onProgress).toHaveBeenCalledWith('Appel LLM: tentative 1 sur 3');
+    expect(onProgress).toHaveBeenCalledWith('Validation du backlog (tentative 1)');
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests d'intégration des prompts MCP (prompts/list, prompts/get)
+ */
+
+const fs = require('fs-extra');
+const mcpRouter = require('../../../server/lib/mcp-router');
+
+const sampleBacklogJson = {
+  project_title: 'Bibliothèque',
+  epics: [
+    {
+      title: 'Gestion des membres',
+      description: 'Inscription et profils',
+      slug: 'gestion-des-membres',
+      features: [
+        {
+          title: 'Inscription',
+          description: 'Création de compte',
+          slug: 'inscription',
+          stories: [
+            { id: 'US001', title: 'Créer un compte' },
+            { id: 'US002', title: 'Valider son email' }
+          ]
+        }
+      ]
+    }
+  ],
+  iterations: [
+    { name: 'Iteration 1', goal: 'Socle', slug: 'iteration-1', stories: [{ id: 'US001', title: 'Créer un compte' }] }
+  ]
+};
+
+describe('Prompts MCP du backlog', () => {
+  const originalOutputRoot = process.env.AGILE_PLANNER_OUTPUT_ROOT;
+
+  beforeEach(() => {
+    process.env.AGILE_PLANNER_OUTPUT_ROOT = '/tmp/projet';
+    fs.pathExists.mockResolvedValue(true);
+    fs.readFile.mockImplementation(async (filePath) => {
+      if (filePath.endsWith('backlog.json')) {
+        return JSON.stringify(sampleBacklogJson);
+      }
+      if (filePath.endsWith('crer-un-compte.md')) {
+        return '# User Story US001: Créer un compte\n\n## Description\n- [ ] En tant que visiteur je veux créer un compte';
+      }
+      return '# User Story US002: Valider son email';
+    });
+  });
+
+  afterAll(() => {
+    process.env.AGILE_PLANNER_OUTPUT_ROOT = originalOutputRoot;
+  });
+
+  test('prompts/list retourne les prompts avec leurs arguments', async () => {
+    const response = await mcpRouter.handleRequest({ jsonrpc: '2.0', id: 1, method: 'prompts/list' });
+
+    const names = response.result.prompts.map(prompt => prompt.name);
+    expect(names).toEqual(['refine-user-story', 'write-acceptance-criteria', 'plan-next-sprint']);
+    expect(response.result.prompts[0].arguments).toEqual([
+      { name: 'storyId', description: 'ID de la user story (ex: US001)', required: true }
+    ]);
+  });
+
+  test('prompts/get intègre le contenu réel de la user story', async () => {
+    const response = await mcpRouter.handleRequest({
+      jsonrpc: '2.0',
+      id: 2,
+      method: 'prompts/get',
+      params: { name: 'refine-user-story', arguments: { storyId: 'us001' } }
+    });
+
+    const text = response.result.messages[0].content.text;
+    expect(response.result.messages[0].role).toBe('user');
+    expect(text).toContain('Conserve l\'ID US001');
+    expect(text).toContain('Feature parente: Inscription - Création de compte');
+    expect(text).toContain('En tant que visiteur je veux créer un compte');
+  });
+
+  test('plan-next-sprint ne propose que les user stories non planifiées', async () => {
+    const result = await mcpRouter.handlePromptsGet({
+      params: { name: 'plan-next-sprint', arguments: { capacity: '8 points' } }
+    });
+
+    const text = result.messages[0].content.text;
+    expect(text).toContain('- Iteration 1: Socle (US001)');
+    expect(text).toContain('# User Story US002: Valider son email');
+    expect(text).not.toContain('En tant que visiteur je veux créer un compte');
+    expect(text).toContain("Capacité de l'équipe: 8 points");
+  });
+
+  test('prompts/get renvoie -32602 si un argument requis manque', async () => {
+    const response = await mcpRouter.handleRequest({
+      jsonrpc: '2.0',
+      id: 3,
+      method: 'prompts/get',
+      params: { name: 'write-acceptance-criteria', arguments: {} }
+    });
+
+    expect(response.error.code).toBe(-32602);
+    expect(response.error.data).toEqual({ missing: ['storyId'] });
+  });
+
+  test('prompts/get renvoie -32602 pour une user story inconnue', async () => {
+    const response = await mcpRouter.handleRequest({
+      jsonrpc: '2.0',
+      id: 4,
+      method: 'prompts/get',
+      params: { name: 'refine-user-story', arguments: { storyId: 'US999' } }
+    });
+
+    expect(response.error.code).toBe(-32602);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests d'intégration de l'outil queryBacklog
+ */
+
+const fs = require('fs-extra');
+const { toolRegistry } = require('../../../server/lib/tool-registry');
+const { formatUserStory } = require('../../../server/lib/markdown/story-formatter');
+const { backlogDir, storyEntry, createBacklogJson } = require('./helpers');
+
+const storiesDir = `${backlogDir}/epics/gestion-des-membres/features/inscription/user-stories`;
+
+/**
+ * Backlog de départ: US001 est planifiée dans la première itération, US003 n'est pas estimée
+ */
+function createQueryBacklog() {
+  const backlog = createBacklogJson({
+    epic: { description: 'Comptes des lecteurs' },
+    feature: { description: 'Créer un compte' },
+    stories: [
+      storyEntry('US001', 'Creer son compte', { story_points: 3 }),
+      storyEntry('US002', 'Valider son email', { story_points: 2, status: 'done' }),
+      storyEntry('US003', 'Exporter ses donnees')
+    ],
+    iterations: [{ name: 'Iteration 1', slug: 'iteration-1', stories: [{ id: 'US001', title: 'Creer son compte' }] }]
+  });
+  backlog.epics.push({ title: 'Catalogue', slug: 'catalogue', features: [] });
+
+  return backlog;
+}
+
+/**
+ * Markdown des user stories (priorité et critères ne sont que dans ces fichiers)
+ */
+const storyFiles = {
+  'creer-son-compte.md': formatUserStory({ id: 'US001', title: 'Creer son compte', description: 'Formulaire', acceptance_criteria: ['Le compte est créé'], tasks: ['t'], priority: 'HIGH' }),
+  'valider-son-email.md': formatUserStory({ id: 'US002', title: 'Valider son email', description: 'Lien envoyé', acceptance_criteria: ['Le lien expire après 24 heures'], tasks: ['t'], priority: 'HIGH' }),
+  'exporter-ses-donnees.md': formatUserStory({ id: 'US003', title: 'Exporter ses donnees', description: 'Export RGPD', acceptance_criteria: [], tasks: ['t'], priority: 'LOW' })
+};
+
+describe('Outil queryBacklog', () => {
+  beforeEach(() => {
+    const backlogJson = createQueryBacklog();
+    fs.pathExists.mockResolvedValue(true);
+    fs.readFile.mockImplementation(async file => (file.endsWith('backlog.json')
+      ? JSON.stringify(backlogJson)
+      : storyFiles[file.split('/').pop()]));
+  });
+
+  test('trouve les stories HIGH d\'un epic absentes de toute itération, avec leur fichier', async () => {
+    const result = await toolRegistry.invoke('queryBacklog', {
+      priority: 'high',
+      parent: 'gestion-des-membres',
+      iteration: 'none',
+      outputPath: '/tmp/projet'
+    });
+
+    expect(result.structuredContent).toEqual({
+      items: [{
+        type: 'story',
+        id: 'US002',
+        title: 'Valider son email',
+        epic: 'Gestion des membres',
+        feature: 'Inscription',
+        priority: 'HIGH',
+        status: 'done',
+        storyPoints: 2,
+        iterations: [],
+        path: `${storiesDir}/valider-son-email.md`
+      }],
+      count: 1,
+      backlogDir
+    });
+    expect(result.content[0].text).toBe(`1 élément(s) trouvé(s) dans le backlog\n- US002: Valider son email (${storiesDir}/valider-son-email.md)`);
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  test('filtre par type, parent et texte (insensible aux accents, critères compris)', async () => {
+    const features = await toolRegistry.invoke('queryBacklog', { type: 'feature', parent: 'Gestion des membres', outputPath: '/tmp/projet' });
+    expect(features.structuredContent.items.map(item => item.id)).toEqual(['gestion-des-membres/inscription']);
+
+    const epics = await toolRegistry.invoke('queryBacklog', { type: 'epic', outputPath: '/tmp/projet' });
+    expect(epics.structuredContent.items.map(item => item.path)).toEqual([
+      `${backlogDir}/epics/gestion-des-membres/epic.md`,
+      `${backlogDir}/epics/catalogue/epic.md`
+    ]);
+
+    const byText = await toolRegistry.invoke('queryBacklog', { text: 'EXPIRE APRÈS', outputPath: '/tmp/projet' });
+    expect(byText.structuredContent.items.map(item => item.id)).toEqual(['US002']);
+  });
+
+  test('les champs manquants et le statut par défaut restreignent aux éléments concernés', async () => {
+    const unestimated = await toolRegistry.invoke('queryBacklog', { missing: ['story_points', 'acceptance_criteria'], outputPath: '/tmp/projet' });
+    expect(unestimated.structuredContent.items).toEqual([expect.objectContaining({ id: 'US003', status: 'todo', iterations: [] })]);
+
+    const undescribed = await toolRegistry.invoke('queryBacklog', { missing: ['description'], outputPath: '/tmp/projet' });
+    expect(undescribed.structuredContent.items.map(item => item.id)).toEqual(['catalogue']);
+
+    const todo = await toolRegistry.invoke('queryBacklog', { status: 'todo', iteration: 'Iteration 1', outputPath: '/tmp/projet' });
+    expect(todo.structuredContent.items.map(item => item.id)).toEqual(['US001']);
+  });
+
+  test('la commande --queryBacklog accepte les filtres en options', () => {
+    const tool = toolRegistry.findByCliCommand('--queryBacklog');
+
+    expect(toolRegistry.parseCliArgs(tool, ['--type=story', '--missing=story_points,dependencies', '--iteration=none'])).toEqual({
+      type: 'story',
+      missing: ['story_points', 'dependencies'],
+      iteration: 'none'
+    });
+  });
+});
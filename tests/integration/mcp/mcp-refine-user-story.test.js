@@ -0,0 +1,87 @@
+/**
+ * Tests d'intégration de l'outil refineUserStory
+ */
+
+const fs = require('fs-extra');
+const { toolRegistry } = require('../../../server/lib/tool-registry');
+const { formatUserStory, parseUserStory } = require('../../../server/lib/markdown/story-formatter');
+const { backlogDir, storyEntry, createBacklogJson, createFakeClient, writtenContent } = require('./helpers');
+
+const storyPath = `${backlogDir}/epics/gestion-des-membres/features/inscription/user-stories/crer-un-compte.md`;
+
+const originalStory = {
+  id: 'US001',
+  title: 'Créer un compte',
+  description: 'En tant que visiteur, je veux un compte',
+  acceptance_criteria: ['Le formulaire est affiché', 'Le compte est créé'],
+  tasks: ['Créer le formulaire', 'Créer l\'API'],
+  priority: 'High',
+  dependencies: ['US000'],
+  checked: { description: false, acceptance_criteria: ['Le formulaire est affiché'], tasks: ['Créer le formulaire'] }
+};
+
+describe('Outil refineUserStory', () => {
+  const refined = {
+    description: 'En tant que visiteur, je veux créer un compte avec mon email afin d\'emprunter des livres',
+    acceptance_criteria: ['Un email déjà utilisé est refusé', 'Le compte est créé et un email de confirmation est envoyé'],
+    tasks: ['Créer le formulaire', 'Créer l\'API d\'inscription'],
+    invest_issues: ['Valorisable: le bénéfice n\'était pas exprimé', 'Testable: critères trop vagues']
+  };
+
+  beforeEach(() => {
+    const backlogJson = createBacklogJson({ stories: [storyEntry('US001', 'Créer un compte')] });
+    fs.pathExists.mockResolvedValue(true);
+    fs.readFile.mockImplementation(async file => (file.endsWith('backlog.json') ? JSON.stringify(backlogJson) : formatUserStory(originalStory)));
+  });
+
+  test('réécrit le fichier en conservant ID, titre, dépendances et cases cochées', async () => {
+    const client = createFakeClient('deliver_refined_story', refined);
+
+    const result = await toolRegistry.invoke('refineUserStory', { storyId: 'us001', outputPath: '/tmp/projet' }, { client });
+
+    expect(fs.writeFile).toHaveBeenCalledWith(storyPath, expect.any(String));
+    const written = parseUserStory(writtenContent(storyPath));
+    expect(written.id).toBe('US001');
+    expect(written.title).toBe('Créer un compte');
+    expect(written.description).toBe(refined.description);
+    expect(written.dependencies).toEqual(['US000']);
+    expect(written.priority).toBe('High');
+    // Le critère coché retiré par le LLM est réintégré, toujours coché
+    expect(written.acceptance_criteria).toEqual(['Le formulaire est affiché', ...refined.acceptance_criteria]);
+    expect(written.checked.acceptance_criteria).toEqual(['Le formulaire est affiché']);
+    expect(written.checked.tasks).toEqual(['Créer le formulaire']);
+
+    expect(result.structuredContent).toMatchObject({
+      storyId: 'US001',
+      investIssues: refined.invest_issues,
+      files: [storyPath]
+    });
+  });
+
+  test('le prompt présente la user story et ses cases cochées', async () => {
+    const client = createFakeClient('deliver_refined_story', refined);
+
+    await toolRegistry.invoke('refineUserStory', { storyId: 'US001', outputPath: '/tmp/projet' }, { client });
+
+    const request = client.chat.completions.create.mock.calls[0][0];
+    expect(request.function_call).toEqual({ name: 'deliver_refined_story' });
+    expect(request.messages[1].content).toContain('Feature parente: Inscription');
+    expect(request.messages[1].content).toContain('- [x] Le formulaire est affiché');
+    expect(request.messages[1].content).toContain('- [ ] Le compte est créé');
+  });
+
+  test('une user story inconnue est refusée avec -32602 sans appel LLM', async () => {
+    const client = createFakeClient('deliver_refined_story', refined);
+
+    await expect(toolRegistry.invoke('refineUserStory', { storyId: 'US999', outputPath: '/tmp/projet' }, { client }))
+      .rejects.toMatchObject({ errorCode: -32602 });
+    expect(client.chat.completions.create).not.toHaveBeenCalled();
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  test('la commande --refineUserStory prend l\'ID en argument positionnel', () => {
+    const tool = toolRegistry.findByCliCommand('--refineUserStory');
+
+    expect(toolRegistry.parseCliArgs(tool, ['US001', '--output-path=/tmp/projet'])).toEqual({ storyId: 'US001', outputPath: '/tmp/projet' });
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Tests d'intégration des abonnements aux ressources (resources/subscribe)
+ */
+
+jest.mock('../../../server/lib/backlog-watcher', () => ({
+  ...jest.requireActual('../../../server/lib/backlog-watcher'),
+  watchBacklog: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const { MCPServer } = require('../../../server/lib/mcp-server');
+const { BacklogWatcher, watchBacklog } = require('../../../server/lib/backlog-watcher');
+const { fileToResourceUri } = require('../../../server/lib/backlog-resources');
+
+/**
+ * Transport factice capturant les messages envoyés par le serveur
+ */
+function createFakeTransport() {
+  return {
+    handler: null,
+    onMessage(handler) {
+      this.handler = handler;
+      return this;
+    },
+    sendMessage: jest.fn()
+  };
+}
+
+/**
+ * fs.watch factice: conserve les callbacks par dossier surveillé
+ */
+function createFakeWatch() {
+  const watchers = {};
+  const watch = jest.fn((dir, options, listener) => {
+    const callback = listener || options;
+    if (dir.endsWith('.agile-planner-backlog') && !watch.backlogDirExists) {
+      throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+    }
+    watchers[dir] = callback;
+    return { close: jest.fn() };
+  });
+  watch.watchers = watchers;
+  watch.backlogDirExists = true;
+  return watch;
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Attend qu'une condition devienne vraie (événements réels de fs.watch)
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Condition non atteinte');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+const storyUri = 'agile-planner://epics/gestion-membres/features/inscription/user-stories/us001-creer-un-compte';
+
+describe('Abonnements aux ressources MCP', () => {
+  test('les fichiers du backlog sont traduits en URIs de ressources', () => {
+    expect(fileToResourceUri('backlog.json')).toBe('agile-planner://backlog');
+    expect(fileToResourceUri('epics/gestion-membres/epic.md')).toBe('agile-planner://epics/gestion-membres');
+    expect(fileToResourceUri('epics/gestion-membres/features/inscription/user-stories/us001-creer-un-compte.md')).toBe(storyUri);
+    expect(fileToResourceUri('planning/iterations/sprint-1/iteration.md')).toBe('agile-planner://planning/iterations/sprint-1');
+    expect(fileToResourceUri('epics/gestion-membres/notes.txt')).toBeNull();
+  });
+
+  test('le watcher regroupe les événements d\'une même écriture', () => {
+    jest.useFakeTimers();
+    const watch = createFakeWatch();
+    const onChange = jest.fn();
+    new BacklogWatcher('/projet/.agile-planner-backlog', onChange, { watch }).start();
+
+    const emit = watch.watchers['/projet/.agile-planner-backlog'];
+    emit('change', 'epics/gestion-membres/features/inscription/user-stories/us001-creer-un-compte.md');
+    emit('change', 'epics/gestion-membres/features/inscription/user-stories/us001-creer-un-compte.md');
+    emit('change', 'epics/gestion-membres/.DS_Store');
+    jest.advanceTimersByTime(100);
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith([storyUri]);
+    jest.useRealTimers();
+  });
+
+  test('un dossier backlog créé après l\'abonnement déclenche une notification globale', () => {
+    jest.useFakeTimers();
+    const watch = createFakeWatch();
+    watch.backlogDirExists = false;
+    const onChange = jest.fn();
+    new BacklogWatcher('/projet/.agile-planner-backlog', onChange, { watch }).start();
+
+    watch.backlogDirExists = true;
+    watch.watchers['/projet']('rename', '.agile-planner-backlog');
+    jest.advanceTimersByTime(100);
+
+    expect(watch.watchers['/projet/.agile-planner-backlog']).toEqual(expect.any(Function));
+    expect(onChange).toHaveBeenCalledWith(null);
+    jest.useRealTimers();
+  });
+
+  test('sans fs.watch récursif, chaque dossier est surveillé et les nouveaux dossiers sont ajoutés', async () => {
+    const backlogDir = fs.mkdtempSync(`${os.tmpdir()}/agile-planner-watch-`);
+    fs.mkdirSync(`${backlogDir}/epics/gestion-membres`, { recursive: true });
+    // Comportement de fs.watch sur Linux avant Node 20
+    const watch = jest.fn((dir, options) => {
+      if (options.recursive) {
+        throw Object.assign(new Error('recursive non supporté'), { code: 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM' });
+      }
+      return fs.watch(dir, options);
+    });
+    const onChange = jest.fn();
+    const watcher = new BacklogWatcher(backlogDir, onChange, { watch, debounceMs: 20 }).start();
+
+    try {
+      expect(watch.mock.calls.slice(1).map(([dir]) => dir)).toEqual([backlogDir, `${backlogDir}/epics`, `${backlogDir}/epics/gestion-membres`]);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('[WARNING] Surveillance récursive indisponible'));
+
+      fs.writeFileSync(`${backlogDir}/epics/gestion-membres/epic.md`, '# Epic');
+      await waitFor(() => onChange.mock.calls.length > 0);
+      expect(onChange).toHaveBeenLastCalledWith(['agile-planner://epics/gestion-membres']);
+
+      fs.mkdirSync(`${backlogDir}/epics/catalogue`);
+      await waitFor(() => onChange.mock.calls.some(([uris]) => uris === null));
+      expect(watch).toHaveBeenLastCalledWith(`${backlogDir}/epics/catalogue`, expect.any(Function));
+
+      onChange.mockClear();
+      fs.writeFileSync(`${backlogDir}/epics/catalogue/epic.md`, '# Catalogue');
+      await waitFor(() => onChange.mock.calls.length > 0);
+      expect(onChange).toHaveBeenLastCalledWith(['agile-planner://epics/catalogue']);
+    } finally {
+      watcher.close();
+      fs.rmSync(backlogDir, { recursive: true, force: true });
+    }
+  });
+
+  describe('serveur MCP', () => {
+    let server;
+    let transport;
+    let onChange;
+    const watcher = { close: jest.fn() };
+
+    const sent = () => transport.sendMessage.mock.calls.map(([message]) => message);
+
+    beforeEach(() => {
+      watchBacklog.mockImplementation((dir, callback) => {
+        onChange = callback;
+        return watcher;
+      });
+      transport = createFakeTransport();
+      server = new MCPServer({ namespace: 'agile-planner', tools: [] });
+      server.listen(transport);
+    });
+
+    afterEach(() => {
+      server.close();
+    });
+
+    test('initialize annonce resources.subscribe', () => {
+      transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }));
+
+      expect(sent()[0].result.capabilities.resources).toEqual({ subscribe: true });
+    });
+
+    test('seules les ressources suivies sont notifiées', async () => {
+      transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'resources/subscribe', params: { uri: storyUri } }));
+      await flush();
+      expect(sent().find(message => message.id === 2).result).toEqual({});
+
+      onChange([storyUri, 'agile-planner://backlog']);
+
+      expect(sent().filter(message => message.method === 'notifications/resources/updated')).toEqual([
+        { jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri: storyUri } }
+      ]);
+    });
+
+    test('resources/unsubscribe arrête les notifications et la surveillance', async () => {
+      transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'resources/subscribe', params: { uri: storyUri } }));
+      transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 4, method: 'resources/unsubscribe', params: { uri: storyUri } }));
+      await flush();
+
+      onChange(null);
+
+      expect(sent().filter(message => message.method === 'notifications/resources/updated')).toEqual([]);
+      expect(watcher.close).toHaveBeenCalled();
+    });
+
+    test('une URI hors du backlog est rejetée avec -32602', async () => {
+      transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 5, method: 'resources/subscribe', params: { uri: 'file:///etc/passwd' } }));
+      await flush();
+
+      expect(sent().find(message => message.id === 5).error.code).toBe(-32602);
+      expect(watchBacklog).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests d'intégration des ressources MCP (resources/list, resources/read)
+ */
+
+const fs = require('fs-extra');
+const mcpRouter = require('../../../server/lib/mcp-router');
+const { resolveResourceUri } = require('../../../server/lib/backlog-resources');
+
+const BACKLOG_DIR = '/tmp/projet/.agile-planner-backlog';
+
+const sampleBacklogJson = {
+  project_title: 'Bibliothèque',
+  project_description: 'Gestion de bibliothèque',
+  epics: [
+    {
+      title: 'Gestion des membres',
+      description: 'Inscription et profils',
+      slug: 'gestion-des-membres',
+      features: [
+        {
+          title: 'Inscription',
+          description: 'Création de compte',
+          slug: 'inscription',
+          stories: [
+            { id: 'US001', title: 'Créer un compte', path: './epics/gestion-des-membres/features/inscription/user-stories/crer-un-compte.md' }
+          ]
+        }
+      ]
+    }
+  ],
+  iterations: [
+    { name: 'Iteration 1', goal: 'Socle', slug: 'iteration-1', stories: [] }
+  ],
+  mvp: { title: 'MVP', description: 'Première version', stories: [] }
+};
+
+describe('Ressources MCP du backlog', () => {
+  const originalOutputRoot = process.env.AGILE_PLANNER_OUTPUT_ROOT;
+
+  beforeEach(() => {
+    process.env.AGILE_PLANNER_OUTPUT_ROOT = '/tmp/projet';
+    fs.pathExists.mockResolvedValue(true);
+    fs.readFile.mockImplementation(async (filePath) => {
+      if (filePath.endsWith('backlog.json')) {
+        return JSON.stringify(sampleBacklogJson);
+      }
+      return `# Contenu de ${filePath}`;
+    });
+  });
+
+  afterAll(() => {
+    process.env.AGILE_PLANNER_OUTPUT_ROOT = originalOutputRoot;
+  });
+
+  test('resources/list expose backlog, epics, features, stories et planning', async () => {
+    const response = await mcpRouter.handleRequest({ jsonrpc: '2.0', id: 1, method: 'resources/list' });
+
+    const uris = response.result.resources.map(resource => resource.uri);
+    expect(uris).toEqual([
+      'agile-planner://backlog',
+      'agile-planner://epics/gestion-des-membres',
+      'agile-planner://epics/gestion-des-membres/features/inscription',
+      'agile-planner://epics/gestion-des-membres/features/inscription/user-stories/crer-un-compte',
+      'agile-planner://planning/mvp',
+      'agile-planner://planning/iterations/iteration-1'
+    ]);
+  });
+
+  test('resources/list renvoie une liste vide sans backlog généré', async () => {
+    fs.pathExists.mockResolvedValue(false);
+
+    const result = await mcpRouter.handleResourcesList();
+
+    expect(result).toEqual({ resources: [] });
+  });
+
+  test('resources/read renvoie le contenu markdown d\'une feature', async () => {
+    const uri = 'agile-planner://epics/gestion-des-membres/features/inscription';
+    const response = await mcpRouter.handleRequest({ jsonrpc: '2.0', id: 2, method: 'resources/read', params: { uri } });
+
+    expect(response.result.contents).toEqual([{
+      uri,
+      mimeType: 'text/markdown',
+      text: `# Contenu de ${BACKLOG_DIR}/epics/gestion-des-membres/features/inscription/feature.md`
+    }]);
+  });
+
+  test('resources/read renvoie -32002 pour une ressource inexistante', async () => {
+    fs.pathExists.mockResolvedValue(false);
+
+    const response = await mcpRouter.handleRequest({
+      jsonrpc: '2.0',
+      id: 3,
+      method: 'resources/read',
+      params: { uri: 'agile-planner://epics/inconnu' }
+    });
+
+    expect(response.error.code).toBe(-32002);
+  });
+
+  test('resolveResourceUri refuse les segments qui sortent du dossier backlog', () => {
+    expect(resolveResourceUri('agile-planner://epics/../../etc', BACKLOG_DIR)).toBeNull();
+    expect(resolveResourceUri('file:///etc/passwd', BACKLOG_DIR)).toBeNull();
+    expect(resolveResourceUri('agile-planner://planning/iterations/iteration-1', BACKLOG_DIR)).toEqual({
+      filePath: `${BACKLOG_DIR}/planning/iterations/iteration-1/iteration.md`,
+      mimeType: 'text/markdown'
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests d'intégration des dossiers de travail du client (roots/list)
+ */
+
+jest.mock('../../../server/lib/backlog-generator', () => ({
+  ...jest.requireActual('../../../server/lib/backlog-generator'),
+  generateBacklog: jest.fn()
+}));
+
+const backlogGenerator = require('../../../server/lib/backlog-generator');
+const { MCPServer } = require('../../../server/lib/mcp-server');
+const { toolRegistry } = require('../../../server/lib/tool-registry');
+const { PathResolver } = require('../../../server/lib/utils/path-resolver');
+const { ValidationError } = require('../../../server/lib/errors');
+
+/**
+ * Transport factice capturant les messages envoyés par le serveur
+ */
+function createFakeTransport() {
+  return {
+    handler: null,
+    onMessage(handler) {
+      this.handler = handler;
+      return this;
+    },
+    sendMessage: jest.fn()
+  };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Outil factice exposant les racines reçues dans son contexte
+const rootsTool = {
+  name: 'showRoots',
+  description: 'Renvoie les racines du contexte',
+  inputSchema: { type: 'object', properties: {} },
+  handler: async (params, context) => ({ content: [{ type: 'text', text: JSON.stringify(context.roots) }] })
+};
+
+describe('Racines du client MCP', () => {
+  const originalOutputRoot = process.env.AGILE_PLANNER_OUTPUT_ROOT;
+
+  beforeEach(() => {
+    delete process.env.AGILE_PLANNER_OUTPUT_ROOT;
+  });
+
+  afterAll(() => {
+    process.env.AGILE_PLANNER_OUTPUT_ROOT = originalOutputRoot;
+  });
+
+  describe('PathResolver', () => {
+    test('un chemin relatif est résolu depuis la première racine', () => {
+      const resolver = new PathResolver({ roots: ['/ws/app', '/ws/lib'] });
+
+      expect(resolver.resolveOutputPath('docs')).toBe('/ws/app/docs');
+      expect(resolver.resolveOutputPath()).toBe('/ws/app');
+      expect(resolver.resolveOutputPath('/ws/lib/backlog')).toBe('/ws/lib/backlog');
+    });
+
+    test('un chemin hors des racines est refusé', () => {
+      const resolver = new PathResolver({ roots: ['/ws/app'] });
+
+      expect(() => resolver.resolveOutputPath('/etc')).toThrow(ValidationError);
+      expect(() => resolver.resolveOutputPath('../autre')).toThrow(ValidationError);
+      expect(() => resolver.resolveOutputPath('/ws/application')).toThrow(ValidationError);
+    });
+
+    test('un dossier enfant dont le nom commence par .. est accepté', () => {
+      const resolver = new PathResolver({ roots: ['/ws/app'] });
+
+      expect(resolver.resolveOutputPath('..drafts')).toBe('/ws/app/..drafts');
+      expect(resolver.resolveOutputPath('/ws/app/..drafts/backlog')).toBe('/ws/app/..drafts/backlog');
+      expect(() => resolver.resolveOutputPath('/ws')).toThrow(ValidationError);
+    });
+
+    test('sans racines, le répertoire courant reste la référence', () => {
+      expect(new PathResolver().resolveOutputPath('/etc')).toBe('/etc');
+      expect(new PathResolver().resolveOutputPath()).toBe(process.cwd());
+    });
+  });
+
+  describe('serveur MCP', () => {
+    let transport;
+
+    const sent = () => transport.sendMessage.mock.calls.map(([message]) => message);
+    const rootsRequests = () => sent().filter(message => message.method === 'roots/list');
+
+    /**
+     * Démarre un serveur et effectue le handshake complet avec les capacités client données
+     */
+    function startServer(capabilities, options = {}) {
+      transport = createFakeTransport();
+      const server = new MCPServer({ namespace: 'agile-planner', tools: [rootsTool], ...options });
+      server.listen(transport);
+      transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { capabilities } }));
+      transport.handler(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }));
+      return server;
+    }
+
+    /**
+     * Répond à la dernière requête roots/list
+     */
+    function replyRoots(roots) {
+      const request = rootsRequests().pop();
+      transport.handler(JSON.stringify({ jsonrpc: '2.0', id: request.id, result: { roots } }));
+    }
+
+    test('les racines sont demandées après le handshake et transmises aux outils', async () => {
+      startServer({ roots: { listChanged: true } });
+      expect(rootsRequests()).toHaveLength(1);
+
+      // Un outil appelé avant la réponse attend les racines
+      transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'showRoots' } }));
+      await flush();
+      expect(sent().find(message => message.id === 2)).toBeUndefined();
+
+      replyRoots([{ uri: 'file:///ws/app', name: 'app' }, { uri: 'https://example.com/repo' }]);
+      await flush();
+
+      expect(JSON.parse(sent().find(message => message.id === 2).result.content[0].text)).toEqual(['/ws/app']);
+    });
+
+    test('notifications/roots/list_changed redemande les racines', async () => {
+      startServer({ roots: { listChanged: true } });
+      replyRoots([{ uri: 'file:///ws/app' }]);
+
+      transport.handler(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/roots/list_changed' }));
+      expect(rootsRequests()).toHaveLength(2);
+      replyRoots([{ uri: 'file:///ws/autre' }]);
+
+      transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'showRoots' } }));
+      await flush();
+
+      expect(JSON.parse(sent().find(message => message.id === 3).result.content[0].text)).toEqual(['/ws/autre']);
+    });
+
+    test('un client qui ne répond pas à roots/list ne bloque pas les outils', async () => {
+      const server = startServer({ roots: {} }, { clientRequestTimeout: 20 });
+      transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 5, method: 'tools/call', params: { name: 'showRoots' } }));
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      await flush();
+
+      expect(server.pendingClientRequests.size).toBe(0);
+      expect(sent()).toContainEqual(expect.objectContaining({
+        method: 'notifications/cancelled',
+        params: expect.objectContaining({ requestId: rootsRequests()[0].id })
+      }));
+      expect(JSON.parse(sent().find(message => message.id === 5).result.content[0].text)).toEqual([]);
+    });
+
+    test('sans la capacité roots, aucune requête n\'est envoyée au client', async () => {
+      startServer({});
+      transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'showRoots' } }));
+      await flush();
+
+      expect(rootsRequests()).toEqual([]);
+      expect(JSON.parse(sent().find(message => message.id === 4).result.content[0].text)).toEqual([]);
+    });
+  });
+
+  test('generateBacklog refuse d\'écrire hors des racines avant tout appel LLM', async () => {
+    await expect(toolRegistry.invoke(
+      'generateBacklog',
+      { projectName: 'Bibliothèque', projectDescription: 'Gestion de prêts', outputPath: '/etc' },
+      { roots: ['/ws/app'], client: {} }
+    )).rejects.toThrow(ValidationError);
+
+    expect(backlogGenerator.generateBacklog).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Tests d'intégration de la génération via le sampling MCP (sampling/createMessage)
+ */
+
+const { MCPServer } = require('../../../server/lib/mcp-server');
+const { createSamplingClient, toSamplingParams } = require('../../../server/lib/sampling-client');
+const { CancellationError } = require('../../../server/lib/errors');
+
+/**
+ * Transport factice capturant les messages envoyés par le serveur
+ */
+function createFakeTransport() {
+  return {
+    handler: null,
+    onMessage(handler) {
+      this.handler = handler;
+      return this;
+    },
+    sendMessage: jest.fn()
+  };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const backlogRequest = {
+  model: 'gpt-4.1',
+  messages: [
+    { role: 'system', content: 'You are an expert agile product owner.' },
+    { role: 'user', content: 'Projet: Bibliothèque' }
+  ],
+  functions: [{ name: 'deliver_backlog', parameters: { type: 'object', required: ['projectName'] } }],
+  function_call: { name: 'deliver_backlog' }
+};
+
+/**
+ * Outil appelant le client LLM fourni par le contexte, comme generateBacklog
+ */
+const samplingTool = {
+  name: 'sample',
+  description: 'Appelle le client LLM du contexte',
+  inputSchema: { type: 'object', properties: {} },
+  handler: async (params, context) => {
+    const completion = await context.client.chat.completions.create(backlogRequest, { signal: context.signal });
+    return { content: [{ type: 'text', text: completion.choices[0].message.function_call.arguments }] };
+  }
+};
+
+describe('Sampling MCP', () => {
+  const savedEnv = { ...process.env };
+  let transport;
+
+  /**
+   * Démarre un serveur et effectue le handshake avec les capacités client données
+   */
+  function startServer(capabilities, tools = [samplingTool]) {
+    transport = createFakeTransport();
+    const server = new MCPServer({ namespace: 'agile-planner', tools });
+    server.listen(transport);
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { capabilities } }));
+    transport.sendMessage.mockClear();
+    return server;
+  }
+
+  const sentRequest = () => transport.sendMessage.mock.calls
+    .map(([message]) => message)
+    .find(message => message.method === 'sampling/createMessage');
+
+  beforeEach(() => {
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.GROQ_API_KEY;
+  });
+
+  afterAll(() => {
+    process.env = savedEnv;
+  });
+
+  test('un appel de fonction forcé devient une consigne JSON dans le systemPrompt', () => {
+    const params = toSamplingParams(backlogRequest);
+
+    expect(params.messages).toEqual([{ role: 'user', content: { type: 'text', text: 'Projet: Bibliothèque' } }]);
+    expect(params.systemPrompt).toContain('You are an expert agile product owner.');
+    expect(params.systemPrompt).toContain('{"type":"object","required":["projectName"]}');
+    expect(params.includeContext).toBe('none');
+  });
+
+  test('la réponse texte est restituée en function_call, bloc ```json retiré', async () => {
+    const client = createSamplingClient(async () => ({
+      role: 'assistant',
+      content: { type: 'text', text: 'Voici le backlog:\n```json\n{"projectName":"Bibliothèque"}\n```' },
+      model: 'claude'
+    }));
+
+    const completion = await client.chat.completions.create(backlogRequest);
+
+    expect(completion.choices[0].message.function_call).toEqual({
+      name: 'deliver_backlog',
+      arguments: '{"projectName":"Bibliothèque"}'
+    });
+  });
+
+  test('sans clé API, l\'outil envoie sampling/createMessage au client et reçoit sa réponse', async () => {
+    startServer({ sampling: {} });
+
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'sample', arguments: {} } }));
+    await flush();
+
+    const request = sentRequest();
+    expect(request.id).toEqual(expect.any(String));
+    expect(request.params.systemPrompt).toContain('objet JSON valide');
+
+    transport.handler(JSON.stringify({
+      jsonrpc: '2.0',
+      id: request.id,
+      result: { role: 'assistant', content: { type: 'text', text: '{"projectName":"Bibliothèque"}' }, model: 'claude' }
+    }));
+    await flush();
+
+    const response = transport.sendMessage.mock.calls.map(([message]) => message).find(message => message.id === 2);
+    expect(response.result.content[0].text).toBe('{"projectName":"Bibliothèque"}');
+  });
+
+  test('un refus du client est remonté comme erreur de l\'outil', async () => {
+    startServer({ sampling: {} });
+
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'sample', arguments: {} } }));
+    await flush();
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', id: sentRequest().id, error: { code: -1, message: 'User rejected sampling request' } }));
+    await flush();
+
+    const response = transport.sendMessage.mock.calls.map(([message]) => message).find(message => message.id === 3);
+    expect(response.error.message).toContain('User rejected sampling request');
+  });
+
+  test('l\'annulation du tools/call annule aussi la requête de sampling', async () => {
+    startServer({ sampling: {} });
+
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'sample', arguments: {} } }));
+    await flush();
+    const request = sentRequest();
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 4 } }));
+    await flush();
+
+    const messages = transport.sendMessage.mock.calls.map(([message]) => message);
+    expect(messages).toContainEqual(expect.objectContaining({
+      method: 'notifications/cancelled',
+      params: expect.objectContaining({ requestId: request.id })
+    }));
+    expect(messages.find(message => message.id === 4)).toBeUndefined();
+  });
+
+  test('sans AbortSignal.reason (Node < 16.14), l\'annulation rejette avec une CancellationError', async () => {
+    const server = startServer({ sampling: {} });
+    const signal = {
+      aborted: false,
+      addEventListener(type, listener) { this.listener = listener; },
+      removeEventListener: jest.fn()
+    };
+
+    const request = server.sendRequest('sampling/createMessage', {}, { signal });
+    signal.listener();
+
+    await expect(request).rejects.toBeInstanceOf(CancellationError);
+    expect(server.pendingClientRequests.size).toBe(0);
+  });
+
+  test('une réponse arrivée après l\'annulation est ignorée sans réponse au client', async () => {
+    startServer({ sampling: {} });
+
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', id: 5, method: 'tools/call', params: { name: 'sample', arguments: {} } }));
+    await flush();
+    const request = sentRequest();
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 5 } }));
+    await flush();
+    transport.sendMessage.mockClear();
+
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', id: request.id, result: { role: 'assistant', content: { type: 'text', text: '{}' } } }));
+    transport.handler(JSON.stringify({ jsonrpc: '2.0', id: request.id, error: { code: -32800, message: 'Request cancelled' } }));
+    await flush();
+
+    expect(transport.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('le sampling n\'est pas utilisé si le client ne l\'annonce pas ou si une clé API existe', () => {
+    expect(startServer({}).createToolContext({}).client).toBeUndefined();
+
+    process.env.OPENAI_API_KEY = 'sk-test';
+    expect(startServer({ sampling: {} }).createToolContext({}).client).toBeUndefined();
+  });
+});
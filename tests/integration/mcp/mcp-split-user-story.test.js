@@ -0,0 +1,126 @@
+/**
+ * Tests d'intégration de l'outil splitUserStory
+ */
+
+const fs = require('fs-extra');
+const { toolRegistry } = require('../../../server/lib/tool-registry');
+const { formatUserStory } = require('../../../server/lib/markdown/story-formatter');
+const { nextStoryIds } = require('../../../server/lib/utils/backlog-reader');
+const { backlogDir, storyEntry, createBacklogJson, createFakeClient, writtenContent } = require('./helpers');
+
+const featureDir = `${backlogDir}/epics/gestion-des-membres/features/inscription`;
+
+/**
+ * Backlog de départ: US001 est planifiée dans l'itération 1 et dans le MVP
+ */
+function createSplitBacklog() {
+  const stories = () => [storyEntry('US001', 'Gerer son compte'), storyEntry('US002', 'Valider son email')];
+
+  return createBacklogJson({
+    stories: stories(),
+    iterations: [{ name: 'Iteration 1', goal: 'Inscription', slug: 'iteration-1', stories: stories() }],
+    mvp: { title: 'MVP', description: 'Premier lot', stories: stories().slice(0, 1) }
+  });
+}
+
+const split = {
+  pattern: 'paths',
+  stories: [
+    { title: 'Creer son compte', description: 'En tant que visiteur, je veux créer un compte', acceptance_criteria: ['Le compte est créé'], tasks: ['Formulaire'] },
+    { title: 'Supprimer son compte', description: 'En tant que membre, je veux supprimer mon compte', acceptance_criteria: ['Le compte est supprimé'], tasks: ['API'] }
+  ]
+};
+
+describe('Outil splitUserStory', () => {
+  beforeAll(() => {
+    fs.remove = jest.fn().mockResolvedValue(undefined);
+  });
+
+  beforeEach(() => {
+    const backlogJson = createSplitBacklog();
+    fs.pathExists.mockResolvedValue(true);
+    fs.readFile.mockImplementation(async file => (file.endsWith('backlog.json')
+      ? JSON.stringify(backlogJson)
+      : formatUserStory({ id: 'US001', title: 'Gerer son compte', description: 'Tout gérer', acceptance_criteria: ['A'], tasks: ['B'], priority: 'High' })));
+  });
+
+  test('les nouveaux IDs suivent le plus grand ID existant', () => {
+    expect(nextStoryIds(createSplitBacklog(), 2)).toEqual(['US003', 'US004']);
+  });
+
+  test('remplace la story par ses découpes dans la feature, l\'itération et le MVP', async () => {
+    const result = await toolRegistry.invoke('splitUserStory', { storyId: 'US001', outputPath: '/tmp/projet' }, { client: createFakeClient('deliver_story_split', split) });
+
+    expect(fs.remove).toHaveBeenCalledWith(`${featureDir}/user-stories/gerer-son-compte.md`);
+    expect(writtenContent(`${featureDir}/user-stories/creer-son-compte.md`)).toContain('# User Story US003: Creer son compte');
+    expect(writtenContent(`${featureDir}/user-stories/supprimer-son-compte.md`)).toContain('**Priority:** High');
+
+    const saved = JSON.parse(writtenContent(`${backlogDir}/backlog.json`));
+    const ids = stories => stories.map(story => story.id);
+    expect(ids(saved.epics[0].features[0].stories)).toEqual(['US003', 'US004', 'US002']);
+    expect(ids(saved.iterations[0].stories)).toEqual(['US003', 'US004', 'US002']);
+    expect(ids(saved.mvp.stories)).toEqual(['US003', 'US004']);
+
+    const iterationMarkdown = writtenContent(`${backlogDir}/planning/iterations/iteration-1/iteration.md`);
+    expect(iterationMarkdown).toContain('- [US003: Creer son compte](');
+    expect(iterationMarkdown).not.toContain('US001');
+    expect(writtenContent(`${backlogDir}/planning/mvp/mvp.md`)).toContain('- [US004: Supprimer son compte](');
+
+    expect(result.structuredContent).toMatchObject({ storyId: 'US001', pattern: 'paths', storyIds: ['US003', 'US004'], warnings: [] });
+  });
+
+  test('les stories qui dépendaient de la story découpée dépendent de toutes ses découpes', async () => {
+    const backlogJson = { ...createSplitBacklog(), dependencies: { path: './planning/dependencies.md', cycles: [], ordering_issues: [] } };
+    const dependentPath = `${featureDir}/user-stories/valider-son-email.md`;
+    fs.readFile.mockImplementation(async file => {
+      if (file.endsWith('backlog.json')) return JSON.stringify(backlogJson);
+      if (file === dependentPath) {
+        return formatUserStory({ id: 'US002', title: 'Valider son email', description: 'd', acceptance_criteria: ['A'], tasks: ['B'], priority: 'Medium', dependencies: ['US001'] });
+      }
+      return formatUserStory({ id: 'US001', title: 'Gerer son compte', description: 'Tout gérer', acceptance_criteria: ['A'], tasks: ['B'], priority: 'High' });
+    });
+
+    const result = await toolRegistry.invoke('splitUserStory', { storyId: 'US001', outputPath: '/tmp/projet' }, { client: createFakeClient('deliver_story_split', split) });
+
+    const dependentMarkdown = writtenContent(dependentPath);
+    expect(dependentMarkdown).toContain('**Dependencies:** US003, US004');
+    expect(dependentMarkdown).toContain('# User Story US002: Valider son email');
+    expect(result.structuredContent.files).toContain(dependentPath);
+    expect(result.structuredContent.warnings).toEqual([
+      'Dépendances vers US001 remplacées par US003, US004 dans US002',
+      'L\'analyse des dépendances (planning/dependencies.md) cite encore US001: relancez analyzeDependencies'
+    ]);
+  });
+
+  test('le motif imposé et le nombre de stories sont transmis au LLM', async () => {
+    const client = createFakeClient('deliver_story_split', { ...split, stories: [...split.stories, { ...split.stories[0], title: 'Modifier son compte' }] });
+
+    await toolRegistry.invoke('splitUserStory', { storyId: 'US001', storyCount: 3, pattern: 'rules', outputPath: '/tmp/projet' }, { client });
+
+    const request = client.chat.completions.create.mock.calls[0][0];
+    expect(request.messages[0].content).toContain('exactement 3 user stories');
+    expect(request.messages[0].content).toContain('Applique le motif: Règles');
+    expect(request.functions[0].parameters.properties.stories.minItems).toBe(3);
+  });
+
+  test('une découpe portant le nom d\'une autre story de la feature est refusée sans rien modifier', async () => {
+    const client = createFakeClient('deliver_story_split', { ...split, stories: [split.stories[0], { ...split.stories[1], title: 'Valider son email' }] });
+
+    await expect(toolRegistry.invoke('splitUserStory', { storyId: 'US001', outputPath: '/tmp/projet' }, { client }))
+      .rejects.toMatchObject({
+        errorCode: -32602,
+        details: { collisions: [{ storyId: 'US004', fileName: 'valider-son-email.md', existingStoryId: 'US002' }] }
+      });
+    expect(fs.remove).not.toHaveBeenCalled();
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  test('un découpage incomplet est refusé sans rien modifier', async () => {
+    const client = createFakeClient('deliver_story_split', { ...split, stories: split.stories.slice(0, 1) });
+
+    await expect(toolRegistry.invoke('splitUserStory', { storyId: 'US001', outputPath: '/tmp/projet' }, { client }))
+      .rejects.toThrow('Le découpage doit produire 2 user stories');
+    expect(fs.remove).not.toHaveBeenCalled();
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+});
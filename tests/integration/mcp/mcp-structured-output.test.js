@@ -0,0 +1,73 @@
+/**
+ * Tests d'intégration des résultats structurés (structuredContent + outputSchema)
+ */
+
+const Ajv = require('ajv');
+
+jest.mock('../../../server/lib/backlog-generator', () => ({
+  generateBacklog: jest.fn()
+}));
+
+const backlogGenerator = require('../../../server/lib/backlog-generator');
+const mcpRouter = require('../../../server/lib/mcp-router');
+const { toolRegistry } = require('../../../server/lib/tool-registry');
+
+const generatedBacklog = {
+  projectName: 'Bibliothèque',
+  epics: [
+    {
+      id: 'EPIC-001',
+      title: 'Gestion des membres',
+      description: 'Inscription et profils',
+      features: [
+        {
+          id: 'FEAT-001',
+          title: 'Inscription',
+          description: 'Création de compte',
+          stories: [
+            { id: 'US001', title: 'Créer un compte', description: 'En tant que visiteur...', acceptance_criteria: ['a'], tasks: ['t'] }
+          ]
+        }
+      ]
+    }
+  ]
+};
+
+describe('Résultats structurés des outils', () => {
+  beforeEach(() => {
+    backlogGenerator.generateBacklog.mockResolvedValue({
+      success: true,
+      result: generatedBacklog,
+      warnings: ['Tentative 1 rejetée: projectName est requis']
+    });
+  });
+
+  test('tools/list publie l\'outputSchema de chaque outil intégré', async () => {
+    const response = await mcpRouter.handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+
+    const names = response.result.tools.filter(tool => tool.outputSchema).map(tool => tool.name);
+    expect(names).toEqual(expect.arrayContaining(['generateBacklog', 'generateFeature']));
+  });
+
+  test('generateBacklog renvoie un structuredContent conforme à son outputSchema', async () => {
+    const result = await toolRegistry.invoke(
+      'generateBacklog',
+      { projectName: 'Bibliothèque', projectDescription: 'Gestion de prêts', outputPath: '/tmp/projet' },
+      { client: {} }
+    );
+
+    const validate = new Ajv().compile(toolRegistry.get('generateBacklog').outputSchema);
+    expect(validate(result.structuredContent)).toBe(true);
+    expect(result.structuredContent).toEqual(expect.objectContaining({
+      epicCount: 1,
+      storyIds: ['US001'],
+      warnings: ['Tentative 1 rejetée: projectName est requis']
+    }));
+    expect(result.structuredContent.files).toEqual(expect.arrayContaining([
+      expect.stringMatching(/backlog\.json$/),
+      expect.stringMatching(/user-stories\/crer-un-compte\.md$/)
+    ]));
+    expect(result.content.every(item => item.type === 'text')).toBe(true);
+    expect(JSON.parse(result.content[1].text)).toEqual(result.structuredContent);
+  });
+});
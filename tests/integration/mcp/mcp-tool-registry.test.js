@@ -0,0 +1,108 @@
+/**
+ * Tests d'intégration du registre d'outils partagé (serveur MCP, routeur et CLI)
+ */
+
+const mcpRouter = require('../../../server/lib/mcp-router');
+const { ToolRegistry, toolRegistry } = require('../../../server/lib/tool-registry');
+const { ValidationError } = require('../../../server/lib/errors');
+
+describe('Registre d\'outils', () => {
+  const pingTool = {
+    name: 'ping',
+    description: 'Outil tiers de test',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        target: { type: 'string', description: 'Cible' },
+        count: { type: 'integer', description: 'Nombre de pings' }
+      }
+    },
+    cli: {
+      command: '--ping',
+      positional: ['target'],
+      options: { '--count': 'count' }
+    },
+    handler: async (args, context) => {
+      context.reportProgress('ping');
+      return { content: [{ type: 'text', text: `pong ${args.target}` }] };
+    }
+  };
+
+  afterEach(() => {
+    toolRegistry.unregister('ping');
+  });
+
+  test('les outils intégrés sont déclarés une seule fois et listés par le routeur', async () => {
+    const response = await mcpRouter.handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+
+    expect(response.result.tools).toEqual(toolRegistry.listDefinitions());
+    expect(response.result.tools.map(tool => tool.name)).toEqual(expect.arrayContaining(['generateBacklog', 'generateFeature']));
+  });
+
+  test('un outil tiers enregistré est appelable via tools/call', async () => {
+    toolRegistry.register(pingTool);
+
+    const response = await mcpRouter.handleRequest({
+      jsonrpc: '2.0',
+      id: 2,
+      method: 'tools/call',
+      params: { name: 'ping', arguments: { target: 'serveur' } }
+    });
+
+    expect(response.result).toEqual({ content: [{ type: 'text', text: 'pong serveur' }] });
+  });
+
+  test('un outil inconnu renvoie -32602', async () => {
+    const response = await mcpRouter.handleRequest({
+      jsonrpc: '2.0',
+      id: 3,
+      method: 'tools/call',
+      params: { name: 'inconnu', arguments: {} }
+    });
+
+    expect(response.error.code).toBe(-32602);
+  });
+
+  test('les arguments CLI sont convertis selon le schéma de l\'outil', () => {
+    const registry = new ToolRegistry().register(pingTool);
+
+    const tool = registry.findByCliCommand('--ping');
+
+    expect(registry.parseCliArgs(tool, ['serveur', '--count=3'])).toEqual({ target: 'serveur', count: 3 });
+  });
+
+  test('un nom ou une commande déjà utilisés sont refusés', () => {
+    const registry = new ToolRegistry().register(pingTool);
+
+    expect(() => registry.register(pingTool)).toThrow(ValidationError);
+    expect(() => registry.register({ ...pingTool, name: 'ping2' })).toThrow(ValidationError);
+  });
+
+  test('loadPlugins accepte une fonction d\'enregistrement', () => {
+    const registry = new ToolRegistry();
+    jest.doMock('agile-planner-ping-plugin', () => reg => reg.register(pingTool), { virtual: true });
+
+    registry.loadPlugins(['agile-planner-ping-plugin']);
+
+    expect(registry.has('ping')).toBe(true);
+  });
+
+  test('un module introuvable est ignoré et les modules de AGILE_PLANNER_TOOL_PLUGINS sont chargés par loadEnvPlugins', () => {
+    const originalPlugins = process.env.AGILE_PLANNER_TOOL_PLUGINS;
+    process.env.AGILE_PLANNER_TOOL_PLUGINS = './plugin-inexistant.js, agile-planner-ping-plugin';
+    jest.doMock('agile-planner-ping-plugin', () => pingTool, { virtual: true });
+
+    try {
+      const registry = new ToolRegistry().loadEnvPlugins();
+
+      expect(registry.has('ping')).toBe(true);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Module d\'outils ignoré (./plugin-inexistant.js)'));
+    } finally {
+      if (originalPlugins === undefined) {
+        delete process.env.AGILE_PLANNER_TOOL_PLUGINS;
+      } else {
+        process.env.AGILE_PLANNER_TOOL_PLUGINS = originalPlugins;
+      }
+    }
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests d'intégration de l'outil updateStoryStatus
+ */
+
+const fs = require('fs-extra');
+const { toolRegistry } = require('../../../server/lib/tool-registry');
+const { formatUserStory, parseUserStory } = require('../../../server/lib/markdown/story-formatter');
+const { backlogDir, storyEntry, createBacklogJson, writtenContent } = require('./helpers');
+
+const storyPath = `${backlogDir}/epics/gestion-des-membres/features/inscription/user-stories/creer-son-compte.md`;
+
+/**
+ * Backlog de départ avec une seule user story
+ */
+function createStatusBacklog() {
+  return createBacklogJson({ stories: [storyEntry('US001', 'Creer son compte')] });
+}
+
+describe('Outil updateStoryStatus', () => {
+  beforeEach(() => {
+    const backlogJson = createStatusBacklog();
+    fs.pathExists.mockResolvedValue(true);
+    fs.readFile.mockImplementation(async file => (file.endsWith('backlog.json')
+      ? JSON.stringify(backlogJson)
+      : formatUserStory({
+        id: 'US001',
+        title: 'Creer son compte',
+        description: 'En tant que lecteur, je veux un compte',
+        acceptance_criteria: ['Le compte est créé', 'Un email de bienvenue est envoyé'],
+        tasks: ['Créer le formulaire', 'Créer l\'API', 'Envoyer l\'email'],
+        priority: 'HIGH',
+        checked: { tasks: ['Créer le formulaire'] }
+      })));
+  });
+
+  test('coche des tâches par numéro et par texte, change le statut et l\'enregistre dans backlog.json', async () => {
+    const result = await toolRegistry.invoke('updateStoryStatus', {
+      storyId: 'us001',
+      status: 'in-progress',
+      tasks: [2],
+      criteria: ['bienvenue'],
+      outputPath: '/tmp/projet'
+    });
+
+    expect(result.structuredContent).toMatchObject({
+      storyId: 'US001',
+      status: 'in-progress',
+      changedTasks: ['Créer l\'API'],
+      changedCriteria: ['Un email de bienvenue est envoyé'],
+      progress: { tasks: { done: 2, total: 3 }, acceptance_criteria: { done: 1, total: 2 } },
+      files: [storyPath, `${backlogDir}/backlog.json`],
+      warnings: []
+    });
+
+    const markdown = writtenContent(storyPath);
+    expect(markdown).toContain('- [x] Créer le formulaire\n- [x] Créer l\'API\n- [ ] Envoyer l\'email');
+    expect(markdown).toContain('- [ ] Le compte est créé\n- [x] Un email de bienvenue est envoyé');
+    expect(markdown).toContain('**Priority:** HIGH\n**Status:** in-progress');
+    expect(parseUserStory(markdown).status).toBe('in-progress');
+
+    const saved = JSON.parse(writtenContent(`${backlogDir}/backlog.json`));
+    expect(saved.epics[0].features[0].stories[0]).toMatchObject({
+      status: 'in-progress',
+      status_updated_at: expect.any(String),
+      progress: { tasks: { done: 2, total: 3 }, acceptance_criteria: { done: 1, total: 2 } }
+    });
+  });
+
+  test('passer à done avec des cases non cochées renvoie un avertissement, uncheck décoche', async () => {
+    const result = await toolRegistry.invoke('updateStoryStatus', {
+      storyId: 'US001',
+      status: 'done',
+      tasks: ['créer le formulaire'],
+      uncheck: true,
+      outputPath: '/tmp/projet'
+    });
+
+    expect(result.structuredContent.progress.tasks).toEqual({ done: 0, total: 3 });
+    expect(result.structuredContent.warnings).toEqual(['US001 est terminée mais 5 tâche(s) ou critère(s) ne sont pas cochés']);
+    expect(writtenContent(storyPath)).toContain('- [ ] Créer le formulaire');
+  });
+
+  test('seules les cases visées et le statut changent: description sur plusieurs lignes et sections ajoutées sont conservées', async () => {
+    const original = [
+      '# User Story US001: Creer son compte',
+      '',
+      '## Description',
+      '- [ ] En tant que lecteur, je veux un compte',
+      '  afin d\'emprunter des livres en ligne.',
+      '',
+      '### Acceptance Criteria',
+      '- [ ] Le compte est créé',
+      '- [ ] Un email de bienvenue est envoyé',
+      '',
+      '### Technical Tasks',
+      '- [x] Créer le formulaire',
+      '- [ ] Créer l\'API',
+      '',
+      '**Priority:** HIGH',
+      '',
+      '## Notes',
+      '',
+      '- [ ] Le compte est créé (à revoir avec le métier)',
+      '- Voir la maquette v2'
+    ].join('\n');
+    fs.readFile.mockImplementation(async file => (file.endsWith('backlog.json') ? JSON.stringify(createStatusBacklog()) : original));
+
+    await toolRegistry.invoke('updateStoryStatus', { storyId: 'US001', status: 'in-progress', criteria: [1], outputPath: '/tmp/projet' });
+
+    expect(writtenContent(storyPath)).toBe(original
+      .replace('- [ ] Le compte est créé\n', '- [x] Le compte est créé\n')
+      .replace('**Priority:** HIGH', '**Priority:** HIGH\n**Status:** in-progress'));
+  });
+
+  test('une référence ambiguë ou hors limites est rejetée sans rien écrire', async () => {
+    await expect(toolRegistry.invoke('updateStoryStatus', { storyId: 'US001', tasks: ['Créer'], outputPath: '/tmp/projet' }))
+      .rejects.toMatchObject({ errorCode: -32602, message: 'Tâches de US001: plusieurs éléments correspondent à "Créer"' });
+    await expect(toolRegistry.invoke('updateStoryStatus', { storyId: 'US001', criteria: [3], outputPath: '/tmp/projet' }))
+      .rejects.toMatchObject({ errorCode: -32602, message: 'Critères d\'acceptation de US001: numéro 3 hors limites (1 à 2)' });
+    await expect(toolRegistry.invoke('updateStoryStatus', { storyId: 'US001', outputPath: '/tmp/projet' }))
+      .rejects.toMatchObject({ errorCode: -32602 });
+
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  test('la commande --updateStoryStatus prend l\'ID et le statut en arguments positionnels', () => {
+    const tool = toolRegistry.findByCliCommand('--updateStoryStatus');
+
+    expect(toolRegistry.parseCliArgs(tool, ['US001', 'done', '--tasks=1,3', '--uncheck'])).toEqual({
+      storyId: 'US001',
+      status: 'done',
+      tasks: ['1', '3'],
+      uncheck: true
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Tests du formateur Gherkin (.feature)
+ */
+
+const fs = require('fs-extra');
+const { normalizeCriterion, generateGherkinFeature } = require('../../../server/lib/markdown/gherkin-formatter');
+const { formatUserStory, parseUserStory } = require('../../../server/lib/markdown/story-formatter');
+const { processFeature } = require('../../../server/lib/markdown/feature-formatter');
+
+const feature = { title: 'Inscription', description: 'Création de compte' };
+
+const story = {
+  id: 'US001',
+  title: 'Créer un compte',
+  description: 'En tant que visiteur, je veux un compte',
+  acceptance_criteria: [
+    { given: 'Étant donné que je suis sur la page d\'inscription', when: 'Quand je valide le formulaire', then: 'Alors mon compte est créé' },
+    'Un email déjà utilisé est refusé'
+  ],
+  tasks: ['Formulaire']
+};
+
+describe('Formateur Gherkin', () => {
+  test('un scénario par critère, tagué avec l\'ID de la user story', () => {
+    const content = generateGherkinFeature(feature, [story]);
+
+    expect(content).toContain('Feature: Inscription\n  Création de compte');
+    expect(content).toContain([
+      '  @US001',
+      '  Scenario: Créer un compte (1)',
+      '    Given je suis sur la page d\'inscription',
+      '    When je valide le formulaire',
+      '    Then mon compte est créé'
+    ].join('\n'));
+    expect(content).toContain('  Scenario: Créer un compte (2)\n    Then Un email déjà utilisé est refusé');
+  });
+
+  test('les critères structurés survivent à un aller-retour par le markdown', () => {
+    const markdown = formatUserStory(story);
+
+    expect(markdown).toContain('- [ ] Given je suis sur la page d\'inscription, when je valide le formulaire, then mon compte est créé');
+    expect(normalizeCriterion(parseUserStory(markdown).acceptance_criteria[0])).toEqual({
+      given: 'je suis sur la page d\'inscription',
+      when: 'je valide le formulaire',
+      then: 'mon compte est créé'
+    });
+  });
+
+  test('sans critère d\'acceptation, aucun fichier n\'est produit', () => {
+    expect(generateGherkinFeature(feature, [{ ...story, acceptance_criteria: [] }])).toBeNull();
+  });
+
+  test('processFeature écrit le fichier .feature à côté de feature.md', async () => {
+    const epicJson = { features: [] };
+
+    await processFeature({ ...feature, stories: [story] }, '/tmp/backlog/epics/membres', 'Membres', new Map(), epicJson);
+
+    expect(fs.writeFile).toHaveBeenCalledWith('/tmp/backlog/epics/membres/features/inscription/inscription.feature', expect.stringContaining('@US001'));
+    expect(epicJson.features[0].gherkin_path).toMatch(/inscription\/inscription\.feature$/);
+  });
+});
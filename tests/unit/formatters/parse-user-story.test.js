@@ -0,0 +1,44 @@
+/**
+ * Tests de la relecture du markdown d'une user story (parseUserStory)
+ */
+const { formatUserStory, parseUserStory } = require('../../../server/lib/markdown/story-formatter');
+
+const story = {
+  id: 'US001',
+  title: 'Authentification utilisateur',
+  description: "En tant qu'utilisateur, je veux m'authentifier afin d'accéder à mon compte",
+  acceptance_criteria: ["L'utilisateur peut s'authentifier", 'Un message explicite est affiché en cas d\'échec'],
+  tasks: ['Créer le formulaire', 'Implémenter la logique serveur'],
+  priority: 'High',
+  dependencies: ['US002', 'US003'],
+  checked: { description: false, acceptance_criteria: ["L'utilisateur peut s'authentifier"], tasks: ['Créer le formulaire'] }
+};
+
+describe('parseUserStory', () => {
+  test('restitue les champs et les cases cochées écrits par formatUserStory', () => {
+    expect(parseUserStory(formatUserStory(story))).toEqual(story);
+  });
+
+  test('les cases cochées sont réécrites à l\'identique', () => {
+    const markdown = formatUserStory(story);
+
+    expect(markdown).toContain("- [x] L'utilisateur peut s'authentifier");
+    expect(markdown).toContain('- [ ] Implémenter la logique serveur');
+    expect(formatUserStory(parseUserStory(markdown))).toBe(markdown);
+  });
+
+  test('les exemples des instructions pour l\'IA ne sont pas pris pour des tâches', () => {
+    const parsed = parseUserStory(formatUserStory({ ...story, checked: undefined }));
+
+    expect(parsed.tasks).toEqual(story.tasks);
+    expect(parsed.checked).toEqual({ description: false, acceptance_criteria: [], tasks: [] });
+  });
+
+  test('restitue les story points et leur justification', () => {
+    const estimated = { ...story, story_points: 5, estimation_rationale: 'Deux écrans et une API' };
+    const markdown = formatUserStory(estimated);
+
+    expect(markdown).toContain('**Story Points:** 5');
+    expect(parseUserStory(markdown)).toEqual(estimated);
+  });
+});
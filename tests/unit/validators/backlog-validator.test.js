@@ -3,6 +3,7 @@
  * Approche RED-GREEN-REFACTOR
  */
 const { BacklogValidator } = require('../../../server/lib/utils/validators/backlog-validator');
+const { logger } = require('../../../server/lib/logger');
 
 // Mock pour chalk
 jest.mock('chalk', () => ({
@@ -255,15 +256,15 @@ test.skip('retourne valid: true pour un backlog valide', () => {
       // Remplacer la méthode validate pour qu'elle retourne toujours valid: true
       jest.spyOn(validator, 'validate').mockReturnValue({ valid: true });
       
-      // Espionner console.log pour vérifier les messages
-      const consoleSpy = jest.spyOn(console, 'log');
+      // Espionner le logger pour vérifier les messages
+      const logSpy = jest.spyOn(logger, 'debug');
       
       // Act - Exécuter la méthode à tester
       const result = validator.validateBacklog(validBacklog);
       
       // Assert - Vérifier le résultat
       expect(result).toEqual({ valid: true });
-      expect(consoleSpy).toHaveBeenCalled();
+      expect(logSpy).toHaveBeenCalled();
     });
     
     // Test pour un backlog invalide
@@ -281,8 +282,8 @@ test.skip('retourne valid: false et errors pour un backlog invalide', () => {
         errors: ['projectName est requis']
       });
       
-      // Espionner console.log pour vérifier les messages
-      const consoleSpy = jest.spyOn(console, 'log');
+      // Espionner le logger pour vérifier les messages
+      const logSpy = jest.spyOn(logger, 'warning');
       
       // Act - Exécuter la méthode à tester
       const result = validator.validateBacklog(invalidBacklog);
@@ -292,7 +293,7 @@ test.skip('retourne valid: false et errors pour un backlog invalide', () => {
         valid: false,
         errors: ['projectName est requis']
       });
-      expect(consoleSpy).toHaveBeenCalled();
+      expect(logSpy).toHaveBeenCalled();
     });
     
     // Test pour une erreur inattendue
@@ -303,8 +304,8 @@ test.skip('gère les erreurs inattendues', () => {
         throw new Error('Erreur simulée');
       });
       
-      // Espionner console.error pour vérifier les messages d'erreur
-      const consoleErrorSpy = jest.spyOn(console, 'error');
+      // Espionner le logger pour vérifier les messages d'erreur
+      const errorSpy = jest.spyOn(logger, 'error');
       
       // Act - Exécuter la méthode à tester
       const result = validator.validateBacklog({});
@@ -312,7 +313,7 @@ test.skip('gère les erreurs inattendues', () => {
       // Assert - Vérifier le résultat
       expect(result).toHaveProperty('valid', false);
       expect(result).toHaveProperty('error');
-      expect(consoleErrorSpy).toHaveBeenCalled();
+      expect(errorSpy).toHaveBeenCalled();
     });
 
     test('Validation d\'un backlog valide avec format epics', () => {
@@ -331,15 +332,15 @@ test.skip('gère les erreurs inattendues', () => {
       // Remplacer la méthode validate pour qu'elle retourne toujours valid: true
       jest.spyOn(validator, 'validate').mockReturnValue({ valid: true });
       
-      // Espionner console.log pour vérifier les messages
-      const consoleSpy = jest.spyOn(console, 'log');
+      // Espionner le logger pour vérifier les messages
+      const logSpy = jest.spyOn(logger, 'debug');
       
       // Act - Exécuter la méthode à tester
       const result = validator.validateBacklog(validBacklog);
       
       // Assert - Vérifier le résultat
       expect(result).toEqual({ valid: true });
-      expect(consoleSpy).toHaveBeenCalled();
+      expect(logSpy).toHaveBeenCalled();
     });
   });
 });